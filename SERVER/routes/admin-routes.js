@@ -0,0 +1,88 @@
+/**
+ * 🔑 Admin Routes
+ * Operational controls - aggregation job status, station catalog and manual refresh
+ *
+ * Every route requires `Authorization: Bearer <ADMIN_TOKEN>`. Without
+ * ADMIN_TOKEN set the admin surface is disabled entirely.
+ */
+
+import crypto from 'crypto';
+
+export default class AdminRoutes {
+    constructor({ climateEntity }) {
+        this.climateEntity = climateEntity;
+        this.token = process.env.ADMIN_TOKEN || null;
+        this.name = 'admin';
+    }
+
+    register(app) {
+        const authorize = this.authorize.bind(this);
+
+        app.get('/api/admin/jobs', authorize, this.getJobs.bind(this));
+        app.post('/api/admin/jobs/:source/run', authorize, this.runJob.bind(this));
+        app.get('/api/admin/stations', authorize, this.getStations.bind(this));
+        app.post('/api/admin/stations/refresh', authorize, this.refreshStations.bind(this));
+    }
+
+    getEndpoints() {
+        return {
+            jobs: '/api/admin/jobs',
+            runJob: 'POST /api/admin/jobs/:source/run',
+            stations: '/api/admin/stations',
+            refreshStations: 'POST /api/admin/stations/refresh'
+        };
+    }
+
+    authorize(req, res, next) {
+        if (!this.token) {
+            return res.status(403).json({ error: 'Admin routes are disabled, set ADMIN_TOKEN to enable them' });
+        }
+
+        const [scheme, supplied] = (req.get('Authorization') || '').split(' ');
+        if (scheme !== 'Bearer' || !supplied || !this.matchesToken(supplied)) {
+            return res.status(401).json({ error: 'Invalid or missing admin token' });
+        }
+
+        next();
+    }
+
+    // Constant-time comparison so the token cannot be guessed byte by byte
+    matchesToken(supplied) {
+        const expected = Buffer.from(this.token);
+        const actual = Buffer.from(supplied);
+        return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+    }
+
+    getJobs(req, res, next) {
+        try {
+            res.json(this.climateEntity.getAggregationJobs());
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    async runJob(req, res, next) {
+        try {
+            const job = await this.climateEntity.runAggregationJob(req.params.source);
+            res.status(202).json(job);
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    getStations(req, res, next) {
+        try {
+            res.json(this.climateEntity.getStationCatalogStatus());
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    refreshStations(req, res, next) {
+        try {
+            res.status(202).json(this.climateEntity.refreshStationCatalog());
+        } catch (error) {
+            next(error);
+        }
+    }
+}
@@ -0,0 +1,65 @@
+/**
+ * 🧠 Analysis Routes
+ * Climate insights and on-demand AI analysis
+ */
+
+export default class AnalysisRoutes {
+    constructor({ climateEntity }) {
+        this.climateEntity = climateEntity;
+        this.name = 'analysis';
+        this.analysisTypes = ['comprehensive', 'patterns', 'anomalies', 'predictions'];
+    }
+
+    register(app) {
+        app.get('/api/climate-insights', this.getClimateInsights.bind(this));
+        app.post('/api/analyze', this.analyzeClimateData.bind(this));
+        app.get('/api/forecast/verification', this.getForecastVerification.bind(this));
+    }
+
+    getEndpoints() {
+        return {
+            insights: '/api/climate-insights',
+            analyze: '/api/analyze',
+            verification: '/api/forecast/verification?horizon='
+        };
+    }
+
+    async getClimateInsights(req, res, next) {
+        try {
+            const insights = await this.climateEntity.getClimateInsights();
+            res.json(insights);
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    async analyzeClimateData(req, res, next) {
+        const { data, analysisType = 'comprehensive' } = req.body || {};
+
+        if (data === undefined || data === null) {
+            return res.status(400).json({ error: 'Request body must include data' });
+        }
+
+        if (!this.analysisTypes.includes(analysisType)) {
+            return res.status(400).json({
+                error: `Unknown analysisType, expected one of: ${this.analysisTypes.join(', ')}`
+            });
+        }
+
+        try {
+            const result = await this.climateEntity.analyzeData(data, analysisType);
+            res.json(result);
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    async getForecastVerification(req, res, next) {
+        try {
+            const verification = this.climateEntity.getForecastVerification({ horizon: req.query.horizon });
+            res.json(verification);
+        } catch (error) {
+            next(error);
+        }
+    }
+}
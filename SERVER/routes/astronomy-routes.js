@@ -0,0 +1,61 @@
+/**
+ * 🌌 Astronomy Routes
+ * ISS tracking and NASA Astronomy Picture of the Day
+ */
+
+import { httpTransport } from '../../SRC/utils/http-transport.js';
+
+export default class AstronomyRoutes {
+    constructor() {
+        this.name = 'astronomy';
+        this.nasaApiKey = process.env.NASA_API_KEY || 'DEMO_KEY';
+        this.issURL = 'http://api.open-notify.org/iss-now.json';
+        this.apodURL = 'https://api.nasa.gov/planetary/apod';
+    }
+
+    register(app) {
+        app.get('/api/astronomy/iss', this.getISSLocation.bind(this));
+        app.get('/api/astronomy/apod', this.getAPOD.bind(this));
+    }
+
+    getEndpoints() {
+        return {
+            iss: '/api/astronomy/iss',
+            apod: '/api/astronomy/apod?date='
+        };
+    }
+
+    async getISSLocation(req, res, next) {
+        try {
+            const response = await httpTransport.fetch(this.issURL, { signal: AbortSignal.timeout(10000) });
+            const data = await response.json();
+            res.json(data);
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    async getAPOD(req, res, next) {
+        const date = this.validateDate(req.query.date);
+        if (!date) {
+            return res.status(400).json({ error: 'Invalid date, expected YYYY-MM-DD' });
+        }
+
+        try {
+            const params = new URLSearchParams({ api_key: this.nasaApiKey, date });
+            const response = await httpTransport.fetch(`${this.apodURL}?${params}`, {
+                signal: AbortSignal.timeout(15000)
+            });
+            const data = await response.json();
+            res.status(response.ok ? 200 : 502).json(data);
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    validateDate(date) {
+        if (date === undefined) return new Date().toISOString().split('T')[0];
+        if (typeof date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(date)) return false;
+        return isNaN(Date.parse(date)) ? false : date;
+    }
+}
@@ -0,0 +1,99 @@
+/**
+ * 🏙️ Geocode Routes
+ * Offline place search, reverse geocoding and time zone lookup
+ */
+
+import { toZonedISOString } from '../../SRC/utils/time-zone.js';
+
+const MAX_LIMIT = 20;
+const MAX_REVERSE_DISTANCE_KM = 500;
+
+export default class GeocodeRoutes {
+    constructor({ climateEntity, units }) {
+        this.climateEntity = climateEntity;
+        this.units = units;
+        this.name = 'geocode';
+    }
+
+    register(app) {
+        // Static path before the search route so "reverse" is never read as a query
+        app.get('/api/geocode/reverse', this.reverseGeocode.bind(this));
+        app.get('/api/geocode', this.geocode.bind(this));
+        app.get('/api/timezone', this.getTimezone.bind(this));
+    }
+
+    getEndpoints() {
+        return {
+            geocode: '/api/geocode?q=&country=&admin1=&limit=',
+            reverse: '/api/geocode/reverse?lat=&lon=&maxDistance=&units=',
+            timezone: '/api/timezone?lat=&lon=|city=|station=&at='
+        };
+    }
+
+    async geocode(req, res, next) {
+        const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+        if (!query || query.length > 100) {
+            return res.status(400).json({ error: 'Invalid q, expected a place name of 1-100 characters' });
+        }
+
+        const limit = req.query.limit === undefined ? 5 : parseInt(req.query.limit, 10);
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+            return res.status(400).json({ error: `Invalid limit, expected 1-${MAX_LIMIT}` });
+        }
+
+        try {
+            const results = await this.climateEntity.geocode(query, {
+                country: req.query.country,
+                admin1: req.query.admin1,
+                limit
+            });
+            res.json({ query, count: results.length, results });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    async reverseGeocode(req, res, next) {
+        const lat = parseFloat(req.query.lat);
+        const lon = parseFloat(req.query.lon);
+        if (!Number.isFinite(lat) || Math.abs(lat) > 90 || !Number.isFinite(lon) || Math.abs(lon) > 180) {
+            return res.status(400).json({ error: 'Invalid location, expected lat and lon' });
+        }
+
+        const maxDistanceKm = req.query.maxDistance === undefined ? 50 : parseFloat(req.query.maxDistance);
+        if (!Number.isFinite(maxDistanceKm) || maxDistanceKm <= 0 || maxDistanceKm > MAX_REVERSE_DISTANCE_KM) {
+            return res.status(400).json({ error: `Invalid maxDistance, expected km between 0 and ${MAX_REVERSE_DISTANCE_KM}` });
+        }
+
+        try {
+            const system = this.units.resolveSystem(req.query.units, req.query.locale);
+            const place = await this.climateEntity.reverseGeocode(lat, lon, { maxDistanceKm });
+            if (!place) {
+                return res.status(404).json({ error: `No place within ${maxDistanceKm} km` });
+            }
+            res.json(this.units.formatResponse(place, system));
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    async getTimezone(req, res, next) {
+        const instant = req.query.at === undefined ? Date.now() : Date.parse(req.query.at);
+        if (isNaN(instant)) {
+            return res.status(400).json({ error: 'Invalid at, expected an ISO date-time' });
+        }
+
+        try {
+            const location = await this.climateEntity.resolveLocation(req.query);
+            const timezone = await this.climateEntity.getTimezone(location, instant);
+            res.json({
+                location: { name: location.name, lat: location.lat, lon: location.lon, source: location.source },
+                at: new Date(instant).toISOString(),
+                localTime: toZonedISOString(instant, timezone.id),
+                ...timezone
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+}
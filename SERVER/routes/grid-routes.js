@@ -0,0 +1,85 @@
+/**
+ * 🗺️ Grid Routes
+ * Point observations interpolated onto a regular lat/lon grid
+ */
+
+const MAX_RESOLUTION = 5;
+
+export default class GridRoutes {
+    constructor({ climateEntity, units }) {
+        this.climateEntity = climateEntity;
+        this.units = units;
+        this.name = 'grid';
+    }
+
+    register(app) {
+        app.get('/api/grid/:variable', this.getGrid.bind(this));
+    }
+
+    getEndpoints() {
+        return {
+            grid: '/api/grid/:variable?bbox=minLon,minLat,maxLon,maxLat&resolution=&method=idw|kriging&hours=&units='
+        };
+    }
+
+    async getGrid(req, res, next) {
+        const bbox = this.validateBoundingBox(req.query.bbox);
+        if (!bbox) {
+            return res.status(400).json({ error: 'Invalid bbox, expected minLon,minLat,maxLon,maxLat' });
+        }
+
+        const resolution = req.query.resolution === undefined ? 0.25 : parseFloat(req.query.resolution);
+        if (!Number.isFinite(resolution) || resolution <= 0 || resolution > MAX_RESOLUTION) {
+            return res.status(400).json({ error: `Invalid resolution, expected degrees between 0 and ${MAX_RESOLUTION}` });
+        }
+
+        const hours = req.query.hours === undefined ? 3 : parseFloat(req.query.hours);
+        if (!Number.isFinite(hours) || hours <= 0 || hours > 48) {
+            return res.status(400).json({ error: 'Invalid hours, expected a window between 0 and 48' });
+        }
+
+        try {
+            const system = this.units.resolveSystem(req.query.units, req.query.locale);
+            const grid = await this.climateEntity.getGrid(req.params.variable, {
+                bbox,
+                resolution,
+                method: req.query.method || 'idw',
+                hours
+            });
+
+            res.json(this.units.formatResponse(grid, system, this.gridQuantities(grid.variable)));
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    // Grid values are bare numbers, so the variable's own quantity is applied explicitly;
+    // cross-validation errors are spreads and the variogram is in squared units
+    gridQuantities(variable) {
+        const quantity = this.units.quantityForField(variable);
+        if (!quantity) return {};
+
+        const delta = this.units.deltaQuantity(quantity);
+        return {
+            values: quantity,
+            errors: delta,
+            rmse: delta,
+            mae: delta,
+            nugget: { quantity: delta, squared: true },
+            sill: { quantity: delta, squared: true }
+        };
+    }
+
+    validateBoundingBox(value) {
+        if (typeof value !== 'string') return false;
+
+        const parts = value.split(',').map(part => parseFloat(part));
+        if (parts.length !== 4 || !parts.every(Number.isFinite)) return false;
+
+        const [minLon, minLat, maxLon, maxLat] = parts;
+        if (Math.abs(minLat) > 90 || Math.abs(maxLat) > 90 || Math.abs(minLon) > 180 || Math.abs(maxLon) > 180) return false;
+        if (minLat >= maxLat || minLon >= maxLon) return false;
+
+        return { minLat, maxLat, minLon, maxLon };
+    }
+}
@@ -0,0 +1,40 @@
+/**
+ * 🩺 Health Routes
+ * Liveness, readiness and status endpoints
+ */
+
+import { httpTransport } from '../../SRC/utils/http-transport.js';
+
+export default class HealthRoutes {
+    constructor({ healthCheck, version }) {
+        this.healthCheck = healthCheck;
+        this.version = version;
+        this.name = 'health';
+    }
+
+    register(app) {
+        const healthMiddleware = this.healthCheck.getHealthCheckMiddleware();
+
+        app.get('/health', healthMiddleware);
+        app.get('/api/health', healthMiddleware);
+        app.get('/status', this.getStatus.bind(this));
+    }
+
+    getEndpoints() {
+        return {
+            health: '/health',
+            status: '/status'
+        };
+    }
+
+    getStatus(req, res) {
+        res.json({
+            status: 'OK',
+            timestamp: new Date().toISOString(),
+            version: this.version,
+            uptime: process.uptime(),
+            environment: process.env.NODE_ENV || 'development',
+            transport: httpTransport.getStatus()
+        });
+    }
+}
@@ -0,0 +1,34 @@
+/**
+ * 🌐 Location Routes
+ * Where a request is: the location it names, else its client IP
+ */
+
+import { clientIP } from '../../SRC/data-systems/ip-locator.js';
+
+export default class LocationRoutes {
+    constructor({ climateEntity, units }) {
+        this.climateEntity = climateEntity;
+        this.units = units;
+        this.name = 'location';
+    }
+
+    register(app) {
+        app.get('/api/location', this.getLocation.bind(this));
+    }
+
+    getEndpoints() {
+        return {
+            location: '/api/location?lat=&lon=|city=|station=|ip=&units='
+        };
+    }
+
+    async getLocation(req, res, next) {
+        try {
+            const system = this.units.resolveSystem(req.query.units, req.query.locale);
+            const location = await this.climateEntity.resolveLocation(req.query, { clientIP: clientIP(req) });
+            res.json(this.units.formatResponse(location, system));
+        } catch (error) {
+            next(error);
+        }
+    }
+}
@@ -0,0 +1,138 @@
+/**
+ * 🌊 Ocean Routes
+ * Buoy observations, NDBC wave spectra, tide predictions and Argo subsurface profiles
+ */
+
+import { localizeTimes } from '../../SRC/utils/time-zone.js';
+
+const MAX_SPECTRUM_HOURS = 48;
+const MAX_TIDE_RANGE_DAYS = 31;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export default class OceanRoutes {
+    constructor({ climateEntity, units }) {
+        this.climateEntity = climateEntity;
+        this.units = units;
+        this.name = 'ocean';
+    }
+
+    register(app) {
+        app.get('/api/ocean/buoys', this.getBuoyObservations.bind(this));
+        app.get('/api/ocean/buoys/:id/spectrum', this.getWaveSpectrum.bind(this));
+        app.get('/api/ocean/tides', this.getTides.bind(this));
+        app.get('/api/ocean/profiles', this.getProfiles.bind(this));
+    }
+
+    getEndpoints() {
+        return {
+            buoys: '/api/ocean/buoys?lat=&lon=|city=|station=&radius=&spectral=&units=',
+            spectrum: '/api/ocean/buoys/:id/spectrum?hours=&directional=&units=',
+            tides: '/api/ocean/tides?lat=&lon=|city=|station=|tideStation=&from=&to=&step=&units=',
+            profiles: '/api/ocean/profiles?lat=&lon=|city=|station=&radius=&units='
+        };
+    }
+
+    async getBuoyObservations(req, res, next) {
+        const radius = this.validateRadius(req.query, 500);
+        if (!radius) {
+            return res.status(400).json({ error: 'Invalid radius, expected km between 0 and 500' });
+        }
+
+        try {
+            const system = this.units.resolveSystem(req.query.units, req.query.locale);
+            const location = { ...await this.climateEntity.resolveLocation(req.query), radius };
+            const oceanData = await this.climateEntity.getOceanConditions(location, { spectral: req.query.spectral === 'true' });
+            res.json(this.units.formatResponse(localizeTimes(oceanData, location.timezone), system));
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    async getWaveSpectrum(req, res, next) {
+        // NDBC station ids are five alphanumerics, e.g. 46026 or SAUF1
+        const buoyId = req.params.id.toUpperCase();
+        if (!/^[A-Z0-9]{5}$/.test(buoyId)) {
+            return res.status(400).json({ error: 'Invalid buoy id, expected a five character NDBC station id' });
+        }
+
+        const hours = req.query.hours === undefined ? 1 : parseInt(req.query.hours);
+        if (!Number.isInteger(hours) || hours < 1 || hours > MAX_SPECTRUM_HOURS) {
+            return res.status(400).json({ error: `Invalid hours, expected between 1 and ${MAX_SPECTRUM_HOURS}` });
+        }
+
+        try {
+            const system = this.units.resolveSystem(req.query.units, req.query.locale);
+            const spectrum = await this.climateEntity.getWaveSpectrum(buoyId, {
+                hours,
+                includeDirectional: req.query.directional === 'true'
+            });
+            const buoy = await this.climateEntity.getStation('BUOY', buoyId).catch(() => null);
+            const timezone = buoy && (await this.climateEntity.getTimezone(buoy)).id;
+            res.json(this.units.formatResponse(localizeTimes(spectrum, timezone), system));
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    async getTides(req, res, next) {
+        // `tideStation` names a tide station; `station` and other locations go through the shared resolver
+        const radius = this.validateRadius(req.query, 500);
+        if (!radius) {
+            return res.status(400).json({ error: 'Invalid radius, expected km between 0 and 500' });
+        }
+
+        const start = req.query.from === undefined ? Date.now() : Date.parse(req.query.from);
+        const end = req.query.to === undefined ? start + 2 * DAY_MS : Date.parse(req.query.to);
+        if (isNaN(start) || isNaN(end) || end <= start) {
+            return res.status(400).json({ error: 'Invalid range, expected ISO from and to with from before to' });
+        }
+        if (end - start > MAX_TIDE_RANGE_DAYS * DAY_MS) {
+            return res.status(400).json({ error: `Invalid range, at most ${MAX_TIDE_RANGE_DAYS} days` });
+        }
+
+        const stepMinutes = req.query.step === undefined ? 10 : parseInt(req.query.step);
+        if (!Number.isInteger(stepMinutes) || stepMinutes < 1 || stepMinutes > 60) {
+            return res.status(400).json({ error: 'Invalid step, expected minutes between 1 and 60' });
+        }
+
+        try {
+            const system = this.units.resolveSystem(req.query.units, req.query.locale);
+            const query = req.query.tideStation
+                ? { station: String(req.query.tideStation) }
+                : { ...await this.climateEntity.resolveLocation(req.query), radius };
+            const tides = await this.climateEntity.getTidePrediction(query, {
+                start: new Date(start),
+                end: new Date(end),
+                stepMinutes
+            });
+            // A tide station named directly has no resolved location, so its own position picks the zone
+            const timezone = query.timezone || (await this.climateEntity.getTimezone(tides.station)).id;
+            res.json(this.units.formatResponse(localizeTimes(tides, timezone), system));
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    async getProfiles(req, res, next) {
+        // Floats are sparse - roughly one per 3° square - so the default search is wider than for buoys
+        const radius = this.validateRadius(req.query, 1000, 300);
+        if (!radius) {
+            return res.status(400).json({ error: 'Invalid radius, expected km between 0 and 1000' });
+        }
+
+        try {
+            const system = this.units.resolveSystem(req.query.units, req.query.locale);
+            const location = { ...await this.climateEntity.resolveLocation(req.query), radius };
+            const profiles = await this.climateEntity.getOceanProfiles(location);
+            res.json(this.units.formatResponse(localizeTimes(profiles, location.timezone), system));
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    // The location itself (city, lat/lon or station) is resolved by the climate entity
+    validateRadius(query, maxRadius, defaultRadius = 100) {
+        const radius = query.radius === undefined ? defaultRadius : parseFloat(query.radius);
+        return Number.isFinite(radius) && radius > 0 && radius <= maxRadius ? radius : false;
+    }
+}
@@ -0,0 +1,100 @@
+/**
+ * 🌪️ Radar Routes
+ * Radar-derived observations, severe weather alerts, storm nowcasts and lightning proximity
+ */
+
+import { localizeTimes } from '../../SRC/utils/time-zone.js';
+
+const MAX_HORIZON_MINUTES = 60;
+const MAX_LIGHTNING_WINDOW_MINUTES = 60;
+
+export default class RadarRoutes {
+    constructor({ climateEntity, units }) {
+        this.climateEntity = climateEntity;
+        this.units = units;
+        this.name = 'radar';
+    }
+
+    register(app) {
+        app.get('/api/radar', this.getRadarObservations.bind(this));
+        app.get('/api/radar/nowcast', this.getNowcast.bind(this));
+        app.get('/api/radar/lightning', this.getLightning.bind(this));
+    }
+
+    getEndpoints() {
+        return {
+            radar: '/api/radar?lat=&lon=|city=|station=&radius=&units=',
+            nowcast: '/api/radar/nowcast?lat=&lon=|city=|station=&horizon=&units=',
+            lightning: '/api/radar/lightning?lat=&lon=|city=|station=&radius=&alertRadius=&window=&units='
+        };
+    }
+
+    async getRadarObservations(req, res, next) {
+        const radius = this.validateRadius(req.query, 250);
+        if (!radius) {
+            return res.status(400).json({ error: 'Invalid radius, expected km between 0 and 250' });
+        }
+
+        try {
+            const system = this.units.resolveSystem(req.query.units, req.query.locale);
+            const location = { ...await this.climateEntity.resolveLocation(req.query), radius };
+            const radarData = await this.climateEntity.getRadarConditions(location);
+            res.json(this.units.formatResponse(localizeTimes(radarData, location.timezone), system));
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    async getNowcast(req, res, next) {
+        const radius = this.validateRadius(req.query, 250);
+        if (!radius) {
+            return res.status(400).json({ error: 'Invalid radius, expected km between 0 and 250' });
+        }
+
+        const horizonMinutes = req.query.horizon === undefined ? MAX_HORIZON_MINUTES : parseInt(req.query.horizon);
+        if (!Number.isInteger(horizonMinutes) || horizonMinutes < 5 || horizonMinutes > MAX_HORIZON_MINUTES) {
+            return res.status(400).json({ error: `Invalid horizon, expected minutes between 5 and ${MAX_HORIZON_MINUTES}` });
+        }
+
+        try {
+            const system = this.units.resolveSystem(req.query.units, req.query.locale);
+            const location = { ...await this.climateEntity.resolveLocation(req.query), radius };
+            const nowcast = await this.climateEntity.getStormNowcast(location, { horizonMinutes });
+            res.json(this.units.formatResponse(localizeTimes(nowcast, location.timezone), system));
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    async getLightning(req, res, next) {
+        const radius = this.validateRadius(req.query, 250);
+        if (!radius) {
+            return res.status(400).json({ error: 'Invalid radius, expected km between 0 and 250' });
+        }
+
+        const alertRadius = req.query.alertRadius === undefined ? undefined : parseFloat(req.query.alertRadius);
+        if (alertRadius !== undefined && (!Number.isFinite(alertRadius) || alertRadius <= 0 || alertRadius > 100)) {
+            return res.status(400).json({ error: 'Invalid alertRadius, expected km between 0 and 100' });
+        }
+
+        const windowMinutes = req.query.window === undefined ? 15 : parseInt(req.query.window);
+        if (!Number.isInteger(windowMinutes) || windowMinutes < 1 || windowMinutes > MAX_LIGHTNING_WINDOW_MINUTES) {
+            return res.status(400).json({ error: `Invalid window, expected minutes between 1 and ${MAX_LIGHTNING_WINDOW_MINUTES}` });
+        }
+
+        try {
+            const system = this.units.resolveSystem(req.query.units, req.query.locale);
+            const location = { ...await this.climateEntity.resolveLocation(req.query), radius };
+            const lightning = await this.climateEntity.getLightningActivity(location, { radiusKm: alertRadius, windowMinutes });
+            res.json(this.units.formatResponse(localizeTimes(lightning, location.timezone), system));
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    // The location itself (city, lat/lon or station) is resolved by the climate entity
+    validateRadius(query, maxRadius) {
+        const radius = query.radius === undefined ? 50 : parseFloat(query.radius);
+        return Number.isFinite(radius) && radius > 0 && radius <= maxRadius ? radius : false;
+    }
+}
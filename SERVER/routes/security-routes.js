@@ -0,0 +1,29 @@
+/**
+ * 🛡️ Security Routes
+ * Security posture reporting for the dashboard
+ */
+
+export default class SecurityRoutes {
+    constructor() {
+        this.name = 'security';
+    }
+
+    register(app) {
+        app.get('/api/security/status', this.getSecurityStatus.bind(this));
+    }
+
+    getEndpoints() {
+        return {
+            status: '/api/security/status'
+        };
+    }
+
+    getSecurityStatus(req, res) {
+        res.json({
+            status: 'ACTIVE',
+            threatLevel: 'LOW',
+            activeProtections: ['Firewall', 'Rate Limiting', 'CORS', 'Helmet'],
+            timestamp: new Date().toISOString()
+        });
+    }
+}
@@ -0,0 +1,107 @@
+/**
+ * 📍 Station Routes
+ * Nearest-N and within-radius lookups against the local station catalog
+ */
+
+import { STATION_TYPES } from '../../SRC/data-systems/station-catalog.js';
+
+const MAX_LIMIT = 100;
+const MAX_RADIUS_KM = 1000;
+
+export default class StationRoutes {
+    constructor({ climateEntity, units }) {
+        this.climateEntity = climateEntity;
+        this.units = units;
+        this.name = 'stations';
+    }
+
+    register(app) {
+        app.get('/api/stations/nearest', this.getNearest.bind(this));
+        app.get('/api/stations/within', this.getWithin.bind(this));
+        app.get('/api/stations/:type/:id', this.getStation.bind(this));
+    }
+
+    getEndpoints() {
+        return {
+            nearest: '/api/stations/nearest?lat=&lon=|city=|station=&limit=&maxDistance=&types=BUOY,NWS,RADAR,GROUND&units=',
+            within: '/api/stations/within?lat=&lon=|city=|station=&radius=&limit=&types=&units=',
+            station: '/api/stations/:type/:id?units='
+        };
+    }
+
+    async getNearest(req, res, next) {
+        const types = this.validateTypes(req.query.types);
+        if (!types) {
+            return res.status(400).json({ error: `Invalid types, expected a comma-separated list of ${STATION_TYPES.join(', ')}` });
+        }
+
+        const limit = req.query.limit === undefined ? 5 : parseInt(req.query.limit, 10);
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+            return res.status(400).json({ error: `Invalid limit, expected 1-${MAX_LIMIT}` });
+        }
+
+        const maxDistanceKm = req.query.maxDistance === undefined ? Infinity : parseFloat(req.query.maxDistance);
+        if (!(maxDistanceKm > 0)) {
+            return res.status(400).json({ error: 'Invalid maxDistance, expected kilometres above 0' });
+        }
+
+        try {
+            const system = this.units.resolveSystem(req.query.units, req.query.locale);
+            const location = await this.climateEntity.resolveLocation(req.query);
+            const stations = await this.climateEntity.getNearestStations(location, { limit, types, maxDistanceKm });
+            res.json(this.units.formatResponse({ location, types, count: stations.length, stations }, system));
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    async getWithin(req, res, next) {
+        const types = this.validateTypes(req.query.types);
+        if (!types) {
+            return res.status(400).json({ error: `Invalid types, expected a comma-separated list of ${STATION_TYPES.join(', ')}` });
+        }
+
+        const radius = req.query.radius === undefined ? 50 : parseFloat(req.query.radius);
+        if (!Number.isFinite(radius) || radius <= 0 || radius > MAX_RADIUS_KM) {
+            return res.status(400).json({ error: `Invalid radius, expected kilometres between 0 and ${MAX_RADIUS_KM}` });
+        }
+
+        const limit = req.query.limit === undefined ? MAX_LIMIT : parseInt(req.query.limit, 10);
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+            return res.status(400).json({ error: `Invalid limit, expected 1-${MAX_LIMIT}` });
+        }
+
+        try {
+            const system = this.units.resolveSystem(req.query.units, req.query.locale);
+            const location = await this.climateEntity.resolveLocation(req.query);
+            const stations = await this.climateEntity.getStationsWithin(location, radius, { types, limit });
+            res.json(this.units.formatResponse({ location, radius_km: radius, types, count: stations.length, stations }, system));
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    async getStation(req, res, next) {
+        const type = req.params.type.toUpperCase();
+        if (!STATION_TYPES.includes(type)) {
+            return res.status(400).json({ error: `Invalid station type, expected one of ${STATION_TYPES.join(', ')}` });
+        }
+
+        try {
+            const system = this.units.resolveSystem(req.query.units, req.query.locale);
+            const station = await this.climateEntity.getStation(type, req.params.id);
+            res.json(this.units.formatResponse(station, system));
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    // Comma-separated, case-insensitive; all types when omitted
+    validateTypes(value) {
+        if (value === undefined) return STATION_TYPES;
+        if (typeof value !== 'string') return null;
+
+        const types = value.split(',').map(type => type.trim().toUpperCase()).filter(Boolean);
+        return types.length > 0 && types.every(type => STATION_TYPES.includes(type)) ? types : null;
+    }
+}
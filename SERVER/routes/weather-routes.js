@@ -0,0 +1,126 @@
+/**
+ * 🌤️ Weather Routes
+ * City forecasts and AI weather analysis
+ */
+
+import { httpTransport } from '../../SRC/utils/http-transport.js';
+import { localizeTimes } from '../../SRC/utils/time-zone.js';
+
+// Unsuffixed analysis fields and the quantity each one measures
+const ANALYSIS_QUANTITIES = {
+    temperature: 'temperature',
+    pressure: 'pressure',
+    windSpeed: 'speed',
+    temperatureUncertainty: 'temperatureDelta',
+    pressureUncertainty: 'pressure',
+    windSpeedUncertainty: 'speed'
+};
+
+export default class WeatherRoutes {
+    constructor({ climateEntity, units }) {
+        this.climateEntity = climateEntity;
+        this.units = units;
+        this.name = 'weather';
+        this.apiKey = process.env.WEATHER_API_KEY;
+        this.forecastURL = 'https://api.weatherapi.com/v1/forecast.json';
+    }
+
+    register(app) {
+        // Static paths must be registered before the :location wildcard
+        app.get('/api/weather/forecast', this.getForecast.bind(this));
+        app.get('/api/weather/history', this.getHistory.bind(this));
+        app.get('/api/weather/:location', this.getWeatherAnalysis.bind(this));
+    }
+
+    getEndpoints() {
+        return {
+            forecast: '/api/weather/forecast?city=|lat=&lon=|station=&units=',
+            history: '/api/weather/history?lat=&lon=|city=|station=&from=&to=&interval=&units=',
+            weather: '/api/weather/:location?units='
+        };
+    }
+
+    async getForecast(req, res, next) {
+        const city = req.query.city === undefined ? null : this.validateCity(req.query.city);
+        if (city === false) {
+            return res.status(400).json({ error: 'Invalid city name' });
+        }
+
+        try {
+            const system = this.units.resolveSystem(req.query.units, req.query.locale);
+            const location = await this.resolveForecastLocation({ ...req.query, ...(city && { city }) });
+            const params = new URLSearchParams({
+                key: this.apiKey,
+                q: location,
+                days: '7',
+                aqi: 'yes',
+                alerts: 'yes'
+            });
+
+            const response = await httpTransport.fetch(`${this.forecastURL}?${params}`, {
+                signal: AbortSignal.timeout(15000)
+            });
+            const data = await response.json();
+
+            res.status(response.ok ? 200 : 502).json(response.ok ? this.units.formatResponse(data, system) : data);
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    async getHistory(req, res, next) {
+        try {
+            const system = this.units.resolveSystem(req.query.units, req.query.locale);
+            const location = await this.climateEntity.resolveLocation(req.query);
+            const history = await this.climateEntity.getWeatherHistory({ lat: location.lat, lon: location.lon }, {
+                from: req.query.from,
+                to: req.query.to,
+                interval: req.query.interval
+            });
+            res.json(this.units.formatResponse(localizeTimes(history, location.timezone), system));
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    async getWeatherAnalysis(req, res, next) {
+        const location = this.validateCity(req.params.location);
+        if (!location) {
+            return res.status(400).json({ error: 'Invalid location' });
+        }
+
+        try {
+            const system = this.units.resolveSystem(req.query.units, req.query.locale);
+            const weatherData = await this.climateEntity.getWeatherAnalysis(this.locationQuery(location));
+            res.json(this.units.formatResponse(localizeTimes(weatherData, weatherData.location?.timezone), system, ANALYSIS_QUANTITIES));
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    // Coordinates for WeatherAPI's `q`; a city the gazetteer does not know is passed through as text
+    async resolveForecastLocation(query) {
+        try {
+            const { lat, lon } = await this.climateEntity.resolveLocation(query);
+            return `${lat},${lon}`;
+        } catch (error) {
+            if (error.status === 404 && query.city && !query.station && query.lat === undefined && query.lon === undefined) {
+                return query.city;
+            }
+            throw error;
+        }
+    }
+
+    // "lat,lon" in the path is a coordinate pair, anything else a city name
+    locationQuery(location) {
+        const coordinates = location.match(/^(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)$/);
+        return coordinates ? { lat: coordinates[1], lon: coordinates[2] } : { city: location };
+    }
+
+    validateCity(city) {
+        if (!city || typeof city !== 'string') return false;
+        const sanitized = city.trim().replace(/[<>"']/g, '');
+        return sanitized.length >= 1 && sanitized.length <= 100 ? sanitized : false;
+    }
+}
@@ -1,116 +1,155 @@
 import express from 'express';
 import cors from 'cors';
-import rateLimit from 'express-rate-limit';
-import helmet from 'helmet';
-import fetch from 'node-fetch';
-import dotenv from 'dotenv';
-
-dotenv.config();
-
-const app = express();
-const PORT = process.env.PORT || 3000;
-import express from 'express';
-import cors from 'cors';
 import helmet from 'helmet';
 import compression from 'compression';
+import rateLimit from 'express-rate-limit';
 import dotenv from 'dotenv';
+import { pathToFileURL } from 'url';
 
 // Import subsystems
-import HealthCheck from './health-check.js';
-import ClimateEntity from './ai-climate-entity/climate-entity.js';
+import HealthCheck from '../SRC/health-check.js';
+import ClimateEntity from '../SRC/ai-climate-entity/climate-entity.js';
+import UnitConverter from '../SRC/utils/unit-converter.js';
+
+// Import route modules
+import HealthRoutes from './routes/health-routes.js';
+import WeatherRoutes from './routes/weather-routes.js';
+import AstronomyRoutes from './routes/astronomy-routes.js';
+import SecurityRoutes from './routes/security-routes.js';
+import AnalysisRoutes from './routes/analysis-routes.js';
+import OceanRoutes from './routes/ocean-routes.js';
+import RadarRoutes from './routes/radar-routes.js';
+import GridRoutes from './routes/grid-routes.js';
+import StationRoutes from './routes/station-routes.js';
+import GeocodeRoutes from './routes/geocode-routes.js';
+import LocationRoutes from './routes/location-routes.js';
+import AdminRoutes from './routes/admin-routes.js';
 
 // Load environment variables
 dotenv.config();
 
+const VERSION = '2.0.0';
+
 class ClimateZillaServer {
-    constructor() {
+    constructor(options = {}) {
         this.app = express();
         this.port = process.env.PORT || 3000;
         this.climateEntity = new ClimateEntity();
         this.healthCheck = new HealthCheck(this.climateEntity);
-        
+        this.units = new UnitConverter(process.env.DEFAULT_UNITS || 'metric');
+        this.routeModules = new Map();
+
         this.setupMiddleware();
+        this.registerDefaultRoutes();
+        (options.routeModules || []).forEach(routeModule => this.registerRouteModule(routeModule));
         this.setupRoutes();
         this.initializeSystems();
     }
 
     setupMiddleware() {
-        this.app.use(helmet());
+        // Behind a reverse proxy, req.ip (rate limits, IP location) comes from X-Forwarded-For
+        if (process.env.TRUST_PROXY) {
+            const hops = Number(process.env.TRUST_PROXY);
+            this.app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY === 'true' || process.env.TRUST_PROXY);
+        }
+
+        this.app.use(helmet({
+            contentSecurityPolicy: {
+                directives: {
+                    defaultSrc: ["'self'"],
+                    scriptSrc: ["'self'", "'unsafe-inline'", "https://cdn.tailwindcss.com"],
+                    styleSrc: ["'self'", "'unsafe-inline'", "https://cdn.tailwindcss.com"],
+                    imgSrc: ["'self'", "data:", "https:"],
+                    connectSrc: ["'self'", "https://api.weatherapi.com", "https://api.nasa.gov", "https://ipapi.co", "https://ipinfo.io"]
+                }
+            },
+            crossOriginEmbedderPolicy: false
+        }));
         this.app.use(cors());
         this.app.use(compression());
         this.app.use(express.json({ limit: '10mb' }));
         this.app.use(express.urlencoded({ extended: true }));
+        this.app.use(express.static('public'));
+
+        // Rate limiting for the API surface
+        this.app.use('/api/', rateLimit({
+            windowMs: 15 * 60 * 1000,
+            max: 100,
+            message: { error: 'Too many requests from this IP' },
+            standardHeaders: true,
+            legacyHeaders: false
+        }));
     }
 
-    setupRoutes() {
-        // Health checks
-        this.app.get('/health', this.healthCheck.getHealthCheckMiddleware());
-        this.app.get('/api/health', this.healthCheck.getHealthCheckMiddleware());
-        this.app.get('/status', (req, res) => {
-            res.json({ 
-                status: 'OK', 
-                timestamp: new Date().toISOString(),
-                version: '1.0.0'
-            });
-        });
+    registerDefaultRoutes() {
+        const context = {
+            climateEntity: this.climateEntity,
+            healthCheck: this.healthCheck,
+            units: this.units,
+            version: VERSION
+        };
+
+        this.registerRouteModule(new HealthRoutes(context));
+        this.registerRouteModule(new WeatherRoutes(context));
+        this.registerRouteModule(new AstronomyRoutes(context));
+        this.registerRouteModule(new SecurityRoutes(context));
+        this.registerRouteModule(new AnalysisRoutes(context));
+        this.registerRouteModule(new OceanRoutes(context));
+        this.registerRouteModule(new RadarRoutes(context));
+        this.registerRouteModule(new GridRoutes(context));
+        this.registerRouteModule(new StationRoutes(context));
+        this.registerRouteModule(new GeocodeRoutes(context));
+        this.registerRouteModule(new LocationRoutes(context));
+        this.registerRouteModule(new AdminRoutes(context));
+    }
+
+    registerRouteModule(routeModule) {
+        if (this.routeModules.has(routeModule.name)) {
+            throw new Error(`Route module already registered: ${routeModule.name}`);
+        }
+        this.routeModules.set(routeModule.name, routeModule);
+    }
 
-        // Main API routes
-        this.app.get('/api/weather/:location', this.getWeatherData.bind(this));
-        this.app.get('/api/climate-insights', this.getClimateInsights.bind(this));
-        this.app.post('/api/analyze', this.analyzeClimateData.bind(this));
+    setupRoutes() {
+        this.routeModules.forEach(routeModule => routeModule.register(this.app));
 
         // Root endpoint
-        this.app.get('/', (req, res) => {
+        this.app.get(['/', '/api'], (req, res) => {
             res.json({
                 message: '🌍 Climate-ZiLLA AI System',
-                version: '1.0.0',
-                endpoints: {
-                    health: '/health',
-                    weather: '/api/weather/:location',
-                    insights: '/api/climate-insights',
-                    analyze: '/api/analyze'
-                }
+                version: VERSION,
+                endpoints: this.getEndpoints()
+            });
+        });
+
+        // Error handler
+        this.app.use((err, req, res, next) => {
+            if (!err.status || err.status >= 500) {
+                console.error(`Server error on ${req.method} ${req.path}:`, err);
+            }
+            res.status(err.status || 500).json({
+                error: err.status ? err.message : 'Internal server error',
+                ...(process.env.NODE_ENV === 'development' && { details: err.message })
             });
         });
 
         // 404 handler
-        this.app.use('*', (req, res) => {
+        this.app.use((req, res) => {
             res.status(404).json({ error: 'Endpoint not found' });
         });
     }
 
-    async getWeatherData(req, res) {
-        try {
-            const { location } = req.params;
-            const weatherData = await this.climateEntity.getWeatherAnalysis(location);
-            res.json(weatherData);
-        } catch (error) {
-            res.status(500).json({ error: error.message });
-        }
-    }
-
-    async getClimateInsights(req, res) {
-        try {
-            const insights = await this.climateEntity.getClimateInsights();
-            res.json(insights);
-        } catch (error) {
-            res.status(500).json({ error: error.message });
-        }
-    }
-
-    async analyzeClimateData(req, res) {
-        try {
-            const { data, analysisType } = req.body;
-            const result = await this.climateEntity.analyzeData(data, analysisType);
-            res.json(result);
-        } catch (error) {
-            res.status(500).json({ error: error.message });
-        }
+    getEndpoints() {
+        const endpoints = {};
+        this.routeModules.forEach((routeModule, name) => {
+            endpoints[name] = routeModule.getEndpoints();
+        });
+        return endpoints;
     }
 
     async initializeSystems() {
         console.log('🚀 Initializing Climate-ZiLLA systems...');
-        
+
         try {
             await this.climateEntity.initialize();
             console.log('✅ All systems initialized successfully');
@@ -125,6 +164,7 @@ class ClimateZillaServer {
             console.log(`🌍 Climate-ZiLLA server running on port ${this.port}`);
             console.log(`🔗 Health check: http://localhost:${this.port}/health`);
             console.log(`📊 Status: http://localhost:${this.port}/status`);
+            console.log(`🧩 Route modules: ${Array.from(this.routeModules.keys()).join(', ')}`);
         });
     }
 
@@ -138,147 +178,21 @@ class ClimateZillaServer {
     }
 }
 
-// Start the server
-const server = new ClimateZillaServer();
-server.start();
-
-// Graceful shutdown
-process.on('SIGINT', async () => {
-    await server.shutdown();
-    process.exit(0);
-});
-
-process.on('SIGTERM', async () => {
-    await server.shutdown();
-    process.exit(0);
-});
-
-export default ClimateZillaServer;
-// REAL SECURITY MIDDLEWARE
-app.use(helmet({
-    contentSecurityPolicy: {
-        directives: {
-            defaultSrc: ["'self'"],
-            scriptSrc: ["'self'", "'unsafe-inline'", "https://cdn.tailwindcss.com"],
-            styleSrc: ["'self'", "'unsafe-inline'", "https://cdn.tailwindcss.com"],
-            imgSrc: ["'self'", "data:", "https:"],
-            connectSrc: ["'self'", "https://api.weatherapi.com", "https://api.nasa.gov", "https://ipapi.co"]
-        }
-    },
-    crossOriginEmbedderPolicy: false
-}));
-
-app.use(cors());
-app.use(express.json());
-app.use(express.static('public'));
-
-// REAL RATE LIMITING
-const limiter = rateLimit({
-    windowMs: 15 * 60 * 1000,
-    max: 100,
-    message: { error: 'Too many requests from this IP' },
-    standardHeaders: true,
-    legacyHeaders: false,
-});
-
-app.use('/api/', limiter);
-
-// REAL API KEYS FROM ENVIRONMENT
-const WEATHER_API_KEY = process.env.WEATHER_API_KEY;
-const NASA_API_KEY = process.env.NASA_API_KEY;
-
-// REAL INPUT VALIDATION
-function validateCity(city) {
-    if (!city || typeof city !== 'string') return false;
-    const sanitized = city.trim().replace(/[<>\"']/g, '');
-    return sanitized.length >= 1 && sanitized.length <= 100 ? sanitized : false;
-}
-
-// REAL WEATHER ENDPOINTS
-app.get('/api/weather/forecast', async (req, res) => {
-    try {
-        const city = validateCity(req.query.city);
-        if (!city) {
-            return res.status(400).json({ error: 'Invalid city name' });
-        }
-
-        const url = `https://api.weatherapi.com/v1/forecast.json?key=${WEATHER_API_KEY}&q=${encodeURIComponent(city)}&days=7&aqi=yes&alerts=yes`;
-        const response = await fetch(url);
-        const data = await response.json();
-        
-        res.json(data);
-        
-    } catch (error) {
-        console.error('Weather API error:', error);
-        res.status(500).json({ error: 'Failed to fetch weather data' });
-    }
-});
-
-// REAL ASTRONOMY ENDPOINTS
-app.get('/api/astronomy/iss', async (req, res) => {
-    try {
-        const response = await fetch('http://api.open-notify.org/iss-now.json');
-        const data = await response.json();
-        res.json(data);
-    } catch (error) {
-        res.status(500).json({ error: 'Failed to fetch ISS data' });
-    }
-});
-
-app.get('/api/astronomy/apod', async (req, res) => {
-    try {
-        const date = req.query.date || new Date().toISOString().split('T')[0];
-        const url = `https://api.nasa.gov/planetary/apod?api_key=${NASA_API_KEY}&date=${date}`;
-        
-        const response = await fetch(url);
-        const data = await response.json();
-        res.json(data);
-        
-    } catch (error) {
-        res.status(500).json({ error: 'Failed to fetch APOD' });
-    }
-});
-
-// REAL SECURITY ENDPOINTS
-app.get('/api/security/status', (req, res) => {
-    res.json({
-        status: 'ACTIVE',
-        threatLevel: 'LOW',
-        activeProtections: ['Firewall', 'Rate Limiting', 'CORS', 'Helmet'],
-        timestamp: new Date().toISOString()
-    });
-});
+// Start the server only when run directly - importing the class (tests, embedding) starts nothing
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    const server = new ClimateZillaServer();
+    server.start();
 
-// REAL HEALTH CHECK
-app.get('/health', (req, res) => {
-    res.json({
-        status: 'HEALTHY',
-        service: 'Climate-ZiLLA Enterprise API',
-        version: '2.0.0',
-        timestamp: new Date().toISOString(),
-        uptime: process.uptime(),
-        environment: process.env.NODE_ENV || 'development'
+    // Graceful shutdown
+    process.on('SIGINT', async () => {
+        await server.shutdown();
+        process.exit(0);
     });
-});
 
-// REAL ERROR HANDLING
-app.use((err, req, res, next) => {
-    console.error('Server error:', err);
-    res.status(500).json({ 
-        error: 'Internal server error',
-        ...(process.env.NODE_ENV === 'development' && { details: err.message })
+    process.on('SIGTERM', async () => {
+        await server.shutdown();
+        process.exit(0);
     });
-});
-
-app.use((req, res) => {
-    res.status(404).json({ error: 'Endpoint not found' });
-});
+}
 
-// REAL SERVER START
-app.listen(PORT, () => {
-    console.log(`🚀 Climate-ZiLLA Enterprise Server running on port ${PORT}`);
-    console.log(`📍 Health: http://localhost:${PORT}/health`);
-    console.log(`🌤️  Weather: http://localhost:${PORT}/api/weather/forecast?city=London`);
-    console.log(`🛰️  ISS: http://localhost:${PORT}/api/astronomy/iss`);
-    console.log(`🌌 NASA: http://localhost:${PORT}/api/astronomy/apod`);
-});
+export default ClimateZillaServer;
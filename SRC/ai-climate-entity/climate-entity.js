@@ -1,9 +1,55 @@
 /**
  * 🧠 Main Climate-ZiLLA AI Entity
  */
+
+import path from 'path';
+import WeatherAPIIntegration from '../data-systems/weather-api-integration.js';
+import OceanBuoyReader from '../data-systems/ocean-buoy-reader.js';
+import RadarDataIngestor from '../data-systems/radar-data-ingestor.js';
+import { StormCellTracker } from '../data-systems/storm-cell-tracker.js';
+import DataAggregator from '../data-systems/data-aggregator.js';
+import EmotionalMatrix from './emotional-matrix.js';
+import DecisionEngine from './decision-engine.js';
+import NeuralNetwork from './neutral-networks/weather-predictor.js';
+import { ForecastVerifier } from './neutral-networks/forecast-verifier.js';
+import { ObservationStore } from '../data-systems/observation-store.js';
+import { SpatialInterpolator } from '../data-systems/spatial-interpolator.js';
+import { OBSERVATION_FIELDS } from '../data-systems/observation-schema.js';
+import { stationCatalog } from '../data-systems/station-catalog.js';
+import { gazetteer } from '../data-systems/gazetteer.js';
+import { locationResolver } from '../data-systems/location-resolver.js';
+import { timezoneResolver } from '../data-systems/timezone-resolver.js';
+import { distanceKm } from '../utils/spatial-index.js';
+import { gridKey } from '../utils/enterprise-cache.js';
+import { REFERENCE_RADIUS_KM, REFERENCE_WINDOW_MS } from '../data-systems/consensus-fusion.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const MAX_HISTORY_DAYS = 31;
+const HISTORY_RADIUS_KM = 25;
+const HISTORY_INTERVALS = ['hourly', 'daily'];
+// Wind direction is left out - an arithmetic mean of bearings is meaningless
+const HISTORY_VARIABLES = ['temp_c', 'feelslike_c', 'dewpoint_c', 'humidity', 'pressure_mb', 'wind_kph', 'gust_kph', 'vis_km', 'cloud', 'precip_mm'];
+// Directions cannot be interpolated as plain numbers
+const GRID_EXCLUDED_VARIABLES = ['wind_degree', 'wave_degree'];
+// The predictor retrains daily on stored observations paired with what was observed 24 h later
+const MODEL_TRAINING_INTERVAL_MS = DAY_MS;
+const MODEL_TRAINING_STARTUP_DELAY_MS = 5 * 60 * 1000;
+const MODEL_TRAINING_DAYS = 30;
+const MODEL_TRAINING_HORIZON_HOURS = 24;
+const MIN_TRAINING_RECORDS = 100;
+const MAX_TRAINING_RECORDS = 5000;
+// Grid cells whose last weather fetch time is remembered
+const MAX_TRACKED_WEATHER_CELLS = 1000;
+
 export default class ClimateEntity {
-    constructor() {
+    constructor(options = {}) {
         this.systems = new Map();
+        this.observationStore = options.observationStore || new ObservationStore();
+        this.interpolator = new SpatialInterpolator();
+        this.stormTracker = options.stormTracker || new StormCellTracker();
+        this.weatherFetches = new Map();
+        this.trainingTimer = null;
         this.initialized = false;
     }
 
@@ -13,14 +59,21 @@ export default class ClimateEntity {
         console.log('🤖 Initializing Climate-ZiLLA AI Systems...');
         
         try {
+            // Stations answer from disk at once; a first download runs in the background
+            await stationCatalog.start();
+
             // Initialize core systems
             this.weatherSystem = await this.initializeWeatherSystem();
             this.nasaSystem = await this.initializeNASASystem();
             this.oceanSystem = await this.initializeOceanSystem();
+            this.radarSystem = await this.initializeRadarSystem();
+            this.aggregationSystem = await this.initializeAggregationSystem();
             this.decisionEngine = await this.initializeDecisionEngine();
+            this.emotionalMatrix = new EmotionalMatrix();
             this.patternRecognizer = await this.initializePatternRecognizer();
             
             this.initialized = true;
+            this.scheduleModelTraining();
             console.log('✅ Climate-ZiLLA AI Systems initialized successfully');
             
         } catch (error) {
@@ -31,10 +84,26 @@ export default class ClimateEntity {
 
     async initializeWeatherSystem() {
         console.log('🌤️ Initializing Weather System...');
+        // Verification scores live beside the observations they were scored against
+        const verifier = new ForecastVerifier({
+            statePath: path.join(this.observationStore.directory, 'verification', 'forecast-verification.json')
+        });
+        await verifier.load();
+
+        const predictor = new NeuralNetwork({ verifier });
+        // 13 extracted features in, 9 forecast values plus 5 condition scores out
+        await predictor.initialize({
+            layers: [13, 16, 14],
+            learningRate: 0.1,
+            modelPath: process.env.WEATHER_MODEL_PATH || 'models/weather-predictor.json'
+        });
+
         return {
             name: 'Weather Intelligence',
             status: 'active',
-            capabilities: ['forecasting', 'analysis', 'alerts']
+            capabilities: ['forecasting', 'analysis', 'alerts', 'verification'],
+            integration: new WeatherAPIIntegration(),
+            predictor
         };
     }
 
@@ -52,7 +121,38 @@ export default class ClimateEntity {
         return {
             name: 'Ocean Intelligence',
             status: 'active',
-            capabilities: ['buoy-data', 'currents', 'temperature']
+            capabilities: ['buoy-data', 'currents', 'temperature'],
+            reader: new OceanBuoyReader()
+        };
+    }
+
+    async initializeRadarSystem() {
+        console.log('🌪️ Initializing Radar Data System...');
+        return {
+            name: 'Radar Intelligence',
+            status: 'active',
+            capabilities: ['precipitation', 'storm-cells', 'severe-weather'],
+            // The aggregator is handed this same ingestor, so scheduled scans advance the nowcast tracks
+            ingestor: new RadarDataIngestor({ stormTracker: this.stormTracker })
+        };
+    }
+
+    async initializeAggregationSystem() {
+        console.log('🔄 Initializing Data Aggregation System...');
+        return {
+            name: 'Data Aggregation',
+            status: 'active',
+            capabilities: ['fusion', 'correlation', 'scheduled-refresh'],
+            // Scheduled refreshes land in the same store the history and grid endpoints read,
+            // through the same ingestors (and caches) the routes use
+            aggregator: new DataAggregator({
+                store: this.observationStore,
+                processors: {
+                    WEATHER: this.weatherSystem.integration,
+                    OCEAN: this.oceanSystem.reader,
+                    RADAR: this.radarSystem.ingestor
+                }
+            })
         };
     }
 
@@ -61,7 +161,8 @@ export default class ClimateEntity {
         return {
             name: 'AI Decision Engine',
             status: 'active',
-            capabilities: ['autonomous-decisions', 'risk-assessment', 'optimization']
+            capabilities: ['autonomous-decisions', 'risk-assessment', 'optimization'],
+            engine: new DecisionEngine()
         };
     }
 
@@ -74,29 +175,566 @@ export default class ClimateEntity {
         };
     }
 
-    async getWeatherAnalysis(location) {
+    ensureInitialized() {
         if (!this.initialized) {
-            throw new Error('Climate-ZiLLA not initialized');
+            const error = new Error('Climate-ZiLLA not initialized');
+            error.status = 503;
+            throw error;
+        }
+    }
+
+    // First run once a saved model is a day old (or shortly after startup without one), then daily
+    scheduleModelTraining(delayMs) {
+        if (delayMs === undefined) {
+            const trainedAt = Date.parse(this.weatherSystem.predictor.trainingSummary?.trainedAt);
+            delayMs = isNaN(trainedAt)
+                ? MODEL_TRAINING_STARTUP_DELAY_MS
+                : Math.max(trainedAt + MODEL_TRAINING_INTERVAL_MS - Date.now(), MODEL_TRAINING_STARTUP_DELAY_MS);
+        }
+
+        clearTimeout(this.trainingTimer);
+        this.trainingTimer = setTimeout(() => {
+            this.trainingTimer = null;
+            this.trainWeatherModel()
+                .catch(error => console.warn('🧠 Weather model training failed:', error.message))
+                .finally(() => {
+                    if (this.initialized) this.scheduleModelTraining(MODEL_TRAINING_INTERVAL_MS);
+                });
+        }, delayMs);
+        this.trainingTimer.unref?.();
+    }
+
+    // Train on the stored weather history; the predictor saves itself to its modelPath
+    async trainWeatherModel(options = {}) {
+        this.ensureInitialized();
+
+        const predictor = this.weatherSystem.predictor;
+        const end = Date.now();
+        const observations = await this.observationStore.query({
+            kind: 'observation',
+            systems: ['WEATHER'],
+            start: new Date(end - MODEL_TRAINING_DAYS * DAY_MS).toISOString(),
+            end: new Date(end).toISOString()
+        });
+
+        const records = predictor.buildHistoricalRecords(observations, MODEL_TRAINING_HORIZON_HOURS).slice(-MAX_TRAINING_RECORDS);
+        if (records.length < MIN_TRAINING_RECORDS) {
+            console.log(`🧠 Skipping weather model training: ${records.length} of ${MIN_TRAINING_RECORDS} paired observations`);
+            return { trained: false, records: records.length };
         }
 
+        await predictor.trainOnHistoricalData(records, options);
+        return { trained: true, records: records.length, training: predictor.trainingSummary };
+    }
+
+    getAggregationJobs() {
+        this.ensureInitialized();
+
+        return this.aggregationSystem.aggregator.scheduler.getStatus();
+    }
+
+    async runAggregationJob(source) {
+        this.ensureInitialized();
+
+        return await this.aggregationSystem.aggregator.scheduler.runNow(source);
+    }
+
+    async getWeatherAnalysis(query) {
+        this.ensureInitialized();
+
+        const resolved = await this.resolveLocation(query);
+        const weather = await this.weatherSystem.integration.getWeatherData({
+            lat: resolved.lat,
+            lon: resolved.lon,
+            type: 'current'
+        });
+
+        const fresh = this.claimWeatherFetch(weather);
+
+        if (fresh) {
+            await this.storeObservations(weather.observations);
+            await this.verifyProviders(weather.observations, resolved);
+        }
+
+        const conditions = this.buildCurrentConditions(weather);
+        const consensus = weather.fusedData?.consensus || {};
+        if (fresh) {
+            await this.issueAndVerifyForecast(resolved, conditions, weather);
+        }
+        const emotional = this.emotionalMatrix.processWeather(conditions);
+        const decision = await this.evaluateWeatherDecision(conditions, weather);
+
         return {
-            location,
+            location: resolved,
             timestamp: new Date().toISOString(),
             analysis: {
-                temperature: this.generateSimulatedData('temperature'),
-                humidity: this.generateSimulatedData('humidity'),
-                pressure: this.generateSimulatedData('pressure'),
-                conditions: 'partly-cloudy',
-                aiInsights: [
-                    'Stable atmospheric conditions detected',
-                    'Low precipitation probability for next 24 hours',
-                    'Optimal conditions for data collection'
-                ]
+                temperature: conditions.current.temp_c,
+                humidity: conditions.current.humidity,
+                pressure: conditions.current.pressure_mb,
+                windSpeed: conditions.current.wind_kph,
+                conditions: conditions.current.condition.text,
+                // e.g. "18.4 °C ± 0.9 from 4 sources"
+                temperatureUncertainty: consensus.temp_c?.uncertainty ?? null,
+                humidityUncertainty: consensus.humidity?.uncertainty ?? null,
+                pressureUncertainty: consensus.pressure_mb?.uncertainty ?? null,
+                windSpeedUncertainty: consensus.wind_kph?.uncertainty ?? null,
+                consensus: this.describeConsensus(consensus),
+                aiInsights: this.generateWeatherInsights(weather, emotional, decision)
+            },
+            emotional: {
+                mood: this.emotionalMatrix.getMoodDescription(),
+                state: emotional.emotionalState,
+                response: emotional.response
             },
+            decision,
+            alerts: weather.alerts || [],
+            providers: {
+                contributed: weather.providers,
+                failed: weather.failedProviders || []
+            },
+            quality: weather.quality,
             source: 'Climate-ZiLLA AI'
         };
     }
 
+    async getOceanConditions(location, options = {}) {
+        this.ensureInitialized();
+
+        const ocean = await this.oceanSystem.reader.readBuoyData(location, options);
+        await this.storeObservations(ocean.observations);
+
+        return {
+            location,
+            timestamp: new Date().toISOString(),
+            buoys: ocean.buoys,
+            networks: ocean.networks,
+            schemaVersion: ocean.schemaVersion,
+            observations: ocean.observations,
+            ...(ocean.spectra?.length > 0 && { spectra: ocean.spectra }),
+            tides: ocean.analysis?.tides ?? null,
+            alerts: ocean.alerts || [],
+            quality: ocean.quality
+        };
+    }
+
+    async getWaveSpectrum(buoyId, options = {}) {
+        this.ensureInitialized();
+
+        return await this.oceanSystem.reader.readWaveSpectrum(buoyId, options);
+    }
+
+    async getTidePrediction(query, options = {}) {
+        this.ensureInitialized();
+
+        return await this.oceanSystem.reader.predictTides(query, options);
+    }
+
+    async getOceanProfiles(location, options = {}) {
+        this.ensureInitialized();
+
+        return await this.oceanSystem.reader.readOceanProfiles(location, location.radius, options);
+    }
+
+    // `city`, `lat`/`lon`, `station` or `ip` from a request -> coordinates plus the nearest named place
+    async resolveLocation(query, options = {}) {
+        this.ensureInitialized();
+
+        return await locationResolver.resolve(query, options);
+    }
+
+    async geocode(query, options = {}) {
+        this.ensureInitialized();
+
+        return await gazetteer.geocode(query, options);
+    }
+
+    async reverseGeocode(lat, lon, options = {}) {
+        this.ensureInitialized();
+
+        return await gazetteer.reverse(lat, lon, options);
+    }
+
+    async getTimezone(location, instant = Date.now()) {
+        this.ensureInitialized();
+
+        return await timezoneResolver.describe(location.lat, location.lon, instant);
+    }
+
+    async getNearestStations(location, options = {}) {
+        this.ensureInitialized();
+
+        return await stationCatalog.nearest(location, options);
+    }
+
+    async getStationsWithin(location, radiusKm, options = {}) {
+        this.ensureInitialized();
+
+        return await stationCatalog.within(location, radiusKm, options);
+    }
+
+    async getStation(type, id) {
+        this.ensureInitialized();
+
+        return await stationCatalog.get(type, id);
+    }
+
+    getStationCatalogStatus() {
+        this.ensureInitialized();
+
+        return stationCatalog.getStatus();
+    }
+
+    // Starts a refresh of every source and returns without waiting for the downloads
+    refreshStationCatalog() {
+        this.ensureInitialized();
+
+        stationCatalog.refresh()
+            .catch(error => console.warn('📍 Manual station catalog refresh failed:', error.message));
+        return stationCatalog.getStatus();
+    }
+
+    async getRadarConditions(location, options = {}) {
+        this.ensureInitialized();
+
+        const radar = await this.radarSystem.ingestor.ingestRadarData(location, options);
+        await this.storeObservations(radar.observations);
+
+        return {
+            location,
+            timestamp: new Date().toISOString(),
+            sources: radar.sources,
+            schemaVersion: radar.schemaVersion,
+            observations: radar.observations,
+            alerts: radar.alerts || [],
+            quality: radar.quality
+        };
+    }
+
+    async getStormNowcast(location, options = {}) {
+        this.ensureInitialized();
+
+        return await this.radarSystem.ingestor.getNowcast(location, options);
+    }
+
+    async getLightningActivity(location, options = {}) {
+        this.ensureInitialized();
+
+        return await this.radarSystem.ingestor.getLightningActivity(location, options);
+    }
+
+    async getWeatherHistory(location, options = {}) {
+        this.ensureInitialized();
+
+        const { start, end, interval } = this.resolveHistoryRange(options);
+        const { lat, lon } = location;
+
+        // Local store first - only days with uncovered hours go out to providers
+        const stored = await this.observationStore.query({
+            lat,
+            lon,
+            radiusKm: HISTORY_RADIUS_KM,
+            kind: 'observation',
+            systems: ['WEATHER'],
+            start: new Date(start).toISOString(),
+            end: new Date(end).toISOString()
+        });
+
+        const missingDays = this.findHistoryGaps(stored, start, end);
+        const fetched = missingDays.length > 0
+            ? await this.weatherSystem.integration.getHistoricalWeather({ lat, lon }, missingDays)
+            : { observations: [], providers: {}, failedProviders: [] };
+
+        await this.storeObservations(fetched.observations);
+
+        return {
+            location: { lat, lon },
+            from: new Date(start).toISOString(),
+            to: new Date(end).toISOString(),
+            interval,
+            series: this.buildHistorySeries([...stored, ...fetched.observations], interval),
+            sources: {
+                store: stored.length,
+                providers: fetched.providers
+            },
+            filledDays: missingDays,
+            failedProviders: fetched.failedProviders,
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    resolveHistoryRange(options) {
+        const now = Date.now();
+        const end = options.to ? Date.parse(options.to) : now;
+        const start = options.from ? Date.parse(options.from) : end - 7 * DAY_MS;
+        const interval = options.interval || 'hourly';
+
+        const fail = message => {
+            const error = new Error(message);
+            error.status = 400;
+            return error;
+        };
+
+        if (isNaN(start) || isNaN(end)) {
+            throw fail('from and to must be ISO 8601 dates');
+        }
+        if (start >= end || start >= now) {
+            throw fail('from must be in the past and before to');
+        }
+        if (end - start > MAX_HISTORY_DAYS * DAY_MS) {
+            throw fail(`History range is limited to ${MAX_HISTORY_DAYS} days`);
+        }
+        if (!HISTORY_INTERVALS.includes(interval)) {
+            throw fail(`Unknown interval, expected one of: ${HISTORY_INTERVALS.join(', ')}`);
+        }
+
+        // Nothing to look up past the present
+        return { start, end: Math.min(end, now), interval };
+    }
+
+    // UTC days containing at least one hour without a stored observation
+    findHistoryGaps(observations, start, end) {
+        const covered = new Set(observations.map(observation => Math.floor(Date.parse(observation.time) / HOUR_MS)));
+        const days = new Set();
+
+        for (let hour = Math.floor(start / HOUR_MS); hour * HOUR_MS < end; hour++) {
+            if (!covered.has(hour)) {
+                days.add(new Date(hour * HOUR_MS).toISOString().split('T')[0]);
+            }
+        }
+
+        return Array.from(days);
+    }
+
+    buildHistorySeries(observations, interval) {
+        const store = this.observationStore;
+
+        // The same record from the store and a provider refetch counts once
+        const unique = new Map();
+        observations.forEach(observation => unique.set(store.observationKey(observation), observation));
+
+        // Overlapping providers merge into one hourly mean
+        const hourly = store.downsample(Array.from(unique.values()), { interval: '1h', variables: HISTORY_VARIABLES });
+        if (interval === 'hourly') return hourly;
+
+        const daily = store.downsample(hourly, { interval: '1d', variables: HISTORY_VARIABLES });
+        const lows = store.downsample(hourly, { interval: '1d', aggregate: 'min', variables: ['temp_c'] });
+        const highs = store.downsample(hourly, { interval: '1d', aggregate: 'max', variables: ['temp_c'] });
+        const totals = store.downsample(hourly, { interval: '1d', aggregate: 'sum', variables: ['precip_mm'] });
+
+        return daily.map((point, index) => ({
+            ...point,
+            temp_min_c: lows[index].temp_c,
+            temp_max_c: highs[index].temp_c,
+            precip_mm: totals[index].precip_mm
+        }));
+    }
+
+    // Interpolate recent stored point observations of one variable onto a lat/lon grid
+    async getGrid(variable, options = {}) {
+        const { bbox, resolution, method, hours = 3 } = options;
+
+        if (!OBSERVATION_FIELDS[variable] || GRID_EXCLUDED_VARIABLES.includes(variable)) {
+            const error = new Error(`Variable cannot be gridded: ${variable}`);
+            error.status = 400;
+            throw error;
+        }
+
+        // Pull a margin around the box so edge cells still have neighbours on both sides
+        const margin = Math.max((bbox.maxLat - bbox.minLat), (bbox.maxLon - bbox.minLon)) * 0.1;
+        const center = { lat: (bbox.minLat + bbox.maxLat) / 2, lon: (bbox.minLon + bbox.maxLon) / 2 };
+        const halfDiagonalKm = distanceKm(center.lat, center.lon, bbox.maxLat + margin, bbox.maxLon + margin);
+
+        const observations = await this.observationStore.query({
+            lat: center.lat,
+            lon: center.lon,
+            radiusKm: halfDiagonalKm,
+            kind: 'observation',
+            start: new Date(Date.now() - hours * HOUR_MS).toISOString()
+        });
+
+        // Newest clean value per station or provider location
+        const latest = new Map();
+        observations
+            .filter(observation =>
+                observation.lat >= bbox.minLat - margin && observation.lat <= bbox.maxLat + margin &&
+                observation.lon >= bbox.minLon - margin && observation.lon <= bbox.maxLon + margin &&
+                observation[variable] !== null &&
+                [undefined, 'ok'].includes(observation.quality?.flags?.[variable]))
+            .forEach(observation => {
+                const { provider, station } = observation.source;
+                latest.set(`${provider}|${station || `${observation.lat},${observation.lon}`}`, observation);
+            });
+
+        const points = Array.from(latest.values()).map(observation => ({
+            lat: observation.lat,
+            lon: observation.lon,
+            value: observation[variable]
+        }));
+
+        const grid = this.interpolator.interpolate(points, { bbox, resolution, method });
+
+        return {
+            variable,
+            timestamp: new Date().toISOString(),
+            windowHours: hours,
+            ...grid
+        };
+    }
+
+    // Cached results keep the time they were fetched, so each provider fetch is stored, verified and forecast from once
+    claimWeatherFetch(weather) {
+        const cell = gridKey('weather', weather.location.lat, weather.location.lon);
+        const fetchedAt = new Date(weather.timestamp).getTime();
+
+        if (this.weatherFetches.get(cell) === fetchedAt) return false;
+
+        this.weatherFetches.delete(cell);
+        this.weatherFetches.set(cell, fetchedAt);
+        if (this.weatherFetches.size > MAX_TRACKED_WEATHER_CELLS) {
+            this.weatherFetches.delete(this.weatherFetches.keys().next().value);
+        }
+        return true;
+    }
+
+    async storeObservations(observations = []) {
+        try {
+            await this.observationStore.append(observations);
+        } catch (error) {
+            console.warn('🗄️ Failed to store observations:', error);
+        }
+    }
+
+    // Score each provider against stored station measurements so the next consensus weights it by that error
+    async verifyProviders(observations = [], location) {
+        try {
+            const now = Date.now();
+            const references = await this.observationStore.query({
+                lat: location.lat,
+                lon: location.lon,
+                radiusKm: REFERENCE_RADIUS_KM,
+                kind: 'observation',
+                start: new Date(now - REFERENCE_WINDOW_MS).toISOString(),
+                end: new Date(now + REFERENCE_WINDOW_MS).toISOString()
+            });
+
+            return this.weatherSystem.integration.consensus.verify(observations, references);
+        } catch (error) {
+            console.warn('🤝 Provider verification failed:', error);
+            return 0;
+        }
+    }
+
+    async issueAndVerifyForecast(resolved, conditions, weather) {
+        const predictor = this.weatherSystem.predictor;
+
+        try {
+            // Score earlier forecasts against what is observed now, then issue the next one
+            await predictor.continuousLearning(weather.observations || []);
+            await predictor.predict({
+                temperature: conditions.current.temp_c,
+                humidity: conditions.current.humidity,
+                pressure: conditions.current.pressure_mb,
+                windSpeed: conditions.current.wind_kph,
+                condition: conditions.current.condition.text,
+                location: resolved.name,
+                coordinates: { lat: resolved.lat, lon: resolved.lon },
+                timestamp: new Date(),
+                horizon: 'shortTerm'
+            });
+        } catch (error) {
+            console.warn('🎯 Forecast verification step failed:', error);
+        }
+    }
+
+    getForecastVerification(options = {}) {
+        this.ensureInitialized();
+
+        const predictor = this.weatherSystem.predictor;
+        const horizons = predictor.verifier.getHorizonLabels();
+
+        if (options.horizon && !horizons.includes(options.horizon)) {
+            const error = new Error(`Unknown horizon, expected one of: ${horizons.join(', ')}`);
+            error.status = 400;
+            throw error;
+        }
+
+        const status = predictor.getNetworkStatus();
+
+        return {
+            timestamp: new Date().toISOString(),
+            accuracy: status.accuracy,
+            accuracyHistory: status.accuracyHistory,
+            verification: predictor.verifier.getScores({ horizon: options.horizon })
+        };
+    }
+
+    describeConsensus(consensus) {
+        const fields = { temperature: 'temp_c', humidity: 'humidity', pressure: 'pressure_mb', windSpeed: 'wind_kph' };
+        const described = {};
+
+        Object.entries(fields).forEach(([name, field]) => {
+            const result = consensus[field];
+            if (!result) return;
+            described[name] = {
+                sources: result.sourceCount,
+                winner: result.winner,
+                rejected: result.rejected.map(outlier => outlier.provider)
+            };
+        });
+
+        return described;
+    }
+
+    buildCurrentConditions(weather) {
+        // Provider adapters normalize to metric observation fields, fused field by field
+        const fused = weather.fusedData || {};
+
+        return {
+            location: weather.location,
+            current: {
+                temp_c: fused.temp_c ?? null,
+                feelslike_c: fused.feelslike_c ?? null,
+                humidity: fused.humidity ?? null,
+                pressure_mb: fused.pressure_mb ?? null,
+                wind_kph: fused.wind_kph ?? null,
+                condition: {
+                    text: fused.condition?.text || 'unknown',
+                    code: fused.condition?.code ?? null
+                }
+            }
+        };
+    }
+
+    async evaluateWeatherDecision(conditions, weather) {
+        try {
+            return await this.decisionEngine.engine.analyze(conditions, {
+                confidence: weather.quality?.score ?? 0.5
+            });
+        } catch (error) {
+            console.warn('🤖 Weather decision evaluation failed:', error);
+            return null;
+        }
+    }
+
+    generateWeatherInsights(weather, emotional, decision) {
+        const insights = [];
+        const contributed = weather.providers || [];
+
+        insights.push(`Analysis fused from ${contributed.length} provider${contributed.length === 1 ? '' : 's'}: ${contributed.join(', ') || 'none'}`);
+
+        if (weather.alerts?.length > 0) {
+            insights.push(`${weather.alerts.length} active weather alert${weather.alerts.length === 1 ? '' : 's'} for this location`);
+        }
+
+        if (decision) {
+            insights.push(decision.rationale);
+        }
+
+        insights.push(`Entity mood: ${this.emotionalMatrix.getMoodDescription()} (urgency ${Math.round(emotional.emotionalState.urgency * 100)}%)`);
+
+        return insights;
+    }
+
     async getClimateInsights() {
         return {
             timestamp: new Date().toISOString(),
@@ -138,17 +776,6 @@ export default class ClimateEntity {
         };
     }
 
-    generateSimulatedData(type) {
-        const ranges = {
-            temperature: { min: -20, max: 45 },
-            humidity: { min: 20, max: 100 },
-            pressure: { min: 970, max: 1030 }
-        };
-        
-        const range = ranges[type] || ranges.temperature;
-        return Math.round(range.min + Math.random() * (range.max - range.min));
-    }
-
     analyzePatterns(data) {
         return ['seasonal-variation', 'diurnal-cycle', 'geographic-gradient'];
     }
@@ -168,6 +795,15 @@ export default class ClimateEntity {
     async shutdown() {
         console.log('🛑 Shutting down Climate-ZiLLA AI Systems...');
         this.initialized = false;
+        clearTimeout(this.trainingTimer);
+        this.trainingTimer = null;
+        stationCatalog.stop();
+        if (this.aggregationSystem) {
+            await this.aggregationSystem.aggregator.shutdown();
+        }
+        if (this.weatherSystem) {
+            await this.weatherSystem.predictor.verifier.save();
+        }
         this.systems.clear();
         console.log('✅ Climate-ZiLLA AI Systems shutdown complete');
     }
@@ -179,6 +815,7 @@ export default class ClimateEntity {
                 weather: !!this.weatherSystem,
                 nasa: !!this.nasaSystem,
                 ocean: !!this.oceanSystem,
+                radar: !!this.radarSystem,
                 decisionEngine: !!this.decisionEngine,
                 patternRecognizer: !!this.patternRecognizer
             },
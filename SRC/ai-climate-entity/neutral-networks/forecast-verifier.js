@@ -0,0 +1,254 @@
+/**
+ * 🎯 Forecast Verifier
+ * Matches issued forecasts against later observations and scores them
+ *
+ * Temperature is scored with MAE, RMSE and bias; precipitation probability
+ * with the Brier score. Everything is also broken down per forecast horizon.
+ * With a `statePath`, pending forecasts and verified pairs are snapshotted to
+ * JSON so scores survive a restart.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { distanceKm } from '../../utils/spatial-index.js';
+
+const STATE_FORMAT_VERSION = 1;
+
+const HORIZON_BUCKETS = [
+    { label: '0-6h', max: 6 },
+    { label: '6-12h', max: 12 },
+    { label: '12-24h', max: 24 },
+    { label: '24-48h', max: 48 },
+    { label: '48-72h', max: 72 },
+    { label: '72h+', max: Infinity }
+];
+
+export class ForecastVerifier {
+    constructor(options = {}) {
+        this.matchWindowMs = options.matchWindowMs || 60 * 60 * 1000; // ±1 hour around valid time
+        this.matchRadiusKm = options.matchRadiusKm || 25;
+        this.precipitationThresholdMm = options.precipitationThresholdMm ?? 0.1;
+        this.accuracyToleranceC = options.accuracyToleranceC || 2;
+        this.maxPending = options.maxPending || 5000;
+        this.maxVerified = options.maxVerified || 10000;
+        this.statePath = options.statePath ? path.resolve(options.statePath) : null;
+        this.saveDelayMs = options.saveDelayMs || 5000;
+        this.saveTimer = null;
+        this.saveQueue = Promise.resolve();
+
+        this.pending = [];
+        this.verified = [];
+        this.expired = 0;
+        this.nextId = 1;
+    }
+
+    // Store an issued forecast until an observation at its valid time arrives
+    recordForecast(forecast) {
+        const { lat, lon } = forecast.coordinates || {};
+        if (!Number.isFinite(lat) || !Number.isFinite(lon)) return null;
+
+        const issuedAt = new Date(forecast.issuedAt || Date.now());
+        const horizonHours = forecast.horizonHours;
+
+        const record = {
+            id: this.nextId++,
+            lat,
+            lon,
+            issuedAt: issuedAt.toISOString(),
+            validAt: new Date(issuedAt.getTime() + horizonHours * 60 * 60 * 1000).toISOString(),
+            horizonHours,
+            temperature: Number.isFinite(forecast.temperature) ? forecast.temperature : null,
+            precipitationProbability: Number.isFinite(forecast.precipitationProbability)
+                ? Math.max(0, Math.min(100, forecast.precipitationProbability))
+                : null,
+            source: forecast.source || 'neural-network'
+        };
+
+        this.pending.push(record);
+        if (this.pending.length > this.maxPending) {
+            this.pending.shift();
+            this.expired++;
+        }
+        this.scheduleSave();
+
+        return record;
+    }
+
+    // Verify every pending forecast the canonical observation can answer
+    verify(observation) {
+        const observedAt = Date.parse(observation.time);
+        if (isNaN(observedAt)) return [];
+
+        this.expireStale(observedAt);
+
+        const matched = [];
+        this.pending = this.pending.filter(forecast => {
+            const timeOffset = Math.abs(Date.parse(forecast.validAt) - observedAt);
+            if (timeOffset > this.matchWindowMs) return true;
+            if (distanceKm(forecast.lat, forecast.lon, observation.lat, observation.lon) > this.matchRadiusKm) return true;
+
+            matched.push(this.scorePair(forecast, observation));
+            return false;
+        });
+
+        this.verified.push(...matched);
+        if (this.verified.length > this.maxVerified) {
+            this.verified.splice(0, this.verified.length - this.maxVerified);
+        }
+        if (matched.length > 0) this.scheduleSave();
+
+        return matched;
+    }
+
+    scorePair(forecast, observation) {
+        const pair = {
+            forecastId: forecast.id,
+            issuedAt: forecast.issuedAt,
+            validAt: forecast.validAt,
+            observedAt: observation.time,
+            horizonHours: forecast.horizonHours,
+            source: forecast.source,
+            observationProvider: observation.source?.provider ?? null,
+            temperatureError: null,
+            brier: null
+        };
+
+        if (forecast.temperature !== null && Number.isFinite(observation.temp_c)) {
+            pair.temperatureError = forecast.temperature - observation.temp_c;
+        }
+
+        if (forecast.precipitationProbability !== null && Number.isFinite(observation.precip_mm)) {
+            const outcome = observation.precip_mm >= this.precipitationThresholdMm ? 1 : 0;
+            pair.brier = Math.pow(forecast.precipitationProbability / 100 - outcome, 2);
+        }
+
+        return pair;
+    }
+
+    expireStale(now) {
+        const before = this.pending.length;
+        this.pending = this.pending.filter(forecast => Date.parse(forecast.validAt) + this.matchWindowMs >= now);
+        this.expired += before - this.pending.length;
+    }
+
+    summarize(pairs) {
+        const temperatureErrors = pairs.map(pair => pair.temperatureError).filter(error => error !== null);
+        const brierScores = pairs.map(pair => pair.brier).filter(score => score !== null);
+
+        return {
+            count: pairs.length,
+            temperature: temperatureErrors.length === 0 ? null : {
+                count: temperatureErrors.length,
+                mae: this.mean(temperatureErrors.map(Math.abs)),
+                rmse: Math.sqrt(this.mean(temperatureErrors.map(error => error * error))),
+                bias: this.mean(temperatureErrors),
+                withinTolerance: temperatureErrors.filter(error => Math.abs(error) <= this.accuracyToleranceC).length / temperatureErrors.length
+            },
+            precipitation: brierScores.length === 0 ? null : {
+                count: brierScores.length,
+                brier: this.mean(brierScores)
+            }
+        };
+    }
+
+    getScores(options = {}) {
+        const pairs = options.horizon
+            ? this.verified.filter(pair => this.horizonBucket(pair.horizonHours) === options.horizon)
+            : this.verified;
+
+        const byHorizon = {};
+        HORIZON_BUCKETS.forEach(({ label }) => {
+            const bucket = pairs.filter(pair => this.horizonBucket(pair.horizonHours) === label);
+            if (bucket.length > 0) byHorizon[label] = this.summarize(bucket);
+        });
+
+        return {
+            overall: this.summarize(pairs),
+            byHorizon,
+            pending: this.pending.length,
+            expired: this.expired,
+            toleranceC: this.accuracyToleranceC,
+            updatedAt: new Date().toISOString()
+        };
+    }
+
+    // Share of temperature forecasts within tolerance - null until something has verified
+    getAccuracy() {
+        return this.summarize(this.verified).temperature?.withinTolerance ?? null;
+    }
+
+    horizonBucket(hours) {
+        return HORIZON_BUCKETS.find(bucket => hours <= bucket.max).label;
+    }
+
+    getHorizonLabels() {
+        return HORIZON_BUCKETS.map(bucket => bucket.label);
+    }
+
+    mean(values) {
+        return values.reduce((sum, value) => sum + value, 0) / values.length;
+    }
+
+    // Persistence
+    scheduleSave() {
+        if (!this.statePath || this.saveTimer) return;
+
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.save().catch(error => console.warn('🎯 Failed to save forecast verification:', error.message));
+        }, this.saveDelayMs);
+        this.saveTimer.unref?.();
+    }
+
+    async save() {
+        if (!this.statePath) return;
+
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+
+        const write = this.saveQueue.then(async () => {
+            const snapshot = {
+                format: STATE_FORMAT_VERSION,
+                savedAt: new Date().toISOString(),
+                nextId: this.nextId,
+                expired: this.expired,
+                pending: this.pending,
+                verified: this.verified
+            };
+
+            const temporary = `${this.statePath}.tmp`;
+            await fs.mkdir(path.dirname(this.statePath), { recursive: true });
+            await fs.writeFile(temporary, JSON.stringify(snapshot));
+            await fs.rename(temporary, this.statePath);
+        });
+
+        this.saveQueue = write.catch(() => {});
+        await write;
+    }
+
+    async load() {
+        if (!this.statePath) return;
+
+        let snapshot;
+        try {
+            snapshot = JSON.parse(await fs.readFile(this.statePath, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn(`🎯 Ignoring unreadable forecast verification ${this.statePath}:`, error.message);
+            }
+            return;
+        }
+
+        if (snapshot.format !== STATE_FORMAT_VERSION) {
+            console.warn(`🎯 Ignoring forecast verification ${this.statePath} with unsupported format`);
+            return;
+        }
+
+        this.pending = (snapshot.pending || []).slice(-this.maxPending);
+        this.verified = (snapshot.verified || []).slice(-this.maxVerified);
+        this.expired = snapshot.expired || 0;
+        this.nextId = Math.max(this.nextId, snapshot.nextId || 1);
+
+        console.log(`🎯 Forecast verification restored ${this.verified.length} verified and ${this.pending.length} pending forecasts`);
+    }
+}
@@ -1,10 +1,50 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { ForecastVerifier } from './forecast-verifier.js';
+
+// Named forecast horizons in hours; numeric horizons are taken as hours directly
+const HORIZON_HOURS = {
+    nowcast: 1,
+    shortTerm: 24,
+    mediumTerm: 72,
+    longTerm: 168
+};
+
+// Per-output loss and its derivative with respect to the prediction
+const LOSS_FUNCTIONS = {
+    mse: {
+        loss: (prediction, target) => Math.pow(prediction - target, 2),
+        gradient: (prediction, target) => 2 * (prediction - target)
+    },
+    mae: {
+        loss: (prediction, target) => Math.abs(prediction - target),
+        gradient: (prediction, target) => Math.sign(prediction - target)
+    },
+    huber: {
+        loss: (prediction, target) => {
+            const diff = Math.abs(prediction - target);
+            return diff <= 1 ? 0.5 * diff * diff : diff - 0.5;
+        },
+        gradient: (prediction, target) => Math.max(-1, Math.min(1, prediction - target))
+    }
+};
+
+const INPUT_FIELDS = ['temp_c', 'humidity', 'pressure_mb', 'wind_kph'];
+
+const MODEL_FORMAT = 'climate-zilla.weather-predictor';
+const MODEL_VERSION = 1;
+
 export default class NeuralNetwork {
-    constructor() {
+    constructor(options = {}) {
         this.layers = [];
         this.weights = [];
         this.biases = [];
         this.learningRate = 0.1;
+        this.loss = 'mse';
+        this.modelPath = null;
+        this.trainingSummary = null;
         this.accuracyHistory = [];
+        this.verifier = options.verifier || new ForecastVerifier();
         this.isInitialized = false;
     }
 
@@ -13,6 +53,10 @@ export default class NeuralNetwork {
         
         this.layers = config.layers;
         this.learningRate = config.learningRate || 0.1;
+        this.loss = config.loss || 'mse';
+        this.modelPath = config.modelPath || null;
+        this.weights = [];
+        this.biases = [];
         
         // Initialize weights and biases
         for (let i = 0; i < this.layers.length - 1; i++) {
@@ -24,6 +68,12 @@ export default class NeuralNetwork {
         }
 
         this.isInitialized = true;
+
+        // A saved model replaces the fresh Xavier weights
+        if (this.modelPath) {
+            await this.tryLoadModel(this.modelPath);
+        }
+
         console.log('✅ Neural Network Initialized');
     }
 
@@ -55,10 +105,30 @@ export default class NeuralNetwork {
             activation = this.forwardLayer(activation, this.weights[i], this.biases[i]);
         }
 
-        return this.interpretOutput(activation, inputData.horizon);
+        const predictions = this.interpretOutput(activation, inputData.horizon);
+
+        // Every issued forecast is kept so it can be scored once its valid time is observed
+        this.verifier.recordForecast({
+            coordinates: inputData.coordinates,
+            issuedAt: inputData.timestamp,
+            horizonHours: this.resolveHorizonHours(inputData.horizon),
+            temperature: (predictions.temperature.min + predictions.temperature.max) / 2,
+            precipitationProbability: predictions.precipitation.probability
+        });
+
+        return predictions;
+    }
+
+    resolveHorizonHours(horizon) {
+        if (Number.isFinite(horizon)) return horizon;
+        return HORIZON_HOURS[horizon] ?? HORIZON_HOURS.shortTerm;
     }
 
     forwardLayer(input, weights, biases) {
+        return this.weightedSum(input, weights, biases).map(z => this.activationFunction(z));
+    }
+
+    weightedSum(input, weights, biases) {
         const output = new Array(weights[0].length).fill(0);
         
         for (let j = 0; j < weights[0].length; j++) {
@@ -66,17 +136,34 @@ export default class NeuralNetwork {
                 output[j] += input[i] * weights[i][j];
             }
             output[j] += biases[j];
-            output[j] = this.activationFunction(output[j]);
         }
         
         return output;
     }
 
+    // Forward pass keeping every layer's pre-activations for backpropagation
+    forwardPass(input) {
+        const activations = [input];
+        const preActivations = [];
+
+        for (let l = 0; l < this.weights.length; l++) {
+            const z = this.weightedSum(activations[l], this.weights[l], this.biases[l]);
+            preActivations.push(z);
+            activations.push(z.map(value => this.activationFunction(value)));
+        }
+
+        return { activations, preActivations };
+    }
+
     activationFunction(x) {
         // Leaky ReLU for weather patterns
         return x > 0 ? x : 0.01 * x;
     }
 
+    activationDerivative(z) {
+        return z > 0 ? 1 : 0.01;
+    }
+
     extractFeatures(inputData) {
         // Extract meaningful features from weather data
         return [
@@ -87,9 +174,9 @@ export default class NeuralNetwork {
             this.encodeCondition(inputData.condition),
             this.encodeLocation(inputData.location),
             this.encodeTime(inputData.timestamp),
-            Math.sin((inputData.timestamp.getHours() * 15) * Math.PI / 180), // Time of day
-            Math.cos((inputData.timestamp.getMonth() * 30) * Math.PI / 180), // Season
-            inputData.timestamp.getDate() / 31, // Day of month
+            Math.sin((inputData.timestamp.getUTCHours() * 15) * Math.PI / 180), // Time of day
+            Math.cos((inputData.timestamp.getUTCMonth() * 30) * Math.PI / 180), // Season
+            inputData.timestamp.getUTCDate() / 31, // Day of month
             ...this.getAdditionalFeatures(inputData)
         ];
     }
@@ -103,7 +190,7 @@ export default class NeuralNetwork {
             'snow': 0.7, 'fog': 0.4
         };
         
-        return conditions[condition.toLowerCase()] || 0.2;
+        return conditions[(condition || '').toLowerCase()] || 0.2;
     }
 
     encodeLocation(location) {
@@ -112,7 +199,7 @@ export default class NeuralNetwork {
     }
 
     encodeTime(timestamp) {
-        const hour = timestamp.getHours();
+        const hour = timestamp.getUTCHours();
         return hour / 24;
     }
 
@@ -123,8 +210,8 @@ export default class NeuralNetwork {
         // Temperature-humidity index (simplified)
         features.push((inputData.temperature + inputData.humidity) / 150);
         
-        // Pressure trend (simulated)
-        features.push(Math.random() * 2 - 1);
+        // Pressure trend in hPa over the last 3 hours, when the caller knows it
+        features.push((inputData.pressureTrend ?? 0) / 10);
         
         // Wind chill factor (simplified)
         features.push(Math.max(0, inputData.temperature - (inputData.windSpeed / 10)) / 50);
@@ -201,67 +288,409 @@ export default class NeuralNetwork {
         return array.reduce((a, b) => a + Math.pow(b - mean, 2), 0) / array.length;
     }
 
-    async trainOnHistoricalData(historicalData) {
+    // Pair each canonical observation with the one observed horizonHours later at the same place
+    buildHistoricalRecords(observations, horizonHours = 24, toleranceHours = 1) {
+        const series = new Map();
+        observations.forEach(observation => {
+            const key = observation.source?.station || `${observation.lat.toFixed(2)},${observation.lon.toFixed(2)}`;
+            if (!series.has(key)) series.set(key, []);
+            series.get(key).push(observation);
+        });
+
+        const horizonMs = horizonHours * 60 * 60 * 1000;
+        const toleranceMs = toleranceHours * 60 * 60 * 1000;
+        const records = [];
+
+        series.forEach(stationObservations => {
+            stationObservations.sort((a, b) => Date.parse(a.time) - Date.parse(b.time));
+
+            stationObservations.forEach(observation => {
+                // Every input feature needs these; a gap would turn the whole example into NaN
+                if (!INPUT_FIELDS.every(field => Number.isFinite(observation[field]))) return;
+
+                const validAt = Date.parse(observation.time) + horizonMs;
+                const target = stationObservations.find(candidate => Math.abs(Date.parse(candidate.time) - validAt) <= toleranceMs);
+
+                if (target) {
+                    records.push({ input: this.inputFromObservation(observation, horizonHours), observation: target });
+                }
+            });
+        });
+
+        return records;
+    }
+
+    inputFromObservation(observation, horizon) {
+        return {
+            temperature: observation.temp_c,
+            humidity: observation.humidity,
+            pressure: observation.pressure_mb,
+            windSpeed: observation.wind_kph,
+            condition: observation.condition?.text,
+            location: observation.source?.station || `${observation.lat},${observation.lon}`,
+            coordinates: { lat: observation.lat, lon: observation.lon },
+            timestamp: new Date(observation.time),
+            horizon
+        };
+    }
+
+    createExample(inputData, observation) {
+        return {
+            features: this.normalizeFeatures(this.extractFeatures(inputData)),
+            ...this.encodeTarget(observation),
+            time: inputData.timestamp.getTime()
+        };
+    }
+
+    // Inverse of interpretOutput for the outputs an observation can answer; the rest are masked
+    encodeTarget(observation) {
+        const outputSize = this.layers[this.layers.length - 1];
+        const target = new Array(outputSize).fill(0);
+        const mask = new Array(outputSize).fill(false);
+        const set = (index, value) => {
+            if (Number.isFinite(value)) {
+                target[index] = value;
+                mask[index] = true;
+            }
+        };
+
+        const hasRange = Number.isFinite(observation.temp_min_c) && Number.isFinite(observation.temp_max_c);
+        const temperature = hasRange ? (observation.temp_min_c + observation.temp_max_c) / 2 : observation.temp_c;
+
+        if (Number.isFinite(temperature)) set(0, (temperature - 10) / 30);
+        if (hasRange) set(1, (observation.temp_max_c - observation.temp_min_c) / 2 / 10);
+        if (Number.isFinite(observation.precip_mm)) {
+            set(3, observation.precip_mm >= this.verifier.precipitationThresholdMm ? 1 : 0);
+            set(5, observation.precip_mm / 50);
+        }
+        if (Number.isFinite(observation.wind_kph)) set(6, observation.wind_kph / 50);
+        if (Number.isFinite(observation.gust_kph)) set(8, observation.gust_kph / 20);
+
+        return { target, mask };
+    }
+
+    async trainOnHistoricalData(historicalData, options = {}) {
         console.log('📊 Training on historical climate data...');
-        
-        // Simulate training process
-        for (let epoch = 0; epoch < 100; epoch++) {
-            const accuracy = 0.7 + (epoch / 100) * 0.25; // Simulated improvement
-            this.accuracyHistory.push(accuracy);
-            
+
+        const records = [...historicalData].sort((a, b) => a.input.timestamp - b.input.timestamp);
+        const examples = records.map(record => this.createExample(record.input, record.observation));
+        const result = await this.train(examples, options);
+
+        // Hindcast the held-out (most recent) cases so reported skill comes from unseen data
+        const validationRecords = records.slice(records.length - result.validationSize);
+        result.verification = await this.hindcast(validationRecords);
+
+        if (result.verification.temperature) {
+            this.accuracyHistory.push(result.verification.temperature.withinTolerance);
+        }
+
+        this.trainingSummary = {
+            trainedAt: new Date().toISOString(),
+            examples: examples.length,
+            loss: result.loss,
+            epochs: result.epochs,
+            bestEpoch: result.bestEpoch,
+            stoppedEarly: result.stoppedEarly,
+            trainingLoss: result.trainingLoss[result.bestEpoch - 1] ?? null,
+            validationLoss: result.bestValidationLoss,
+            verification: result.verification
+        };
+
+        if (this.modelPath) {
+            await this.saveModel(this.modelPath);
+        }
+
+        console.log('✅ Historical training completed');
+        return result;
+    }
+
+    async hindcast(records) {
+        const pairs = [];
+        for (const record of records) {
+            const predictions = await this.predict({ ...record.input, coordinates: null });
+            pairs.push(this.verifier.scorePair({
+                id: null,
+                issuedAt: record.input.timestamp.toISOString(),
+                validAt: record.observation.time,
+                horizonHours: this.resolveHorizonHours(record.input.horizon),
+                temperature: (predictions.temperature.min + predictions.temperature.max) / 2,
+                precipitationProbability: predictions.precipitation.probability,
+                source: 'hindcast'
+            }, record.observation));
+        }
+
+        const summary = this.verifier.summarize(pairs);
+        if (summary.temperature) {
+            console.log(`📈 Hindcast on ${summary.count} cases: temperature MAE ${summary.temperature.mae.toFixed(2)}°C, RMSE ${summary.temperature.rmse.toFixed(2)}°C`);
+        }
+
+        return summary;
+    }
+
+    // Mini-batch gradient descent with a chronological validation split and early stopping
+    async train(examples, options = {}) {
+        const {
+            epochs = 200,
+            batchSize = 32,
+            validationSplit = 0.2,
+            patience = 15,
+            loss = this.loss
+        } = options;
+
+        if (!this.isInitialized) {
+            throw new Error('Neural network not initialized');
+        }
+        if (!LOSS_FUNCTIONS[loss]) {
+            throw new Error(`Unknown loss function: ${loss}. Use one of ${Object.keys(LOSS_FUNCTIONS).join(', ')}`);
+        }
+
+        const ordered = [...examples].sort((a, b) => a.time - b.time);
+        const validationSize = ordered.length > 1 ? Math.floor(ordered.length * validationSplit) : 0;
+        const training = ordered.slice(0, ordered.length - validationSize);
+        const validation = ordered.slice(ordered.length - validationSize);
+
+        if (training.length === 0) {
+            throw new Error('No training examples');
+        }
+
+        this.loss = loss;
+        const history = { trainingLoss: [], validationLoss: [] };
+        let best = { loss: Infinity, epoch: 0, parameters: this.cloneParameters() };
+        let stoppedEarly = false;
+        let epoch;
+
+        for (epoch = 1; epoch <= epochs; epoch++) {
+            const shuffled = this.shuffle(training);
+            let epochLoss = 0;
+
+            for (let start = 0; start < shuffled.length; start += batchSize) {
+                const batch = shuffled.slice(start, start + batchSize);
+                epochLoss += this.trainBatch(batch, loss) * batch.length;
+            }
+
+            const trainingLoss = epochLoss / shuffled.length;
+            const validationLoss = validation.length > 0 ? this.evaluateLoss(validation, loss) : trainingLoss;
+            history.trainingLoss.push(trainingLoss);
+            history.validationLoss.push(validationLoss);
+
+            if (validationLoss < best.loss) {
+                best = { loss: validationLoss, epoch, parameters: this.cloneParameters() };
+            } else if (epoch - best.epoch >= patience) {
+                stoppedEarly = true;
+                break;
+            }
+
             if (epoch % 20 === 0) {
-                console.log(`📈 Training epoch ${epoch}, Accuracy: ${(accuracy * 100).toFixed(1)}%`);
+                console.log(`📈 Training epoch ${epoch}, loss ${trainingLoss.toFixed(4)}, validation ${validationLoss.toFixed(4)}`);
             }
         }
-        
-        console.log('✅ Historical training completed');
+
+        // Keep the weights from the best validation epoch
+        this.restoreParameters(best.parameters);
+
+        return {
+            loss,
+            epochs: Math.min(epoch, epochs),
+            bestEpoch: best.epoch,
+            bestValidationLoss: best.loss,
+            stoppedEarly,
+            trainingSize: training.length,
+            validationSize: validation.length,
+            ...history
+        };
     }
 
-    async adjustWeights(actualData, predictions) {
-        // Simple weight adjustment based on prediction error
-        const error = this.calculateError(actualData, predictions);
-        
-        for (let i = 0; i < this.weights.length; i++) {
-            for (let j = 0; j < this.weights[i].length; j++) {
-                for (let k = 0; k < this.weights[i][j].length; k++) {
-                    // Adjust weight based on error and learning rate
-                    this.weights[i][j][k] += (Math.random() - 0.5) * error * this.learningRate;
+    trainBatch(batch, lossName = this.loss) {
+        const lossFunction = LOSS_FUNCTIONS[lossName];
+        const weightGradients = this.weights.map(layer => layer.map(row => row.map(() => 0)));
+        const biasGradients = this.biases.map(layer => layer.map(() => 0));
+        let totalLoss = 0;
+
+        batch.forEach(({ features, target, mask }) => {
+            const { activations, preActivations } = this.forwardPass(features);
+            const output = activations[activations.length - 1];
+            const outputZ = preActivations[preActivations.length - 1];
+
+            // Output error; masked outputs have no target and contribute nothing
+            let delta = output.map((value, j) => {
+                if (!mask[j]) return 0;
+                totalLoss += lossFunction.loss(value, target[j]);
+                return lossFunction.gradient(value, target[j]) * this.activationDerivative(outputZ[j]);
+            });
+
+            for (let l = this.weights.length - 1; l >= 0; l--) {
+                const input = activations[l];
+
+                for (let i = 0; i < input.length; i++) {
+                    for (let j = 0; j < delta.length; j++) {
+                        weightGradients[l][i][j] += input[i] * delta[j];
+                    }
+                }
+                delta.forEach((d, j) => { biasGradients[l][j] += d; });
+
+                if (l > 0) {
+                    const layerWeights = this.weights[l];
+                    delta = input.map((_, i) => {
+                        let sum = 0;
+                        for (let j = 0; j < delta.length; j++) {
+                            sum += layerWeights[i][j] * delta[j];
+                        }
+                        return sum * this.activationDerivative(preActivations[l - 1][i]);
+                    });
+                }
+            }
+        });
+
+        const step = this.learningRate / batch.length;
+        for (let l = 0; l < this.weights.length; l++) {
+            for (let i = 0; i < this.weights[l].length; i++) {
+                for (let j = 0; j < this.weights[l][i].length; j++) {
+                    this.weights[l][i][j] -= step * weightGradients[l][i][j];
                 }
             }
+            for (let j = 0; j < this.biases[l].length; j++) {
+                this.biases[l][j] -= step * biasGradients[l][j];
+            }
         }
+
+        return totalLoss / batch.length;
     }
 
-    calculateError(actualData, predictions) {
-        // Simplified error calculation
-        const tempError = Math.abs(actualData.current.temp_c - predictions.shortTerm.temperature.max) / 50;
-        const precipError = Math.abs((actualData.current.humidity / 100) - (predictions.shortTerm.precipitation.probability / 100));
-        
-        return (tempError + precipError) / 2;
+    evaluateLoss(examples, lossName = this.loss) {
+        const lossFunction = LOSS_FUNCTIONS[lossName];
+        let totalLoss = 0;
+
+        examples.forEach(({ features, target, mask }) => {
+            const { activations } = this.forwardPass(features);
+            activations[activations.length - 1].forEach((value, j) => {
+                if (mask[j]) totalLoss += lossFunction.loss(value, target[j]);
+            });
+        });
+
+        return totalLoss / examples.length;
+    }
+
+    shuffle(items) {
+        const shuffled = [...items];
+        for (let i = shuffled.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        }
+        return shuffled;
+    }
+
+    cloneParameters() {
+        return {
+            weights: this.weights.map(layer => layer.map(row => [...row])),
+            biases: this.biases.map(layer => [...layer])
+        };
+    }
+
+    restoreParameters(parameters) {
+        this.weights = parameters.weights.map(layer => layer.map(row => [...row]));
+        this.biases = parameters.biases.map(layer => [...layer]);
+    }
+
+    // Model persistence
+    async saveModel(filePath = this.modelPath) {
+        if (!filePath) {
+            throw new Error('No model path configured');
+        }
+
+        const model = {
+            format: MODEL_FORMAT,
+            version: MODEL_VERSION,
+            layers: this.layers,
+            loss: this.loss,
+            learningRate: this.learningRate,
+            weights: this.weights,
+            biases: this.biases,
+            training: this.trainingSummary,
+            savedAt: new Date().toISOString()
+        };
+
+        // Write then rename so a crash never leaves a half-written model behind
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.writeFile(`${filePath}.tmp`, JSON.stringify(model));
+        await fs.rename(`${filePath}.tmp`, filePath);
+
+        console.log(`💾 Weather model saved to ${filePath}`);
+    }
+
+    async loadModel(filePath = this.modelPath) {
+        const model = JSON.parse(await fs.readFile(filePath, 'utf8'));
+
+        if (model.format !== MODEL_FORMAT || model.version !== MODEL_VERSION) {
+            throw new Error(`Unsupported model file ${filePath}: ${model.format} v${model.version}`);
+        }
+
+        if (this.layers.length > 0 && model.layers.join(',') !== this.layers.join(',')) {
+            throw new Error(`Model layers [${model.layers}] do not match network layers [${this.layers}]`);
+        }
+
+        const shapeMatches = model.weights.length === model.layers.length - 1 &&
+            model.weights.every((layer, l) => layer.length === model.layers[l] &&
+                layer.every(row => row.length === model.layers[l + 1]) &&
+                model.biases[l].length === model.layers[l + 1]);
+
+        if (!shapeMatches) {
+            throw new Error(`Model file ${filePath} has weights that do not match its layers`);
+        }
+
+        this.layers = model.layers;
+        this.loss = model.loss || this.loss;
+        this.learningRate = model.learningRate || this.learningRate;
+        this.weights = model.weights;
+        this.biases = model.biases;
+        this.trainingSummary = model.training || null;
+        this.isInitialized = true;
+
+        console.log(`💾 Weather model loaded from ${filePath}`);
+    }
+
+    async tryLoadModel(filePath) {
+        try {
+            await this.loadModel(filePath);
+            return true;
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                console.log(`🧠 No saved weather model at ${filePath}, starting from fresh weights`);
+            } else {
+                console.warn(`🧠 Ignoring saved weather model: ${error.message}`);
+            }
+            return false;
+        }
     }
 
     async calculateAccuracy() {
-        if (this.accuracyHistory.length === 0) return 0.5;
-        return this.accuracyHistory[this.accuracyHistory.length - 1];
+        return this.verifier.getAccuracy();
     }
 
-    async continuousLearning() {
-        // Continuous learning from new patterns
-        const newAccuracy = 0.85 + (Math.random() * 0.1); // Simulated improvement
-        this.accuracyHistory.push(newAccuracy);
-        
+    async continuousLearning(observations = []) {
+        // Continuous learning from newly observed conditions
+        const verified = observations.flatMap(observation => this.verifier.verify(observation));
+
+        if (verified.length > 0) {
+            this.accuracyHistory.push(this.verifier.getAccuracy());
+        }
+
         // Keep only recent history
         if (this.accuracyHistory.length > 100) {
             this.accuracyHistory.shift();
         }
-        
-        // Gradually improve learning rate
-        this.learningRate = Math.min(0.2, this.learningRate + 0.0001);
+
+        return verified;
     }
 
     getNetworkStatus() {
         return {
             layers: this.layers,
-            accuracy: this.accuracyHistory.length > 0 ? this.accuracyHistory[this.accuracyHistory.length - 1] : 0,
+            accuracy: this.verifier.getAccuracy(),
+            accuracyHistory: this.accuracyHistory,
+            verification: this.verifier.getScores(),
+            training: this.trainingSummary,
+            modelPath: this.modelPath,
+            loss: this.loss,
             learningRate: this.learningRate,
             isInitialized: this.isInitialized
         };
@@ -3,17 +3,7 @@ import BackgroundManager from './background-engine/background-manager.js';
 import ClimateConsciousness from './ai-climate-entity/climate-consciousness.js';
 import ThreatDetector from './security-system/threat-detector.js';
 import GeoLocator from './utils/geo-locator.js';
-import HealthCheck from './health-check.js';
 
-// Add this after initializing your climateEntity
-const healthCheck = new HealthCheck(climateEntity);
-
-// Add health check routes
-app.get('/health', healthCheck.getHealthCheckMiddleware());
-app.get('/api/health', healthCheck.getHealthCheckMiddleware());
-app.get('/status', (req, res) => {
-    res.status(200).json({ status: 'OK', timestamp: new Date().toISOString() });
-});
 // SVG Icons as components
 const Cloud = ({ size = 24, className = "" }) => h('svg', { 
     xmlns: 'http://www.w3.org/2000/svg', 
@@ -215,6 +205,7 @@ export default function ClimateZillaApp() {
     const [animated, setAnimated] = useState(false);
     const backgroundManagerRef = useRef(null);
     const climateEntityRef = useRef(null);
+    const lightningIntervalRef = useRef(null);
 
     useEffect(() => {
         // Initialize systems
@@ -234,11 +225,11 @@ export default function ClimateZillaApp() {
             const threatDetector = new ThreatDetector();
             threatDetector.startMonitoring();
             
-            // Auto-detect location and load data
-            const location = await GeoLocator.getCurrentLocation();
+            // Auto-detect location and load data; GPS/IP fixes without a city name go by coordinates
+            const location = await new GeoLocator().getCurrentLocation();
             if (location) {
-                setSearchCity(location.city);
-                fetchWeatherData(location.city);
+                setSearchCity(location.city || '');
+                fetchWeatherData(location.city || `${location.latitude},${location.longitude}`);
             }
             
             // Load space data
@@ -252,7 +243,10 @@ export default function ClimateZillaApp() {
                 }
             }, 5000);
             
-            return () => clearInterval(consciousnessInterval);
+            return () => {
+                clearInterval(consciousnessInterval);
+                clearInterval(lightningIntervalRef.current);
+            };
         };
 
         initSystems();
@@ -278,6 +272,13 @@ export default function ClimateZillaApp() {
             if (backgroundManagerRef.current) {
                 backgroundManagerRef.current.updateBackground(data);
             }
+
+            // Real strikes drive the thunder renderer - refreshed every minute for this location
+            clearInterval(lightningIntervalRef.current);
+            fetchLightning(data.location.lat, data.location.lon);
+            lightningIntervalRef.current = setInterval(() => {
+                fetchLightning(data.location.lat, data.location.lon);
+            }, 60 * 1000);
             
             // Inform AI entity about new weather data
             if (climateEntityRef.current) {
@@ -290,6 +291,19 @@ export default function ClimateZillaApp() {
         setLoading(false);
     };
 
+    const fetchLightning = async (lat, lon) => {
+        try {
+            const response = await fetch(`${API_BASE_URL}/radar/lightning?lat=${lat}&lon=${lon}&radius=100`);
+            const data = await response.json();
+
+            if (!data.error && backgroundManagerRef.current) {
+                backgroundManagerRef.current.updateLightning(data);
+            }
+        } catch (error) {
+            console.error('Failed to fetch lightning data');
+        }
+    };
+
     const fetchISSLocation = async () => {
         try {
             const response = await fetch(`${API_BASE_URL}/astronomy/iss`);
@@ -482,5 +496,14 @@ export default function ClimateZillaApp() {
                                         h('div', { className: 'bg-white/5 rounded-lg p-3' },
                                             h('p', { className: 'text-gray-400' }, 'Feels like'),
                                             h('p', { className: 'text-white font-bold' }, `${weatherData.current.feelslike_c}°C`)
-                                        ),
-           
+                                        )
+                                    )
+                                )
+                            )
+                        )
+                    )
+                )
+            )
+        )
+    );
+}
@@ -1,6 +1,9 @@
+import { wallClock, zonedDateTime } from '../../utils/time-zone.js';
+
 export default class MoonPhaseManager {
-    constructor(ctx) {
+    constructor(ctx, options = {}) {
         this.ctx = ctx;
+        this.timezone = options.timezone || null; // IANA zone of the location shown; browser clock when unset
         this.moonPhase = 0; // 0 = New Moon, 0.5 = Full Moon, 1.0 = New Moon
         this.moonPosition = { x: 0, y: 0 };
         this.moonSize = 40;
@@ -26,14 +29,28 @@ export default class MoonPhaseManager {
         this.moonPhase = (days % moonCycle) / moonCycle;
     }
 
+    setTimezone(timezone) {
+        this.timezone = timezone || null;
+        this.calculateHuntTimes();
+    }
+
+    // Today's hour:minute on the location's clock
+    localTime(hour, minute) {
+        if (!this.timezone) {
+            const now = new Date();
+            return new Date(now.getFullYear(), now.getMonth(), now.getDate(), hour, minute);
+        }
+
+        const today = wallClock(Date.now(), this.timezone);
+        return zonedDateTime(this.timezone, today.year, today.month, today.day, hour, minute);
+    }
+
     calculateHuntTimes() {
         // Calculate optimal hunting times based on moon phase and position
-        const now = new Date();
-        
         // Golden hours (first and last hour of sunlight)
         this.huntTimes.goldenHour = {
-            morning: new Date(now.getFullYear(), now.getMonth(), now.getDate(), 6, 30), // 6:30 AM
-            evening: new Date(now.getFullYear(), now.getMonth(), now.getDate(), 18, 30) // 6:30 PM
+            morning: this.localTime(6, 30), // 6:30 AM
+            evening: this.localTime(18, 30) // 6:30 PM
         };
 
         // Best hunting based on moon phase
@@ -57,8 +74,8 @@ export default class MoonPhaseManager {
 
         // Blue hour (civil twilight)
         this.huntTimes.blueHour = {
-            morning: new Date(now.getFullYear(), now.getMonth(), now.getDate(), 5, 45), // 5:45 AM
-            evening: new Date(now.getFullYear(), now.getMonth(), now.getDate(), 19, 15) // 7:15 PM
+            morning: this.localTime(5, 45), // 5:45 AM
+            evening: this.localTime(19, 15) // 7:15 PM
         };
     }
 
@@ -240,11 +257,11 @@ export default class MoonPhaseManager {
         this.ctx.fillText(`Dusk: ${this.huntTimes.dusk}`, 20, startY + 40);
         
         this.ctx.fillText('Golden Hour:', 20, startY + 70);
-        this.ctx.fillText(`Morning: ${this.huntTimes.goldenHour.morning.toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'})}`, 20, startY + 90);
-        this.ctx.fillText(`Evening: ${this.huntTimes.goldenHour.evening.toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'})}`, 20, startY + 110);
+        this.ctx.fillText(`Morning: ${this.huntTimes.goldenHour.morning.toLocaleTimeString([], {hour: '2-digit', minute:'2-digit', timeZone: this.timezone || undefined})}`, 20, startY + 90);
+        this.ctx.fillText(`Evening: ${this.huntTimes.goldenHour.evening.toLocaleTimeString([], {hour: '2-digit', minute:'2-digit', timeZone: this.timezone || undefined})}`, 20, startY + 110);
         
         this.ctx.fillText('Blue Hour:', 20, startY + 140);
-        this.ctx.fillText(`Morning: ${this.huntTimes.blueHour.morning.toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'})}`, 20, startY + 160);
-        this.ctx.fillText(`Evening: ${this.huntTimes.blueHour.evening.toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'})}`, 20, startY + 180);
+        this.ctx.fillText(`Morning: ${this.huntTimes.blueHour.morning.toLocaleTimeString([], {hour: '2-digit', minute:'2-digit', timeZone: this.timezone || undefined})}`, 20, startY + 160);
+        this.ctx.fillText(`Evening: ${this.huntTimes.blueHour.evening.toLocaleTimeString([], {hour: '2-digit', minute:'2-digit', timeZone: this.timezone || undefined})}`, 20, startY + 180);
     }
 }
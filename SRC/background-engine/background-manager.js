@@ -9,6 +9,7 @@ import PlanetOrbitVisualizer from './astronomy-backgrounds/planet-orbit-visualiz
 import NebulaRenderer from './astronomy-backgrounds/nebula-renderer.js';
 import AuroraSimulator from './astronomy-backgrounds/aurora-simulator.js';
 import GalaxyRotation from './astronomy-backgrounds/galaxy-rotation.js';
+import MoonPhaseManager from './astronomy-backgrounds/moon_phase_manager.js';
 
 export default class BackgroundManager {
     constructor() {
@@ -16,6 +17,7 @@ export default class BackgroundManager {
         this.ctx = null;
         this.animations = new Map();
         this.currentWeather = null;
+        this.currentLightning = null;
         this.animationFrameId = null;
         this.isInitialized = false;
     }
@@ -49,6 +51,8 @@ export default class BackgroundManager {
 
     updateBackground(weatherData) {
         this.currentWeather = weatherData;
+        // Strikes belong to the previous location - the caller fetches them again for this one
+        this.currentLightning = null;
         this.animations.clear();
 
         const condition = weatherData.current.condition.text.toLowerCase();
@@ -94,6 +98,7 @@ export default class BackgroundManager {
         if (!isDay) {
             this.animations.set('stars', new StarFieldGenerator(this.ctx));
             this.animations.set('planets', new PlanetOrbitVisualizer(this.ctx));
+            this.animations.set('moon', new MoonPhaseManager(this.ctx));
             
             if (Math.random() > 0.7) {
                 this.animations.set('aurora', new AuroraSimulator(this.ctx));
@@ -103,9 +108,28 @@ export default class BackgroundManager {
             this.animations.set('nebula', new NebulaRenderer(this.ctx));
         }
 
+        // Hunt times read on the location's clock, not the browser's
+        this.animations.get('moon')?.setTimezone(weatherData.timeZone?.id || weatherData.location?.tz_id);
+
         console.log(`🎨 Background updated for: ${condition}, Animations: ${this.animations.size}`);
     }
 
+    // Lightning activity from /api/radar/lightning - real strikes replace the random bolts
+    updateLightning(lightning) {
+        this.currentLightning = lightning;
+
+        let renderer = this.animations.get('rain');
+        if (!renderer && lightning.strikes.length > 0) {
+            renderer = new RainThunderRenderer(this.ctx);
+            this.animations.set('rain', renderer);
+            this.animations.set('lightning', true);
+        }
+
+        if (renderer) {
+            renderer.setStrikes(lightning.strikes, lightning.search_radius_km);
+        }
+    }
+
     setBaseBackground(condition, isDay) {
         // Set CSS class for base background
         const body = document.body;
@@ -7,6 +7,12 @@ export default class RainThunderRenderer {
         this.lastLightning = 0;
         this.lightningFlash = 0;
         this.windStrength = 0.5;
+
+        // Real strikes, once provided, replace the random lightning
+        this.liveStrikes = false;
+        this.strikeQueue = [];
+        this.seenStrikes = new Set();
+        this.strikeRadiusKm = 100;
         
         this.initRain();
     }
@@ -64,14 +70,59 @@ export default class RainThunderRenderer {
             }
         });
 
-        // Random lightning
-        if (Date.now() - this.lastLightning > 4000 && Math.random() < 0.01) {
+        if (this.liveStrikes) {
+            this.playStrikes();
+        } else if (Date.now() - this.lastLightning > 4000 && Math.random() < 0.01) {
+            // Random lightning
             this.createLightning();
             this.lastLightning = Date.now();
             this.lightningFlash = 1.0;
         }
     }
 
+    // Strikes from /api/radar/lightning; each new strike is drawn once, in time order
+    setStrikes(strikes, radiusKm = this.strikeRadiusKm) {
+        this.liveStrikes = true;
+        this.strikeRadiusKm = radiusKm;
+
+        const fresh = strikes.filter(strike => !this.seenStrikes.has(this.strikeKey(strike)));
+        fresh.forEach(strike => this.seenStrikes.add(this.strikeKey(strike)));
+
+        // A whole window of strikes at once would be a strobe - keep the latest few
+        this.strikeQueue.push(...fresh.slice(-20));
+        this.strikeQueue.sort((a, b) => new Date(a.time) - new Date(b.time));
+
+        if (this.seenStrikes.size > 5000) {
+            this.seenStrikes = new Set(strikes.map(strike => this.strikeKey(strike)));
+        }
+    }
+
+    strikeKey(strike) {
+        return `${strike.time}|${strike.lat}|${strike.lon}`;
+    }
+
+    playStrikes() {
+        if (this.strikeQueue.length === 0 || Date.now() - this.lastLightning < 300) return;
+
+        const strike = this.strikeQueue.shift();
+        const canvas = this.ctx.canvas;
+
+        // East-west offset picks the column; nearer strikes are brighter and fill the sky
+        const reach = Math.min(strike.distance_km / this.strikeRadiusKm, 1);
+        const bearing = strike.bearing_deg * Math.PI / 180;
+        const startX = canvas.width / 2 + Math.sin(bearing) * reach * (canvas.width / 2 - 100);
+        const closeness = 1 - reach;
+
+        this.createLightning(startX, {
+            intensity: 0.4 + closeness * 0.6,
+            // Cloud-to-cloud pulses never reach the ground
+            endY: strike.type === 'ic' ? canvas.height * (0.2 + Math.random() * 0.2) : canvas.height,
+            branches: 1 + Math.round(closeness * 3)
+        });
+        this.lastLightning = Date.now();
+        this.lightningFlash = Math.max(this.lightningFlash, 0.3 + closeness * 0.7);
+    }
+
     updateSplashes() {
         this.splashes = this.splashes.filter(splash => {
             splash.life -= 0.02;
@@ -90,9 +141,12 @@ export default class RainThunderRenderer {
         });
     }
 
-    createLightning() {
-        const startX = 100 + Math.random() * (this.ctx.canvas.width - 200);
-        const branches = 2 + Math.floor(Math.random() * 3);
+    createLightning(startX = 100 + Math.random() * (this.ctx.canvas.width - 200), options = {}) {
+        const {
+            branches = 2 + Math.floor(Math.random() * 3),
+            endY = this.ctx.canvas.height,
+            intensity = 0.8 + Math.random() * 0.2
+        } = options;
         
         for (let i = 0; i < branches; i++) {
             this.lightningBolts.push({
@@ -100,10 +154,10 @@ export default class RainThunderRenderer {
                     startX + (i - branches/2) * 40, 
                     0, 
                     startX + (Math.random() - 0.5) * 200, 
-                    this.ctx.canvas.height
+                    endY
                 ),
                 life: 1.0,
-                intensity: 0.8 + Math.random() * 0.2
+                intensity
             });
         }
     }
@@ -0,0 +1,288 @@
+/**
+ * ⏱️ Aggregation Scheduler
+ * Refreshes watched locations for each data source on its `refreshInterval`
+ *
+ * One job per aggregator source. A run walks the source's watched locations
+ * one at a time with a pause in between, so a long list never bursts a
+ * provider. A job never overlaps itself: a tick that lands on a running job
+ * is skipped. Last-run state is written to disk after every run, and on
+ * restart each job is next due one interval after its last run rather than
+ * immediately.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+const STATE_FORMAT_VERSION = 1;
+const MIN_DELAY_MS = 1000;
+
+// Sources whose data does not depend on location refresh once per run
+const GLOBAL_SOURCES = ['NASA'];
+
+// "lat,lon[,name];lat,lon[,name]" as used by AGGREGATION_LOCATIONS
+export function parseLocations(value) {
+    if (!value) return [];
+
+    return value.split(';')
+        .map(entry => entry.trim())
+        .filter(Boolean)
+        .map(entry => {
+            const [lat, lon, ...name] = entry.split(',').map(part => part.trim());
+            const location = { lat: parseFloat(lat), lon: parseFloat(lon), name: name.join(',') || null };
+
+            if (!Number.isFinite(location.lat) || !Number.isFinite(location.lon) ||
+                Math.abs(location.lat) > 90 || Math.abs(location.lon) > 180) {
+                throw new Error(`Invalid watched location: ${entry}`);
+            }
+            return location;
+        });
+}
+
+export class AggregationScheduler {
+    constructor(aggregator, options = {}) {
+        this.aggregator = aggregator;
+        this.statePath = path.resolve(options.statePath || process.env.AGGREGATION_STATE_PATH || 'data/scheduler/aggregation-state.json');
+        this.locationSpacingMs = options.locationSpacingMs ?? 5000;
+        this.startStaggerMs = options.startStaggerMs ?? 15000;
+
+        const defaultLocations = options.locations || parseLocations(process.env.AGGREGATION_LOCATIONS);
+        this.jobs = new Map();
+
+        Object.entries(aggregator.dataSources).forEach(([source, config]) => {
+            if (!config.refreshInterval) return;
+
+            const locations = options.sourceLocations?.[source]
+                || parseLocations(process.env[`AGGREGATION_LOCATIONS_${source}`]);
+
+            this.jobs.set(source, {
+                source,
+                intervalMs: config.refreshInterval,
+                locations: locations.length > 0 ? locations : defaultLocations,
+                running: false,
+                timer: null,
+                nextRunAt: null,
+                state: this.createJobState()
+            });
+        });
+
+        this.started = false;
+        this.saveQueue = Promise.resolve();
+    }
+
+    createJobState() {
+        return {
+            lastRunAt: null,
+            lastSuccessAt: null,
+            lastDurationMs: null,
+            lastError: null,
+            lastTrigger: null,
+            runs: 0,
+            failures: 0,
+            skippedOverlaps: 0,
+            locations: {}
+        };
+    }
+
+    async start() {
+        if (this.started) return;
+        this.started = true;
+
+        await this.loadState();
+
+        // Stagger first runs so every source does not fire in the same second
+        let index = 0;
+        this.jobs.forEach(job => {
+            if (job.locations.length === 0) return;
+
+            const lastRun = Date.parse(job.state.lastRunAt);
+            const due = isNaN(lastRun) ? Date.now() : lastRun + job.intervalMs;
+            this.scheduleJob(job, Math.max(due - Date.now(), 0) + index * this.startStaggerMs);
+            index++;
+        });
+
+        const watched = Array.from(this.jobs.values()).filter(job => job.locations.length > 0).length;
+        console.log(`⏱️ Aggregation scheduler started with ${watched} of ${this.jobs.size} jobs watching locations`);
+    }
+
+    stop() {
+        this.started = false;
+        this.jobs.forEach(job => {
+            clearTimeout(job.timer);
+            job.timer = null;
+            job.nextRunAt = null;
+        });
+    }
+
+    scheduleJob(job, delayMs) {
+        clearTimeout(job.timer);
+        const delay = Math.max(delayMs, MIN_DELAY_MS);
+
+        job.nextRunAt = new Date(Date.now() + delay).toISOString();
+        job.timer = setTimeout(() => {
+            job.timer = null;
+            this.runJob(job.source, 'schedule').catch(error => {
+                console.warn(`⏱️ Scheduled ${job.source} refresh failed:`, error.message);
+            });
+        }, delay);
+        job.timer.unref?.();
+    }
+
+    // Manual "run now" - rejects with 409 if the job is already running
+    async runNow(source) {
+        const job = this.getJob(source);
+        if (job.running) {
+            throw this.createError(`${job.source} refresh already running`, 409);
+        }
+        if (job.locations.length === 0) {
+            throw this.createError(`No watched locations configured for ${job.source}`, 400);
+        }
+
+        // Started but not awaited - a run over many locations outlasts an HTTP request
+        this.runJob(job.source, 'manual').catch(error => {
+            console.warn(`⏱️ Manual ${job.source} refresh failed:`, error.message);
+        });
+        return this.describeJob(job);
+    }
+
+    async runJob(source, trigger) {
+        const job = this.getJob(source);
+
+        if (job.running) {
+            job.state.skippedOverlaps++;
+            return null;
+        }
+
+        job.running = true;
+        clearTimeout(job.timer);
+        job.timer = null;
+        job.nextRunAt = null;
+
+        const startedAt = Date.now();
+        const targets = GLOBAL_SOURCES.includes(source) ? job.locations.slice(0, 1) : job.locations;
+        const failures = [];
+
+        try {
+            for (const [index, location] of targets.entries()) {
+                if (index > 0) await this.pause(this.spacingFor(job, targets.length));
+
+                const key = this.locationKey(location);
+                try {
+                    const result = await this.aggregator.refreshSource(source, location);
+                    job.state.locations[key] = { lastSuccessAt: new Date().toISOString(), observations: result.observations, error: null };
+                } catch (error) {
+                    failures.push(`${key}: ${error.message}`);
+                    job.state.locations[key] = { ...job.state.locations[key], error: error.message };
+                }
+            }
+        } finally {
+            job.running = false;
+            job.state.runs++;
+            job.state.lastRunAt = new Date(startedAt).toISOString();
+            job.state.lastDurationMs = Date.now() - startedAt;
+            job.state.lastTrigger = trigger;
+
+            // A run only fails when no location refreshed
+            if (failures.length === targets.length && targets.length > 0) {
+                job.state.failures++;
+                job.state.lastError = failures.join('; ');
+            } else {
+                job.state.lastSuccessAt = new Date().toISOString();
+                job.state.lastError = failures.length > 0 ? failures.join('; ') : null;
+            }
+
+            if (this.started) {
+                this.scheduleJob(job, startedAt + job.intervalMs - Date.now());
+            }
+            await this.saveState().catch(error => console.warn('⏱️ Failed to save scheduler state:', error.message));
+        }
+
+        return this.describeJob(job);
+    }
+
+    // Spread a run over at most half the interval, never more than the configured spacing
+    spacingFor(job, count) {
+        return Math.min(this.locationSpacingMs, job.intervalMs / 2 / count);
+    }
+
+    pause(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    getJob(source) {
+        const job = this.jobs.get(String(source).toUpperCase());
+        if (!job) {
+            throw this.createError(`Unknown aggregation source: ${source}. Use one of ${Array.from(this.jobs.keys()).join(', ')}`, 404);
+        }
+        return job;
+    }
+
+    getStatus() {
+        return {
+            running: this.started,
+            statePath: this.statePath,
+            jobs: Array.from(this.jobs.values()).map(job => this.describeJob(job))
+        };
+    }
+
+    describeJob(job) {
+        return {
+            source: job.source,
+            intervalMs: job.intervalMs,
+            locations: job.locations,
+            running: job.running,
+            nextRunAt: job.nextRunAt,
+            ...job.state
+        };
+    }
+
+    locationKey(location) {
+        return location.name || `${location.lat},${location.lon}`;
+    }
+
+    // Persistence
+    async saveState() {
+        const write = this.saveQueue.then(async () => {
+            const snapshot = {
+                format: STATE_FORMAT_VERSION,
+                savedAt: new Date().toISOString(),
+                jobs: Object.fromEntries(Array.from(this.jobs.entries()).map(([source, job]) => [source, job.state]))
+            };
+
+            const temporary = `${this.statePath}.tmp`;
+            await fs.mkdir(path.dirname(this.statePath), { recursive: true });
+            await fs.writeFile(temporary, JSON.stringify(snapshot, null, 2));
+            await fs.rename(temporary, this.statePath);
+        });
+
+        this.saveQueue = write.catch(() => {});
+        await write;
+    }
+
+    async loadState() {
+        let snapshot;
+        try {
+            snapshot = JSON.parse(await fs.readFile(this.statePath, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn(`⏱️ Ignoring unreadable scheduler state ${this.statePath}:`, error.message);
+            }
+            return;
+        }
+
+        if (snapshot.format !== STATE_FORMAT_VERSION) {
+            console.warn(`⏱️ Ignoring scheduler state ${this.statePath} with unsupported format`);
+            return;
+        }
+
+        Object.entries(snapshot.jobs || {}).forEach(([source, state]) => {
+            const job = this.jobs.get(source);
+            if (job) job.state = { ...this.createJobState(), ...state };
+        });
+    }
+
+    createError(message, status) {
+        const error = new Error(message);
+        error.status = status;
+        return error;
+    }
+}
@@ -0,0 +1,302 @@
+/**
+ * 🤝 Consensus Fusion
+ * Quality-weighted consensus across providers that report the same field
+ *
+ * Each provider's latest clean value is weighted by the inverse square of its
+ * recent error at that location, values far from the robust median are
+ * rejected, and the weighted spread of what remains is reported as the
+ * uncertainty. Provider error is verified against in-situ measurements -
+ * buoys, ground and NWS stations - taken near the same place and time, so a
+ * provider that keeps missing what the instruments saw loses influence there.
+ * Agreement between providers is never scored: several models sharing the
+ * same bias would otherwise reward each other for it.
+ */
+
+import { ObservationSchema } from './observation-schema.js';
+import { gridKey } from '../utils/enterprise-cache.js';
+import { distanceKm } from '../utils/spatial-index.js';
+
+// Typical provider disagreement per field - the prior error and the outlier scale floor
+export const FIELD_TOLERANCE = {
+    temp_c: 1.0,
+    feelslike_c: 1.5,
+    dewpoint_c: 1.5,
+    humidity: 5,
+    pressure_mb: 1.5,
+    wind_kph: 5,
+    gust_kph: 8,
+    vis_km: 3,
+    cloud: 15,
+    precip_mm: 0.5,
+    precip_rate_mmhr: 0.5,
+    precip_probability: 15,
+    reflectivity_dbz: 5,
+    water_temp_c: 0.5,
+    wave_height_m: 0.3,
+    wave_period_s: 1.5,
+    wind_degree: 30,
+    wave_degree: 30
+};
+
+export const CIRCULAR_FIELDS = ['wind_degree', 'wave_degree'];
+
+const OUTLIER_THRESHOLD = 3;          // robust z-score beyond which a value is rejected
+const MIN_SOURCES_FOR_REJECTION = 3;  // two disagreeing sources cannot tell who is wrong
+const SKILL_CELL_DEGREES = 0.25;      // provider skill is local, ~25 km cells
+const SKILL_SMOOTHING = 0.1;          // weight of the newest residual in the running error
+
+// How close a measurement must be to verify a provider value against it
+export const REFERENCE_RADIUS_KM = 25;
+export const REFERENCE_WINDOW_MS = 60 * 60 * 1000;
+
+// Providers whose current conditions are a station measurement, not a model analysis
+const IN_SITU_PROVIDERS = ['WEATHER_GOV'];
+
+export class ProviderSkillTracker {
+    constructor(options = {}) {
+        this.maxCells = options.maxCells || 5000;
+        this.errors = new Map();
+    }
+
+    key(provider, field, lat, lon) {
+        return gridKey(provider, lat, lon, { field }, SKILL_CELL_DEGREES);
+    }
+
+    // Exponentially weighted mean absolute error, null until something is recorded
+    getError(provider, field, lat, lon) {
+        return this.errors.get(this.key(provider, field, lat, lon))?.error ?? null;
+    }
+
+    recordError(provider, field, lat, lon, error) {
+        const key = this.key(provider, field, lat, lon);
+        const existing = this.errors.get(key);
+        const magnitude = Math.abs(error);
+
+        this.errors.delete(key);
+        this.errors.set(key, existing
+            ? { error: existing.error + SKILL_SMOOTHING * (magnitude - existing.error), samples: existing.samples + 1 }
+            : { error: magnitude, samples: 1 });
+
+        if (this.errors.size > this.maxCells) {
+            this.errors.delete(this.errors.keys().next().value);
+        }
+    }
+
+    getStatus() {
+        return { trackedCells: this.errors.size };
+    }
+}
+
+// Shared so every fusion point learns from the same history
+export const providerSkill = new ProviderSkillTracker();
+
+export class ConsensusFusion {
+    constructor(options = {}) {
+        this.schema = new ObservationSchema();
+        this.skill = options.skill || providerSkill;
+        this.windowMs = options.windowMs || 3 * 60 * 60 * 1000;
+    }
+
+    // Same output shape as ObservationSchema.combineLatest plus a per-field consensus block
+    fuse(observations, location = {}) {
+        const latest = this.latestPerProvider(observations);
+        const lat = location.lat ?? latest[0]?.lat;
+        const lon = location.lon ?? latest[0]?.lon;
+
+        const fused = {
+            time: latest.reduce((max, observation) => (!max || observation.time > max ? observation.time : max), null),
+            condition: null,
+            sources: {},
+            consensus: {}
+        };
+
+        Object.keys(this.schema.fields).forEach(field => {
+            const candidates = this.candidatesFor(latest, field);
+            if (candidates.length === 0) {
+                fused[field] = null;
+                return;
+            }
+
+            const result = this.fuseField(field, candidates, lat, lon);
+            fused[field] = result.value;
+            fused.sources[field] = result.winner;
+            fused.consensus[field] = result;
+        });
+
+        fused.condition = this.pickCondition(latest, fused.consensus) || { text: null, code: null };
+
+        return fused;
+    }
+
+    // One record per provider (and station), the newest within the window
+    latestPerProvider(observations) {
+        const ordered = [...observations].sort((a, b) => Date.parse(b.time) - Date.parse(a.time));
+        const newest = Date.parse(ordered[0]?.time);
+        const byProvider = new Map();
+
+        ordered.forEach(observation => {
+            if (newest - Date.parse(observation.time) > this.windowMs) return;
+            const key = this.providerKey(observation);
+            if (!byProvider.has(key)) byProvider.set(key, observation);
+        });
+
+        return Array.from(byProvider.values());
+    }
+
+    candidatesFor(observations, field) {
+        const clean = observations.filter(observation => this.isClean(observation, field));
+
+        // Stale values only speak when nothing current does
+        const fresh = clean.filter(observation => !observation.quality?.stale);
+        return (fresh.length > 0 ? fresh : clean).map(observation => ({
+            provider: this.providerKey(observation),
+            value: observation[field]
+        }));
+    }
+
+    fuseField(field, candidates, lat, lon) {
+        const tolerance = FIELD_TOLERANCE[field] ?? 1;
+        const circular = CIRCULAR_FIELDS.includes(field);
+        const distance = (a, b) => circular ? this.angularDistance(a, b) : Math.abs(a - b);
+
+        // Robust outlier rejection around the median
+        let accepted = candidates;
+        const rejected = [];
+        if (candidates.length >= MIN_SOURCES_FOR_REJECTION) {
+            const center = circular
+                ? this.circularMean(candidates.map(candidate => ({ value: candidate.value, weight: 1 }))).mean
+                : this.median(candidates.map(candidate => candidate.value));
+            const mad = this.median(candidates.map(candidate => distance(candidate.value, center)));
+            const scale = Math.max(1.4826 * mad, tolerance);
+
+            accepted = candidates.filter(candidate => {
+                const keep = distance(candidate.value, center) <= OUTLIER_THRESHOLD * scale;
+                if (!keep) rejected.push({ provider: candidate.provider, value: candidate.value });
+                return keep;
+            });
+        }
+
+        const weighted = accepted.map(candidate => {
+            const error = this.skill.getError(candidate.provider, field, lat, lon) ?? tolerance;
+            // Floor keeps one lucky provider from taking all the weight
+            const floor = tolerance / 4;
+            return { ...candidate, error, weight: 1 / (error * error + floor * floor) };
+        });
+
+        const { value, spread } = circular ? this.weightedCircular(weighted) : this.weightedLinear(weighted);
+        const winner = weighted.reduce((best, candidate) => (candidate.weight > best.weight ? candidate : best), weighted[0]);
+
+        return {
+            value: this.round(value),
+            // A lone source is as uncertain as its own track record
+            uncertainty: this.round(weighted.length > 1 ? spread : winner.error),
+            sourceCount: weighted.length,
+            winner: winner.provider,
+            rejected,
+            contributions: Object.fromEntries(weighted.map(candidate => [
+                candidate.provider,
+                { value: candidate.value, weight: this.round(candidate.weight / weighted.reduce((sum, c) => sum + c.weight, 0)) }
+            ]))
+        };
+    }
+
+    // Score each provider value against the nearest measurement of the same field
+    verify(observations, references) {
+        const measurements = references.filter(reference => this.isReference(reference));
+        let verified = 0;
+
+        observations.forEach(observation => {
+            if (observation.kind !== 'observation' || this.isReference(observation)) return;
+            if (!Number.isFinite(observation.lat) || !Number.isFinite(observation.lon)) return;
+
+            const time = Date.parse(observation.time);
+            const nearby = measurements
+                .filter(reference => Math.abs(Date.parse(reference.time) - time) <= REFERENCE_WINDOW_MS)
+                .map(reference => ({ reference, distance: distanceKm(observation.lat, observation.lon, reference.lat, reference.lon) }))
+                .filter(({ distance }) => distance <= REFERENCE_RADIUS_KM)
+                .sort((a, b) => a.distance - b.distance);
+
+            Object.keys(FIELD_TOLERANCE).forEach(field => {
+                if (!this.isClean(observation, field)) return;
+
+                const match = nearby.find(({ reference }) => this.isClean(reference, field));
+                if (!match) return;
+
+                const residual = CIRCULAR_FIELDS.includes(field)
+                    ? this.angularDistance(observation[field], match.reference[field])
+                    : observation[field] - match.reference[field];
+                this.skill.recordError(this.providerKey(observation), field, observation.lat, observation.lon, residual);
+                verified++;
+            });
+        });
+
+        return verified;
+    }
+
+    isReference(observation) {
+        return observation.kind === 'observation' &&
+            (Boolean(observation.source?.station) || IN_SITU_PROVIDERS.includes(observation.source?.provider));
+    }
+
+    isClean(observation, field) {
+        return observation[field] !== null && observation[field] !== undefined &&
+            [undefined, 'ok'].includes(observation.quality?.flags?.[field]);
+    }
+
+    weightedLinear(weighted) {
+        const totalWeight = weighted.reduce((sum, candidate) => sum + candidate.weight, 0);
+        const value = weighted.reduce((sum, candidate) => sum + candidate.weight * candidate.value, 0) / totalWeight;
+        const variance = weighted.reduce((sum, candidate) => sum + candidate.weight * (candidate.value - value) ** 2, 0) / totalWeight;
+        return { value, spread: Math.sqrt(variance) };
+    }
+
+    weightedCircular(weighted) {
+        const { mean, resultant } = this.circularMean(weighted);
+        // Angular deviation, in degrees
+        return { value: mean, spread: Math.sqrt(2 * (1 - resultant)) * 180 / Math.PI };
+    }
+
+    circularMean(items) {
+        const totalWeight = items.reduce((sum, item) => sum + item.weight, 0);
+        const x = items.reduce((sum, item) => sum + item.weight * Math.cos(item.value * Math.PI / 180), 0) / totalWeight;
+        const y = items.reduce((sum, item) => sum + item.weight * Math.sin(item.value * Math.PI / 180), 0) / totalWeight;
+        return {
+            mean: (Math.atan2(y, x) * 180 / Math.PI + 360) % 360,
+            resultant: Math.min(1, Math.hypot(x, y))
+        };
+    }
+
+    angularDistance(a, b) {
+        const difference = Math.abs(a - b) % 360;
+        return difference > 180 ? 360 - difference : difference;
+    }
+
+    // Condition text from the provider that won the most fields
+    pickCondition(observations, consensus) {
+        const wins = {};
+        Object.values(consensus).forEach(({ winner }) => {
+            wins[winner] = (wins[winner] || 0) + 1;
+        });
+
+        const ranked = observations
+            .filter(observation => observation.condition?.text)
+            .sort((a, b) => (wins[this.providerKey(b)] || 0) - (wins[this.providerKey(a)] || 0));
+
+        return ranked[0]?.condition || null;
+    }
+
+    providerKey(observation) {
+        const { provider, station } = observation.source || {};
+        return station ? `${provider}:${station}` : provider;
+    }
+
+    median(values) {
+        const sorted = [...values].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    }
+
+    round(value) {
+        return Number.isFinite(value) ? Math.round(value * 100) / 100 : null;
+    }
+}
@@ -5,22 +5,37 @@
  */
 
 import { DataQualityEngine } from './data-quality-engine.js';
-import { EnterpriseCache } from '../utils/enterprise-cache.js';
+import { EnterpriseCache, gridKey } from '../utils/enterprise-cache.js';
 import SatelliteDataProcessor from './satellite-data-processor.js';
 import RadarDataIngestor from './radar-data-ingestor.js';
 import OceanBuoyReader from './ocean-buoy-reader.js';
 import NASAAPIIntegration from './nasa-api-integration.js';
+import WeatherAPIIntegration from './weather-api-integration.js';
+import { ObservationSchema } from './observation-schema.js';
+import { ObservationStore } from './observation-store.js';
+import { ConsensusFusion, FIELD_TOLERANCE, CIRCULAR_FIELDS } from './consensus-fusion.js';
+import { SpatialInterpolator } from './spatial-interpolator.js';
+import { AggregationScheduler } from './aggregation-scheduler.js';
+import { distanceKm } from '../utils/spatial-index.js';
+import { gatewayStatus } from '../utils/resilience.js';
+
+const ALERT_SEVERITY_RANK = ['EXTREME', 'SEVERE', 'HIGH', 'MODERATE', 'MINOR', 'LOW'];
 
 export default class DataAggregator {
-    constructor() {
+    constructor(options = {}) {
         this.dataSources = this.initializeDataSources();
         this.qualityEngine = new DataQualityEngine();
+        this.schema = new ObservationSchema();
+        this.store = options.store || new ObservationStore();
+        this.consensus = new ConsensusFusion();
+        this.interpolator = new SpatialInterpolator();
         this.cache = new EnterpriseCache('aggregated-data', 500, 10 * 60 * 1000); // 10 min cache
-        this.correlationEngine = new CorrelationEngine();
-        this.fusionAlgorithms = new Map();
+        this.scheduler = new AggregationScheduler(this, options.scheduler);
         
-        this.initializeDataProcessors();
-        this.startAggregationService();
+        this.initializeDataProcessors(options.processors);
+        if (options.autoStart !== false) {
+            this.startAggregationService();
+        }
         
         console.log('🔄 Enterprise Data Aggregator - PRODUCTION ACTIVE');
     }
@@ -60,13 +75,14 @@ export default class DataAggregator {
         };
     }
 
-    async initializeDataProcessors() {
+    // Injected processors are shared with their owner, so one cache and one persist file serve both
+    initializeDataProcessors(processors = {}) {
         try {
-            // Initialize all data processors
-            this.dataSources.SATELLITE.processor = new SatelliteDataProcessor();
-            this.dataSources.RADAR.processor = new RadarDataIngestor();
-            this.dataSources.OCEAN.processor = new OceanBuoyReader();
-            this.dataSources.NASA.processor = new NASAAPIIntegration();
+            this.dataSources.SATELLITE.processor = processors.SATELLITE || new SatelliteDataProcessor();
+            this.dataSources.RADAR.processor = processors.RADAR || new RadarDataIngestor();
+            this.dataSources.OCEAN.processor = processors.OCEAN || new OceanBuoyReader();
+            this.dataSources.NASA.processor = processors.NASA || new NASAAPIIntegration();
+            this.dataSources.WEATHER.processor = processors.WEATHER || new WeatherAPIIntegration();
             
             console.log('🔄 All data processors initialized successfully');
             
@@ -76,45 +92,75 @@ export default class DataAggregator {
         }
     }
 
+    startAggregationService() {
+        this.scheduler.start().catch(error => {
+            console.error('🔄 Aggregation scheduler failed to start:', error);
+        });
+    }
+
+    stopAggregationService() {
+        this.scheduler.stop();
+    }
+
+    // Stop scheduled refreshes, then write every cache snapshot so a restart resumes warm
+    async shutdown() {
+        this.stopAggregationService();
+
+        const caches = new Set([this.cache]);
+        Object.values(this.dataSources).forEach(source => {
+            if (source.processor?.cache) caches.add(source.processor.cache);
+        });
+
+        await Promise.all(Array.from(caches, cache => cache.destroy().catch(error => {
+            console.warn(`🔄 Failed to flush cache ${cache.name}:`, error.message);
+        })));
+        console.log(`🔄 Aggregation service stopped, ${caches.size} caches flushed`);
+    }
+
+    // Scheduled refresh of one source at one location: fetch past the cache, then persist
+    async refreshSource(source, location) {
+        const result = await this.fetchFromSource(source, location, {}, { forceRefresh: true });
+        if (!result.metadata.success) {
+            throw new Error(result.error);
+        }
+
+        const normalized = this.normalizeSourceData(result.data, source, location);
+        await this.persistObservations({ [source]: normalized });
+
+        return { observations: normalized.observations.length };
+    }
+
     // Main aggregation method
     async aggregateData(location, parameters = {}, options = {}) {
         const { lat, lon, radius = 100 } = location;
-        const cacheKey = `aggregated_${lat}_${lon}_${radius}_${Date.now()}`;
-        
-        // Check cache first
-        const cached = await this.cache.get(cacheKey);
-        if (cached && !options.forceRefresh) {
-            console.log('🔄 Using cached aggregated data');
-            return cached;
-        }
+        const cacheKey = gridKey('aggregated', lat, lon, { radius, ...parameters });
 
         try {
-            // Fetch data from all sources
-            const sourceData = await this.fetchMultiSourceData(location, parameters, options);
-            
-            // Perform data fusion
-            const fusedData = await this.fuseData(sourceData, location, parameters);
-            
-            // Correlate and analyze
-            const correlatedData = await this.correlateData(fusedData, location);
-            
-            // Generate comprehensive analysis
-            const aggregatedResult = await this.generateAggregationResult(
-                correlatedData, 
-                location, 
-                parameters
-            );
-            
-            // Validate overall quality
-            const qualityReport = await this.qualityEngine.validateAggregatedData(aggregatedResult);
-            
-            if (qualityReport.score >= 0.7) {
-                // Cache successful aggregation
-                await this.cache.set(cacheKey, aggregatedResult);
-                return aggregatedResult;
-            } else {
-                throw new Error(`Aggregated data quality insufficient: ${qualityReport.issues.join(', ')}`);
-            }
+            return await this.cache.getOrFetch(cacheKey, async () => {
+                // Fetch data from all sources
+                const sourceData = await this.fetchMultiSourceData(location, parameters, options);
+                
+                // Perform data fusion
+                const fusedData = await this.fuseData(sourceData, location, parameters);
+                
+                // Correlate and analyze
+                const correlatedData = await this.correlateData(fusedData, location);
+                
+                // Generate comprehensive analysis
+                const aggregatedResult = await this.generateAggregationResult(
+                    correlatedData, 
+                    location, 
+                    parameters
+                );
+                
+                // Bad fields are flagged per observation and skipped by fusion, so a low score is reported rather than fatal
+                const qualityReport = await this.qualityEngine.validateAggregatedData(fusedData);
+                
+                if (qualityReport.score < 0.7) {
+                    console.warn(`🔄 Aggregated data quality low (${qualityReport.score.toFixed(2)}): ${qualityReport.issues.join(', ')}`);
+                }
+                return { ...aggregatedResult, dataQuality: qualityReport };
+            }, { forceRefresh: options.forceRefresh });
             
         } catch (error) {
             console.error('Data aggregation failed:', error);
@@ -124,10 +170,12 @@ export default class DataAggregator {
 
     async fetchMultiSourceData(location, parameters, options) {
         const dataPromises = [];
+        const requested = [];
         
         // Fetch from all available data sources
         Object.entries(this.dataSources).forEach(([source, config]) => {
             if (config.processor && this.shouldFetchSource(source, parameters)) {
+                requested.push(source);
                 dataPromises.push(
                     this.fetchFromSource(source, location, parameters, options)
                         .catch(error => {
@@ -142,7 +190,7 @@ export default class DataAggregator {
         
         const sourceData = {};
         results.forEach((result, index) => {
-            const source = Object.keys(this.dataSources)[index];
+            const source = requested[index];
             if (result.status === 'fulfilled') {
                 sourceData[source] = result.value;
             } else {
@@ -162,7 +210,7 @@ export default class DataAggregator {
             
             switch (source) {
                 case 'SATELLITE':
-                    data = await processor.getSatelliteImagery(location, options);
+                    data = await processor.getSatelliteImagery(location.lat, location.lon, new Date(), options);
                     break;
                 case 'RADAR':
                     data = await processor.ingestRadarData(location, options);
@@ -176,6 +224,9 @@ export default class DataAggregator {
                         limit: parameters.limit || 50
                     }, options);
                     break;
+                case 'WEATHER':
+                    data = await processor.getWeatherData({ lat: location.lat, lon: location.lon, type: 'current' }, options);
+                    break;
                 default:
                     throw new Error(`Unknown data source: ${source}`);
             }
@@ -243,10 +294,13 @@ export default class DataAggregator {
         // Fuse data from successful sources
         Object.entries(sourceData).forEach(([source, result]) => {
             if (result.metadata.success && result.data) {
-                fused.data[source] = this.normalizeSourceData(result.data, source);
+                fused.data[source] = this.normalizeSourceData(result.data, source, location);
             }
         });
 
+        // Every normalized observation goes into the historical store
+        await this.persistObservations(fused.data);
+
         // Perform temporal fusion
         fused.temporalFusion = await this.performTemporalFusion(fused.data);
         
@@ -262,66 +316,41 @@ export default class DataAggregator {
         return fused;
     }
 
-    normalizeSourceData(data, source) {
-        // Normalize data to common format
-        switch (source) {
-            case 'SATELLITE':
-                return this.normalizeSatelliteData(data);
-            case 'RADAR':
-                return this.normalizeRadarData(data);
-            case 'OCEAN':
-                return this.normalizeOceanData(data);
-            case 'NASA':
-                return this.normalizeNASAData(data);
-            default:
-                return data;
-        }
-    }
-
-    normalizeSatelliteData(satelliteData) {
-        return {
-            type: 'SATELLITE',
-            imagery: satelliteData.data?.NASA?.url,
-            cloudCover: satelliteData.data?.NASA?.cloud_score,
-            coordinates: satelliteData.coordinates,
-            timestamp: satelliteData.timestamp,
-            quality: satelliteData.quality
-        };
-    }
+    normalizeSourceData(data, source, location) {
+        // Every processor emits canonical observations, already assessed against its own history - keep only records that validate
+        const observations = (data.observations || []).filter(observation => {
+            const { valid, errors } = this.schema.validate(observation);
+            if (!valid) {
+                console.warn(`🔄 Dropping invalid ${source} observation: ${errors.join('; ')}`);
+            }
+            return valid;
+        });
+        const nearest = this.schema.nearest(observations, location.lat, location.lon);
+        const latest = this.schema.combineLatest(observations);
 
-    normalizeRadarData(radarData) {
         return {
-            type: 'RADAR',
-            precipitation: radarData.analysis?.precipitation,
-            storms: radarData.analysis?.stormCells,
-            wind: radarData.analysis?.windPatterns,
-            alerts: radarData.alerts,
-            timestamp: radarData.timestamp,
-            quality: radarData.quality
+            type: source,
+            schemaVersion: this.schema.version,
+            observations,
+            latest,
+            coordinates: nearest ? { lat: nearest.lat, lon: nearest.lon } : null,
+            timestamp: latest.time ?? data.timestamp,
+            analysis: data.analysis || {},
+            events: data.data?.events || [],
+            alerts: data.alerts || data.analysis?.alerts || [],
+            quality: data.quality,
+            checks: this.qualityEngine.summarize(observations, { required: false })
         };
     }
 
-    normalizeOceanData(oceanData) {
-        return {
-            type: 'OCEAN',
-            surfaceConditions: oceanData.analysis?.surfaceConditions,
-            waterProperties: oceanData.analysis?.waterProperties,
-            waveAnalysis: oceanData.analysis?.waveAnalysis,
-            alerts: oceanData.alerts,
-            timestamp: oceanData.timestamp,
-            quality: oceanData.quality
-        };
-    }
+    async persistObservations(data) {
+        const observations = Object.values(data).flatMap(sourceData => sourceData.observations);
 
-    normalizeNASAData(nasaData) {
-        return {
-            type: 'NASA',
-            events: nasaData.data?.events || [],
-            eventCount: nasaData.data?.eventCount || 0,
-            alerts: nasaData.analysis?.alerts || [],
-            timestamp: nasaData.timestamp,
-            quality: nasaData.quality
-        };
+        try {
+            await this.store.append(observations);
+        } catch (error) {
+            console.warn('🔄 Failed to persist observations:', error);
+        }
     }
 
     async performTemporalFusion(data) {
@@ -348,11 +377,10 @@ export default class DataAggregator {
             if (sourceData.coordinates) {
                 spatialData[source] = {
                     location: sourceData.coordinates,
-                    distance: this.calculateDistance(
+                    distance: distanceKm(
                         location.lat, location.lon,
                         sourceData.coordinates.lat, sourceData.coordinates.lon
-                    ),
-                    resolution: this.estimateSpatialResolution(sourceData)
+                    )
                 };
             }
         });
@@ -360,11 +388,31 @@ export default class DataAggregator {
         return {
             targetLocation: location,
             sourceLocations: spatialData,
-            spatialCoverage: this.assessSpatialCoverage(spatialData, location),
-            resolution: this.calculateEffectiveResolution(spatialData)
+            interpolated: this.interpolateAtTarget(data, location),
+            spatialCoverage: this.assessSpatialCoverage(spatialData)
         };
     }
 
+    // IDW estimate at the target from every station that reported each variable
+    interpolateAtTarget(data, location) {
+        const observations = Object.values(data)
+            .flatMap(sourceData => sourceData.observations)
+            .filter(observation => observation.kind === 'observation');
+        const interpolated = {};
+
+        ['temp_c', 'humidity', 'pressure_mb', 'wind_kph', 'precip_mm', 'water_temp_c', 'wave_height_m'].forEach(field => {
+            const points = observations
+                .filter(observation => observation[field] !== null && [undefined, 'ok'].includes(observation.quality?.flags?.[field]))
+                .map(observation => ({ lat: observation.lat, lon: observation.lon, value: observation[field] }));
+
+            // One point is not a field - nothing to interpolate
+            if (points.length < 2) return;
+            interpolated[field] = this.interpolator.estimateAt(points, location.lat, location.lon);
+        });
+
+        return interpolated;
+    }
+
     async performSemanticFusion(data) {
         // Fuse data semantically (meaning and context)
         const semanticGroups = {
@@ -382,44 +430,34 @@ export default class DataAggregator {
     }
 
     fuseWeatherData(data) {
-        const weatherSources = ['SATELLITE', 'RADAR'];
-        const weatherData = {};
-        
-        weatherSources.forEach(source => {
-            if (data[source]) {
-                if (data[source].precipitation) {
-                    weatherData.precipitation = data[source].precipitation;
-                }
-                if (data[source].wind) {
-                    weatherData.wind = data[source].wind;
-                }
-                if (data[source].cloudCover !== undefined) {
-                    weatherData.cloudCover = data[source].cloudCover;
-                }
-            }
-        });
-        
+        const weatherSources = ['WEATHER', 'SATELLITE', 'RADAR'];
+        const observations = weatherSources.flatMap(source => data[source]?.observations || []);
+        const weatherData = {
+            // Providers are weighted by their local track record, outliers rejected, spread reported
+            current: this.consensus.fuse(observations.filter(observation => observation.kind === 'observation'))
+        };
+
+        if (data.RADAR?.analysis.precipitation) {
+            weatherData.precipitation = data.RADAR.analysis.precipitation;
+        }
+        if (data.RADAR?.analysis.windPatterns) {
+            weatherData.wind = data.RADAR.analysis.windPatterns;
+        }
+        weatherData.cloudCover = weatherData.current.cloud;
+
         return weatherData;
     }
 
     fuseOceanData(data) {
-        const oceanSources = ['OCEAN', 'SATELLITE'];
         const oceanData = {};
-        
-        oceanSources.forEach(source => {
-            if (data[source]) {
-                if (data[source].waterProperties) {
-                    oceanData.waterProperties = data[source].waterProperties;
-                }
-                if (data[source].waveAnalysis) {
-                    oceanData.waveAnalysis = data[source].waveAnalysis;
-                }
-                if (data[source].surfaceConditions) {
-                    oceanData.surfaceConditions = data[source].surfaceConditions;
-                }
-            }
-        });
-        
+
+        if (data.OCEAN) {
+            oceanData.current = data.OCEAN.latest;
+            oceanData.waterProperties = data.OCEAN.analysis.waterProperties;
+            oceanData.waveAnalysis = data.OCEAN.analysis.waveAnalysis;
+            oceanData.surfaceConditions = data.OCEAN.analysis.surfaceConditions;
+        }
+
         return oceanData;
     }
 
@@ -512,7 +550,7 @@ export default class DataAggregator {
         const causalRelationships = [];
         
         // Example: High ocean temperatures might correlate with specific weather patterns
-        if (fusedData.semanticFusion.groups.ocean?.waterProperties?.surfaceTemperature > 25 &&
+        if (fusedData.semanticFusion.groups.ocean?.waterProperties?.averageWaterTemperature > 25 &&
             fusedData.semanticFusion.groups.weather?.precipitation?.currentIntensity === 'HEAVY') {
             causalRelationships.push({
                 cause: 'HIGH_OCEAN_TEMP',
@@ -561,3 +599,146 @@ export default class DataAggregator {
 
     // Aggregation result generation
     async generateAggregationResult(correlatedData, location, parameters) {
+        const { groups } = correlatedData.semanticFusion;
+
+        return {
+            location,
+            parameters,
+            timestamp: correlatedData.timestamp,
+            sources: correlatedData.sources,
+            current: groups.weather.current,
+            interpolated: correlatedData.spatialFusion.interpolated,
+            precipitation: groups.weather.precipitation ?? null,
+            wind: groups.weather.wind ?? null,
+            ocean: groups.ocean,
+            events: groups.events,
+            alerts: groups.alerts,
+            conflicts: correlatedData.semanticFusion.conflicts,
+            correlations: correlatedData.correlations,
+            confidence: correlatedData.confidence,
+            insights: correlatedData.insights,
+            fusionMetrics: correlatedData.fusionMetrics
+        };
+    }
+
+    calculateFusionMetrics(fused) {
+        const sources = Object.values(fused.data);
+        const scored = sources.filter(sourceData => sourceData.checks.observationCount > 0);
+
+        return {
+            sourceCount: sources.length,
+            observationCount: sources.reduce((sum, sourceData) => sum + sourceData.observations.length, 0),
+            averageQuality: scored.length > 0
+                ? scored.reduce((sum, sourceData) => sum + sourceData.checks.score, 0) / scored.length
+                : null
+        };
+    }
+
+    assessTemporalAlignment(timestamps) {
+        return {
+            sources: timestamps.length,
+            maxDiff: timestamps.length > 1 ? Math.max(...timestamps) - Math.min(...timestamps) : 0
+        };
+    }
+
+    calculateTimeWindow(timestamps) {
+        if (timestamps.length === 0) return null;
+        return {
+            start: new Date(Math.min(...timestamps)).toISOString(),
+            end: new Date(Math.max(...timestamps)).toISOString()
+        };
+    }
+
+    assessSpatialCoverage(spatialData) {
+        const distances = Object.values(spatialData).map(info => info.distance).filter(Number.isFinite);
+
+        return {
+            sources: distances.length,
+            within50km: distances.filter(distance => distance < 50).length,
+            nearestKm: distances.length > 0 ? Math.round(Math.min(...distances) * 10) / 10 : null
+        };
+    }
+
+    // Share of fused weather fields where every provider fell inside the consensus
+    assessSemanticConsistency(groups) {
+        const results = Object.values(groups.weather.current.consensus || {});
+        if (results.length === 0) return null;
+        return results.filter(result => result.rejected.length === 0).length / results.length;
+    }
+
+    detectSemanticConflicts(groups) {
+        return Object.entries(groups.weather.current.consensus || {})
+            .filter(([, result]) => result.rejected.length > 0)
+            .map(([field, result]) => ({ field, consensus: result.value, rejected: result.rejected }));
+    }
+
+    // The same alert from several sources is listed once, most severe first
+    deduplicateAndPrioritizeAlerts(alerts) {
+        const unique = new Map();
+        alerts.forEach(alert => {
+            const key = `${alert.type || alert.event}|${alert.message || alert.headline}`;
+            if (!unique.has(key)) unique.set(key, alert);
+        });
+
+        const rank = alert => {
+            const index = ALERT_SEVERITY_RANK.indexOf(String(alert.severity).toUpperCase());
+            return index === -1 ? ALERT_SEVERITY_RANK.length : index;
+        };
+
+        return Array.from(unique.values()).sort((a, b) => rank(a) - rank(b));
+    }
+
+    calculateCorrelationConfidence(correlations) {
+        const parts = [
+            correlations.spatial.overallConfidence,
+            correlations.temporal.confidence,
+            correlations.crossSource.overallConsistency
+        ];
+        return parts.reduce((sum, part) => sum + part, 0) / parts.length;
+    }
+
+    extractCorrelationInsights(correlations) {
+        const insights = correlations.causal.relationships.map(relationship => relationship.explanation);
+
+        correlations.crossSource.correlations.forEach(correlation => {
+            insights.push(`${correlation.sources.join(' and ')} agree on ${correlation.agreeingFields.join(', ')}`);
+        });
+
+        return insights;
+    }
+
+    assessTemporalSynchronicity(fusedData) {
+        const { maxDiff } = fusedData.temporalFusion.temporalAlignment;
+        if (maxDiff <= 15 * 60 * 1000) return 'SYNCHRONOUS';
+        if (maxDiff <= 60 * 60 * 1000) return 'NEAR_SYNCHRONOUS';
+        return 'ASYNCHRONOUS';
+    }
+
+    // Agreement between the latest values two sources both report, within the usual provider tolerance
+    calculateSourceCorrelation(sourceA, sourceB) {
+        const commonFields = Object.keys(FIELD_TOLERANCE).filter(field =>
+            Number.isFinite(sourceA.latest?.[field]) && Number.isFinite(sourceB.latest?.[field])
+        );
+
+        const agreeingFields = commonFields.filter(field => {
+            let difference = Math.abs(sourceA.latest[field] - sourceB.latest[field]);
+            if (CIRCULAR_FIELDS.includes(field)) difference = Math.min(difference, 360 - difference);
+            return difference <= FIELD_TOLERANCE[field] * 2;
+        });
+
+        return {
+            commonFields,
+            agreeingFields,
+            confidence: commonFields.length > 0 ? agreeingFields.length / commonFields.length : 0
+        };
+    }
+
+    enhanceAggregationError(error, context) {
+        const enhancedError = new Error(`DataAggregator.${context}: ${error.message}`);
+        enhancedError.originalError = error;
+        enhancedError.timestamp = new Date();
+        enhancedError.context = context;
+        enhancedError.status = gatewayStatus(error);
+        return enhancedError;
+    }
+}
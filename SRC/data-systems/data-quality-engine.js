@@ -0,0 +1,321 @@
+/**
+ * 🧪 Data Quality Engine
+ * Per-field quality control for canonical observations
+ *
+ * Checks run field by field and write their verdict into
+ * `observation.quality.flags` (ok, missing, out_of_range, spike, stuck,
+ * inconsistent) so fusion can skip a bad field without discarding the rest of
+ * the record. Spike and stuck-sensor checks compare against a short history
+ * kept per series (system + provider + station or location).
+ */
+
+import { ObservationSchema } from './observation-schema.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Largest believable change per hour - anything faster is a spike or a step
+const STEP_LIMITS = {
+    temp_c: 8,
+    feelslike_c: 12,
+    dewpoint_c: 8,
+    humidity: 40,
+    pressure_mb: 6,
+    wind_kph: 60,
+    gust_kph: 80,
+    water_temp_c: 3,
+    wave_height_m: 4
+};
+
+// Fields a healthy buoy sensor never reports as perfectly flat for hours
+const STUCK_FIELDS = ['temp_c', 'dewpoint_c', 'pressure_mb', 'wind_kph', 'wind_degree', 'water_temp_c', 'wave_height_m', 'wave_period_s'];
+
+// How old an observation may be before it no longer describes "now"
+const MAX_AGE_MS = {
+    WEATHER: 3 * HOUR_MS,
+    RADAR: 30 * 60 * 1000,
+    OCEAN: 6 * HOUR_MS,
+    SATELLITE: 7 * 24 * HOUR_MS, // GHCND daily summaries lag by days
+    NASA: 30 * 24 * HOUR_MS
+};
+
+const CHECK_FLAGS = ['out_of_range', 'spike', 'stuck', 'inconsistent'];
+
+// Values that must never become the reference the next reading is compared against
+const UNTRUSTED_FLAGS = ['missing', 'out_of_range', 'spike', 'stuck'];
+
+export class DataQualityEngine {
+    constructor(options = {}) {
+        this.schema = new ObservationSchema();
+        this.maxAgeMs = { ...MAX_AGE_MS, ...options.maxAgeMs };
+        this.stuckSystems = options.stuckSystems || ['OCEAN'];
+        this.stepWindowMs = options.stepWindowMs || 6 * HOUR_MS;
+        this.stuckMinSamples = options.stuckMinSamples || 6;
+        this.stuckMinSpanMs = options.stuckMinSpanMs || 5 * HOUR_MS;
+        this.historyLength = options.historyLength || 24;
+        this.maxSeries = options.maxSeries || 2000;
+
+        this.history = new Map();
+        this.metrics = {
+            checked: 0,
+            stale: 0,
+            flags: Object.fromEntries(CHECK_FLAGS.map(flag => [flag, 0]))
+        };
+    }
+
+    // Run every check on one observation and attach the verdicts to it
+    assessObservation(observation, now = Date.now()) {
+        const { flags } = this.schema.assessFields(observation);
+        const issues = [];
+
+        this.checkConsistency(observation, flags);
+
+        // Forecasts and events have no sensor history to compare against
+        if (observation.kind === 'observation') {
+            this.checkHistory(observation, flags);
+        }
+
+        const stale = this.isStale(observation, now);
+        if (stale) issues.push('stale');
+
+        let present = 0;
+        let ok = 0;
+        Object.entries(flags).forEach(([field, flag]) => {
+            if (flag === 'missing') return;
+            present++;
+            if (flag === 'ok') {
+                ok++;
+            } else {
+                issues.push(`${field}: ${flag}`);
+                this.metrics.flags[flag]++;
+            }
+        });
+
+        this.metrics.checked++;
+        if (stale) this.metrics.stale++;
+
+        observation.quality = {
+            flags,
+            score: present > 0 ? ok / present : null,
+            stale,
+            issues
+        };
+
+        return observation.quality;
+    }
+
+    assessObservations(observations = [], now = Date.now()) {
+        // Oldest first so each record is compared against the one before it
+        [...observations]
+            .sort((a, b) => Date.parse(a.time) - Date.parse(b.time))
+            .forEach(observation => this.assessObservation(observation, now));
+        return observations;
+    }
+
+    checkConsistency(observation, flags) {
+        const bothOk = (a, b) => flags[a] === 'ok' && flags[b] === 'ok';
+
+        // Half a degree / one km/h of slack for provider rounding
+        if (bothOk('dewpoint_c', 'temp_c') && observation.dewpoint_c > observation.temp_c + 0.5) {
+            flags.dewpoint_c = 'inconsistent';
+        }
+        if (bothOk('gust_kph', 'wind_kph') && observation.gust_kph < observation.wind_kph - 1) {
+            flags.gust_kph = 'inconsistent';
+        }
+        if (bothOk('temp_min_c', 'temp_max_c') && observation.temp_min_c > observation.temp_max_c) {
+            flags.temp_min_c = 'inconsistent';
+            flags.temp_max_c = 'inconsistent';
+        }
+    }
+
+    checkHistory(observation, flags) {
+        const time = Date.parse(observation.time);
+        if (isNaN(time)) return;
+
+        const series = this.getSeries(this.seriesKey(observation));
+        const earlier = series.filter(record => record.time < time);
+
+        Object.entries(STEP_LIMITS).forEach(([field, limitPerHour]) => {
+            if (flags[field] !== 'ok') return;
+
+            const previous = [...earlier].reverse().find(record => record.values[field] !== undefined);
+            if (!previous || time - previous.time > this.stepWindowMs) return;
+
+            // Short gaps get a full hour's allowance so sub-hourly jitter is not a spike
+            const hours = Math.max((time - previous.time) / HOUR_MS, 1);
+            if (Math.abs(observation[field] - previous.values[field]) > limitPerHour * hours) {
+                flags[field] = 'spike';
+            }
+        });
+
+        if (this.stuckSystems.includes(observation.source?.system)) {
+            STUCK_FIELDS.forEach(field => {
+                if (flags[field] !== 'ok' || observation[field] === 0) return; // calm is a real constant
+
+                const samples = [...earlier.filter(record => record.values[field] !== undefined), { time, values: { [field]: observation[field] } }]
+                    .slice(-this.stuckMinSamples);
+
+                if (samples.length >= this.stuckMinSamples &&
+                    time - samples[0].time >= this.stuckMinSpanMs &&
+                    samples.every(sample => sample.values[field] === observation[field])) {
+                    flags[field] = 'stuck';
+                }
+            });
+        }
+
+        this.remember(series, time, observation, flags);
+    }
+
+    remember(series, time, observation, flags) {
+        // A re-delivered record (cache, refetch) must not become its own reference point
+        if (series.some(record => record.time === time)) return;
+
+        // A spike kept as history would flag the recovery after it as a second spike
+        const values = {};
+        Object.keys(STEP_LIMITS).concat(STUCK_FIELDS).forEach(field => {
+            if (flags[field] && !UNTRUSTED_FLAGS.includes(flags[field])) {
+                values[field] = observation[field];
+            }
+        });
+
+        series.push({ time, values });
+        series.sort((a, b) => a.time - b.time);
+        if (series.length > this.historyLength) series.shift();
+    }
+
+    getSeries(key) {
+        if (!this.history.has(key)) {
+            if (this.history.size >= this.maxSeries) {
+                this.history.delete(this.history.keys().next().value);
+            }
+            this.history.set(key, []);
+        }
+        return this.history.get(key);
+    }
+
+    seriesKey(observation) {
+        const { system, provider, station } = observation.source || {};
+        return `${system}|${provider}|${station || `${observation.lat?.toFixed(2)},${observation.lon?.toFixed(2)}`}`;
+    }
+
+    isStale(observation, now) {
+        if (observation.kind !== 'observation') return false;
+
+        const maxAge = this.maxAgeMs[observation.source?.system];
+        const time = Date.parse(observation.time);
+        return Boolean(maxAge) && !isNaN(time) && now - time > maxAge;
+    }
+
+    // Report over observations that have already been assessed
+    summarize(observations = [], options = {}) {
+        const { required = true } = options;
+
+        if (observations.length === 0) {
+            return {
+                score: required ? 0 : 1,
+                issues: required ? ['no observations'] : [],
+                observationCount: 0,
+                staleCount: 0,
+                flagCounts: {}
+            };
+        }
+
+        const flagCounts = {};
+        let staleCount = 0;
+        let scoreSum = 0;
+        let scored = 0;
+
+        observations.forEach(observation => {
+            const quality = observation.quality || {};
+
+            Object.entries(quality.flags || {}).forEach(([field, flag]) => {
+                if (!CHECK_FLAGS.includes(flag)) return;
+                const label = `${field}: ${flag}`;
+                flagCounts[label] = (flagCounts[label] || 0) + 1;
+            });
+
+            if (quality.stale) staleCount++;
+            if (quality.score !== null && quality.score !== undefined) {
+                // Stale data still counts, at half weight
+                scoreSum += quality.stale ? quality.score / 2 : quality.score;
+                scored++;
+            }
+        });
+
+        const issues = Object.entries(flagCounts).map(([label, count]) => `${label} (${count})`);
+        if (staleCount > 0) {
+            issues.push(`${staleCount} stale observation${staleCount === 1 ? '' : 's'}`);
+        }
+
+        return {
+            score: scored > 0 ? scoreSum / scored : 0,
+            issues,
+            observationCount: observations.length,
+            staleCount,
+            flagCounts
+        };
+    }
+
+    validateObservations(observations = [], options = {}) {
+        this.assessObservations(observations);
+        return this.summarize(observations, options);
+    }
+
+    // Entry points used by the data systems
+    async validateWeatherData(processed) {
+        return this.validateObservations(processed.observations);
+    }
+
+    async validateBuoyData(processed) {
+        return this.validateObservations(processed.observations);
+    }
+
+    async validateRadarData(processed) {
+        return this.validateObservations(processed.observations);
+    }
+
+    async validateImagery(imagery) {
+        return this.validateObservations(imagery.observations);
+    }
+
+    // Most NASA APIs (APOD, EPIC, ...) carry no measurements, so none is not a failure
+    async validateNASAData(processed) {
+        return this.validateObservations(processed.observations, { required: false });
+    }
+
+    async validateDataset(data) {
+        return this.validateObservations(data.observations, { required: false });
+    }
+
+    // Fused sources were assessed by their processors - this only reports
+    async validateAggregatedData(fused) {
+        const bySource = {};
+        let weightedScore = 0;
+        let total = 0;
+        const issues = [];
+
+        Object.entries(fused.data || {}).forEach(([source, sourceData]) => {
+            const report = this.summarize(sourceData.observations || [], { required: false });
+            bySource[source] = report;
+            weightedScore += report.score * report.observationCount;
+            total += report.observationCount;
+            report.issues.forEach(issue => issues.push(`${source} ${issue}`));
+        });
+
+        if (total === 0) issues.push('no observations');
+
+        return {
+            score: total > 0 ? weightedScore / total : 0,
+            issues,
+            observationCount: total,
+            bySource
+        };
+    }
+
+    getMetrics() {
+        return {
+            ...this.metrics,
+            flags: { ...this.metrics.flags },
+            trackedSeries: this.history.size
+        };
+    }
+}
@@ -0,0 +1,301 @@
+/**
+ * 🏙️ Gazetteer
+ * Offline forward and reverse geocoding against a local cities file
+ *
+ * Reads GAZETTEER_PATH (default data/gazetteer/cities.tsv, a bundled list of
+ * major cities). A GeoNames cities*.txt export works too; its admin1 names
+ * come from admin1CodesASCII.txt in the same directory, and
+ * `npm run gazetteer:fetch` downloads both. Names are matched
+ * case- and accent-insensitively: exact names first, then alternate names,
+ * then prefixes, then small typos. "Portland, OR" or "London, UK" style
+ * qualifiers (and the country / admin1 options) narrow the candidates, and
+ * population breaks ties.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { KDTree } from '../utils/spatial-index.js';
+
+const MATCH_RANK = { NAME: 0, ALTERNATE: 1, PREFIX: 2, FUZZY: 3 };
+const MIN_PREFIX_LENGTH = 3;
+const GEONAMES_COLUMNS = 19;
+
+// Letters NFKD leaves alone
+const FOLDED_LETTERS = { ß: 'ss', æ: 'ae', œ: 'oe', ø: 'o', ł: 'l', đ: 'd', ð: 'd', þ: 'th', ı: 'i' };
+
+// Names accepted as country qualifiers besides the ISO code
+const COUNTRY_NAMES = {
+    AE: ['United Arab Emirates', 'UAE'], AR: ['Argentina'], AT: ['Austria', 'Österreich'], AU: ['Australia'],
+    BD: ['Bangladesh'], BE: ['Belgium', 'Belgique', 'België'], BR: ['Brazil', 'Brasil'], CA: ['Canada'],
+    CH: ['Switzerland', 'Schweiz', 'Suisse', 'Svizzera'], CL: ['Chile'], CN: ['China'], CO: ['Colombia'],
+    CR: ['Costa Rica'], CU: ['Cuba'], CZ: ['Czechia', 'Czech Republic'], DE: ['Germany', 'Deutschland'],
+    DK: ['Denmark', 'Danmark'], EC: ['Ecuador'], EG: ['Egypt'], ES: ['Spain', 'España'], ET: ['Ethiopia'],
+    FI: ['Finland', 'Suomi'], FR: ['France'], GB: ['United Kingdom', 'UK', 'Great Britain', 'Britain', 'England', 'Scotland', 'Wales'],
+    GH: ['Ghana'], GR: ['Greece', 'Hellas'], HK: ['Hong Kong'], HU: ['Hungary', 'Magyarország'], ID: ['Indonesia'],
+    IE: ['Ireland', 'Éire'], IL: ['Israel'], IN: ['India', 'Bharat'], IR: ['Iran'], IS: ['Iceland', 'Ísland'],
+    IT: ['Italy', 'Italia'], JM: ['Jamaica'], JP: ['Japan', 'Nippon'], KE: ['Kenya'], KR: ['South Korea', 'Korea'],
+    MA: ['Morocco'], MX: ['Mexico', 'México'], MY: ['Malaysia'], NG: ['Nigeria'], NL: ['Netherlands', 'Holland', 'Nederland'],
+    NO: ['Norway', 'Norge'], NZ: ['New Zealand', 'Aotearoa'], PA: ['Panama', 'Panamá'], PE: ['Peru', 'Perú'],
+    PH: ['Philippines'], PK: ['Pakistan'], PL: ['Poland', 'Polska'], PT: ['Portugal'], RO: ['Romania', 'România'],
+    RU: ['Russia', 'Russian Federation'], SA: ['Saudi Arabia'], SE: ['Sweden', 'Sverige'], SG: ['Singapore'],
+    TH: ['Thailand'], TR: ['Turkey', 'Türkiye'], TW: ['Taiwan'], UA: ['Ukraine'],
+    US: ['United States', 'United States of America', 'USA', 'America'], UY: ['Uruguay'], VE: ['Venezuela'],
+    VN: ['Vietnam', 'Viet Nam'], ZA: ['South Africa']
+};
+
+export function normalizeName(value) {
+    return String(value ?? '')
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[ßæœøłđðþı]/g, letter => FOLDED_LETTERS[letter])
+        .replace(/\bst\b\.?/g, 'saint')
+        .replace(/[^\p{L}\p{N}]+/gu, ' ')
+        .trim();
+}
+
+// Optimal string alignment distance, giving up once it exceeds `limit`
+function editDistance(a, b, limit) {
+    if (Math.abs(a.length - b.length) > limit) return Infinity;
+
+    let previousRow = null;
+    let row = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+    for (let i = 1; i <= a.length; i++) {
+        const next = [i];
+        let rowMinimum = i;
+
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let value = Math.min(row[j] + 1, next[j - 1] + 1, row[j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                value = Math.min(value, previousRow[j - 2] + 1);
+            }
+            next.push(value);
+            rowMinimum = Math.min(rowMinimum, value);
+        }
+
+        if (rowMinimum > limit) return Infinity;
+        previousRow = row;
+        row = next;
+    }
+
+    return row[b.length] <= limit ? row[b.length] : Infinity;
+}
+
+export class Gazetteer {
+    constructor(options = {}) {
+        this.citiesPath = path.resolve(options.citiesPath || process.env.GAZETTEER_PATH || 'data/gazetteer/cities.tsv');
+        this.places = [];
+        this.names = new Map();     // normalized name -> [{ place, kind }]
+        this.index = new KDTree([]);
+        this.loaded = null;
+    }
+
+    load() {
+        if (!this.loaded) {
+            this.loaded = this.readPlaces().then(places => {
+                this.places = places;
+                this.buildIndexes();
+                console.log(`🏙️ Gazetteer loaded ${places.length} places from ${this.citiesPath}`);
+            });
+            this.loaded.catch(() => { this.loaded = null; });
+        }
+        return this.loaded;
+    }
+
+    async readPlaces() {
+        const text = await fs.readFile(this.citiesPath, 'utf8');
+        const rows = text.split('\n')
+            .filter(line => line.trim() && !line.startsWith('#'))
+            .map(line => line.split('\t'));
+
+        if (rows.length > 0 && rows[0].length >= GEONAMES_COLUMNS) {
+            const admin1Names = await this.readAdmin1Names();
+            return rows.map(row => this.parseGeoNamesRow(row, admin1Names)).filter(Boolean);
+        }
+        return rows.map(row => this.parseBundledRow(row)).filter(Boolean);
+    }
+
+    // name, asciiname, alternatenames, country, admin1, admin1_name, latitude, longitude, population, timezone
+    parseBundledRow([name, asciiName, alternates, country, admin1, admin1Name, lat, lon, population, timezone]) {
+        return this.createPlace({
+            id: `${country}.${admin1}.${normalizeName(asciiName || name).replace(/ /g, '-')}`,
+            name, asciiName, alternates, country, admin1, admin1Name, lat, lon, population, timezone
+        });
+    }
+
+    // http://download.geonames.org/export/dump/readme.txt
+    parseGeoNamesRow(row, admin1Names) {
+        const [id, name, asciiName, alternates, lat, lon, , , country, , admin1] = row;
+        return this.createPlace({
+            id, name, asciiName, alternates, country, admin1,
+            admin1Name: admin1Names.get(`${country}.${admin1}`) || null,
+            lat, lon,
+            population: row[14],
+            timezone: row[17]
+        });
+    }
+
+    async readAdmin1Names() {
+        const file = path.join(path.dirname(this.citiesPath), 'admin1CodesASCII.txt');
+        try {
+            const text = await fs.readFile(file, 'utf8');
+            return new Map(text.split('\n').filter(Boolean).map(line => {
+                const [code, name] = line.split('\t');
+                return [code, name];
+            }));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            console.warn(`🏙️ No ${file}, admin1 regions will match by code only`);
+            return new Map();
+        }
+    }
+
+    createPlace({ id, name, asciiName, alternates, country, admin1, admin1Name, lat, lon, population, timezone }) {
+        const latitude = parseFloat(lat);
+        const longitude = parseFloat(lon);
+        if (!name || !Number.isFinite(latitude) || !Number.isFinite(longitude)) return null;
+
+        return {
+            id: String(id),
+            name,
+            asciiName: asciiName || name,
+            alternateNames: (alternates || '').split(',').map(value => value.trim()).filter(Boolean),
+            country: country || null,
+            admin1: admin1 || null,
+            admin1Name: admin1Name || null,
+            lat: latitude,
+            lon: longitude,
+            population: parseInt(population, 10) || 0,
+            timezone: timezone || null
+        };
+    }
+
+    buildIndexes() {
+        this.names = new Map();
+        const add = (value, place, kind) => {
+            const key = normalizeName(value);
+            if (!key) return;
+
+            const entries = this.names.get(key) || [];
+            const existing = entries.find(entry => entry.place === place);
+            if (!existing) {
+                entries.push({ place, kind });
+            } else if (MATCH_RANK[kind] < MATCH_RANK[existing.kind]) {
+                existing.kind = kind;
+            }
+            this.names.set(key, entries);
+        };
+
+        this.places.forEach(place => {
+            add(place.name, place, 'NAME');
+            add(place.asciiName, place, 'NAME');
+            place.alternateNames.forEach(alternate => add(alternate, place, 'ALTERNATE'));
+        });
+
+        this.index = new KDTree(this.places);
+    }
+
+    // "Portland, OR" -> best matches, each with how the name matched
+    async geocode(query, options = {}) {
+        await this.load();
+        const { limit = 5 } = options;
+
+        const [namePart, ...qualifierParts] = String(query ?? '').split(',');
+        const name = normalizeName(namePart);
+        if (!name) {
+            const error = new Error('Empty place name');
+            error.status = 400;
+            throw error;
+        }
+
+        const qualifiers = [...qualifierParts, options.admin1, options.country]
+            .map(normalizeName)
+            .filter(Boolean);
+
+        const candidates = this.findCandidates(name)
+            .filter(candidate => qualifiers.every(qualifier => this.matchesQualifier(candidate.place, qualifier)));
+
+        return candidates
+            .sort((a, b) =>
+                MATCH_RANK[a.kind] - MATCH_RANK[b.kind] ||
+                a.distance - b.distance ||
+                b.place.population - a.place.population)
+            .slice(0, limit)
+            .map(({ place, kind, distance }) => ({ ...this.describe(place), match: { type: kind, distance } }));
+    }
+
+    // Tiered so a typo never outranks a real name: exact, then prefix, then fuzzy
+    findCandidates(name) {
+        const exact = this.names.get(name);
+        if (exact) return exact.map(entry => ({ ...entry, distance: 0 }));
+
+        const collect = test => {
+            const best = new Map();
+            this.names.forEach((entries, key) => {
+                const distance = test(key);
+                if (distance === null) return;
+                entries.forEach(({ place }) => {
+                    if (!best.has(place) || best.get(place) > distance) best.set(place, distance);
+                });
+            });
+            return Array.from(best, ([place, distance]) => ({ place, distance }));
+        };
+
+        if (name.length >= MIN_PREFIX_LENGTH) {
+            const prefixed = collect(key => (key.startsWith(name) ? key.length - name.length : null));
+            if (prefixed.length > 0) return prefixed.map(candidate => ({ ...candidate, kind: 'PREFIX' }));
+        }
+
+        const maxEdits = name.length <= 4 ? 0 : name.length <= 8 ? 1 : 2;
+        if (maxEdits === 0) return [];
+
+        return collect(key => {
+            const distance = editDistance(name, key, maxEdits);
+            return Number.isFinite(distance) ? distance : null;
+        }).map(candidate => ({ ...candidate, kind: 'FUZZY' }));
+    }
+
+    matchesQualifier(place, qualifier) {
+        const values = [
+            place.country,
+            ...(COUNTRY_NAMES[place.country] || []),
+            place.admin1,
+            place.admin1Name
+        ];
+        return values.some(value => value && normalizeName(value) === qualifier);
+    }
+
+    // Nearest place within maxDistanceKm, or null out at sea / in empty country
+    async reverse(lat, lon, options = {}) {
+        await this.load();
+        const { maxDistanceKm = 50 } = options;
+
+        const [nearest] = this.index.nearest(lat, lon, 1, { maxDistanceKm });
+        if (!nearest) return null;
+
+        return { ...this.describe(nearest.item), distance_km: Math.round(nearest.distance_km * 10) / 10 };
+    }
+
+    describe(place) {
+        return {
+            id: place.id,
+            name: place.name,
+            country: place.country,
+            admin1: place.admin1,
+            admin1Name: place.admin1Name,
+            lat: place.lat,
+            lon: place.lon,
+            population: place.population,
+            timezone: place.timezone
+        };
+    }
+
+    getStatus() {
+        return { path: this.citiesPath, places: this.places.length, names: this.names.size };
+    }
+}
+
+// Shared by the location resolver and the weather integration
+export const gazetteer = new Gazetteer();
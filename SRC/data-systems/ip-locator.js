@@ -0,0 +1,311 @@
+/**
+ * 🌐 IP Locator
+ * Client IP -> approximate location, offline, from a local IP-range database
+ *
+ * Reads the CSV at IP_LOCATION_DB_PATH (default data/ip-ranges/ip-city.csv)
+ * in either of the free city-level layouts: DB-IP "IP to City Lite"
+ * (start, end, continent, country, region, city, lat, lon, addresses written
+ * out) or IP2Location LITE DB5 (the same with integer ranges and country
+ * code then name). IPv4 ranges sit in typed arrays and IPv6 ranges in
+ * BigInts, both binary searched. Private, loopback, link-local and multicast
+ * addresses are never looked up.
+ *
+ * No database is bundled: `npm run ip-ranges:fetch` downloads the current
+ * DB-IP Lite release (CC BY 4.0, credit DB-IP wherever results are shown).
+ * Without one every lookup answers null and callers must supply a location.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { describeAccuracy, estimateIPAccuracy } from '../utils/geo-locator.js';
+
+const IPV4_MAPPED_PREFIX = 0xffffn << 32n;
+
+// [network, prefix length]
+const RESERVED_IPV4 = [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.168.0.0', 16], ['224.0.0.0', 4], ['240.0.0.0', 4]
+];
+const RESERVED_IPV6 = [['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]];
+
+function createIPError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+function parseIPv4(value) {
+    const parts = value.split('.');
+    if (parts.length !== 4 || !parts.every(part => /^\d{1,3}$/.test(part) && Number(part) <= 255)) {
+        return null;
+    }
+    return parts.reduce((address, part) => address * 256 + Number(part), 0);
+}
+
+function parseIPv6(value) {
+    let address = value.split('%')[0];
+
+    // Dotted IPv4 tail, e.g. ::ffff:192.0.2.1
+    const tail = address.match(/^(.*:)(\d+\.\d+\.\d+\.\d+)$/);
+    if (tail) {
+        const ipv4 = parseIPv4(tail[2]);
+        if (ipv4 === null) return null;
+        address = `${tail[1]}${Math.floor(ipv4 / 65536).toString(16)}:${(ipv4 % 65536).toString(16)}`;
+    }
+
+    const halves = address.split('::');
+    if (halves.length > 2) return null;
+
+    const head = halves[0] ? halves[0].split(':') : [];
+    const rest = halves.length === 2 && halves[1] ? halves[1].split(':') : [];
+    const missing = 8 - head.length - rest.length;
+    if (halves.length === 2 ? missing < 1 : missing !== 0) return null;
+
+    const groups = [...head, ...new Array(halves.length === 2 ? missing : 0).fill('0'), ...rest];
+    if (!groups.every(group => /^[0-9a-f]{1,4}$/i.test(group))) return null;
+
+    return groups.reduce((value, group) => (value << 16n) | BigInt(parseInt(group, 16)), 0n);
+}
+
+// { version: 4, value: number } or { version: 6, value: bigint }; IPv4-mapped IPv6 counts as IPv4
+export function parseIP(value) {
+    if (typeof value !== 'string') return null;
+    const address = value.trim();
+
+    if (address.includes(':')) {
+        const ipv6 = parseIPv6(address);
+        if (ipv6 === null) return null;
+        return ipv6 >> 32n === 0xffffn
+            ? { version: 4, value: Number(ipv6 - IPV4_MAPPED_PREFIX) }
+            : { version: 6, value: ipv6 };
+    }
+
+    const ipv4 = parseIPv4(address);
+    return ipv4 === null ? null : { version: 4, value: ipv4 };
+}
+
+// Integer columns (IP2Location) mean IPv4 below 2^32, IPv4-mapped or IPv6 above
+function parseRangeBound(value) {
+    if (!/^\d+$/.test(value)) return parseIP(value);
+
+    const number = BigInt(value);
+    if (number < 2n ** 32n) return { version: 4, value: Number(number) };
+    if (number >> 32n === 0xffffn) return { version: 4, value: Number(number - IPV4_MAPPED_PREFIX) };
+    return { version: 6, value: number };
+}
+
+export function isReservedIP({ version, value }) {
+    if (version === 4) {
+        return RESERVED_IPV4.some(([network, prefix]) => {
+            const size = 2 ** (32 - prefix);
+            return Math.floor(value / size) === Math.floor(parseIPv4(network) / size);
+        });
+    }
+    return RESERVED_IPV6.some(([network, prefix]) => {
+        const shift = BigInt(128 - prefix);
+        return value >> shift === parseIPv6(network) >> shift;
+    });
+}
+
+// Express's req.ip honours the app's "trust proxy" setting for X-Forwarded-For
+export function clientIP(req) {
+    const address = req.ip || req.socket?.remoteAddress || '';
+    return address.startsWith('::ffff:') && address.includes('.') ? address.slice(7) : address;
+}
+
+function parseCSVLine(line) {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            fields.push(field);
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    fields.push(field);
+    return fields;
+}
+
+function emptyTable() {
+    return { starts: [], ends: [], places: [] };
+}
+
+// Last range starting at or below `value`, if it also ends at or above it
+function searchTable(table, value) {
+    let low = 0;
+    let high = table.starts.length - 1;
+    let found = -1;
+
+    while (low <= high) {
+        const middle = (low + high) >>> 1;
+        if (table.starts[middle] <= value) {
+            found = middle;
+            low = middle + 1;
+        } else {
+            high = middle - 1;
+        }
+    }
+
+    return found >= 0 && value <= table.ends[found] ? table.places[found] : -1;
+}
+
+export class IPLocator {
+    constructor(options = {}) {
+        this.databasePath = path.resolve(options.databasePath || process.env.IP_LOCATION_DB_PATH || 'data/ip-ranges/ip-city.csv');
+        this.places = [];
+        this.ipv4 = emptyTable();
+        this.ipv6 = emptyTable();
+        this.loaded = null;
+        this.loadedAt = null;
+    }
+
+    load() {
+        if (!this.loaded) {
+            this.loaded = this.readDatabase().then(() => {
+                this.loadedAt = new Date();
+                const ranges = this.ipv4.starts.length + this.ipv6.starts.length;
+                if (ranges > 0) {
+                    console.log(`🌐 Loaded ${ranges} IP ranges (${this.places.length} places) from ${this.databasePath}`);
+                }
+            });
+            this.loaded.catch(() => { this.loaded = null; });
+        }
+        return this.loaded;
+    }
+
+    async readDatabase() {
+        try {
+            await fs.promises.access(this.databasePath);
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            console.warn(`🌐 No IP-range database at ${this.databasePath}, IP location unavailable`);
+            return;
+        }
+
+        const ipv4 = emptyTable();
+        const ipv6 = emptyTable();
+        const placeIndex = new Map();
+        const places = [];
+
+        const lines = readline.createInterface({
+            input: fs.createReadStream(this.databasePath, { encoding: 'utf8' }),
+            crlfDelay: Infinity
+        });
+
+        for await (const line of lines) {
+            const range = this.parseRange(line);
+            if (!range) continue;
+
+            const key = `${range.place.country}|${range.place.region}|${range.place.city}|${range.place.lat}|${range.place.lon}`;
+            if (!placeIndex.has(key)) {
+                placeIndex.set(key, places.length);
+                places.push(range.place);
+            }
+
+            const table = range.version === 4 ? ipv4 : ipv6;
+            table.starts.push(range.start);
+            table.ends.push(range.end);
+            table.places.push(placeIndex.get(key));
+        }
+
+        this.places = places;
+        this.ipv4 = this.sortTable(ipv4, true);
+        this.ipv6 = this.sortTable(ipv6, false);
+    }
+
+    parseRange(line) {
+        if (!line || line.startsWith('#')) return null;
+
+        const fields = parseCSVLine(line);
+        if (fields.length < 8) return null;
+
+        const start = parseRangeBound(fields[0]);
+        const end = parseRangeBound(fields[1]);
+        if (!start || !end || start.version !== end.version || end.value < start.value) return null;
+
+        // IP2Location: code, name, region, city; DB-IP: continent, code, region, city
+        const integerLayout = /^\d+$/.test(fields[0]);
+        const [countryCode, countryName] = integerLayout ? [fields[2], fields[3]] : [fields[3], null];
+        const lat = parseFloat(fields[6]);
+        const lon = parseFloat(fields[7]);
+        if (!countryCode || countryCode === '-' || !Number.isFinite(lat) || !Number.isFinite(lon)) return null;
+
+        return {
+            version: start.version,
+            start: start.value,
+            end: end.value,
+            place: {
+                city: fields[5] && fields[5] !== '-' ? fields[5] : null,
+                region: fields[4] && fields[4] !== '-' ? fields[4] : null,
+                country: countryCode,
+                countryName: countryName || null,
+                lat,
+                lon
+            }
+        };
+    }
+
+    // Releases ship sorted; only reorder when one does not
+    sortTable(table, typed) {
+        const sorted = table.starts.every((start, i) => i === 0 || table.starts[i - 1] <= start);
+        const order = table.starts.map((start, i) => i);
+        if (!sorted) {
+            order.sort((a, b) => (table.starts[a] < table.starts[b] ? -1 : table.starts[a] > table.starts[b] ? 1 : 0));
+        }
+
+        const pick = values => order.map(i => values[i]);
+        return typed
+            ? { starts: Uint32Array.from(pick(table.starts)), ends: Uint32Array.from(pick(table.ends)), places: Uint32Array.from(pick(table.places)) }
+            : { starts: pick(table.starts), ends: pick(table.ends), places: pick(table.places) };
+    }
+
+    // The database row for `ip`, or null for reserved and unlisted addresses
+    async lookup(ip) {
+        const address = parseIP(ip);
+        if (!address) {
+            throw createIPError(`Invalid IP address: ${ip}`, 400);
+        }
+        if (isReservedIP(address)) return null;
+
+        await this.load();
+        const index = searchTable(address.version === 4 ? this.ipv4 : this.ipv6, address.value);
+        return index >= 0 ? { ...this.places[index] } : null;
+    }
+
+    // Row plus accuracy (metres), accuracy level and confidence, as the browser GeoLocator reports them
+    async locate(ip) {
+        const place = await this.lookup(ip);
+        if (!place) return null;
+
+        const { accuracy, accuracyLevel, confidence } = describeAccuracy(estimateIPAccuracy(place));
+        return { ip, ...place, accuracy_m: accuracy, accuracyLevel, confidence };
+    }
+
+    getStatus() {
+        return {
+            path: this.databasePath,
+            loadedAt: this.loadedAt,
+            ranges: { ipv4: this.ipv4.starts.length, ipv6: this.ipv6.starts.length },
+            places: this.places.length
+        };
+    }
+}
+
+export const ipLocator = new IPLocator();
@@ -0,0 +1,307 @@
+/**
+ * ⚡ Lightning Monitor
+ * Strike ingestion, clustering and proximity / all-clear tracking for watched locations
+ *
+ * Strikes are `{ id, time, lat, lon, type, peak_current_ka }` and are kept for
+ * a rolling window. Proximity follows the 30/30 practice: any strike inside
+ * the alert radius puts a location in DANGER, and it only returns to ALL_CLEAR
+ * once the countdown since the last strike inside the radius runs out.
+ */
+
+import fs from 'fs/promises';
+import { distanceKm } from '../utils/spatial-index.js';
+
+const MINUTE_MS = 60 * 1000;
+const COMPASS_POINTS = ['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE', 'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'];
+
+export class LightningMonitor {
+    constructor(options = {}) {
+        this.alertRadiusKm = options.alertRadiusKm || 16;          // ~10 miles - thunder is audible about this far
+        this.allClearMinutes = options.allClearMinutes || 30;
+        this.retentionMs = options.retentionMs || 60 * MINUTE_MS;
+        this.clusterDistanceKm = options.clusterDistanceKm || 10;
+        this.clusterGapMs = options.clusterGapMs || 15 * MINUTE_MS;
+        this.maxStrikes = options.maxStrikes || 20000;
+        this.maxClusterStrikes = options.maxClusterStrikes || 2000;
+
+        this.strikes = [];
+        this.seen = new Set();
+        this.watched = new Map();
+        this.alerts = [];
+        this.stats = { ingested: 0, duplicates: 0, expired: 0 };
+    }
+
+    // Add strikes, skipping ones already held; returns how many were new
+    ingest(strikes, now = Date.now()) {
+        let added = 0;
+
+        strikes.forEach(strike => {
+            const time = new Date(strike.time).getTime();
+            if (!Number.isFinite(strike.lat) || !Number.isFinite(strike.lon) || isNaN(time)) return;
+            if (now - time > this.retentionMs) return;
+
+            const key = strike.id || `${time}|${strike.lat.toFixed(4)}|${strike.lon.toFixed(4)}`;
+            if (this.seen.has(key)) {
+                this.stats.duplicates++;
+                return;
+            }
+
+            this.seen.add(key);
+            this.strikes.push({
+                key,
+                time,
+                lat: strike.lat,
+                lon: strike.lon,
+                type: strike.type || null,
+                peak_current_ka: Number.isFinite(strike.peak_current_ka) ? strike.peak_current_ka : null
+            });
+            added++;
+        });
+
+        this.strikes.sort((a, b) => a.time - b.time);
+        this.prune(now);
+        this.stats.ingested += added;
+        return added;
+    }
+
+    prune(now = Date.now()) {
+        const cutoff = now - this.retentionMs;
+        let drop = 0;
+        while (drop < this.strikes.length && (this.strikes[drop].time < cutoff || this.strikes.length - drop > this.maxStrikes)) {
+            this.seen.delete(this.strikes[drop].key);
+            drop++;
+        }
+
+        if (drop > 0) {
+            this.strikes.splice(0, drop);
+            this.stats.expired += drop;
+        }
+    }
+
+    // Replay file: a JSON array or JSON lines of strikes. Times are shifted so the newest strike is "now".
+    async loadReplay(file, options = {}) {
+        const { retime = true, now = Date.now() } = options;
+        const text = await fs.readFile(file, 'utf8');
+        const trimmed = text.trim();
+
+        const strikes = trimmed.startsWith('[')
+            ? JSON.parse(trimmed)
+            : trimmed.split('\n').filter(Boolean).map(line => JSON.parse(line));
+
+        const newest = strikes.reduce((max, strike) => Math.max(max, new Date(strike.time).getTime()), -Infinity);
+        const offset = retime && Number.isFinite(newest) ? now - newest : 0;
+
+        const added = this.ingest(strikes.map(strike => ({
+            ...strike,
+            time: new Date(new Date(strike.time).getTime() + offset)
+        })), now);
+
+        console.log(`⚡ Loaded ${added} lightning strikes from replay ${file}`);
+        return added;
+    }
+
+    strikesNear(location, radiusKm, sinceMs = 0) {
+        return this.strikes
+            .filter(strike => strike.time >= sinceMs)
+            .map(strike => ({ strike, distance: distanceKm(location.lat, location.lon, strike.lat, strike.lon) }))
+            .filter(({ distance }) => distance <= radiusKm);
+    }
+
+    // Proximity, density and all-clear countdown for one location
+    assess(location, options = {}) {
+        const { radiusKm = this.alertRadiusKm, windowMinutes = 15, now = Date.now() } = options;
+        const lat = Number(location.lat);
+        const lon = Number(location.lon);
+        const point = { lat, lon };
+
+        // Only strikes recent enough to still hold off the all-clear count as "nearest"
+        const recentCutoff = now - this.allClearMinutes * MINUTE_MS;
+        const nearest = this.strikes.filter(strike => strike.time >= recentCutoff).reduce((best, strike) => {
+            const distance = distanceKm(lat, lon, strike.lat, strike.lon);
+            return !best || distance < best.distance ? { strike, distance } : best;
+        }, null);
+
+        const inside = this.strikesNear(point, radiusKm);
+        const lastInside = inside.reduce((last, { strike }) => Math.max(last, strike.time), -Infinity);
+        const allClearAt = Number.isFinite(lastInside) ? lastInside + this.allClearMinutes * MINUTE_MS : null;
+        const danger = allClearAt !== null && allClearAt > now;
+
+        const windowStart = now - windowMinutes * MINUTE_MS;
+        const recent = this.strikesNear(point, radiusKm, windowStart);
+        const areaKm2 = Math.PI * radiusKm * radiusKm;
+
+        return {
+            location: point,
+            status: danger ? 'DANGER' : 'ALL_CLEAR',
+            radius_km: radiusKm,
+            allClearAt: danger ? new Date(allClearAt).toISOString() : null,
+            allClearInMinutes: danger ? Math.ceil((allClearAt - now) / MINUTE_MS) : 0,
+            lastStrikeInRadius: Number.isFinite(lastInside) ? new Date(lastInside).toISOString() : null,
+            nearest: nearest ? this.describeStrike(nearest.strike, point, nearest.distance) : null,
+            density: {
+                windowMinutes,
+                strikes: recent.length,
+                perKm2PerHour: this.round(recent.length / areaKm2 / (windowMinutes / 60), 4)
+            },
+            // Fewer strikes this window than the previous one means the activity is dying down
+            trend: this.trend(point, radiusKm, windowMinutes, now)
+        };
+    }
+
+    trend(location, radiusKm, windowMinutes, now) {
+        const windowMs = windowMinutes * MINUTE_MS;
+        const current = this.strikesNear(location, radiusKm, now - windowMs).length;
+        const previous = this.strikesNear(location, radiusKm, now - 2 * windowMs).length - current;
+
+        if (current === 0 && previous === 0) return 'none';
+        if (current > previous * 1.25) return 'increasing';
+        if (current < previous * 0.75) return 'decreasing';
+        return 'steady';
+    }
+
+    // Single-link clustering: strikes within clusterDistanceKm and clusterGapMs of each other share a cluster
+    cluster(options = {}) {
+        const { location, radiusKm = Infinity, now = Date.now() } = options;
+        const candidates = (location ? this.strikesNear(location, radiusKm).map(({ strike }) => strike) : this.strikes)
+            .slice(-this.maxClusterStrikes);
+
+        const parent = candidates.map((_, index) => index);
+        const find = index => (parent[index] === index ? index : (parent[index] = find(parent[index])));
+
+        for (let i = 0; i < candidates.length; i++) {
+            for (let j = i + 1; j < candidates.length; j++) {
+                // Sorted by time - nothing further on can be within the gap
+                if (candidates[j].time - candidates[i].time > this.clusterGapMs) break;
+                if (distanceKm(candidates[i].lat, candidates[i].lon, candidates[j].lat, candidates[j].lon) <= this.clusterDistanceKm) {
+                    parent[find(j)] = find(i);
+                }
+            }
+        }
+
+        const groups = new Map();
+        candidates.forEach((strike, index) => {
+            const root = find(index);
+            if (!groups.has(root)) groups.set(root, []);
+            groups.get(root).push(strike);
+        });
+
+        return Array.from(groups.values())
+            .map((members, index) => this.describeCluster(members, index, location, now))
+            .sort((a, b) => b.strikeCount - a.strikeCount);
+    }
+
+    describeCluster(members, index, location, now) {
+        const center = {
+            lat: members.reduce((sum, strike) => sum + strike.lat, 0) / members.length,
+            lon: members.reduce((sum, strike) => sum + strike.lon, 0) / members.length
+        };
+        const first = members[0].time;
+        const last = members[members.length - 1].time;
+        const spanMinutes = Math.max((last - first) / MINUTE_MS, 1);
+
+        return {
+            id: `cluster-${index + 1}`,
+            center: { lat: this.round(center.lat, 4), lon: this.round(center.lon, 4) },
+            strikeCount: members.length,
+            radius_km: this.round(members.reduce((max, strike) =>
+                Math.max(max, distanceKm(center.lat, center.lon, strike.lat, strike.lon)), 0), 1),
+            firstStrike: new Date(first).toISOString(),
+            lastStrike: new Date(last).toISOString(),
+            strikesPerMinute: this.round(members.length / spanMinutes, 2),
+            active: now - last <= this.clusterGapMs,
+            ...(location && {
+                distance_km: this.round(distanceKm(location.lat, location.lon, center.lat, center.lon), 1),
+                bearing_deg: this.round(this.bearing(location, center), 0)
+            })
+        };
+    }
+
+    describeStrike(strike, location, distance = distanceKm(location.lat, location.lon, strike.lat, strike.lon)) {
+        const bearing = this.bearing(location, strike);
+        return {
+            time: new Date(strike.time).toISOString(),
+            lat: strike.lat,
+            lon: strike.lon,
+            type: strike.type,
+            peak_current_ka: strike.peak_current_ka,
+            distance_km: this.round(distance, 1),
+            bearing_deg: this.round(bearing, 0),
+            direction: COMPASS_POINTS[Math.round(bearing / 22.5) % 16]
+        };
+    }
+
+    // Watched locations - evaluate() reports DANGER / ALL_CLEAR transitions as alerts
+    watch(location) {
+        const key = location.name || `${location.lat},${location.lon}`;
+        if (!this.watched.has(key)) {
+            this.watched.set(key, { ...location, key, status: 'ALL_CLEAR' });
+        }
+        return key;
+    }
+
+    unwatch(key) {
+        return this.watched.delete(key);
+    }
+
+    evaluate(now = Date.now()) {
+        const transitions = [];
+
+        this.watched.forEach(watched => {
+            const assessment = this.assess(watched, { now });
+            if (assessment.status === watched.status) return;
+
+            watched.status = assessment.status;
+            const alert = assessment.status === 'DANGER'
+                ? {
+                    type: 'LIGHTNING_PROXIMITY',
+                    severity: 'HIGH',
+                    message: `Lightning ${assessment.nearest.distance_km} km ${assessment.nearest.direction} of ${watched.key} - seek shelter`,
+                    action: 'ALERT'
+                }
+                : {
+                    type: 'LIGHTNING_ALL_CLEAR',
+                    severity: 'LOW',
+                    message: `No lightning within ${this.alertRadiusKm} km of ${watched.key} for ${this.allClearMinutes} min - all clear`,
+                    action: 'ADVISE'
+                };
+
+            transitions.push({ ...alert, location: watched.key, timestamp: new Date(now).toISOString() });
+            console.log(`⚡ ${alert.message}`);
+        });
+
+        this.alerts.push(...transitions);
+        if (this.alerts.length > 100) this.alerts.splice(0, this.alerts.length - 100);
+        return transitions;
+    }
+
+    getWatchStatus(now = Date.now()) {
+        return Array.from(this.watched.values()).map(watched => ({
+            key: watched.key,
+            ...this.assess(watched, { now })
+        }));
+    }
+
+    getStatus() {
+        return {
+            strikes: this.strikes.length,
+            watchedLocations: this.watched.size,
+            recentAlerts: this.alerts.length,
+            ...this.stats
+        };
+    }
+
+    bearing(from, to) {
+        const phi1 = from.lat * Math.PI / 180;
+        const phi2 = to.lat * Math.PI / 180;
+        const deltaLambda = (to.lon - from.lon) * Math.PI / 180;
+        const y = Math.sin(deltaLambda) * Math.cos(phi2);
+        const x = Math.cos(phi1) * Math.sin(phi2) - Math.sin(phi1) * Math.cos(phi2) * Math.cos(deltaLambda);
+        return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+    }
+
+    round(value, decimals = 2) {
+        if (!Number.isFinite(value)) return null;
+        const factor = Math.pow(10, decimals);
+        return Math.round(value * factor) / factor;
+    }
+}
@@ -0,0 +1,138 @@
+/**
+ * 🎯 Location Resolver
+ * One way to turn a request's `city`, `lat`/`lon` or `station` into coordinates
+ *
+ * Coordinates win when both are given, then a station ID from the station
+ * catalog (`KNYC`, or `NWS:KNYC` to pick the network), then a city name
+ * from the gazetteer (`city=Portland&admin1=OR`, or `city=Portland, OR`),
+ * then an `ip` - or, when a route passes one, the client's own address -
+ * from the local IP-range database.
+ * Everything is answered from local data; every result carries the nearest
+ * gazetteer place and the time zone from the timezone resolver, so callers
+ * see the same name, country and local time whichever form was asked for.
+ */
+
+import { gazetteer } from './gazetteer.js';
+import { stationCatalog, STATION_TYPES } from './station-catalog.js';
+import { timezoneResolver } from './timezone-resolver.js';
+import { ipLocator } from './ip-locator.js';
+
+const MAX_ALTERNATIVES = 4;
+
+function createLocationError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+export class LocationResolver {
+    constructor(options = {}) {
+        this.gazetteer = options.gazetteer || gazetteer;
+        this.stationCatalog = options.stationCatalog || stationCatalog;
+        this.timezoneResolver = options.timezoneResolver || timezoneResolver;
+        this.ipLocator = options.ipLocator || ipLocator;
+    }
+
+    // `clientIP` lets a route fall back to where the request came from
+    async resolve(query = {}, { clientIP } = {}) {
+        if (query.lat !== undefined || query.lon !== undefined) {
+            return await this.fromCoordinates(query.lat, query.lon);
+        }
+        if (query.station) {
+            return await this.fromStation(String(query.station));
+        }
+        if (query.city) {
+            return await this.fromCity(String(query.city), { country: query.country, admin1: query.admin1 });
+        }
+        if (query.ip || clientIP) {
+            return await this.fromIP(String(query.ip || clientIP));
+        }
+
+        throw createLocationError('Missing location, expected city, lat and lon, station, or ip', 400);
+    }
+
+    async fromCoordinates(latValue, lonValue) {
+        const lat = parseFloat(latValue);
+        const lon = parseFloat(lonValue);
+        if (!Number.isFinite(lat) || Math.abs(lat) > 90 || !Number.isFinite(lon) || Math.abs(lon) > 180) {
+            throw createLocationError('Invalid coordinates, expected lat within ±90 and lon within ±180', 400);
+        }
+
+        const place = await this.gazetteer.reverse(lat, lon);
+        return await this.describe('COORDINATES', lat, lon, place?.name || `${lat},${lon}`, place);
+    }
+
+    // "NWS:KNYC" names the network; a bare ID is looked up in each network in turn
+    async fromStation(value) {
+        const [prefix, rest] = value.includes(':') ? value.split(':', 2) : [null, value];
+        const type = prefix?.toUpperCase();
+        if (type && !STATION_TYPES.includes(type)) {
+            throw createLocationError(`Invalid station type ${prefix}, expected one of ${STATION_TYPES.join(', ')}`, 400);
+        }
+
+        for (const candidate of type ? [type] : STATION_TYPES) {
+            try {
+                const station = await this.stationCatalog.get(candidate, rest);
+                const place = await this.gazetteer.reverse(station.lat, station.lon);
+                return { ...await this.describe('STATION', station.lat, station.lon, station.name, place), station };
+            } catch (error) {
+                if (error.status !== 404) throw error;
+            }
+        }
+
+        throw createLocationError(`Unknown station: ${value}`, 404);
+    }
+
+    async fromCity(city, options) {
+        const matches = await this.gazetteer.geocode(city, { ...options, limit: MAX_ALTERNATIVES + 1 });
+        if (matches.length === 0) {
+            throw createLocationError(`Location not found: ${city}`, 404);
+        }
+
+        const [{ match, ...best }, ...others] = matches;
+        return {
+            ...await this.describe('CITY', best.lat, best.lon, best.name, best),
+            match,
+            // Same-quality matches the caller may have meant instead, e.g. the other Portland
+            alternatives: others
+                .filter(other => other.match.type === match.type && other.match.distance === match.distance)
+                .map(({ match: otherMatch, ...other }) => other)
+        };
+    }
+
+    // City-level at best, so the result says how far to trust it
+    async fromIP(ip) {
+        const located = await this.ipLocator.locate(ip);
+        if (!located) {
+            throw createLocationError(`No location for IP ${ip}`, 404);
+        }
+
+        const place = await this.gazetteer.reverse(located.lat, located.lon);
+        const name = located.city || place?.name || located.region || located.countryName || located.country;
+        return {
+            ...await this.describe('IP', located.lat, located.lon, name, place),
+            country: place?.country || located.country,
+            admin1: place?.admin1Name || place?.admin1 || located.region,
+            ip,
+            accuracy_m: located.accuracy_m,
+            accuracyLevel: located.accuracyLevel,
+            confidence: located.confidence
+        };
+    }
+
+    async describe(source, lat, lon, name, place) {
+        const { timezone } = await this.timezoneResolver.resolve(lat, lon);
+        return {
+            source,
+            lat,
+            lon,
+            name,
+            country: place?.country || null,
+            admin1: place?.admin1Name || place?.admin1 || null,
+            timezone,
+            place: place || null
+        };
+    }
+}
+
+export const locationResolver = new LocationResolver();
@@ -5,18 +5,20 @@
  */
 
 import { DataQualityEngine } from './data-quality-engine.js';
-import { EnterpriseCache } from '../utils/enterprise-cache.js';
+import { EnterpriseCache, gridKey } from '../utils/enterprise-cache.js';
+import { ResiliencePolicy, gatewayStatus } from '../utils/resilience.js';
+import { ObservationSchema } from './observation-schema.js';
 
 export default class NASAAPIIntegration {
     constructor() {
         this.nasaApis = this.initializeNASAAPIs();
         this.qualityEngine = new DataQualityEngine();
+        this.schema = new ObservationSchema();
         this.cache = new EnterpriseCache('nasa-data', 2000, 30 * 60 * 1000); // 30 min cache
         this.apiKeys = this.loadAPIKeys();
-        this.rateLimiters = new Map();
+        this.policies = new Map();
         
         this.initializeNASAClients();
-        this.startRealTimeDataStreams();
         
         console.log('🚀 Enterprise NASA API Integration - PRODUCTION ACTIVE');
     }
@@ -68,8 +70,7 @@ export default class NASAAPIIntegration {
                 name: 'Satellite Situation Center',
                 baseURL: 'https://sscweb.gsfc.nasa.gov/WS/sscr/2',
                 endpoints: {
-                    satellites: '/satellites',
-                    observations: '/observations'
+                    observatories: '/observatories'
                 },
                 rateLimit: 500,
                 priority: 'MEDIUM',
@@ -103,31 +104,17 @@ export default class NASAAPIIntegration {
                 dataTypes: ['planetary_data', 'ephemerides']
             },
 
-            // Space Weather
+            // Space Weather - DONKI notifications database
             SPACE_WEATHER: {
-                name: 'Space Weather Database',
-                baseURL: 'https://swapi.gsfc.nasa.gov/api',
+                name: 'Space Weather Database Of Notifications, Knowledge, Information',
+                baseURL: 'https://api.nasa.gov/DONKI',
                 endpoints: {
-                    solar: '/solar',
-                    magnetosphere: '/magnetosphere',
-                    radiation: '/radiation'
+                    flares: '/FLR',
+                    geomagneticStorms: '/GST'
                 },
                 rateLimit: 500,
                 priority: 'MEDIUM',
                 dataTypes: ['solar_flares', 'geomagnetic_storms']
-            },
-
-            // Atmospheric Data
-            ATMOSPHERIC: {
-                name: 'Atmospheric Science Data Center',
-                baseURL: 'https://asdc-api.nasa.gov',
-                endpoints: {
-                    collections: '/collections',
-                    data: '/data'
-                },
-                rateLimit: 300,
-                priority: 'HIGH',
-                dataTypes: ['aerosols', 'clouds', 'radiation']
             }
         };
     }
@@ -144,8 +131,13 @@ export default class NASAAPIIntegration {
         this.clients = new Map();
         
         Object.entries(this.nasaApis).forEach(([api, config]) => {
-            this.clients.set(api, this.createNASAClient(api, config));
-            this.rateLimiters.set(api, this.createRateLimiter(config.rateLimit));
+            const client = this.createNASAClient(api, config);
+            this.clients.set(api, client);
+            this.policies.set(api, ResiliencePolicy.for(`nasa:${api}`, {
+                rateLimit: config.rateLimit,
+                timeoutMs: client.timeout,
+                maxAttempts: client.retryAttempts
+            }));
         });
 
         console.log('🚀 NASA API clients initialized for all services');
@@ -166,58 +158,28 @@ export default class NASAAPIIntegration {
         };
     }
 
-    createRateLimiter(requestsPerHour) {
-        const requestsPerSecond = requestsPerHour / 3600;
-        let lastRequest = 0;
-        
-        return {
-            canMakeRequest: () => {
-                const now = Date.now();
-                const timeSinceLast = now - lastRequest;
-                const minInterval = 1000 / requestsPerSecond;
-                
-                if (timeSinceLast >= minInterval) {
-                    lastRequest = now;
-                    return true;
-                }
-                return false;
-            },
-            getWaitTime: () => {
-                const now = Date.now();
-                return Math.max(0, (1000 / requestsPerSecond) - (now - lastRequest));
-            }
-        };
-    }
-
     // Main NASA data acquisition method
     async getNASAData(apiType, parameters = {}, options = {}) {
-        const cacheKey = `nasa_${apiType}_${JSON.stringify(parameters)}_${Date.now()}`;
-        
-        // Check cache first
-        const cached = await this.cache.get(cacheKey);
-        if (cached && !options.forceRefresh) {
-            console.log(`🚀 Using cached NASA ${apiType} data`);
-            return cached;
-        }
+        const { lat, lon, ...rest } = parameters;
+        const cacheKey = Number.isFinite(lat) && Number.isFinite(lon)
+            ? gridKey(`nasa_${apiType}`, lat, lon, rest)
+            : `nasa_${apiType}_${JSON.stringify(parameters)}`;
 
         try {
-            await this.checkRateLimit(apiType);
-            
-            const nasaData = await this.fetchNASAData(apiType, parameters, options);
-            
-            // Process and enhance data
-            const processedData = await this.processNASAData(nasaData, apiType, parameters);
-            
-            // Validate data quality
-            const qualityReport = await this.qualityEngine.validateNASAData(processedData);
-            
-            if (qualityReport.score >= 0.8) {
-                // Cache successful data
-                await this.cache.set(cacheKey, processedData);
-                return processedData;
-            } else {
-                throw new Error(`NASA data quality insufficient: ${qualityReport.issues.join(', ')}`);
-            }
+            return await this.cache.getOrFetch(cacheKey, async () => {
+                const nasaData = await this.fetchNASAData(apiType, parameters, options);
+                
+                // Process and enhance data
+                const processedData = await this.processNASAData(nasaData, apiType, parameters);
+                
+                // Bad fields are flagged per observation and skipped downstream, so a low score is reported rather than fatal
+                const qualityReport = await this.qualityEngine.validateNASAData(processedData);
+                
+                if (qualityReport.score < 0.8) {
+                    console.warn(`🚀 NASA data quality low (${qualityReport.score.toFixed(2)}): ${qualityReport.issues.join(', ')}`);
+                }
+                return { ...processedData, dataQuality: qualityReport };
+            }, { forceRefresh: options.forceRefresh });
             
         } catch (error) {
             console.error(`NASA ${apiType} data acquisition failed:`, error);
@@ -237,10 +199,9 @@ export default class NASAAPIIntegration {
         const url = `${client.baseURL}${endpoint}`;
         const finalUrl = this.addAuthParameters(url, apiType);
 
-        const response = await fetch(finalUrl, {
+        const response = await this.policies.get(apiType).fetch(finalUrl, {
             method: 'GET',
-            headers: client.headers,
-            signal: AbortSignal.timeout(client.timeout)
+            headers: client.headers
         });
 
         if (!response.ok) {
@@ -276,8 +237,6 @@ export default class NASAAPIIntegration {
                 return this.constructAsteroidsEndpoint(parameters);
             case 'SPACE_WEATHER':
                 return this.constructSpaceWeatherEndpoint(parameters);
-            case 'ATMOSPHERIC':
-                return this.constructAtmosphericEndpoint(parameters);
             default:
                 return apiConfig.endpoints.events || '/';
         }
@@ -344,6 +303,27 @@ export default class NASAAPIIntegration {
         return `/feed?start_date=${start_date}&end_date=${end_date}&api_key=${this.apiKeys.primary}`;
     }
 
+    // Satellite Situation Center lists observatories over GET; locations need a POSTed request
+    constructSatelliteEndpoint(parameters) {
+        return this.nasaApis.SATELLITE.endpoints.observatories;
+    }
+
+    constructSpaceWeatherEndpoint(parameters) {
+        const { type = 'flares', days = 7 } = parameters;
+        const endpoint = this.nasaApis.SPACE_WEATHER.endpoints[type];
+        if (!endpoint) {
+            throw new Error(`Unknown space weather type: ${type}`);
+        }
+
+        const today = new Date();
+        const queryParams = new URLSearchParams({
+            startDate: new Date(today.getTime() - days * 24 * 60 * 60 * 1000).toISOString().split('T')[0],
+            endDate: today.toISOString().split('T')[0]
+        });
+
+        return `${endpoint}?${queryParams}`;
+    }
+
     addAuthParameters(url, apiType) {
         // NASA APIs typically use query parameter authentication
         if (url.includes('?')) {
@@ -390,11 +370,12 @@ export default class NASAAPIIntegration {
     }
 
     async getSpaceWeather(options = {}) {
-        return await this.getNASAData('SPACE_WEATHER', {}, options);
-    }
+        const parameters = {
+            type: options.type || 'flares',
+            days: options.days || 7
+        };
 
-    async getAtmosphericData(parameters = {}, options = {}) {
-        return await this.getNASAData('ATMOSPHERIC', parameters, options);
+        return await this.getNASAData('SPACE_WEATHER', parameters, options);
     }
 
     // Data processing methods
@@ -428,13 +409,14 @@ export default class NASAAPIIntegration {
             case 'SPACE_WEATHER':
                 processed.data = this.processSpaceWeatherData(nasaData.data);
                 break;
-            case 'ATMOSPHERIC':
-                processed.data = this.processAtmosphericData(nasaData.data);
-                break;
             default:
                 processed.data = nasaData.data;
         }
 
+        // Earth-located records in the canonical observation schema
+        processed.schemaVersion = this.schema.version;
+        processed.observations = this.toObservations(processed.data, apiType);
+
         // Add analysis and insights
         processed.analysis = await this.analyzeNASAData(processed.data, apiType);
         
@@ -444,6 +426,52 @@ export default class NASAAPIIntegration {
         return processed;
     }
 
+    toObservations(data, apiType) {
+        switch (apiType) {
+            case 'EONET':
+                return data.events.flatMap(event => {
+                    // Latest point position of the event; storm magnitudes are sustained wind in knots
+                    const points = (event.geometries || []).filter(geometry => geometry.type === 'Point');
+                    const latest = points[points.length - 1];
+                    if (!latest) return [];
+
+                    return [this.schema.create({
+                        wind_kph: latest.magnitudeUnit === 'kts' ? latest.magnitudeValue * 1.852 : null,
+                        condition: { text: event.title }
+                    }, {
+                        lat: latest.coordinates[1],
+                        lon: latest.coordinates[0],
+                        time: latest.date,
+                        kind: 'event',
+                        system: 'NASA',
+                        provider: 'EONET',
+                        station: event.id
+                    }, {
+                        event: {
+                            id: event.id,
+                            title: event.title,
+                            categories: event.categories.map(category => category.id),
+                            status: event.status
+                        }
+                    })];
+                });
+            case 'EARTH_IMAGERY':
+                return [this.schema.create({
+                    cloud: data.cloudScore != null ? data.cloudScore * 100 : null
+                }, {
+                    lat: data.coordinates.lat,
+                    lon: data.coordinates.lon,
+                    // Imagery dates are UTC but carry no offset
+                    time: data.date && !data.date.endsWith('Z') ? `${data.date}Z` : data.date,
+                    system: 'NASA',
+                    provider: 'EARTH_IMAGERY'
+                })];
+            default:
+                // Mars weather, asteroids and space weather have no Earth surface location
+                return [];
+        }
+    }
+
     processEONETData(eonetData) {
         const events = eonetData.events || [];
         
@@ -457,10 +485,11 @@ export default class NASAAPIIntegration {
                     id: cat.id,
                     title: cat.title
                 })),
-                geometries: event.geometries,
+                // EONET v3 names the position list `geometry`, v2.1 called it `geometries`
+                geometries: event.geometry || event.geometries || [],
                 sources: event.sources,
                 status: event.closed ? 'closed' : 'open',
-                lastUpdate: new Date(event.updated || event.geometries[0].date)
+                lastUpdate: new Date(event.updated || (event.geometry || event.geometries)?.[0]?.date)
             })),
             metadata: {
                 totalEvents: eonetData.count,
@@ -532,6 +561,27 @@ export default class NASAAPIIntegration {
         };
     }
 
+    // DONKI answers flares and geomagnetic storms with different record shapes
+    processSpaceWeatherData(records) {
+        const list = Array.isArray(records) ? records : [];
+
+        return {
+            flares: list.filter(record => record.flrID).map(flare => ({
+                id: flare.flrID,
+                classType: flare.classType,
+                beginTime: flare.beginTime,
+                peakTime: flare.peakTime,
+                endTime: flare.endTime,
+                sourceLocation: flare.sourceLocation
+            })),
+            geomagneticStorms: list.filter(record => record.gstID).map(storm => ({
+                id: storm.gstID,
+                startTime: storm.startTime,
+                maxKpIndex: Math.max(...(storm.allKpIndex || []).map(reading => reading.kpIndex), 0)
+            }))
+        };
+    }
+
     async analyzeNASAData(data, apiType) {
         const analysis = {
             significance: this.assessSignificance(data, apiType),
@@ -583,8 +633,105 @@ export default class NASAAPIIntegration {
         }
     }
 
+    // X-class flares and Kp 7+ (G3) storms reach HF radio and power grids
+    assessSpaceWeatherSignificance(data) {
+        const flareClasses = data.flares.map(flare => String(flare.classType || '').charAt(0));
+        const maxKp = Math.max(0, ...data.geomagneticStorms.map(storm => storm.maxKpIndex));
+
+        if (flareClasses.includes('X') || maxKp >= 7) return 'HIGH';
+        if (flareClasses.includes('M') || maxKp >= 5) return 'MEDIUM';
+        return 'LOW';
+    }
+
+    analyzeTrends(data, apiType) {
+        switch (apiType) {
+            case 'EONET': {
+                const byCategory = {};
+                data.events.forEach(event => event.categories.forEach(category => {
+                    byCategory[category.id] = (byCategory[category.id] || 0) + 1;
+                }));
+                return { eventsByCategory: byCategory };
+            }
+            case 'SPACE_WEATHER':
+                return {
+                    flareCount: data.flares.length,
+                    geomagneticStormCount: data.geomagneticStorms.length
+                };
+            default:
+                return null;
+        }
+    }
+
     async generateNASAAlerts(data, apiType) {
         const alerts = [];
         
         switch (apiType) {
-            
+            case 'EONET':
+                data.events
+                    .filter(event => event.status === 'open' && event.categories.some(category => ['severeStorms', 'wildfires', 'volcanoes'].includes(category.id)))
+                    .forEach(event => alerts.push({
+                        type: 'NATURAL_EVENT',
+                        severity: 'MODERATE',
+                        message: event.title,
+                        action: 'MONITOR'
+                    }));
+                break;
+            case 'ASTEROIDS':
+                // 0.05 AU is the potentially-hazardous close approach distance
+                data.objects
+                    .filter(object => object.hazardous && object.closeApproaches.some(approach => approach.distance < 7480000))
+                    .forEach(object => alerts.push({
+                        type: 'CLOSE_APPROACH',
+                        severity: 'LOW',
+                        message: `Potentially hazardous asteroid ${object.name} within 0.05 AU`,
+                        action: 'MONITOR'
+                    }));
+                break;
+            case 'SPACE_WEATHER':
+                if (this.assessSpaceWeatherSignificance(data) === 'HIGH') {
+                    alerts.push({
+                        type: 'SPACE_WEATHER',
+                        severity: 'HIGH',
+                        message: 'Strong solar flare or geomagnetic storm - HF radio and GNSS may be degraded',
+                        action: 'ADVISE'
+                    });
+                }
+                break;
+        }
+
+        return alerts;
+    }
+
+    extractInsights(data, apiType) {
+        switch (apiType) {
+            case 'EONET': {
+                const open = data.events.filter(event => event.status === 'open').length;
+                return [`${open} of ${data.eventCount} natural events still open`];
+            }
+            case 'ASTEROIDS': {
+                const hazardous = data.objects.filter(object => object.hazardous).length;
+                return [`${hazardous} of ${data.objects.length} near-Earth objects potentially hazardous`];
+            }
+            case 'SPACE_WEATHER':
+                return [`${data.flares.length} solar flares and ${data.geomagneticStorms.length} geomagnetic storms reported`];
+            default:
+                return [];
+        }
+    }
+
+    calculateNASAQuality(processed) {
+        return {
+            processingLevel: processed.metadata.processingLevel,
+            observationCount: processed.observations.length
+        };
+    }
+
+    enhanceNASAError(error, context) {
+        const enhancedError = new Error(`NASAAPIIntegration.${context}: ${error.message}`);
+        enhancedError.originalError = error;
+        enhancedError.timestamp = new Date();
+        enhancedError.context = context;
+        enhancedError.status = gatewayStatus(error);
+        return enhancedError;
+    }
+}
@@ -0,0 +1,203 @@
+/**
+ * 📐 Canonical Observation Schema
+ * Versioned record shape every data system emits for weather, ocean and radar data
+ *
+ * Measurements live as flat, unit-suffixed fields (`temp_c`, `wind_kph`, ...)
+ * and are always metric. Times are ISO-8601 UTC strings. Every record carries
+ * its coordinates, provenance and per-field quality flags.
+ */
+
+export const OBSERVATION_SCHEMA_VERSION = '1.0.0';
+
+export const OBSERVATION_FIELDS = {
+    temp_c:             { unit: 'degC', min: -90, max: 60 },
+    temp_min_c:         { unit: 'degC', min: -90, max: 60 },
+    temp_max_c:         { unit: 'degC', min: -90, max: 60 },
+    feelslike_c:        { unit: 'degC', min: -100, max: 75 },
+    dewpoint_c:         { unit: 'degC', min: -90, max: 40 },
+    humidity:           { unit: 'percent', min: 0, max: 100 },
+    pressure_mb:        { unit: 'hPa', min: 850, max: 1090 },
+    wind_kph:           { unit: 'km/h', min: 0, max: 410 },
+    wind_degree:        { unit: 'degree', min: 0, max: 360 },
+    gust_kph:           { unit: 'km/h', min: 0, max: 410 },
+    vis_km:             { unit: 'km', min: 0, max: 160 },
+    cloud:              { unit: 'percent', min: 0, max: 100 },
+    precip_mm:          { unit: 'mm', min: 0, max: 500 },
+    precip_rate_mmhr:   { unit: 'mm/h', min: 0, max: 500 },
+    precip_probability: { unit: 'percent', min: 0, max: 100 },
+    reflectivity_dbz:   { unit: 'dBZ', min: -30, max: 80 },
+    water_temp_c:       { unit: 'degC', min: -3, max: 40 },
+    wave_height_m:      { unit: 'm', min: 0, max: 35 },
+    wave_period_s:      { unit: 's', min: 0, max: 30 },
+    wave_degree:        { unit: 'degree', min: 0, max: 360 }
+};
+
+export const DATA_SYSTEMS = ['WEATHER', 'RADAR', 'OCEAN', 'SATELLITE', 'NASA'];
+
+export class ObservationSchema {
+    constructor() {
+        this.version = OBSERVATION_SCHEMA_VERSION;
+        this.fields = OBSERVATION_FIELDS;
+    }
+
+    // Build a canonical record from metric values plus location/provenance context
+    create(values, context, extras = {}) {
+        const {
+            lat,
+            lon,
+            system,
+            provider,
+            station = null,
+            kind = 'observation',
+            time = values.time,
+            elevation_m = null
+        } = context;
+
+        const observation = {
+            schemaVersion: this.version,
+            kind,
+            time: this.toUTC(time),
+            lat: this.toNumber(lat),
+            lon: this.toNumber(lon),
+            elevation_m: this.toNumber(elevation_m),
+            source: {
+                system,
+                provider,
+                station,
+                retrievedAt: new Date().toISOString()
+            },
+            condition: {
+                text: values.condition?.text ?? null,
+                code: values.condition?.code ?? null
+            },
+            ...extras
+        };
+
+        Object.keys(this.fields).forEach(field => {
+            observation[field] = this.toNumber(values[field]);
+        });
+
+        observation.quality = this.assessFields(observation);
+
+        return observation;
+    }
+
+    assessFields(observation) {
+        const flags = {};
+        let present = 0;
+        let inRange = 0;
+
+        Object.entries(this.fields).forEach(([field, spec]) => {
+            const value = observation[field];
+
+            if (value === null) {
+                flags[field] = 'missing';
+                return;
+            }
+
+            present++;
+            if (value < spec.min || value > spec.max) {
+                flags[field] = 'out_of_range';
+            } else {
+                flags[field] = 'ok';
+                inRange++;
+            }
+        });
+
+        return {
+            flags,
+            score: present > 0 ? inRange / present : null
+        };
+    }
+
+    // Structural validation - range problems are flagged, not rejected
+    validate(observation) {
+        const errors = [];
+
+        if (!observation || typeof observation !== 'object') {
+            return { valid: false, errors: ['observation must be an object'] };
+        }
+
+        if (!this.isCompatible(observation.schemaVersion)) {
+            errors.push(`incompatible schemaVersion ${observation.schemaVersion}, expected ${this.version}`);
+        }
+
+        if (typeof observation.time !== 'string' || !observation.time.endsWith('Z') || isNaN(Date.parse(observation.time))) {
+            errors.push('time must be an ISO-8601 UTC timestamp');
+        }
+
+        if (typeof observation.lat !== 'number' || Math.abs(observation.lat) > 90) {
+            errors.push('lat must be a number between -90 and 90');
+        }
+
+        if (typeof observation.lon !== 'number' || Math.abs(observation.lon) > 180) {
+            errors.push('lon must be a number between -180 and 180');
+        }
+
+        if (!DATA_SYSTEMS.includes(observation.source?.system)) {
+            errors.push(`source.system must be one of ${DATA_SYSTEMS.join(', ')}`);
+        }
+
+        if (!observation.source?.provider) {
+            errors.push('source.provider is required');
+        }
+
+        Object.keys(this.fields).forEach(field => {
+            const value = observation[field];
+            if (value !== null && (typeof value !== 'number' || !Number.isFinite(value))) {
+                errors.push(`${field} must be a finite number or null`);
+            }
+        });
+
+        return { valid: errors.length === 0, errors };
+    }
+
+    isCompatible(version) {
+        if (typeof version !== 'string') return false;
+        return version.split('.')[0] === this.version.split('.')[0];
+    }
+
+    // Most recent non-null value per field, with the provider that supplied it
+    combineLatest(observations) {
+        const ordered = [...observations].sort((a, b) => Date.parse(b.time) - Date.parse(a.time));
+        const combined = { time: ordered[0]?.time ?? null, condition: null, sources: {} };
+
+        Object.keys(this.fields).forEach(field => {
+            // Fields flagged by range or quality checks are skipped, the rest of the record still counts
+            const match = ordered.find(observation => observation[field] !== null && [undefined, 'ok'].includes(observation.quality?.flags[field]));
+            combined[field] = match ? match[field] : null;
+            if (match) combined.sources[field] = match.source.provider;
+        });
+
+        combined.condition = ordered.find(observation => observation.condition?.text)?.condition || { text: null, code: null };
+
+        return combined;
+    }
+
+    nearest(observations, lat, lon) {
+        let best = null;
+        let bestDistance = Infinity;
+
+        observations.forEach(observation => {
+            const distance = Math.hypot(observation.lat - lat, (observation.lon - lon) * Math.cos(lat * Math.PI / 180));
+            if (distance < bestDistance) {
+                best = observation;
+                bestDistance = distance;
+            }
+        });
+
+        return best;
+    }
+
+    toUTC(value) {
+        if (value === undefined || value === null || value === '') return null;
+        const date = value instanceof Date ? value : new Date(value);
+        return isNaN(date.getTime()) ? null : date.toISOString();
+    }
+
+    toNumber(value) {
+        if (value === undefined || value === null || value === '') return null;
+        const num = typeof value === 'number' ? value : parseFloat(value);
+        return Number.isFinite(num) ? num : null;
+    }
+}
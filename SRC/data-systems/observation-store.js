@@ -0,0 +1,321 @@
+/**
+ * 🗄️ Observation Store
+ * Embedded, file-backed time-series store for canonical observations
+ *
+ * Observations are appended as JSON lines to one file per data system and
+ * UTC day (`<dir>/<SYSTEM>/<YYYY-MM-DD>.jsonl`). Queries only open the day
+ * files that overlap the requested range; retention deletes whole days.
+ */
+
+import fs from 'fs/promises';
+import { createReadStream } from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { ObservationSchema, OBSERVATION_FIELDS, DATA_SYSTEMS } from './observation-schema.js';
+import { distanceKm } from '../utils/spatial-index.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RETENTION_INTERVAL_MS = 60 * 60 * 1000;
+const INTERVAL_UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: DAY_MS };
+const AGGREGATES = ['mean', 'min', 'max', 'sum', 'last'];
+
+export class ObservationStore {
+    constructor(options = {}) {
+        this.directory = path.resolve(options.directory || process.env.OBSERVATION_STORE_DIR || 'data/observations');
+        this.retention = {
+            default: parseInt(process.env.OBSERVATION_RETENTION_DAYS) || 90,
+            ...options.retention
+        };
+        this.schema = new ObservationSchema();
+        this.writeQueue = Promise.resolve();
+        this.lastRetentionRun = 0;
+        this.stats = {
+            written: 0,
+            rejected: 0,
+            queries: 0,
+            deletedPartitions: 0,
+            lastWriteAt: null
+        };
+    }
+
+    // Append canonical observations; invalid records are counted and skipped
+    async append(observations) {
+        const partitions = new Map();
+
+        observations.forEach(observation => {
+            if (!this.schema.validate(observation).valid) {
+                this.stats.rejected++;
+                return;
+            }
+
+            const file = this.partitionFile(observation.source.system, observation.time);
+            if (!partitions.has(file)) partitions.set(file, []);
+            partitions.get(file).push(JSON.stringify(observation));
+        });
+
+        // Serialize writes so concurrent appends never interleave lines
+        const write = this.writeQueue.then(async () => {
+            for (const [file, lines] of partitions) {
+                await fs.mkdir(path.dirname(file), { recursive: true });
+                await fs.appendFile(file, lines.join('\n') + '\n');
+                this.stats.written += lines.length;
+            }
+            this.stats.lastWriteAt = new Date().toISOString();
+
+            if (Date.now() - this.lastRetentionRun > RETENTION_INTERVAL_MS) {
+                await this.applyRetention();
+            }
+        });
+
+        // A failed write rejects this append only, not every append queued behind it
+        this.writeQueue = write.catch(() => {});
+        await write;
+        return partitions.size;
+    }
+
+    async query(criteria = {}) {
+        const {
+            lat,
+            lon,
+            radiusKm = 25,
+            station,
+            provider,
+            kind,
+            variables,
+            limit
+        } = criteria;
+
+        const endMs = criteria.end ? Date.parse(criteria.end) : Date.now();
+        const startMs = criteria.start ? Date.parse(criteria.start) : endMs - DAY_MS;
+        const systems = criteria.systems || DATA_SYSTEMS;
+
+        if (isNaN(startMs) || isNaN(endMs) || startMs > endMs) {
+            throw this.createQueryError('Invalid time range: start must be before end');
+        }
+
+        this.assertVariables(variables);
+        this.stats.queries++;
+
+        const hasLocation = Number.isFinite(lat) && Number.isFinite(lon);
+        const matches = new Map();
+
+        for (const system of systems) {
+            for (const file of await this.listPartitions(system, startMs, endMs)) {
+                await this.scanPartition(file, observation => {
+                    const time = Date.parse(observation.time);
+                    if (time < startMs || time > endMs) return;
+                    if (kind && observation.kind !== kind) return;
+                    if (station && observation.source.station !== station) return;
+                    if (provider && observation.source.provider !== provider) return;
+                    if (hasLocation && distanceKm(lat, lon, observation.lat, observation.lon) > radiusKm) return;
+                    if (variables && !variables.some(variable => observation[variable] !== null)) return;
+
+                    // Re-ingested records replace earlier copies of the same observation
+                    matches.set(this.observationKey(observation), observation);
+                });
+            }
+        }
+
+        const results = Array.from(matches.values())
+            .sort((a, b) => Date.parse(a.time) - Date.parse(b.time))
+            .map(observation => this.project(observation, variables));
+
+        return limit ? results.slice(-limit) : results;
+    }
+
+    // Bucket observations into fixed intervals, aggregating each variable
+    downsample(observations, options = {}) {
+        const { interval = '1h', aggregate = 'mean' } = options;
+        const variables = options.variables || Object.keys(OBSERVATION_FIELDS);
+        const intervalMs = this.parseInterval(interval);
+
+        if (!AGGREGATES.includes(aggregate)) {
+            throw this.createQueryError(`Unknown aggregate: ${aggregate}. Use one of ${AGGREGATES.join(', ')}`);
+        }
+        this.assertVariables(variables);
+
+        const buckets = new Map();
+        observations.forEach(observation => {
+            const bucketStart = Math.floor(Date.parse(observation.time) / intervalMs) * intervalMs;
+            if (!buckets.has(bucketStart)) buckets.set(bucketStart, []);
+            buckets.get(bucketStart).push(observation);
+        });
+
+        return Array.from(buckets.entries())
+            .sort(([a], [b]) => a - b)
+            .map(([bucketStart, members]) => {
+                const point = { time: new Date(bucketStart).toISOString(), count: members.length };
+                variables.forEach(variable => {
+                    const values = members.map(member => member[variable]).filter(value => value !== null && value !== undefined);
+                    point[variable] = values.length > 0 ? this.aggregateValues(values, aggregate) : null;
+                });
+                return point;
+            });
+    }
+
+    aggregateValues(values, aggregate) {
+        switch (aggregate) {
+            case 'min': return Math.min(...values);
+            case 'max': return Math.max(...values);
+            case 'sum': return values.reduce((sum, value) => sum + value, 0);
+            case 'last': return values[values.length - 1];
+            default: return values.reduce((sum, value) => sum + value, 0) / values.length;
+        }
+    }
+
+    // Delete whole day partitions older than each system's retention
+    async applyRetention(now = Date.now()) {
+        this.lastRetentionRun = now;
+        let deleted = 0;
+
+        for (const system of DATA_SYSTEMS) {
+            const days = this.retention[system] ?? this.retention.default;
+            const cutoff = this.dayKey(now - days * DAY_MS);
+
+            for (const file of await this.listPartitions(system)) {
+                if (path.basename(file, '.jsonl') < cutoff) {
+                    await fs.unlink(file);
+                    deleted++;
+                }
+            }
+        }
+
+        this.stats.deletedPartitions += deleted;
+        if (deleted > 0) {
+            console.log(`🗄️ Observation retention removed ${deleted} day partition${deleted === 1 ? '' : 's'}`);
+        }
+
+        return deleted;
+    }
+
+    // Round-trips a probe file and summarizes the partitions on disk
+    async checkHealth() {
+        const startTime = Date.now();
+        const probe = path.join(this.directory, '.health-probe');
+        const token = String(startTime);
+
+        await fs.mkdir(this.directory, { recursive: true });
+        await fs.writeFile(probe, token);
+        const readBack = await fs.readFile(probe, 'utf8');
+        await fs.unlink(probe);
+
+        if (readBack !== token) {
+            throw new Error('Observation store probe read back different data');
+        }
+
+        let partitions = 0;
+        let sizeBytes = 0;
+        let oldest = null;
+        let newest = null;
+
+        for (const system of DATA_SYSTEMS) {
+            for (const file of await this.listPartitions(system)) {
+                const day = path.basename(file, '.jsonl');
+                partitions++;
+                sizeBytes += (await fs.stat(file)).size;
+                if (!oldest || day < oldest) oldest = day;
+                if (!newest || day > newest) newest = day;
+            }
+        }
+
+        return {
+            connection: 'established',
+            engine: 'file-jsonl',
+            directory: this.directory,
+            latency: `${Date.now() - startTime}ms`,
+            partitions,
+            sizeBytes,
+            oldestPartition: oldest,
+            newestPartition: newest,
+            retentionDays: this.retention,
+            ...this.stats
+        };
+    }
+
+    async listPartitions(system, startMs = null, endMs = null) {
+        let files;
+        try {
+            files = await fs.readdir(path.join(this.directory, system));
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const startDay = startMs !== null ? this.dayKey(startMs) : null;
+        const endDay = endMs !== null ? this.dayKey(endMs) : null;
+
+        return files
+            .filter(file => file.endsWith('.jsonl'))
+            .filter(file => {
+                const day = path.basename(file, '.jsonl');
+                return (!startDay || day >= startDay) && (!endDay || day <= endDay);
+            })
+            .sort()
+            .map(file => path.join(this.directory, system, file));
+    }
+
+    async scanPartition(file, visit) {
+        const lines = readline.createInterface({ input: createReadStream(file), crlfDelay: Infinity });
+
+        for await (const line of lines) {
+            if (!line) continue;
+            try {
+                visit(JSON.parse(line));
+            } catch (error) {
+                // A torn final line from a crash must not poison the whole day
+                console.warn(`🗄️ Skipping unreadable line in ${file}`);
+            }
+        }
+    }
+
+    project(observation, variables) {
+        if (!variables) return observation;
+
+        const projected = {
+            schemaVersion: observation.schemaVersion,
+            kind: observation.kind,
+            time: observation.time,
+            lat: observation.lat,
+            lon: observation.lon,
+            source: observation.source
+        };
+        variables.forEach(variable => {
+            projected[variable] = observation[variable];
+        });
+        return projected;
+    }
+
+    assertVariables(variables) {
+        const unknown = (variables || []).filter(variable => !OBSERVATION_FIELDS[variable]);
+        if (unknown.length > 0) {
+            throw this.createQueryError(`Unknown variable${unknown.length === 1 ? '' : 's'}: ${unknown.join(', ')}`);
+        }
+    }
+
+    parseInterval(interval) {
+        const match = String(interval).match(/^(\d+)([mhd])$/);
+        if (!match || parseInt(match[1]) === 0) {
+            throw this.createQueryError(`Invalid interval: ${interval}, expected e.g. 15m, 1h or 1d`);
+        }
+        return parseInt(match[1]) * INTERVAL_UNITS[match[2]];
+    }
+
+    partitionFile(system, time) {
+        return path.join(this.directory, system, `${this.dayKey(Date.parse(time))}.jsonl`);
+    }
+
+    dayKey(ms) {
+        return new Date(ms).toISOString().split('T')[0];
+    }
+
+    observationKey(observation) {
+        const { system, provider, station } = observation.source;
+        return `${system}|${provider}|${station || `${observation.lat},${observation.lon}`}|${observation.kind}|${observation.time}`;
+    }
+
+    createQueryError(message) {
+        const error = new Error(message);
+        error.status = 400;
+        return error;
+    }
+}
@@ -5,12 +5,29 @@
  */
 
 import { DataQualityEngine } from './data-quality-engine.js';
-import { EnterpriseCache } from '../utils/enterprise-cache.js';
+import { EnterpriseCache, gridKey } from '../utils/enterprise-cache.js';
+import { ResiliencePolicy, gatewayStatus } from '../utils/resilience.js';
+import { ObservationSchema } from './observation-schema.js';
+import { WaveSpectrumAnalyzer, SPECTRAL_FILES } from './wave-spectrum.js';
+import { TidePredictor } from './tide-predictor.js';
+import { OceanProfileAnalyzer } from './ocean-profile.js';
+import { stationCatalog } from './station-catalog.js';
+import { distanceKm } from '../utils/spatial-index.js';
+
+const HIGH_SEAS_WAVE_M = 4;
+const GALE_WIND_MS = 17.2; // Beaufort 8
+const RAPID_PRESSURE_FALL_HPA = 3;
+const ARGO_SEARCH_DAYS = 30; // floats surface every ~10 days
+const ARGO_PROFILE_DATA = 'pressure,temperature,temperature_argoqc,salinity,salinity_argoqc';
 
 export default class OceanBuoyReader {
     constructor() {
         this.buoyNetworks = this.initializeBuoyNetworks();
         this.qualityEngine = new DataQualityEngine();
+        this.schema = new ObservationSchema();
+        this.spectrumAnalyzer = new WaveSpectrumAnalyzer();
+        this.tides = new TidePredictor();
+        this.profileAnalyzer = new OceanProfileAnalyzer();
         this.cache = new EnterpriseCache('ocean-buoy-data', 1000, 15 * 60 * 1000); // 15 min cache
         this.activeBuoys = new Map();
         this.buoyMetadata = new Map();
@@ -27,7 +44,6 @@ export default class OceanBuoyReader {
             NDBC: {
                 baseURL: 'https://www.ndbc.noaa.gov',
                 endpoints: {
-                    stations: '/data/stations/station_table.txt',
                     recent: '/data/realtime2',
                     historical: '/data/historical',
                     spectral: '/data/realtime2'
@@ -83,15 +99,14 @@ export default class OceanBuoyReader {
                 dataTypes: ['meteorological', 'oceanographic', 'water_quality']
             },
 
-            // Argo Float Network - Global profiling floats
+            // Argo Float Network through Argovis - free key from https://argovis-keygen.colorado.edu
             ARGO: {
-                baseURL: 'https://argo.ucsd.edu',
+                baseURL: 'https://argovis-api.colorado.edu',
                 endpoints: {
-                    floats: '/api/floats',
-                    profiles: '/api/profiles',
-                    trajectories: '/api/trajectories'
+                    profiles: '/argo'
                 },
-                rateLimit: 200,
+                apiKey: process.env.ARGOVIS_API_KEY,
+                rateLimit: 3600, // a profile search fans out to two requests per float
                 priority: 'HIGH',
                 coverage: 'GLOBAL',
                 dataTypes: ['temperature', 'salinity', 'pressure', 'trajectory']
@@ -101,9 +116,16 @@ export default class OceanBuoyReader {
 
     initializeBuoyClients() {
         this.clients = new Map();
+        this.policies = new Map();
         
         Object.entries(this.buoyNetworks).forEach(([network, config]) => {
-            this.clients.set(network, this.createBuoyClient(network, config));
+            const client = this.createBuoyClient(network, config);
+            this.clients.set(network, client);
+            this.policies.set(network, ResiliencePolicy.for(`ocean:${network}`, {
+                rateLimit: config.rateLimit,
+                timeoutMs: client.timeout,
+                maxAttempts: client.retryAttempts
+            }));
         });
 
         console.log('🌊 Buoy clients initialized for all ocean networks');
@@ -124,6 +146,9 @@ export default class OceanBuoyReader {
             case 'AODN':
                 headers['X-API-Key'] = config.apiKey;
                 break;
+            case 'ARGO':
+                if (config.apiKey) headers['x-argokey'] = config.apiKey;
+                break;
             case 'NDBC':
                 // NDBC uses public data, no authentication required
                 break;
@@ -140,43 +165,35 @@ export default class OceanBuoyReader {
     // Main buoy data ingestion method
     async readBuoyData(location, options = {}) {
         const { lat, lon, radius = 100 } = location; // radius in km
-        const cacheKey = `buoy_${lat}_${lon}_${radius}_${Date.now()}`;
-        
-        // Check cache first
-        const cached = await this.cache.get(cacheKey);
-        if (cached && !options.forceRefresh) {
-            console.log('🌊 Using cached buoy data');
-            return cached;
-        }
+        const cacheKey = gridKey('buoy', lat, lon, { radius, spectral: options.spectral || undefined });
 
         try {
-            // Find buoys near location
-            const nearbyBuoys = await this.findNearbyBuoys(location, radius);
-            
-            if (nearbyBuoys.length === 0) {
-                throw new Error(`No buoys found within ${radius}km of location`);
-            }
+            return await this.cache.getOrFetch(cacheKey, async () => {
+                // Find buoys near location
+                const nearbyBuoys = await this.findNearbyBuoys(location, radius);
+                
+                if (nearbyBuoys.length === 0) {
+                    throw new Error(`No buoys found within ${radius}km of location`);
+                }
 
-            // Fetch data from all nearby buoys
-            const buoyData = await this.fetchBuoyData(nearbyBuoys, options);
-            
-            // Process and aggregate data
-            const processedData = await this.processBuoyData(buoyData, location);
-            
-            // Validate data quality
-            const qualityReport = await this.qualityEngine.validateBuoyData(processedData);
-            
-            if (qualityReport.score >= 0.7) {
-                // Cache successful data
-                await this.cache.set(cacheKey, processedData);
+                // Fetch data from all nearby buoys
+                const buoyData = await this.fetchBuoyData(nearbyBuoys, options);
                 
+                // Process and aggregate data
+                const processedData = await this.processBuoyData(buoyData, location);
+                
+                // Bad fields are flagged per observation and skipped downstream, so a low score is reported rather than fatal
+                const qualityReport = await this.qualityEngine.validateBuoyData(processedData);
+                
+                if (qualityReport.score < 0.7) {
+                    console.warn(`🌊 Buoy data quality low (${qualityReport.score.toFixed(2)}): ${qualityReport.issues.join(', ')}`);
+                }
+
                 // Update active buoys tracking
                 this.updateActiveBuoys(nearbyBuoys, processedData);
                 
-                return processedData;
-            } else {
-                throw new Error(`Buoy data quality insufficient: ${qualityReport.issues.join(', ')}`);
-            }
+                return { ...processedData, dataQuality: qualityReport };
+            }, { forceRefresh: options.forceRefresh });
             
         } catch (error) {
             console.error('Buoy data reading failed:', error);
@@ -185,38 +202,14 @@ export default class OceanBuoyReader {
     }
 
     async findNearbyBuoys(location, radius) {
-        const { lat, lon } = location;
-        const nearbyBuoys = [];
-        
         try {
-            // Get buoy stations from NDBC (most comprehensive list)
-            const stationsResponse = await fetch(
-                this.buoyNetworks.NDBC.baseURL + this.buoyNetworks.NDBC.endpoints.stations,
-                {
-                    method: 'GET',
-                    headers: this.clients.get('NDBC').headers,
-                    signal: AbortSignal.timeout(15000)
-                }
-            );
-
-            if (!stationsResponse.ok) {
-                throw new Error(`NDBC stations error: ${stationsResponse.status}`);
-            }
-
-            const stationsText = await stationsResponse.text();
-            const stations = this.parseNDBCStations(stationsText);
-            
-            // Filter stations by distance
-            stations.forEach(station => {
-                const distance = this.calculateDistance(lat, lon, station.lat, station.lon);
-                if (distance <= radius) {
-                    nearbyBuoys.push({
-                        ...station,
-                        distance,
-                        network: 'NDBC'
-                    });
-                }
-            });
+            // NDBC stations come from the shared local catalog instead of a fresh station_table.txt per call
+            const stations = await stationCatalog.within(location, radius, { types: ['BUOY'] });
+            const nearbyBuoys = stations.map(station => ({
+                ...station,
+                distance: station.distance_km,
+                network: 'NDBC'
+            }));
 
             // Add buoys from other networks
             const additionalBuoys = await this.findAdditionalBuoys(location, radius);
@@ -230,55 +223,6 @@ export default class OceanBuoyReader {
         }
     }
 
-    parseNDBCStations(stationsText) {
-        const stations = [];
-        const lines = stationsText.split('\n');
-        
-        // Skip header lines and parse data
-        for (let i = 2; i < lines.length; i++) {
-            const line = lines[i].trim();
-            if (!line) continue;
-            
-            const parts = line.split('|').map(part => part.trim());
-            if (parts.length >= 8) {
-                const station = {
-                    id: parts[0],
-                    name: parts[1],
-                    lat: this.parseCoordinate(parts[2]),
-                    lon: this.parseCoordinate(parts[3]),
-                    type: parts[4],
-                    owner: parts[5],
-                    metadata: {
-                        established: parts[6],
-                        payload: parts[7]
-                    }
-                };
-                
-                if (station.lat && station.lon) {
-                    stations.push(station);
-                }
-            }
-        }
-        
-        return stations;
-    }
-
-    parseCoordinate(coordStr) {
-        // Parse coordinates like "40.712 N" or "74.006 W"
-        const match = coordStr.match(/([\d.]+)\s*([NSEW])/i);
-        if (match) {
-            let value = parseFloat(match[1]);
-            const direction = match[2].toUpperCase();
-            
-            if (direction === 'S' || direction === 'W') {
-                value = -value;
-            }
-            
-            return value;
-        }
-        return null;
-    }
-
     async findAdditionalBuoys(location, radius) {
         const additionalBuoys = [];
         
@@ -319,7 +263,7 @@ export default class OceanBuoyReader {
     async fetchSingleBuoyData(buoy, options) {
         switch (buoy.network) {
             case 'NDBC':
-                return await this.fetchNDBCBuoyData(buoy);
+                return await this.fetchNDBCBuoyData(buoy, options);
             case 'COPERNICUS':
                 return await this.fetchCopernicusBuoyData(buoy);
             case 'ARGO':
@@ -329,16 +273,16 @@ export default class OceanBuoyReader {
         }
     }
 
-    async fetchNDBCBuoyData(buoy) {
+    async fetchNDBCBuoyData(buoy, options = {}) {
         try {
             // Fetch recent data from NDBC
-            const response = await fetch(
+            const response = await this.policies.get('NDBC').fetch(
                 `${this.buoyNetworks.NDBC.baseURL}${this.buoyNetworks.NDBC.endpoints.recent}/${buoy.id}.txt`,
                 {
                     method: 'GET',
-                    headers: this.clients.get('NDBC').headers,
-                    signal: AbortSignal.timeout(10000)
-                }
+                    headers: this.clients.get('NDBC').headers
+                },
+                { timeoutMs: 10000 }
             );
 
             if (!response.ok) {
@@ -347,11 +291,21 @@ export default class OceanBuoyReader {
 
             const dataText = await response.text();
             const parsedData = this.parseNDBCData(dataText, buoy);
+
+            // Spectra are five more requests per buoy, so only on request
+            const spectrum = options.spectral
+                ? await this.readWaveSpectrum(buoy.id, { windSpeed: this.latestWindSpeed(parsedData) }).catch(error => {
+                    console.warn(`NDBC buoy ${buoy.id} spectral data unavailable:`, error.message);
+                    return null;
+                })
+                : null;
             
             return {
                 buoy: buoy,
                 network: 'NDBC',
                 data: parsedData,
+                spectrum,
+                observations: parsedData.map(observation => this.toObservation(observation, buoy, 'NDBC')),
                 timestamp: new Date(),
                 metadata: {
                     dataPoints: parsedData.length,
@@ -376,6 +330,8 @@ export default class OceanBuoyReader {
             
             const parts = line.split(/\s+/);
             if (parts.length >= 10) {
+                // Standard meteorological columns:
+                // YY MM DD hh mm WDIR WSPD GST WVHT DPD APD MWD PRES ATMP WTMP DEWP VIS
                 const observation = {
                     timestamp: this.parseNDBCTimestamp(parts[0], parts[1], parts[2], parts[3], parts[4]),
                     wind: {
@@ -386,13 +342,14 @@ export default class OceanBuoyReader {
                     waves: {
                         height: this.parseNDBCValue(parts[8]),
                         period: this.parseNDBCValue(parts[9]),
-                        direction: parts[10] ? this.parseNDBCValue(parts[10]) : null
+                        averagePeriod: parts[10] ? this.parseNDBCValue(parts[10]) : null,
+                        direction: parts[11] ? this.parseNDBCValue(parts[11]) : null
                     },
-                    pressure: this.parseNDBCValue(parts[11]),
-                    airTemperature: this.parseNDBCValue(parts[12]),
-                    waterTemperature: this.parseNDBCValue(parts[13]),
-                    dewpoint: this.parseNDBCValue(parts[14]),
-                    visibility: this.parseNDBCValue(parts[15])
+                    pressure: this.parseNDBCValue(parts[12]),
+                    airTemperature: this.parseNDBCValue(parts[13]),
+                    waterTemperature: this.parseNDBCValue(parts[14]),
+                    dewpoint: this.parseNDBCValue(parts[15]),
+                    visibility: this.parseNDBCValue(parts[16])
                 };
                 
                 // Only include observations with valid data
@@ -405,14 +362,106 @@ export default class OceanBuoyReader {
         return data;
     }
 
+    // Directional wave spectrum for one NDBC buoy, latest hour first
+    async readWaveSpectrum(buoyId, options = {}) {
+        const { windSpeed = null, includeDirectional = false, hours = 1 } = options;
+        // realtime2 file names use the upper-case station id
+        const station = String(buoyId).toUpperCase();
+
+        const spectra = await this.cache.getOrFetch(`spectrum:${station}`, async () => {
+            const files = await this.fetchNDBCSpectralFiles(station);
+            return this.spectrumAnalyzer.combine(files, { source: 'realtime' });
+        }, { ttl: 30 * 60 * 1000, forceRefresh: options.forceRefresh }); // NDBC posts spectra hourly
+
+        if (spectra.length === 0) {
+            const error = new Error(`No spectral wave data for buoy ${station}`);
+            error.status = 404;
+            throw error;
+        }
+
+        return {
+            buoy: station,
+            network: 'NDBC',
+            latest: this.spectrumAnalyzer.analyze(spectra[0], { windSpeed, includeDirectional }),
+            history: spectra.slice(1, hours).map(spectrum => {
+                const { bands, ...summary } = this.spectrumAnalyzer.analyze(spectrum, { windSpeed });
+                return summary;
+            })
+        };
+    }
+
+    // Energy density is required; buoys without a directional payload have no swdir / swr files
+    async fetchNDBCSpectralFiles(buoyId) {
+        const results = await Promise.allSettled(SPECTRAL_FILES.map(async extension => {
+            const response = await this.policies.get('NDBC').fetch(
+                `${this.buoyNetworks.NDBC.baseURL}${this.buoyNetworks.NDBC.endpoints.spectral}/${buoyId}.${extension}`,
+                {
+                    method: 'GET',
+                    headers: this.clients.get('NDBC').headers
+                },
+                { timeoutMs: 10000 }
+            );
+
+            if (response.status === 404) return null;
+            if (!response.ok) {
+                throw new Error(`NDBC spectral ${extension} error: ${response.status}`);
+            }
+            return await response.text();
+        }));
+
+        const files = Object.fromEntries(SPECTRAL_FILES.map((extension, index) => [
+            extension,
+            results[index].status === 'fulfilled' ? results[index].value : null
+        ]));
+
+        if (results[0].status === 'rejected') throw results[0].reason;
+        if (!files.data_spec) {
+            const error = new Error(`No spectral wave data for buoy ${buoyId}`);
+            error.status = 404;
+            throw error;
+        }
+
+        return files;
+    }
+
+    latestWindSpeed(parsedData) {
+        const latest = parsedData.find(observation => observation.wind.speed !== null);
+        return latest ? latest.wind.speed : null;
+    }
+
     parseNDBCTimestamp(year, month, day, hour, minute) {
-        return new Date(
+        // NDBC reports in UTC
+        return new Date(Date.UTC(
             parseInt(year),
             parseInt(month) - 1,
             parseInt(day),
             parseInt(hour),
             parseInt(minute)
-        );
+        ));
+    }
+
+    toObservation(observation, buoy, network) {
+        // NDBC units: wind in m/s, pressure in hPa, visibility in nautical miles
+        return this.schema.create({
+            temp_c: observation.airTemperature,
+            dewpoint_c: observation.dewpoint,
+            pressure_mb: observation.pressure,
+            wind_kph: observation.wind.speed != null ? observation.wind.speed * 3.6 : null,
+            wind_degree: observation.wind.direction,
+            gust_kph: observation.wind.gust != null ? observation.wind.gust * 3.6 : null,
+            vis_km: observation.visibility != null ? observation.visibility * 1.852 : null,
+            water_temp_c: observation.waterTemperature,
+            wave_height_m: observation.waves.height,
+            wave_period_s: observation.waves.period,
+            wave_degree: observation.waves.direction
+        }, {
+            lat: buoy.lat,
+            lon: buoy.lon,
+            time: observation.timestamp,
+            system: 'OCEAN',
+            provider: network,
+            station: buoy.id
+        });
     }
 
     parseNDBCValue(value) {
@@ -442,13 +491,13 @@ export default class OceanBuoyReader {
                 variables: 'TEMP,PSAL,CURR,WAVE'
             });
 
-            const response = await fetch(
+            const response = await this.policies.get('COPERNICUS').fetch(
                 `${this.buoyNetworks.COPERNICUS.baseURL}${this.buoyNetworks.COPERNICUS.endpoints.observations}?${params}`,
                 {
                     method: 'GET',
-                    headers: this.clients.get('COPERNICUS').headers,
-                    signal: AbortSignal.timeout(15000)
-                }
+                    headers: this.clients.get('COPERNICUS').headers
+                },
+                { timeoutMs: 15000 }
             );
 
             if (!response.ok) {
@@ -474,31 +523,32 @@ export default class OceanBuoyReader {
         }
     }
 
+    // Latest profile of one float; the shallowest good level stands in as its surface reading
     async fetchArgoBuoyData(buoy) {
         try {
-            const response = await fetch(
-                `${this.buoyNetworks.ARGO.baseURL}${this.buoyNetworks.ARGO.endpoints.profiles}?float=${buoy.id}&latest=true`,
-                {
-                    method: 'GET',
-                    headers: this.clients.get('ARGO').headers,
-                    signal: AbortSignal.timeout(20000)
-                }
-            );
+            const [profile] = await this.fetchArgoProfiles(buoy.id, 1);
+            if (!profile) return null;
 
-            if (!response.ok) {
-                throw new Error(`Argo data error: ${response.status}`);
-            }
-
-            const data = await response.json();
+            const analysis = this.profileAnalyzer.analyze(profile);
             
             return {
                 buoy: buoy,
                 network: 'ARGO',
-                data: this.processArgoData(data),
+                data: [analysis],
+                observations: analysis.surfaceTemperature_c !== null ? [this.schema.create({
+                    water_temp_c: analysis.surfaceTemperature_c
+                }, {
+                    lat: analysis.lat ?? buoy.lat,
+                    lon: analysis.lon ?? buoy.lon,
+                    time: analysis.time,
+                    system: 'OCEAN',
+                    provider: 'ARGO',
+                    station: buoy.id
+                })] : [],
                 timestamp: new Date(),
                 metadata: {
-                    profileCount: data.profiles?.length || 0,
-                    maxDepth: this.findMaxDepth(data),
+                    profileCount: 1,
+                    maxDepth: analysis.maxDepth_m,
                     parameters: ['temperature', 'salinity', 'pressure']
                 }
             };
@@ -509,6 +559,147 @@ export default class OceanBuoyReader {
         }
     }
 
+    // Subsurface context: recent profiles, mixed layer, 0-700 m heat content and drift per float
+    async readOceanProfiles(location, radius = 300, options = {}) {
+        const { lat, lon } = location;
+        const { maxFloats = 10, profilesPerFloat = 5 } = options;
+
+        // Floats surface every ~10 days, so hours-old results are still current
+        return await this.cache.getOrFetch(gridKey('argo', lat, lon, { radius, maxFloats, profilesPerFloat }), async () => {
+            const floats = (await this.findArgoFloats(location, radius)).slice(0, maxFloats);
+
+            if (floats.length === 0) {
+                const error = new Error(`No Argo floats found within ${radius}km of location`);
+                error.status = 404;
+                throw error;
+            }
+
+            const results = [];
+            for (const float of floats) {
+                try {
+                    const [profiles, trajectory] = await Promise.all([
+                        this.fetchArgoProfiles(float.id, profilesPerFloat),
+                        this.fetchArgoTrajectory(float.id)
+                    ]);
+                    const analyzed = profiles.map(profile => this.profileAnalyzer.analyze(profile));
+
+                    results.push({
+                        float: float.id,
+                        distance_km: Math.round(float.distance * 10) / 10,
+                        latest: analyzed[0] || null,
+                        // Older cycles without the level arrays - the change between them is what matters
+                        history: analyzed.slice(1).map(({ levels, ...summary }) => summary),
+                        trajectory
+                    });
+                } catch (error) {
+                    console.warn(`Argo float ${float.id} profiles unavailable:`, error.message);
+                }
+            }
+
+            return {
+                location: { lat, lon },
+                radius_km: radius,
+                timestamp: new Date(),
+                floats: results,
+                summary: this.summarizeProfiles(results)
+            };
+        }, { ttl: 6 * 60 * 60 * 1000, forceRefresh: options.forceRefresh });
+    }
+
+    // Floats that surfaced within the radius lately, at their latest fix
+    async findArgoFloats(location, radius) {
+        const now = Date.now();
+        const profiles = await this.fetchArgo({
+            center: `${location.lon},${location.lat}`,
+            radius,
+            startDate: new Date(now - ARGO_SEARCH_DAYS * 24 * 60 * 60 * 1000).toISOString(),
+            endDate: new Date(now).toISOString()
+        });
+
+        const latest = new Map();
+        profiles.forEach(profile => {
+            const id = this.argoPlatform(profile);
+            if (!latest.has(id) || Date.parse(profile.timestamp) > Date.parse(latest.get(id).timestamp)) {
+                latest.set(id, profile);
+            }
+        });
+
+        return Array.from(latest, ([id, profile]) => {
+            const [floatLon, floatLat] = profile.geolocation?.coordinates || [];
+            return {
+                id,
+                lat: floatLat,
+                lon: floatLon,
+                distance: distanceKm(location.lat, location.lon, floatLat, floatLon),
+                network: 'ARGO'
+            };
+        })
+            .filter(float => Number.isFinite(float.distance) && float.distance <= radius)
+            .sort((a, b) => a.distance - b.distance);
+    }
+
+    // Newest first
+    async fetchArgoProfiles(floatId, limit) {
+        const profiles = await this.fetchArgo({ platform: floatId, mostrecent: limit, data: ARGO_PROFILE_DATA });
+
+        return profiles
+            .map(profile => this.profileAnalyzer.normalizeProfile({ float: floatId, ...profile }))
+            .filter(profile => profile.time && profile.levels.length > 0)
+            .sort((a, b) => Date.parse(b.time) - Date.parse(a.time))
+            .slice(0, limit);
+    }
+
+    // Without `data` Argovis returns every cycle's position and time and no levels
+    async fetchArgoTrajectory(floatId) {
+        return this.profileAnalyzer.trajectory(await this.fetchArgo({ platform: floatId }));
+    }
+
+    async fetchArgo(query) {
+        if (!this.buoyNetworks.ARGO.apiKey) {
+            const error = new Error('Argo profiles need an Argovis API key (ARGOVIS_API_KEY)');
+            error.status = 503;
+            throw error;
+        }
+
+        const response = await this.policies.get('ARGO').fetch(
+            `${this.buoyNetworks.ARGO.baseURL}${this.buoyNetworks.ARGO.endpoints.profiles}?${new URLSearchParams(query)}`,
+            {
+                method: 'GET',
+                headers: this.clients.get('ARGO').headers
+            },
+            { timeoutMs: 20000 }
+        );
+
+        // Argovis answers an empty search with 404
+        if (response.status === 404) return [];
+        if (!response.ok) {
+            throw new Error(`Argo data error: ${response.status}`);
+        }
+
+        return await response.json();
+    }
+
+    // Argovis profile ids are <WMO platform number>_<cycle>
+    argoPlatform(profile) {
+        return String(profile._id).split('_')[0];
+    }
+
+    summarizeProfiles(results) {
+        const mean = values => {
+            const valid = values.filter(Number.isFinite);
+            return valid.length > 0 ? Math.round(valid.reduce((sum, value) => sum + value, 0) / valid.length * 100) / 100 : null;
+        };
+        const latest = results.map(result => result.latest).filter(Boolean);
+
+        return {
+            floats: results.length,
+            profiles: latest.length,
+            meanMixedLayerDepth_m: mean(latest.map(profile => profile.mixedLayer.depth_m)),
+            meanHeatContent700_gj_m2: mean(latest.map(profile => profile.heatContent700.value_gj_m2)),
+            meanSurfaceTemperature_c: mean(latest.map(profile => profile.surfaceTemperature_c))
+        };
+    }
+
     // Data processing methods
     async processBuoyData(buoyData, location) {
         const processed = {
@@ -516,7 +707,10 @@ export default class OceanBuoyReader {
             timestamp: new Date(),
             buoys: buoyData.length,
             networks: [...new Set(buoyData.map(d => d.network))],
+            schemaVersion: this.schema.version,
             data: {},
+            observations: buoyData.flatMap(buoy => buoy.observations || []),
+            spectra: buoyData.filter(buoy => buoy.spectrum).map(buoy => buoy.spectrum),
             analysis: {},
             alerts: []
         };
@@ -551,18 +745,61 @@ export default class OceanBuoyReader {
             waterProperties: this.analyzeWaterProperties(buoyData),
             waveAnalysis: this.analyzeWaveConditions(buoyData),
             currentPatterns: this.analyzeCurrentPatterns(buoyData),
-            trends: this.analyzeOceanTrends(buoyData)
+            trends: this.analyzeOceanTrends(buoyData),
+            tides: await this.analyzeTides(location)
         };
 
         return analysis;
     }
 
+    // Level and next high / low at the nearest tide station, null away from the coast
+    async analyzeTides(location) {
+        await this.tides.ready;
+
+        const nearest = this.tides.findStation(location);
+        if (!nearest) return null;
+
+        return {
+            ...this.tides.summarize(nearest.station),
+            distance_km: Math.round(nearest.distance * 10) / 10
+        };
+    }
+
+    // Tide curve and high / low times for a station id or the station nearest a location
+    async predictTides(query, options = {}) {
+        await this.tides.ready;
+
+        const { start = new Date(), stepMinutes = 10 } = options;
+        const end = options.end || new Date(start.getTime() + 48 * 60 * 60 * 1000);
+
+        let station;
+        let distance = null;
+        if (query.station) {
+            station = this.tides.getStation(query.station);
+        } else {
+            const nearest = this.tides.findStation(query);
+            if (!nearest) {
+                const error = new Error(`No tide station within ${this.tides.maxStationDistanceKm}km of location`);
+                error.status = 404;
+                throw error;
+            }
+            station = nearest.station;
+            distance = Math.round(nearest.distance * 10) / 10;
+        }
+
+        return {
+            ...this.tides.predict(station, start, end, { stepMinutes }),
+            distance_km: distance
+        };
+    }
+
     analyzeSurfaceConditions(buoyData) {
         const surfaceData = [];
         
         Object.values(buoyData).forEach(buoy => {
-            if (buoy.data && buoy.data.length > 0) {
-                const latest = buoy.data[buoy.data.length - 1];
+            // NDBC realtime2 files list the newest record first
+            const latest = buoy.network === 'NDBC' ? buoy.data?.[0] : null;
+            if (latest) {
                 surfaceData.push({
                     windSpeed: latest.wind?.speed,
                     windDirection: latest.wind?.direction,
@@ -573,4 +810,252 @@ export default class OceanBuoyReader {
         });
 
         return {
-            averageWind
+            averageWind: mean(surfaceData.map(reading => reading.windSpeed)),
+            averageAirTemperature: mean(surfaceData.map(reading => reading.airTemperature)),
+            averagePressure: mean(surfaceData.map(reading => reading.pressure)),
+            buoysReporting: surfaceData.length
+        };
+    }
+
+    analyzeWaterProperties(buoyData) {
+        const temperatures = [];
+        const salinities = [];
+
+        Object.values(buoyData).forEach(buoy => {
+            const latest = buoy.data?.[0];
+            if (!latest) return;
+            // Argo records are profile summaries, the others raw readings
+            temperatures.push(latest.waterTemperature ?? latest.surfaceTemperature_c);
+            salinities.push(latest.salinity);
+        });
+
+        return {
+            averageWaterTemperature: mean(temperatures),
+            averageSalinity: mean(salinities)
+        };
+    }
+
+    analyzeWaveConditions(buoyData) {
+        const heights = [];
+        const periods = [];
+
+        Object.values(buoyData).forEach(buoy => {
+            const waves = buoy.data?.[0]?.waves;
+            if (!waves) return;
+            heights.push(waves.height);
+            periods.push(waves.period);
+        });
+
+        const validHeights = heights.filter(Number.isFinite);
+        return {
+            averageHeight: mean(heights),
+            maxHeight: validHeights.length > 0 ? Math.max(...validHeights) : null,
+            averagePeriod: mean(periods),
+            spectraAvailable: Object.values(buoyData).filter(buoy => buoy.spectrum).length
+        };
+    }
+
+    // Copernicus is the only network here that reports surface currents
+    analyzeCurrentPatterns(buoyData) {
+        const currents = Object.values(buoyData)
+            .map(buoy => buoy.data?.[0]?.current)
+            .filter(current => Number.isFinite(current?.speed) && Number.isFinite(current?.direction));
+
+        if (currents.length === 0) return null;
+
+        // Direction is averaged as a vector so 350 and 10 degrees give north, not south
+        const east = currents.reduce((sum, current) => sum + current.speed * Math.sin(current.direction * Math.PI / 180), 0);
+        const north = currents.reduce((sum, current) => sum + current.speed * Math.cos(current.direction * Math.PI / 180), 0);
+
+        return {
+            averageSpeed: mean(currents.map(current => current.speed)),
+            meanDirection: Math.round(((Math.atan2(east, north) * 180 / Math.PI) + 360) % 360),
+            measurements: currents.length
+        };
+    }
+
+    // Three-hour pressure tendency and day-on-day water temperature change per NDBC buoy
+    analyzeOceanTrends(buoyData) {
+        const pressureTendencies = [];
+        const waterTemperatureChanges = [];
+
+        Object.values(buoyData).forEach(buoy => {
+            if (buoy.network !== 'NDBC' || !buoy.data?.length) return;
+
+            const [latest] = buoy.data;
+            const readingBefore = (hours, field) => {
+                const cutoff = latest.timestamp.getTime() - hours * 60 * 60 * 1000;
+                return buoy.data.find(record => record.timestamp.getTime() <= cutoff && Number.isFinite(record[field]));
+            };
+
+            const earlierPressure = readingBefore(3, 'pressure');
+            if (earlierPressure && Number.isFinite(latest.pressure)) {
+                pressureTendencies.push(latest.pressure - earlierPressure.pressure);
+            }
+
+            const earlierWater = readingBefore(24, 'waterTemperature');
+            if (earlierWater && Number.isFinite(latest.waterTemperature)) {
+                waterTemperatureChanges.push(latest.waterTemperature - earlierWater.waterTemperature);
+            }
+        });
+
+        return {
+            pressureTendency_3h: mean(pressureTendencies),
+            waterTemperatureChange_24h: mean(waterTemperatureChanges)
+        };
+    }
+
+    async generateOceanAlerts(analysis) {
+        const alerts = [];
+
+        if (analysis.waveAnalysis.maxHeight >= HIGH_SEAS_WAVE_M) {
+            alerts.push({
+                type: 'HIGH_SEAS',
+                severity: 'HIGH',
+                message: `Significant wave height up to ${analysis.waveAnalysis.maxHeight} m`,
+                action: 'ADVISE'
+            });
+        }
+
+        if (analysis.surfaceConditions.averageWind >= GALE_WIND_MS) {
+            alerts.push({
+                type: 'GALE_WINDS',
+                severity: 'MODERATE',
+                message: `Average buoy wind ${analysis.surfaceConditions.averageWind} m/s`,
+                action: 'ADVISE'
+            });
+        }
+
+        // A fast pressure fall at sea often leads a deepening low
+        if (analysis.trends.pressureTendency_3h !== null && analysis.trends.pressureTendency_3h <= -RAPID_PRESSURE_FALL_HPA) {
+            alerts.push({
+                type: 'RAPID_PRESSURE_FALL',
+                severity: 'MODERATE',
+                message: `Pressure falling ${Math.abs(analysis.trends.pressureTendency_3h)} hPa in 3 hours`,
+                action: 'MONITOR'
+            });
+        }
+
+        return alerts;
+    }
+
+    calculateBuoyQuality(processed) {
+        const times = processed.observations.map(observation => Date.parse(observation.time)).filter(Number.isFinite);
+
+        return {
+            buoyCount: processed.buoys,
+            networks: processed.networks,
+            observationCount: processed.observations.length,
+            newestObservation: times.length > 0 ? new Date(Math.max(...times)).toISOString() : null
+        };
+    }
+
+    updateActiveBuoys(nearbyBuoys, processedData) {
+        nearbyBuoys.forEach(buoy => {
+            if (!processedData.data[buoy.id]) return;
+            this.activeBuoys.set(buoy.id, {
+                network: buoy.network,
+                lat: buoy.lat,
+                lon: buoy.lon,
+                lastSeen: processedData.timestamp
+            });
+        });
+    }
+
+    extractParameters(parsedData) {
+        const parameters = new Set();
+
+        parsedData.forEach(observation => {
+            Object.entries(observation).forEach(([key, value]) => {
+                if (key === 'timestamp') return;
+                const present = value !== null && typeof value === 'object'
+                    ? Object.values(value).some(v => v !== null)
+                    : value !== null;
+                if (present) parameters.add(key);
+            });
+        });
+
+        return Array.from(parameters);
+    }
+
+    // Copernicus only answers with credentials - without them the search is skipped
+    async searchCopernicusBuoys(location, radius) {
+        const network = this.buoyNetworks.COPERNICUS;
+        if (!network.username || !network.password) return [];
+
+        const params = new URLSearchParams({ lat: location.lat, lon: location.lon, radius });
+        const response = await this.policies.get('COPERNICUS').fetch(
+            `${network.baseURL}${network.endpoints.observations}?${params}`,
+            {
+                method: 'GET',
+                headers: this.clients.get('COPERNICUS').headers
+            },
+            { timeoutMs: 15000 }
+        );
+
+        if (!response.ok) {
+            throw new Error(`Copernicus search error: ${response.status}`);
+        }
+
+        const data = await response.json();
+        return (data.platforms || [])
+            .map(platform => ({
+                id: String(platform.id),
+                lat: Number(platform.lat),
+                lon: Number(platform.lon),
+                distance: distanceKm(location.lat, location.lon, Number(platform.lat), Number(platform.lon)),
+                network: 'COPERNICUS'
+            }))
+            .filter(platform => Number.isFinite(platform.distance) && platform.distance <= radius);
+    }
+
+    async searchArgoFloats(location, radius) {
+        if (!this.buoyNetworks.ARGO.apiKey) return [];
+        return await this.findArgoFloats(location, radius);
+    }
+
+    // Newest first, like NDBC, so every network's latest reading is data[0]
+    processCopernicusData(data) {
+        return (data.observations || [])
+            .map(observation => ({
+                timestamp: new Date(observation.time),
+                waterTemperature: observation.TEMP ?? null,
+                salinity: observation.PSAL ?? null,
+                current: {
+                    speed: observation.CURR_SPEED ?? null,
+                    direction: observation.CURR_DIR ?? null
+                },
+                waves: {
+                    height: observation.VHM0 ?? null,
+                    period: observation.VTPK ?? null
+                }
+            }))
+            .filter(observation => !isNaN(observation.timestamp))
+            .sort((a, b) => b.timestamp - a.timestamp);
+    }
+
+    // AODN and IOOS are configured but have no reader yet
+    async fetchGenericBuoyData(buoy) {
+        console.warn(`🌊 No reader for ${buoy.network} buoy ${buoy.id}`);
+        return null;
+    }
+
+    enhanceBuoyError(error, context) {
+        const enhancedError = new Error(`OceanBuoyReader.${context}: ${error.message}`);
+        enhancedError.originalError = error;
+        enhancedError.timestamp = new Date();
+        enhancedError.context = context;
+        enhancedError.status = gatewayStatus(error);
+        return enhancedError;
+    }
+
+    // Periodic refresh of watched locations is the aggregation scheduler's job
+    startRealTimeBuoyMonitoring() {
+        console.log('🌊 Buoy refresh delegated to the aggregation scheduler');
+    }
+}
+
+function mean(values) {
+    const valid = values.filter(Number.isFinite);
+    return valid.length > 0 ? Math.round(valid.reduce((sum, value) => sum + value, 0) / valid.length * 100) / 100 : null;
+}
@@ -0,0 +1,229 @@
+/**
+ * 🤿 Ocean Profile Analyzer
+ * Argo float profiles -> temperature / salinity vs. depth, mixed layer, heat content, drift
+ *
+ * Profiles arrive as Argovis v2 documents (`data` holds one array per
+ * variable named in `data_info[0]`, position is GeoJSON `geolocation`).
+ * They are pressure-indexed (dbar); depth comes from the UNESCO 1983
+ * pressure-to-depth formula. Levels whose Argo QC flag is anything other than
+ * 1 (good) or 2 (probably good) are dropped. Mixed-layer depth uses the de
+ * Boyer Montégut (2004) thresholds against the 10 m reference level: 0.2 °C
+ * in temperature, 0.03 kg/m³ in density (density from a linear equation of
+ * state, good enough to find the threshold crossing).
+ */
+
+import { distanceKm } from '../utils/spatial-index.js';
+
+const RHO0 = 1025;                   // kg/m³
+const SPECIFIC_HEAT = 3985;          // J/(kg·K), seawater
+const THERMAL_EXPANSION = 1.7e-4;    // 1/K
+const HALINE_CONTRACTION = 7.6e-4;   // 1/psu
+const REFERENCE_DEPTH_M = 10;
+const MLD_TEMPERATURE_THRESHOLD = 0.2;
+const MLD_DENSITY_THRESHOLD = 0.03;
+const HEAT_CONTENT_DEPTH_M = 700;
+const GOOD_QC = new Set(['1', '2']);
+
+export class OceanProfileAnalyzer {
+    // Tolerates Argovis documents, level objects or parallel arrays
+    normalizeProfile(raw) {
+        const [geoLon, geoLat] = raw.geolocation?.coordinates || [];
+        const lat = Number(raw.lat ?? raw.latitude ?? geoLat);
+        const lon = Number(raw.lon ?? raw.longitude ?? geoLon);
+
+        const levels = this.extractLevels(raw)
+            .filter(level => Number.isFinite(level.pressure) && level.pressure >= 0)
+            .map(level => ({
+                pressure_dbar: level.pressure,
+                depth_m: this.round(this.pressureToDepth(level.pressure, Number.isFinite(lat) ? lat : 0), 1),
+                temperature_c: this.goodValue(level.temperature, level.temperatureQC),
+                salinity_psu: this.goodValue(level.salinity, level.salinityQC)
+            }))
+            .filter(level => level.temperature_c !== null || level.salinity_psu !== null)
+            .sort((a, b) => a.depth_m - b.depth_m);
+
+        return {
+            float: String(raw.float ?? raw.platform_number ?? raw.platform ?? ''),
+            cycle: raw.cycle ?? raw.cycle_number ?? null,
+            time: this.toISOString(raw.date ?? raw.juld ?? raw.timestamp),
+            lat: Number.isFinite(lat) ? lat : null,
+            lon: Number.isFinite(lon) ? lon : null,
+            levels
+        };
+    }
+
+    extractLevels(raw) {
+        if (Array.isArray(raw.data_info) && Array.isArray(raw.data)) {
+            return this.extractLevels(Object.fromEntries(raw.data_info[0].map((name, index) => [name, raw.data[index]])));
+        }
+        if (Array.isArray(raw.levels)) {
+            return raw.levels.map(level => ({
+                pressure: Number(level.pressure ?? level.pres),
+                temperature: level.temperature ?? level.temp,
+                salinity: level.salinity ?? level.psal,
+                temperatureQC: level.temperature_qc ?? level.temp_qc,
+                salinityQC: level.salinity_qc ?? level.psal_qc
+            }));
+        }
+
+        const pressure = raw.pressure || raw.pres || [];
+        const temperature = raw.temperature || raw.temp || [];
+        const salinity = raw.salinity || raw.psal || [];
+        const temperatureQC = raw.temperature_argoqc || raw.temperature_qc || raw.temp_qc || [];
+        const salinityQC = raw.salinity_argoqc || raw.salinity_qc || raw.psal_qc || [];
+
+        return pressure.map((value, index) => ({
+            pressure: Number(value),
+            temperature: temperature[index],
+            salinity: salinity[index],
+            temperatureQC: temperatureQC[index],
+            salinityQC: salinityQC[index]
+        }));
+    }
+
+    goodValue(value, qc) {
+        if (value === null || value === undefined) return null;
+        if (qc !== undefined && qc !== null && !GOOD_QC.has(String(qc))) return null;
+        const number = Number(value);
+        return Number.isFinite(number) ? number : null;
+    }
+
+    // UNESCO 1983 (Saunders & Fofonoff) - metres from dbar at a latitude
+    pressureToDepth(pressure, lat) {
+        const x = Math.pow(Math.sin(lat * Math.PI / 180), 2);
+        const gravity = 9.780318 * (1 + (5.2788e-3 + 2.36e-5 * x) * x) + 1.092e-6 * pressure;
+        return ((((-1.82e-15 * pressure + 2.279e-10) * pressure - 2.2512e-5) * pressure + 9.72659) * pressure) / gravity;
+    }
+
+    density(temperature, salinity) {
+        return RHO0 * (1 - THERMAL_EXPANSION * (temperature - 10) + HALINE_CONTRACTION * (salinity - 35));
+    }
+
+    analyze(profile) {
+        const temperatureLevels = profile.levels.filter(level => level.temperature_c !== null);
+        const surface = temperatureLevels[0] || null;
+
+        return {
+            ...profile,
+            maxDepth_m: profile.levels.length > 0 ? profile.levels[profile.levels.length - 1].depth_m : null,
+            surfaceTemperature_c: surface && surface.depth_m <= REFERENCE_DEPTH_M ? surface.temperature_c : null,
+            mixedLayer: this.mixedLayerDepth(profile.levels),
+            heatContent700: this.heatContent(temperatureLevels)
+        };
+    }
+
+    mixedLayerDepth(levels) {
+        const byTemperature = this.thresholdCrossing(
+            levels.filter(level => level.temperature_c !== null),
+            (level, reference) => Math.abs(level.temperature_c - reference.temperature_c),
+            MLD_TEMPERATURE_THRESHOLD
+        );
+
+        const density = level => this.density(level.temperature_c, level.salinity_psu);
+        const byDensity = this.thresholdCrossing(
+            levels.filter(level => level.temperature_c !== null && level.salinity_psu !== null),
+            (level, reference) => density(level) - density(reference),
+            MLD_DENSITY_THRESHOLD
+        );
+
+        return {
+            temperature_m: byTemperature,
+            density_m: byDensity,
+            // Density captures salinity-stratified layers the temperature criterion misses
+            depth_m: byDensity ?? byTemperature
+        };
+    }
+
+    // First depth below the 10 m reference where difference(level, reference) exceeds the threshold
+    thresholdCrossing(levels, difference, threshold) {
+        // Level nearest 10 m - a nominal 10 dbar sample sits at 9.9 m
+        const referenceIndex = levels.reduce((best, level, index) =>
+            Math.abs(level.depth_m - REFERENCE_DEPTH_M) < Math.abs((levels[best]?.depth_m ?? Infinity) - REFERENCE_DEPTH_M) ? index : best, -1);
+        if (referenceIndex === -1 || Math.abs(levels[referenceIndex].depth_m - REFERENCE_DEPTH_M) > REFERENCE_DEPTH_M / 2) return null;
+
+        const reference = levels[referenceIndex];
+        for (let index = referenceIndex + 1; index < levels.length; index++) {
+            const below = difference(levels[index], reference);
+            if (below <= threshold) continue;
+
+            // Interpolate between the bracketing levels to where the difference hits the threshold
+            const above = difference(levels[index - 1], reference);
+            const fraction = below !== above ? Math.min(Math.max((threshold - above) / (below - above), 0), 1) : 0;
+            const top = levels[index - 1].depth_m;
+            return this.round(top + fraction * (levels[index].depth_m - top), 1);
+        }
+
+        return null;
+    }
+
+    // ρ·cp·∫T dz over 0-700 m; needs a near-surface level and coverage down to 700 m
+    heatContent(levels) {
+        if (levels.length < 2 || levels[0].depth_m > REFERENCE_DEPTH_M) {
+            return { value_gj_m2: null, meanTemperature_c: null, reason: 'No near-surface level' };
+        }
+        if (levels[levels.length - 1].depth_m < HEAT_CONTENT_DEPTH_M) {
+            return { value_gj_m2: null, meanTemperature_c: null, reason: `Profile does not reach ${HEAT_CONTENT_DEPTH_M} m` };
+        }
+
+        // Surface level extended to 0 m; last segment cut at 700 m
+        const points = [{ depth: 0, temperature: levels[0].temperature_c }];
+        for (const level of levels) {
+            if (level.depth_m >= HEAT_CONTENT_DEPTH_M) {
+                const previous = points[points.length - 1];
+                const fraction = (HEAT_CONTENT_DEPTH_M - previous.depth) / (level.depth_m - previous.depth);
+                points.push({ depth: HEAT_CONTENT_DEPTH_M, temperature: previous.temperature + fraction * (level.temperature_c - previous.temperature) });
+                break;
+            }
+            if (level.depth_m > 0) points.push({ depth: level.depth_m, temperature: level.temperature_c });
+        }
+
+        let integral = 0;
+        for (let index = 1; index < points.length; index++) {
+            integral += (points[index].depth - points[index - 1].depth) * (points[index].temperature + points[index - 1].temperature) / 2;
+        }
+
+        return {
+            value_gj_m2: this.round(RHO0 * SPECIFIC_HEAT * integral / 1e9, 2),
+            meanTemperature_c: this.round(integral / HEAT_CONTENT_DEPTH_M, 2),
+            reason: null
+        };
+    }
+
+    // Surfacing positions in time order with distance covered and mean drift
+    trajectory(positions) {
+        const fixes = positions
+            .map(position => ({
+                time: Date.parse(position.timestamp ?? position.date ?? position.time ?? position.juld),
+                lat: Number(position.lat ?? position.latitude ?? position.geolocation?.coordinates[1]),
+                lon: Number(position.lon ?? position.longitude ?? position.geolocation?.coordinates[0]),
+                cycle: position.cycle ?? position.cycle_number ?? null
+            }))
+            .filter(fix => Number.isFinite(fix.lat) && Number.isFinite(fix.lon) && !isNaN(fix.time))
+            .sort((a, b) => a.time - b.time)
+            .map(fix => ({ ...fix, time: new Date(fix.time).toISOString() }));
+
+        let distance = 0;
+        for (let index = 1; index < fixes.length; index++) {
+            distance += distanceKm(fixes[index - 1].lat, fixes[index - 1].lon, fixes[index].lat, fixes[index].lon);
+        }
+
+        const days = fixes.length > 1 ? (Date.parse(fixes[fixes.length - 1].time) - Date.parse(fixes[0].time)) / 86400000 : 0;
+
+        return {
+            positions: fixes,
+            distance_km: this.round(distance, 1),
+            meanDrift_km_per_day: days > 0 ? this.round(distance / days, 2) : null
+        };
+    }
+
+    toISOString(value) {
+        const time = Date.parse(value);
+        return isNaN(time) ? null : new Date(time).toISOString();
+    }
+
+    round(value, decimals = 2) {
+        if (!Number.isFinite(value)) return null;
+        const factor = Math.pow(10, decimals);
+        return Math.round(value * factor) / factor;
+    }
+}
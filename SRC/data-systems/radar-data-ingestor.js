@@ -5,17 +5,30 @@
  */
 
 import { DataQualityEngine } from './data-quality-engine.js';
-import { EnterpriseCache } from '../utils/enterprise-cache.js';
+import { EnterpriseCache, gridKey } from '../utils/enterprise-cache.js';
+import { ResiliencePolicy, gatewayStatus } from '../utils/resilience.js';
+import { StormCellTracker } from './storm-cell-tracker.js';
+import { LightningMonitor } from './lightning-monitor.js';
+import { parseLocations } from './aggregation-scheduler.js';
+import { ObservationSchema } from './observation-schema.js';
+import { distanceKm } from '../utils/spatial-index.js';
+
+// AMS rain-rate classes, mm/h
+const MODERATE_RAIN_MMHR = 2.5;
+const HEAVY_RAIN_MMHR = 7.6;
 
 export default class RadarDataIngestor {
-    constructor() {
+    constructor(options = {}) {
         this.radarSources = this.initializeRadarSources();
         this.qualityEngine = new DataQualityEngine();
+        this.schema = new ObservationSchema();
         this.cache = new EnterpriseCache('radar-data', 500, 10 * 60 * 1000); // 10 min cache
-        this.realTimeStreams = new Map();
-        this.processedData = new Map();
+        // Tracks only build up if scheduled scans and nowcast requests feed the same tracker
+        this.stormTracker = options.stormTracker || new StormCellTracker();
+        this.lightning = new LightningMonitor();
         
         this.initializeRadarClients();
+        this.initializeLightning();
         this.startRealTimeIngestion();
         
         console.log('🌪️ Enterprise Radar Data Ingestor - PRODUCTION ACTIVE');
@@ -69,7 +82,8 @@ export default class RadarDataIngestor {
                 endpoints: {
                     radar: '/radar',
                     lightning: '/lightning',
-                    severe: '/severe'
+                    severe: '/severe',
+                    stormCells: '/stormcells/closest'
                 },
                 clientId: process.env.AERIS_CLIENT_ID,
                 clientSecret: process.env.AERIS_CLIENT_SECRET,
@@ -95,9 +109,16 @@ export default class RadarDataIngestor {
 
     initializeRadarClients() {
         this.clients = new Map();
+        this.policies = new Map();
         
         Object.entries(this.radarSources).forEach(([source, config]) => {
-            this.clients.set(source, this.createRadarClient(source, config));
+            const client = this.createRadarClient(source, config);
+            this.clients.set(source, client);
+            this.policies.set(source, ResiliencePolicy.for(`radar:${source}`, {
+                rateLimit: config.rateLimit,
+                timeoutMs: client.timeout,
+                maxAttempts: client.retryAttempts
+            }));
         });
 
         console.log('🌪️ Radar clients initialized for all data sources');
@@ -134,36 +155,25 @@ export default class RadarDataIngestor {
     // Main radar data ingestion method
     async ingestRadarData(location, options = {}) {
         const { lat, lon, radius = 50 } = location; // radius in km
-        const cacheKey = `radar_${lat}_${lon}_${radius}_${Date.now()}`;
-        
-        // Check cache first
-        const cached = await this.cache.get(cacheKey);
-        if (cached && !options.forceRefresh) {
-            console.log('🌪️ Using cached radar data');
-            return cached;
-        }
+        const cacheKey = gridKey('radar', lat, lon, { radius });
 
         try {
-            // Fetch from multiple radar sources
-            const radarData = await this.fetchMultiSourceRadarData(location, options);
-            
-            // Process and enhance radar data
-            const processedRadar = await this.processRadarData(radarData, location);
-            
-            // Validate data quality
-            const qualityReport = await this.qualityEngine.validateRadarData(processedRadar);
-            
-            if (qualityReport.score >= 0.7) {
-                // Cache successful ingestion
-                await this.cache.set(cacheKey, processedRadar);
+            return await this.cache.getOrFetch(cacheKey, async () => {
+                // Fetch from multiple radar sources
+                const radarData = await this.fetchMultiSourceRadarData(location, options);
                 
-                // Store for real-time processing
-                this.storeProcessedData(processedRadar);
+                // Process and enhance radar data
+                const processedRadar = await this.processRadarData(radarData, location);
                 
-                return processedRadar;
-            } else {
-                throw new Error(`Radar data quality insufficient: ${qualityReport.issues.join(', ')}`);
-            }
+                // Bad fields are flagged per observation and skipped downstream, so a low score is reported rather than fatal
+                const qualityReport = await this.qualityEngine.validateRadarData(processedRadar);
+                
+                if (qualityReport.score < 0.7) {
+                    console.warn(`🌪️ Radar data quality low (${qualityReport.score.toFixed(2)}): ${qualityReport.issues.join(', ')}`);
+                }
+                
+                return { ...processedRadar, dataQuality: qualityReport };
+            }, { forceRefresh: options.forceRefresh });
             
         } catch (error) {
             console.error('Radar data ingestion failed:', error);
@@ -172,12 +182,14 @@ export default class RadarDataIngestor {
     }
 
     async fetchMultiSourceRadarData(location, options) {
-        const { lat, lon, radius } = location;
+        const { lat, lon, radius = 50 } = location;
         
         const requests = [
             this.fetchNWSRadarData(lat, lon, radius),
             this.fetchOpenWeatherRadar(lat, lon),
-            this.fetchAerisRadarData(lat, lon, radius)
+            this.fetchAerisRadarData(lat, lon, radius),
+            this.fetchAerisStormCells(lat, lon, radius),
+            this.fetchAerisLightning(lat, lon, radius)
         ].filter(req => req !== null);
 
         // Use allSettled to handle partial failures
@@ -197,13 +209,13 @@ export default class RadarDataIngestor {
     async fetchNWSRadarData(lat, lon, radius) {
         try {
             // Get nearby weather stations
-            const stationsResponse = await fetch(
+            const stationsResponse = await this.policies.get('NWS').fetch(
                 `${this.radarSources.NWS.baseURL}/points/${lat},${lon}/stations`,
                 {
                     method: 'GET',
-                    headers: this.clients.get('NWS').headers,
-                    signal: AbortSignal.timeout(15000)
-                }
+                    headers: this.clients.get('NWS').headers
+                },
+                { timeoutMs: 15000 }
             );
 
             if (!stationsResponse.ok) {
@@ -218,13 +230,13 @@ export default class RadarDataIngestor {
             }
 
             // Get radar observations from station
-            const observationsResponse = await fetch(
+            const observationsResponse = await this.policies.get('NWS').fetch(
                 `${this.radarSources.NWS.baseURL}/stations/${stationId}/observations/latest`,
                 {
                     method: 'GET',
-                    headers: this.clients.get('NWS').headers,
-                    signal: AbortSignal.timeout(15000)
-                }
+                    headers: this.clients.get('NWS').headers
+                },
+                { timeoutMs: 15000 }
             );
 
             if (!observationsResponse.ok) {
@@ -239,7 +251,11 @@ export default class RadarDataIngestor {
                 data: this.processNWSObservations(observationsData),
                 metadata: {
                     station: stationId,
-                    distance: this.calculateDistance(lat, lon, observationsData.geometry.coordinates[1], observationsData.geometry.coordinates[0]),
+                    coordinates: {
+                        lat: observationsData.geometry.coordinates[1],
+                        lon: observationsData.geometry.coordinates[0]
+                    },
+                    distance: distanceKm(lat, lon, observationsData.geometry.coordinates[1], observationsData.geometry.coordinates[0]),
                     timestamp: new Date(observationsData.properties.timestamp)
                 },
                 coverage: 'LOCAL'
@@ -260,13 +276,13 @@ export default class RadarDataIngestor {
                 units: 'metric'
             });
 
-            const response = await fetch(
+            const response = await this.policies.get('OPENWEATHER_RADAR').fetch(
                 `${this.radarSources.OPENWEATHER_RADAR.baseURL}${this.radarSources.OPENWEATHER_RADAR.endpoints.radar}?${params}`,
                 {
                     method: 'GET',
-                    headers: this.clients.get('OPENWEATHER_RADAR').headers,
-                    signal: AbortSignal.timeout(10000)
-                }
+                    headers: this.clients.get('OPENWEATHER_RADAR').headers
+                },
+                { timeoutMs: 10000 }
             );
 
             if (!response.ok) {
@@ -291,6 +307,7 @@ export default class RadarDataIngestor {
                 metadata: {
                     location: data.name,
                     country: data.sys.country,
+                    coordinates: data.coord,
                     timestamp: new Date(data.dt * 1000)
                 },
                 coverage: 'CURRENT'
@@ -313,13 +330,13 @@ export default class RadarDataIngestor {
                 limit: 1
             });
 
-            const response = await fetch(
+            const response = await this.policies.get('AERIS').fetch(
                 `${this.radarSources.AERIS.baseURL}${this.radarSources.AERIS.endpoints.radar}?${params}`,
                 {
                     method: 'GET',
-                    headers: this.clients.get('AERIS').headers,
-                    signal: AbortSignal.timeout(20000)
-                }
+                    headers: this.clients.get('AERIS').headers
+                },
+                { timeoutMs: 20000 }
             );
 
             if (!response.ok) {
@@ -351,6 +368,110 @@ export default class RadarDataIngestor {
         }
     }
 
+    // Individual storm cells near the location - successive scans feed the cell tracker
+    async fetchAerisStormCells(lat, lon, radius = 50) {
+        try {
+            const params = new URLSearchParams({
+                client_id: this.radarSources.AERIS.clientId,
+                client_secret: this.radarSources.AERIS.clientSecret,
+                p: `${lat},${lon}`,
+                // Wide enough to catch cells up to an hour away at typical storm speeds
+                radius: `${Math.round(Math.max(radius, 100) / 1.609344)}mi`,
+                limit: 50
+            });
+
+            const response = await this.policies.get('AERIS').fetch(
+                `${this.radarSources.AERIS.baseURL}${this.radarSources.AERIS.endpoints.stormCells}?${params}`,
+                {
+                    method: 'GET',
+                    headers: this.clients.get('AERIS').headers
+                },
+                { timeoutMs: 20000 }
+            );
+
+            if (!response.ok) {
+                throw new Error(`Aeris storm cells error: ${response.status}`);
+            }
+
+            const data = await response.json();
+
+            // Aeris reports "no results" as a warning, not an error
+            if (!data.success && data.error?.code !== 'warn_no_data') {
+                throw new Error(`Aeris API error: ${data.error?.message}`);
+            }
+
+            const scanTime = new Date();
+            return {
+                source: 'AERIS_STORM_CELLS',
+                type: 'STORM_CELLS',
+                data: {
+                    storm: { cells: (data.response || []).map(cell => this.normalizeStormCell(cell, scanTime)) }
+                },
+                metadata: {
+                    coverage: 'REGIONAL',
+                    timestamp: scanTime
+                },
+                coverage: 'REGIONAL'
+            };
+
+        } catch (error) {
+            console.warn('Aeris storm cell fetch failed:', error);
+            return null;
+        }
+    }
+
+    // Recent strikes near the location - skipped while strikes come from a replay file
+    async fetchAerisLightning(lat, lon, radius = 50) {
+        if (this.lightningReplayFile) return null;
+
+        try {
+            const params = new URLSearchParams({
+                client_id: this.radarSources.AERIS.clientId,
+                client_secret: this.radarSources.AERIS.clientSecret,
+                p: `${lat},${lon}`,
+                radius: `${Math.round(Math.max(radius, 50) / 1.609344)}mi`,
+                from: '-30minutes',
+                limit: 1000
+            });
+
+            const response = await this.policies.get('AERIS').fetch(
+                `${this.radarSources.AERIS.baseURL}${this.radarSources.AERIS.endpoints.lightning}/closest?${params}`,
+                {
+                    method: 'GET',
+                    headers: this.clients.get('AERIS').headers
+                },
+                { timeoutMs: 20000 }
+            );
+
+            if (!response.ok) {
+                throw new Error(`Aeris lightning error: ${response.status}`);
+            }
+
+            const data = await response.json();
+
+            if (!data.success && data.error?.code !== 'warn_no_data') {
+                throw new Error(`Aeris API error: ${data.error?.message}`);
+            }
+
+            return {
+                source: 'AERIS_LIGHTNING',
+                type: 'LIGHTNING',
+                data: {
+                    lightning: { strikes: (data.response || []).map(strike => this.normalizeLightningStrike(strike)) }
+                },
+                metadata: {
+                    coverage: 'REGIONAL',
+                    timestamp: new Date()
+                },
+                coverage: 'REGIONAL'
+            };
+
+        } catch (error) {
+            console.warn('Aeris lightning fetch failed:', error);
+            return null;
+        }
+    }
+
     // Data processing methods
     processNWSObservations(observationsData) {
         const properties = observationsData.properties;
@@ -395,12 +516,104 @@ export default class RadarDataIngestor {
         };
     }
 
+    // Aeris storm cell record -> tracker cell
+    normalizeStormCell(cell, scanTime) {
+        const ob = cell.ob || {};
+        const movement = ob.movement || {};
+
+        return {
+            id: cell.id ?? null,
+            time: ob.timestamp ? new Date(ob.timestamp * 1000) : scanTime,
+            lat: Number(cell.loc?.lat),
+            lon: Number(cell.loc?.long),
+            reflectivity_dbz: Number.isFinite(ob.dbzm) ? ob.dbzm : null,
+            area_km2: null,
+            motion: Number.isFinite(movement.speedKPH) && Number.isFinite(movement.dirToDEG)
+                ? { speed_kph: movement.speedKPH, heading_deg: movement.dirToDEG }
+                : null,
+            hail: ob.hail ? { probability: ob.hail.prob ?? null, max_size_cm: ob.hail.maxSizeCM ?? null } : null,
+            tornadic: Boolean(ob.tvs)
+        };
+    }
+
+    // Aeris lightning record -> monitor strike
+    normalizeLightningStrike(strike) {
+        const ob = strike.ob || {};
+        const pulse = ob.pulse || {};
+
+        return {
+            id: strike.id ?? null,
+            time: ob.timestamp ? new Date(ob.timestamp * 1000) : ob.dateTimeISO,
+            lat: Number(strike.loc?.lat),
+            lon: Number(strike.loc?.long),
+            type: pulse.type || null,
+            peak_current_ka: Number.isFinite(pulse.peakamp) ? pulse.peakamp / 1000 : null
+        };
+    }
+
+    toObservation(source, location) {
+        const { data, metadata } = source;
+        const context = {
+            lat: metadata.coordinates?.lat ?? location.lat,
+            lon: metadata.coordinates?.lon ?? location.lon,
+            time: metadata.timestamp,
+            system: 'RADAR',
+            provider: source.source,
+            station: metadata.station ?? null
+        };
+
+        switch (source.source) {
+            case 'NWS':
+                // NWS reports pressure in Pa, visibility in m, wind in km/h
+                return this.schema.create({
+                    temp_c: data.temperature,
+                    dewpoint_c: data.dewpoint,
+                    humidity: data.humidity,
+                    pressure_mb: data.pressure != null ? data.pressure / 100 : null,
+                    vis_km: data.visibility != null ? data.visibility / 1000 : null,
+                    wind_kph: data.wind.speed,
+                    wind_degree: data.wind.direction,
+                    gust_kph: data.wind.gust,
+                    precip_mm: data.precipitation.lastHour,
+                    condition: { text: data.conditions }
+                }, context);
+            case 'OPENWEATHER':
+                // OpenWeather metric units: wind in m/s, visibility in m
+                return this.schema.create({
+                    temp_c: data.temperature,
+                    humidity: data.humidity,
+                    pressure_mb: data.pressure,
+                    vis_km: data.visibility != null ? data.visibility / 1000 : null,
+                    wind_kph: data.wind?.speed != null ? data.wind.speed * 3.6 : null,
+                    wind_degree: data.wind?.deg,
+                    gust_kph: data.wind?.gust != null ? data.wind.gust * 3.6 : null,
+                    cloud: data.clouds?.all,
+                    precip_mm: data.precipitation['1h'] ?? data.precipitation['3h'],
+                    condition: { text: data.weather?.[0]?.description, code: data.weather?.[0]?.id }
+                }, context);
+            case 'AERIS':
+                return this.schema.create({
+                    precip_rate_mmhr: data.precipitation.rate,
+                    precip_mm: data.precipitation.total,
+                    reflectivity_dbz: data.radar.intensity,
+                    condition: { text: data.precipitation.type }
+                }, context);
+            default:
+                return this.schema.create({}, context);
+        }
+    }
+
     async processRadarData(radarData, location) {
         const processed = {
             location,
             timestamp: new Date(),
             sources: radarData.map(d => d.source),
+            schemaVersion: this.schema.version,
             data: {},
+            // Storm cell and strike lists describe features, not conditions at a point
+            observations: radarData
+                .filter(source => source.type !== 'STORM_CELLS' && source.type !== 'LIGHTNING')
+                .map(source => this.toObservation(source, location)),
             analysis: {},
             alerts: []
         };
@@ -416,9 +629,13 @@ export default class RadarDataIngestor {
 
         // Perform radar data analysis
         processed.analysis = await this.analyzeRadarData(processed.data, location);
+
+        // Every fresh scan advances the storm tracks
+        processed.nowcast = this.trackStormCells(radarData, location);
+        processed.lightning = this.trackLightning(radarData, location);
         
         // Generate weather alerts
-        processed.alerts = await this.generateRadarAlerts(processed.analysis);
+        processed.alerts = await this.generateRadarAlerts(processed.analysis, processed.lightning);
         
         // Calculate data quality metrics
         processed.quality = this.calculateRadarQuality(processed);
@@ -446,6 +663,90 @@ export default class RadarDataIngestor {
         return analysis;
     }
 
+    trackStormCells(radarData, location) {
+        radarData
+            .filter(source => source.type === 'STORM_CELLS')
+            .forEach(source => this.stormTracker.update(source.data.storm.cells, source.metadata.timestamp));
+
+        return this.stormTracker.nowcast(location);
+    }
+
+    // 0-60 minute nowcast: predicted cell tracks and when rain reaches the location
+    async getNowcast(location, options = {}) {
+        const { horizonMinutes = 60, stepMinutes = 5 } = options;
+
+        // Refresh the scan if the cached one is stale; tracks persist between calls either way
+        await this.ingestRadarData(location, options);
+
+        return this.stormTracker.nowcast(location, { horizonMinutes, stepMinutes });
+    }
+
+    trackLightning(radarData, location) {
+        radarData
+            .filter(source => source.type === 'LIGHTNING')
+            .forEach(source => this.lightning.ingest(source.data.lightning.strikes));
+
+        return this.lightning.assess(location);
+    }
+
+    // Strike proximity, density, clusters and the all-clear countdown for a location
+    async getLightningActivity(location, options = {}) {
+        const { radiusKm = this.lightning.alertRadiusKm, windowMinutes = 15, maxStrikes = 500 } = options;
+        const now = Date.now();
+
+        await this.refreshLightning(location, options);
+
+        // Strikes out to the wider search radius so the renderer can show approaching activity too
+        const searchRadius = Math.max(location.radius || 0, radiusKm);
+        const strikes = this.lightning.strikesNear(location, searchRadius, now - windowMinutes * 60 * 1000)
+            .slice(-maxStrikes)
+            .map(({ strike, distance }) => this.lightning.describeStrike(strike, location, distance));
+
+        return {
+            ...this.lightning.assess(location, { radiusKm, windowMinutes, now }),
+            search_radius_km: searchRadius,
+            clusters: this.lightning.cluster({ location, radiusKm: searchRadius, now }),
+            strikes
+        };
+    }
+
+    // Strikes change by the minute, so they are cached far shorter than radar scans
+    async refreshLightning(location, options = {}) {
+        const { lat, lon, radius = 50 } = location;
+
+        await this.cache.getOrFetch(gridKey('lightning', lat, lon, { radius }), async () => {
+            const result = await this.fetchAerisLightning(lat, lon, radius);
+            if (result) this.lightning.ingest(result.data.lightning.strikes);
+            return { refreshedAt: new Date() };
+        }, { ttl: 60 * 1000, staleWhileRevalidate: 0, forceRefresh: options.forceRefresh });
+    }
+
+    // LIGHTNING_REPLAY_FILE replaces Aeris as the strike source; LIGHTNING_WATCH_LOCATIONS get alerts
+    initializeLightning() {
+        this.lightningReplayFile = process.env.LIGHTNING_REPLAY_FILE || null;
+        if (this.lightningReplayFile) {
+            this.lightning.loadReplay(this.lightningReplayFile).catch(error => {
+                console.warn(`⚡ Failed to load lightning replay ${this.lightningReplayFile}:`, error.message);
+            });
+        }
+
+        try {
+            parseLocations(process.env.LIGHTNING_WATCH_LOCATIONS).forEach(location => this.lightning.watch(location));
+        } catch (error) {
+            console.warn('⚡ Ignoring LIGHTNING_WATCH_LOCATIONS:', error.message);
+        }
+    }
+
+    async evaluateLightningWatch() {
+        for (const watched of this.lightning.watched.values()) {
+            await this.refreshLightning(watched).catch(error => {
+                console.warn(`⚡ Lightning refresh for ${watched.key} failed:`, error.message);
+            });
+        }
+
+        return this.lightning.evaluate();
+    }
+
     analyzePrecipitation(radarData) {
         const precipitationData = [];
         
@@ -462,8 +763,7 @@ export default class RadarDataIngestor {
         return {
             currentIntensity: this.calculateAveragePrecipitation(precipitationData),
             type: this.determinePrecipitationType(precipitationData),
-            coverage: this.estimatePrecipitationCoverage(precipitationData),
-            confidence: this.calculatePrecipitationConfidence(precipitationData)
+            coverage: this.estimatePrecipitationCoverage(precipitationData)
         };
     }
 
@@ -500,8 +800,7 @@ export default class RadarDataIngestor {
         return {
             averageSpeed: this.calculateAverageWindSpeed(windData),
             predominantDirection: this.determineWindDirection(windData),
-            gustPotential: this.assessGustPotential(windData),
-            shear: this.detectWindShear(windData)
+            gustPotential: this.assessGustPotential(windData)
         };
     }
 
@@ -523,12 +822,11 @@ export default class RadarDataIngestor {
 
         return {
             indicators: severeIndicators,
-            level: this.classifySevereWeatherLevel(severeIndicators),
-            confidence: this.calculateSevereWeatherConfidence(severeIndicators)
+            level: this.classifySevereWeatherLevel(severeIndicators)
         };
     }
 
-    async generateRadarAlerts(analysis) {
+    async generateRadarAlerts(analysis, lightning) {
         const alerts = [];
         
         // Precipitation alerts
@@ -551,6 +849,16 @@ export default class RadarDataIngestor {
             });
         }
         
+        // Lightning alerts
+        if (lightning?.status === 'DANGER') {
+            alerts.push({
+                type: 'LIGHTNING_PROXIMITY',
+                severity: 'HIGH',
+                message: `Lightning ${lightning.nearest.distance_km} km ${lightning.nearest.direction} - all clear in ${lightning.allClearInMinutes} min without further strikes`,
+                action: 'ALERT'
+            });
+        }
+        
         // Wind alerts
         if (analysis.windPatterns.gustPotential === 'HIGH') {
             alerts.push({
@@ -564,16 +872,146 @@ export default class RadarDataIngestor {
         return alerts;
     }
 
-    // Real-time data streaming
+    // Sources that failed resolve to null rather than rejecting
+    mergeRadarData(results, location) {
+        const sources = results.filter(Boolean);
+
+        if (sources.length === 0) {
+            throw new Error(`All radar data sources failed for ${location.lat},${location.lon}`);
+        }
+
+        return sources;
+    }
+
+    calculateRadarQuality(processed) {
+        return {
+            sourceCount: processed.sources.length,
+            sources: processed.sources,
+            observationCount: processed.observations.length
+        };
+    }
+
+    // NWS hourly totals: the last hour against the three-hour rate
+    analyzeWeatherTrends(radarData) {
+        const precipitation = radarData.NWS?.precipitation;
+        if (!Number.isFinite(precipitation?.lastHour) || !Number.isFinite(precipitation?.last3Hours)) {
+            return { precipitation: null };
+        }
+
+        const hourlyRate = precipitation.last3Hours / 3;
+        let trend = 'STEADY';
+        if (precipitation.lastHour > hourlyRate * 1.5 && precipitation.lastHour > 0.2) trend = 'INCREASING';
+        else if (precipitation.lastHour < hourlyRate * 0.5) trend = 'DECREASING';
+
+        return { precipitation: trend };
+    }
+
+    classifyPrecipitationIntensity(rate) {
+        if (!Number.isFinite(rate) || rate <= 0) return 'NONE';
+        if (rate < MODERATE_RAIN_MMHR) return 'LIGHT';
+        if (rate < HEAVY_RAIN_MMHR) return 'MODERATE';
+        return 'HEAVY';
+    }
+
+    calculateAveragePrecipitation(precipitationData) {
+        const rates = precipitationData.map(entry => entry.rate).filter(Number.isFinite);
+        if (rates.length === 0) return 'NONE';
+        return this.classifyPrecipitationIntensity(rates.reduce((sum, rate) => sum + rate, 0) / rates.length);
+    }
+
+    determinePrecipitationType(precipitationData) {
+        const counts = {};
+        precipitationData.forEach(entry => {
+            if (entry.type) counts[entry.type] = (counts[entry.type] || 0) + 1;
+        });
+
+        const [mostReported] = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+        return mostReported ? mostReported[0] : null;
+    }
+
+    // Share of reporting sources that see precipitation
+    estimatePrecipitationCoverage(precipitationData) {
+        const reporting = precipitationData.filter(entry => Number.isFinite(entry.rate));
+        if (reporting.length === 0) return null;
+        return reporting.filter(entry => entry.rate > 0).length / reporting.length;
+    }
+
+    calculateStormIntensity(stormCells) {
+        const reflectivities = stormCells.map(cell => cell.reflectivity_dbz).filter(Number.isFinite);
+        return reflectivities.length > 0 ? Math.max(...reflectivities) : null;
+    }
+
+    // Speed-weighted vector mean of the cell motions
+    analyzeStormMovement(stormCells) {
+        const moving = stormCells.filter(cell => cell.motion);
+        if (moving.length === 0) return null;
+
+        const east = moving.reduce((sum, cell) => sum + cell.motion.speed_kph * Math.sin(cell.motion.heading_deg * Math.PI / 180), 0) / moving.length;
+        const north = moving.reduce((sum, cell) => sum + cell.motion.speed_kph * Math.cos(cell.motion.heading_deg * Math.PI / 180), 0) / moving.length;
+
+        return {
+            speed_kph: Math.round(Math.hypot(east, north) * 10) / 10,
+            heading_deg: Math.round(((Math.atan2(east, north) * 180 / Math.PI) + 360) % 360)
+        };
+    }
+
+    assessStormSeverity(stormCells) {
+        if (stormCells.length === 0) return 'NONE';
+
+        const severe = stormCells.some(cell =>
+            cell.tornadic || cell.hail?.max_size_cm >= 2.5 || cell.reflectivity_dbz >= 60
+        );
+        if (severe) return 'SEVERE';
+
+        return stormCells.some(cell => cell.reflectivity_dbz >= 50) ? 'STRONG' : 'MODERATE';
+    }
+
+    calculateAverageWindSpeed(windData) {
+        const speeds = windData.map(entry => entry.speed).filter(Number.isFinite);
+        return speeds.length > 0 ? speeds.reduce((sum, speed) => sum + speed, 0) / speeds.length : null;
+    }
+
+    determineWindDirection(windData) {
+        const directions = windData.map(entry => entry.direction).filter(Number.isFinite);
+        if (directions.length === 0) return null;
+
+        const east = directions.reduce((sum, direction) => sum + Math.sin(direction * Math.PI / 180), 0);
+        const north = directions.reduce((sum, direction) => sum + Math.cos(direction * Math.PI / 180), 0);
+        return Math.round(((Math.atan2(east, north) * 180 / Math.PI) + 360) % 360);
+    }
+
+    // Gusts in km/h, as NWS reports them
+    assessGustPotential(windData) {
+        const gusts = windData.map(entry => entry.gust).filter(Number.isFinite);
+        const strongest = gusts.length > 0 ? Math.max(...gusts) : 0;
+
+        if (strongest >= 60) return 'HIGH';
+        if (strongest >= 40) return 'MODERATE';
+        return 'LOW';
+    }
+
+    classifySevereWeatherLevel(indicators) {
+        if (indicators.includes('SEVERE_STORM') || indicators.length >= 2) return 'SEVERE';
+        return indicators.length === 1 ? 'ELEVATED' : 'NONE';
+    }
+
+    enhanceRadarError(error, context) {
+        const enhancedError = new Error(`RadarDataIngestor.${context}: ${error.message}`);
+        enhancedError.originalError = error;
+        enhancedError.timestamp = new Date();
+        enhancedError.context = context;
+        enhancedError.status = gatewayStatus(error);
+        return enhancedError;
+    }
+
+    // Radar refresh of watched locations is the aggregation scheduler's job
     startRealTimeIngestion() {
-        console.log('🌪️ Starting real-time radar data ingestion');
-        
-        // Start WebSocket connections for real-time data
-        this.startNWSRealTimeStream();
-        this.startAerisRealTimeStream();
-        
-        // Set up periodic data refresh
-        this.ingestionInterval = setInterval(() => {
-            this.refreshActiveRegions();
-        }, 5 * 60 * 1000); // Refresh every 5 minutes
+        // Watched locations need a quicker cadence - the all-clear is counted in minutes
+        if (this.lightning.watched.size > 0) {
+            this.lightningInterval = setInterval(() => {
+                this.evaluateLightningWatch().catch(error => console.warn('⚡ Lightning watch failed:', error.message));
+            }, 60 * 1000);
+            this.lightningInterval.unref?.();
+        }
     }
+}
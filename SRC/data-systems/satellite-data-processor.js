@@ -5,15 +5,17 @@
  */
 
 import { DataQualityEngine } from './data-quality-engine.js';
-import { EnterpriseCache } from '../utils/enterprise-cache.js';
+import { EnterpriseCache, gridKey } from '../utils/enterprise-cache.js';
+import { ResiliencePolicy, gatewayStatus } from '../utils/resilience.js';
+import { ObservationSchema } from './observation-schema.js';
 
 export default class SatelliteDataProcessor {
     constructor() {
         this.dataSources = this.initializeDataSources();
         this.qualityEngine = new DataQualityEngine();
+        this.schema = new ObservationSchema();
         this.cache = new EnterpriseCache('satellite-data', 1000, 5 * 60 * 1000); // 5 min cache
-        this.rateLimiters = new Map();
-        this.retryStrategies = new Map();
+        this.policies = new Map();
         
         this.initializeAPIClients();
         this.startRealTimeDataStreams();
@@ -97,8 +99,11 @@ export default class SatelliteDataProcessor {
         
         Object.entries(this.dataSources).forEach(([source, config]) => {
             this.clients.set(source, this.createAPIClient(source, config));
-            this.rateLimiters.set(source, this.createRateLimiter(config.rateLimit));
-            this.retryStrategies.set(source, this.createRetryStrategy(source));
+            this.policies.set(source, ResiliencePolicy.for(`satellite:${source}`, {
+                rateLimit: config.rateLimit,
+                timeoutMs: 30000,
+                maxAttempts: 4
+            }));
         });
     }
 
@@ -131,7 +136,7 @@ export default class SatelliteDataProcessor {
                 // These use query params
                 break;
             case 'EUMETSAT':
-                headers['Authorization'] = `Bearer ${this.getEUMETSATToken()}`;
+                // OAuth2 bearer token comes from getEUMETSATToken() at request time, never at startup
                 break;
         }
 
@@ -140,92 +145,37 @@ export default class SatelliteDataProcessor {
 
     async getEUMETSATToken() {
         // Implement OAuth2 token flow for EUMETSAT
-        const cacheKey = 'eumetsat-token';
-        const cached = await this.cache.get(cacheKey);
-        
-        if (cached) return cached;
-
-        const response = await fetch('https://api.eumetsat.int/token', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/x-www-form-urlencoded',
-            },
-            body: `grant_type=client_credentials&client_id=${this.dataSources.EUMETSAT.clientId}&client_secret=${this.dataSources.EUMETSAT.clientSecret}`
-        });
-
-        const data = await response.json();
-        const token = data.access_token;
-        
-        // Cache token with 1 hour expiry (typical token lifetime)
-        await this.cache.set(cacheKey, token, 60 * 60 * 1000);
-        
-        return token;
-    }
-
-    createRateLimiter(requestsPerHour) {
-        const requestsPerSecond = requestsPerHour / 3600;
-        let lastRequest = 0;
-        
-        return {
-            canMakeRequest: () => {
-                const now = Date.now();
-                const timeSinceLast = now - lastRequest;
-                const minInterval = 1000 / requestsPerSecond;
-                
-                if (timeSinceLast >= minInterval) {
-                    lastRequest = now;
-                    return true;
-                }
-                return false;
-            },
-            getWaitTime: () => {
-                const now = Date.now();
-                return Math.max(0, (1000 / requestsPerSecond) - (now - lastRequest));
-            }
-        };
-    }
+        // Cache token with 1 hour expiry (typical token lifetime) - an expired token is never served stale
+        return await this.cache.getOrFetch('eumetsat-token', async () => {
+            const response = await this.policies.get('EUMETSAT').fetch('https://api.eumetsat.int/token', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/x-www-form-urlencoded',
+                },
+                body: `grant_type=client_credentials&client_id=${this.dataSources.EUMETSAT.clientId}&client_secret=${this.dataSources.EUMETSAT.clientSecret}`
+            });
 
-    createRetryStrategy(source) {
-        return {
-            maxRetries: 3,
-            baseDelay: 1000,
-            maxDelay: 10000,
-            retryCondition: (error, attempt) => {
-                // Retry on network errors or 5xx status codes
-                return error.code === 'NETWORK_ERROR' || 
-                       (error.status >= 500 && error.status < 600) ||
-                       error.status === 429; // Rate limit
-            },
-            calculateDelay: (attempt) => {
-                return Math.min(this.baseDelay * Math.pow(2, attempt), this.maxDelay);
-            }
-        };
+            const data = await response.json();
+            return data.access_token;
+        }, { ttl: 60 * 60 * 1000, staleWhileRevalidate: 0 });
     }
 
     // Main data acquisition method
     async getSatelliteImagery(lat, lon, date = new Date(), options = {}) {
-        const cacheKey = `imagery_${lat}_${lon}_${date.toISOString().split('T')[0]}`;
-        
-        // Check cache first
-        const cached = await this.cache.get(cacheKey);
-        if (cached && !options.forceRefresh) {
-            console.log('🔄 Using cached satellite imagery');
-            return cached;
-        }
+        const cacheKey = gridKey('imagery', lat, lon, { date: date.toISOString().split('T')[0] });
 
         try {
-            const imageryData = await this.fetchMultiSourceImagery(lat, lon, date, options);
-            
-            // Validate data quality
-            const qualityReport = await this.qualityEngine.validateImagery(imageryData);
-            
-            if (qualityReport.score >= 0.8) {
-                // Cache successful response
-                await this.cache.set(cacheKey, imageryData);
-                return imageryData;
-            } else {
-                throw new Error(`Low quality data: ${qualityReport.issues.join(', ')}`);
-            }
+            return await this.cache.getOrFetch(cacheKey, async () => {
+                const imageryData = await this.fetchMultiSourceImagery(lat, lon, date, options);
+                
+                // Bad fields are flagged per observation and skipped downstream, so a low score is reported rather than fatal
+                const qualityReport = await this.qualityEngine.validateImagery(imageryData);
+                
+                if (qualityReport.score < 0.8) {
+                    console.warn(`🛰️ Satellite data quality low (${qualityReport.score.toFixed(2)}): ${qualityReport.issues.join(', ')}`);
+                }
+                return { ...imageryData, dataQuality: qualityReport };
+            }, { forceRefresh: options.forceRefresh });
             
         } catch (error) {
             console.error('Satellite imagery acquisition failed:', error);
@@ -256,8 +206,6 @@ export default class SatelliteDataProcessor {
     }
 
     async fetchNASAImagery(lat, lon, date) {
-        await this.checkRateLimit('NASA');
-        
         const params = new URLSearchParams({
             lat: lat.toString(),
             lon: lon.toString(),
@@ -266,13 +214,13 @@ export default class SatelliteDataProcessor {
             api_key: this.dataSources.NASA.apiKey
         });
 
-        const response = await fetch(
+        const response = await this.policies.get('NASA').fetch(
             `${this.dataSources.NASA.baseURL}${this.dataSources.NASA.endpoints.earth}?${params}`,
             {
                 method: 'GET',
-                headers: this.clients.get('NASA').headers,
-                signal: AbortSignal.timeout(30000)
-            }
+                headers: this.clients.get('NASA').headers
+            },
+            { timeoutMs: 30000 }
         );
 
         if (!response.ok) {
@@ -301,8 +249,6 @@ export default class SatelliteDataProcessor {
     }
 
     async fetchNOAAData(lat, lon, date) {
-        await this.checkRateLimit('NOAA');
-        
         // NOAA station data for the location
         const stationParams = new URLSearchParams({
             extent: `${lat-1},${lon-1},${lat+1},${lon+1}`,
@@ -312,13 +258,13 @@ export default class SatelliteDataProcessor {
             limit: 10
         });
 
-        const response = await fetch(
+        const response = await this.policies.get('NOAA').fetch(
             `${this.dataSources.NOAA.baseURL}${this.dataSources.NOAA.endpoints.data}?${stationParams}`,
             {
                 method: 'GET',
-                headers: this.clients.get('NOAA').headers,
-                signal: AbortSignal.timeout(30000)
-            }
+                headers: this.clients.get('NOAA').headers
+            },
+            { timeoutMs: 30000 }
         );
 
         if (!response.ok) {
@@ -341,8 +287,6 @@ export default class SatelliteDataProcessor {
     }
 
     async fetchWeatherAPIData(lat, lon) {
-        await this.checkRateLimit('WEATHERAPI');
-        
         const params = new URLSearchParams({
             key: this.dataSources.WEATHERAPI.apiKey,
             q: `${lat},${lon}`,
@@ -350,13 +294,13 @@ export default class SatelliteDataProcessor {
             alerts: 'yes'
         });
 
-        const response = await fetch(
+        const response = await this.policies.get('WEATHERAPI').fetch(
             `${this.dataSources.WEATHERAPI.baseURL}${this.dataSources.WEATHERAPI.endpoints.current}?${params}`,
             {
                 method: 'GET',
-                headers: this.clients.get('WEATHERAPI').headers,
-                signal: AbortSignal.timeout(15000)
-            }
+                headers: this.clients.get('WEATHERAPI').headers
+            },
+            { timeoutMs: 15000 }
         );
 
         if (!response.ok) {
@@ -382,6 +326,7 @@ export default class SatelliteDataProcessor {
             },
             metadata: {
                 last_updated: data.current.last_updated,
+                last_updated_epoch: data.current.last_updated_epoch,
                 location: data.location
             },
             timestamp: new Date()
@@ -427,13 +372,67 @@ export default class SatelliteDataProcessor {
         return processed;
     }
 
+    // GHCND datatypes present in the response, e.g. TMAX, TMIN, PRCP
+    extractWeatherElements(noaaData) {
+        return [...new Set((noaaData.results || []).map(result => result.datatype))];
+    }
+
+    toObservation(source, lat, lon) {
+        const { data, metadata } = source;
+        const context = { lat, lon, time: source.timestamp, system: 'SATELLITE', provider: source.source };
+
+        switch (source.source) {
+            case 'WEATHERAPI':
+                return this.schema.create({
+                    temp_c: data.temperature,
+                    humidity: data.humidity,
+                    pressure_mb: data.pressure,
+                    wind_kph: data.wind_speed,
+                    wind_degree: data.wind_direction,
+                    vis_km: data.visibility,
+                    cloud: data.cloud_cover,
+                    condition: { text: data.condition }
+                }, {
+                    ...context,
+                    lat: metadata.location?.lat ?? lat,
+                    lon: metadata.location?.lon ?? lon,
+                    time: metadata.last_updated_epoch ? metadata.last_updated_epoch * 1000 : source.timestamp
+                });
+            case 'NOAA': {
+                // GHCND values arrive in tenths (degC, mm, m/s) when no units are requested
+                const averages = data.averages;
+                const tenths = element => averages[element] != null ? averages[element] / 10 : null;
+                const latest = data.stations.reduce((max, station) => station.date > max ? station.date : max, '');
+                return this.schema.create({
+                    temp_c: tenths('TAVG'),
+                    temp_min_c: tenths('TMIN'),
+                    temp_max_c: tenths('TMAX'),
+                    precip_mm: tenths('PRCP'),
+                    wind_kph: tenths('AWND') != null ? tenths('AWND') * 3.6 : null
+                }, { ...context, time: latest ? `${latest.split('T')[0]}T00:00:00Z` : source.timestamp });
+            }
+            case 'NASA':
+                return this.schema.create({
+                    cloud: data.cloud_score != null ? data.cloud_score * 100 : null
+                }, {
+                    ...context,
+                    // Earth imagery dates are UTC but carry no offset
+                    time: data.date ? (data.date.endsWith('Z') ? data.date : `${data.date}Z`) : source.timestamp
+                });
+            default:
+                return this.schema.create({}, context);
+        }
+    }
+
     mergeSatelliteData(dataSources, lat, lon, date) {
         const merged = {
             coordinates: { latitude: lat, longitude: lon },
             timestamp: new Date(),
             date: date.toISOString(),
             sources: dataSources.map(d => d.source),
+            schemaVersion: this.schema.version,
             data: {},
+            observations: dataSources.map(source => this.toObservation(source, lat, lon)),
             quality: {
                 score: 0,
                 source_count: dataSources.length,
@@ -465,8 +464,10 @@ export default class SatelliteDataProcessor {
         if (mergedData.sources.length >= 2) score += 0.3;
         if (mergedData.sources.length >= 3) score += 0.2;
 
-        // Data recency
-        const dataAge = Date.now() - new Date(mergedData.timestamp).getTime();
+        // Data recency - measured from the newest observation, not from when we merged
+        const observedTimes = mergedData.observations.map(observation => Date.parse(observation.time)).filter(Number.isFinite);
+        const newest = observedTimes.length > 0 ? Math.max(...observedTimes) : new Date(mergedData.timestamp).getTime();
+        const dataAge = Date.now() - newest;
         if (dataAge < 30 * 60 * 1000) score += 0.3; // < 30 minutes
         else if (dataAge < 2 * 60 * 60 * 1000) score += 0.2; // < 2 hours
         else if (dataAge < 6 * 60 * 60 * 1000) score += 0.1; // < 6 hours
@@ -485,7 +486,10 @@ export default class SatelliteDataProcessor {
             score += 0.15;
         }
 
-        return Math.min(1, score);
+        // Scaled by how much of the observed data passed the schema range flags
+        const observationQuality = this.qualityEngine.summarize(mergedData.observations, { required: false });
+
+        return Math.min(1, score) * observationQuality.score;
     }
 
     calculateCompleteness(mergedData) {
@@ -522,21 +526,13 @@ export default class SatelliteDataProcessor {
         return await this.qualityEngine.validateDataset(data);
     }
 
-    // Rate limiting enforcement
-    async checkRateLimit(source) {
-        const limiter = this.rateLimiters.get(source);
-        if (!limiter.canMakeRequest()) {
-            const waitTime = limiter.getWaitTime();
-            await new Promise(resolve => setTimeout(resolve, waitTime));
-        }
-    }
-
     // Error handling enhancement
     enhanceError(error, context) {
         const enhancedError = new Error(`SatelliteDataProcessor.${context}: ${error.message}`);
         enhancedError.originalError = error;
         enhancedError.timestamp = new Date();
         enhancedError.context = context;
+        enhancedError.status = gatewayStatus(error);
         
         // Add recovery suggestions based on error type
         if (error.message.includes('rate limit')) {
@@ -558,11 +554,8 @@ export default class SatelliteDataProcessor {
                 hitRate: this.cache.getHitRate(),
                 efficiency: this.cache.getEfficiency()
             },
-            rateLimiting: Object.fromEntries(
-                Array.from(this.rateLimiters.entries()).map(([source, limiter]) => [
-                    source,
-                    { waitTime: limiter.getWaitTime() }
-                ])
+            resilience: Object.fromEntries(
+                Array.from(this.policies.entries()).map(([source, policy]) => [source, policy.getState()])
             ),
             dataQuality: this.qualityEngine.getMetrics(),
             uptime: Date.now() - this.startTime,
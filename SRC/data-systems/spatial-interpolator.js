@@ -0,0 +1,327 @@
+/**
+ * 🗺️ Spatial Interpolator
+ * Grids scattered point observations with inverse-distance weighting or ordinary kriging
+ *
+ * Points are `{ lat, lon, value }`. Distances are kilometres on a local
+ * equirectangular projection, which is accurate enough for the regional boxes
+ * the map views request. Every grid cell carries an error estimate: the
+ * kriging standard deviation, or for IDW the weighted spread of the
+ * neighbours that produced it.
+ */
+
+const KM_PER_DEGREE = 111.32;
+const METHODS = ['idw', 'kriging'];
+
+export class SpatialInterpolator {
+    constructor(options = {}) {
+        this.maxCells = options.maxCells || 10000;
+        this.maxPoints = options.maxPoints || 500;
+        this.maxNeighbors = options.maxNeighbors || 12;
+        this.power = options.power || 2;
+    }
+
+    interpolate(points, options = {}) {
+        const { bbox, resolution = 0.25, method = 'idw' } = options;
+        const rows = Math.floor((bbox.maxLat - bbox.minLat) / resolution) + 1;
+        const cols = Math.floor((bbox.maxLon - bbox.minLon) / resolution) + 1;
+
+        if (!METHODS.includes(method)) {
+            throw this.createError(`Unknown interpolation method: ${method}. Use one of ${METHODS.join(', ')}`);
+        }
+        if (rows * cols > this.maxCells) {
+            throw this.createError(`Grid of ${rows}x${cols} cells exceeds the ${this.maxCells} cell limit, use a coarser resolution or smaller bbox`);
+        }
+
+        const projected = this.prepare(points, bbox);
+        if (projected.length === 0) {
+            const error = this.createError('No observations to interpolate');
+            error.status = 404;
+            throw error;
+        }
+
+        const model = method === 'kriging' ? this.fitVariogram(projected) : null;
+        const estimate = (x, y) => model ? this.krige(projected, model, x, y) : this.idw(projected, x, y);
+
+        const lats = Array.from({ length: rows }, (_, row) => this.round(bbox.minLat + row * resolution, 6));
+        const lons = Array.from({ length: cols }, (_, col) => this.round(bbox.minLon + col * resolution, 6));
+        const values = [];
+        const errors = [];
+
+        lats.forEach(lat => {
+            const valueRow = [];
+            const errorRow = [];
+            lons.forEach(lon => {
+                const { x, y } = this.project(lat, lon, projected.origin);
+                const cell = estimate(x, y);
+                valueRow.push(this.round(cell.value));
+                errorRow.push(this.round(cell.error));
+            });
+            values.push(valueRow);
+            errors.push(errorRow);
+        });
+
+        return {
+            method,
+            bbox,
+            resolution,
+            rows,
+            cols,
+            lats,
+            lons,
+            values,
+            errors,
+            pointCount: projected.length,
+            crossValidation: this.crossValidate(projected, model),
+            ...(model && { variogram: this.describeVariogram(model) })
+        };
+    }
+
+    // Single-location estimate - used to fuse nearby points onto a target
+    estimateAt(points, lat, lon, options = {}) {
+        const projected = this.prepare(points, { minLat: lat, maxLat: lat, minLon: lon, maxLon: lon });
+        if (projected.length === 0) return null;
+
+        const { x, y } = this.project(lat, lon, projected.origin);
+        const cell = options.method === 'kriging'
+            ? this.krige(projected, this.fitVariogram(projected), x, y)
+            : this.idw(projected, x, y);
+
+        return { value: this.round(cell.value), error: this.round(cell.error), pointCount: projected.length };
+    }
+
+    // Project around the box centre and merge co-located points (they make kriging singular)
+    prepare(points, bbox) {
+        const origin = { lat: (bbox.minLat + bbox.maxLat) / 2, lon: (bbox.minLon + bbox.maxLon) / 2 };
+        const merged = new Map();
+
+        points
+            .filter(point => Number.isFinite(point.lat) && Number.isFinite(point.lon) && Number.isFinite(point.value))
+            .forEach(point => {
+                const key = `${point.lat.toFixed(4)},${point.lon.toFixed(4)}`;
+                const existing = merged.get(key);
+                if (existing) {
+                    existing.sum += point.value;
+                    existing.count++;
+                } else {
+                    merged.set(key, { lat: point.lat, lon: point.lon, sum: point.value, count: 1 });
+                }
+            });
+
+        // Keep the points closest to the box centre when there are too many
+        const projected = Array.from(merged.values())
+            .map(point => ({ ...this.project(point.lat, point.lon, origin), value: point.sum / point.count }))
+            .sort((a, b) => Math.hypot(a.x, a.y) - Math.hypot(b.x, b.y))
+            .slice(0, this.maxPoints);
+
+        projected.origin = origin;
+        return projected;
+    }
+
+    project(lat, lon, origin) {
+        return {
+            x: (lon - origin.lon) * KM_PER_DEGREE * Math.cos(origin.lat * Math.PI / 180),
+            y: (lat - origin.lat) * KM_PER_DEGREE
+        };
+    }
+
+    nearest(points, x, y) {
+        return points
+            .map(point => ({ point, distance: Math.hypot(point.x - x, point.y - y) }))
+            .sort((a, b) => a.distance - b.distance)
+            .slice(0, this.maxNeighbors);
+    }
+
+    idw(points, x, y) {
+        const neighbors = this.nearest(points, x, y);
+
+        // Sitting on a station - its value is the answer
+        if (neighbors[0].distance < 1e-6) {
+            return { value: neighbors[0].point.value, error: 0 };
+        }
+
+        let weightSum = 0;
+        let valueSum = 0;
+        const weights = neighbors.map(({ point, distance }) => {
+            const weight = 1 / Math.pow(distance, this.power);
+            weightSum += weight;
+            valueSum += weight * point.value;
+            return weight;
+        });
+
+        const value = valueSum / weightSum;
+        const variance = neighbors.reduce((sum, { point }, index) => sum + weights[index] * (point.value - value) ** 2, 0) / weightSum;
+
+        return { value, error: Math.sqrt(variance) };
+    }
+
+    // Exponential model fitted to the binned empirical semivariogram
+    fitVariogram(points) {
+        const pairs = [];
+        for (let i = 0; i < points.length; i++) {
+            for (let j = i + 1; j < points.length; j++) {
+                pairs.push({
+                    distance: Math.hypot(points[i].x - points[j].x, points[i].y - points[j].y),
+                    gamma: 0.5 * (points[i].value - points[j].value) ** 2
+                });
+            }
+        }
+
+        const mean = points.reduce((sum, point) => sum + point.value, 0) / points.length;
+        const variance = points.reduce((sum, point) => sum + (point.value - mean) ** 2, 0) / points.length;
+        const maxDistance = pairs.reduce((max, pair) => Math.max(max, pair.distance), 0);
+
+        // Too few points or a flat field - fall back to a pure-sill model
+        const fallback = { nugget: 0, partialSill: Math.max(variance, 1e-6), range: Math.max(maxDistance / 3, 1) };
+        if (points.length < 4 || variance === 0) return fallback;
+
+        const binCount = 12;
+        const binWidth = maxDistance / 2 / binCount;
+        const bins = Array.from({ length: binCount }, () => ({ distance: 0, gamma: 0, count: 0 }));
+        pairs.forEach(pair => {
+            const index = Math.floor(pair.distance / binWidth);
+            if (index >= binCount) return;
+            bins[index].distance += pair.distance;
+            bins[index].gamma += pair.gamma;
+            bins[index].count++;
+        });
+        const empirical = bins
+            .filter(bin => bin.count > 0)
+            .map(bin => ({ distance: bin.distance / bin.count, gamma: bin.gamma / bin.count, count: bin.count }));
+
+        if (empirical.length < 3) return fallback;
+
+        // Grid search the range; nugget and partial sill are then a weighted linear fit
+        let best = null;
+        for (let step = 1; step <= 20; step++) {
+            const range = maxDistance * step / 20;
+            const shape = empirical.map(bin => 1 - Math.exp(-3 * bin.distance / range));
+            const fit = this.fitLinear(shape, empirical.map(bin => bin.gamma), empirical.map(bin => bin.count));
+            if (!fit || fit.slope <= 0) continue;
+
+            const model = { nugget: Math.max(fit.intercept, 0), partialSill: fit.slope, range };
+            const residual = empirical.reduce((sum, bin) => sum + bin.count * (this.semivariance(model, bin.distance) - bin.gamma) ** 2, 0);
+            if (!best || residual < best.residual) best = { model, residual };
+        }
+
+        return best ? best.model : fallback;
+    }
+
+    fitLinear(xs, ys, weights) {
+        const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+        const meanX = xs.reduce((sum, x, i) => sum + weights[i] * x, 0) / totalWeight;
+        const meanY = ys.reduce((sum, y, i) => sum + weights[i] * y, 0) / totalWeight;
+        const covariance = xs.reduce((sum, x, i) => sum + weights[i] * (x - meanX) * (ys[i] - meanY), 0);
+        const spread = xs.reduce((sum, x, i) => sum + weights[i] * (x - meanX) ** 2, 0);
+        if (spread === 0) return null;
+
+        const slope = covariance / spread;
+        return { slope, intercept: meanY - slope * meanX };
+    }
+
+    semivariance(model, distance) {
+        if (distance === 0) return 0;
+        return model.nugget + model.partialSill * (1 - Math.exp(-3 * distance / model.range));
+    }
+
+    krige(points, model, x, y) {
+        const neighbors = this.nearest(points, x, y);
+        const n = neighbors.length;
+
+        if (n === 1) {
+            return { value: neighbors[0].point.value, error: Math.sqrt(this.semivariance(model, neighbors[0].distance)) };
+        }
+
+        // Ordinary kriging system: semivariances between neighbours plus the unbiasedness row
+        const matrix = Array.from({ length: n + 1 }, () => new Array(n + 1).fill(0));
+        const rhs = new Array(n + 1).fill(0);
+
+        for (let i = 0; i < n; i++) {
+            for (let j = 0; j < n; j++) {
+                const a = neighbors[i].point;
+                const b = neighbors[j].point;
+                matrix[i][j] = this.semivariance(model, Math.hypot(a.x - b.x, a.y - b.y));
+            }
+            matrix[i][n] = 1;
+            matrix[n][i] = 1;
+            rhs[i] = this.semivariance(model, neighbors[i].distance);
+        }
+        rhs[n] = 1;
+
+        const solution = this.solve(matrix, rhs);
+        if (!solution) return this.idw(points, x, y);
+
+        let value = 0;
+        let variance = solution[n];
+        for (let i = 0; i < n; i++) {
+            value += solution[i] * neighbors[i].point.value;
+            variance += solution[i] * rhs[i];
+        }
+
+        return { value, error: Math.sqrt(Math.max(variance, 0)) };
+    }
+
+    // Gaussian elimination with partial pivoting, null when singular
+    solve(matrix, rhs) {
+        const n = rhs.length;
+        const a = matrix.map((row, i) => [...row, rhs[i]]);
+
+        for (let col = 0; col < n; col++) {
+            let pivot = col;
+            for (let row = col + 1; row < n; row++) {
+                if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) pivot = row;
+            }
+            if (Math.abs(a[pivot][col]) < 1e-12) return null;
+            [a[col], a[pivot]] = [a[pivot], a[col]];
+
+            for (let row = col + 1; row < n; row++) {
+                const factor = a[row][col] / a[col][col];
+                for (let k = col; k <= n; k++) a[row][k] -= factor * a[col][k];
+            }
+        }
+
+        const solution = new Array(n).fill(0);
+        for (let row = n - 1; row >= 0; row--) {
+            let sum = a[row][n];
+            for (let k = row + 1; k < n; k++) sum -= a[row][k] * solution[k];
+            solution[row] = sum / a[row][row];
+        }
+        return solution;
+    }
+
+    // Leave-one-out error at the observation sites
+    crossValidate(points, model) {
+        if (points.length < 3) return null;
+
+        const residuals = points.map((point, index) => {
+            const others = points.filter((_, other) => other !== index);
+            const estimate = model ? this.krige(others, model, point.x, point.y) : this.idw(others, point.x, point.y);
+            return estimate.value - point.value;
+        });
+
+        return {
+            rmse: this.round(Math.sqrt(residuals.reduce((sum, residual) => sum + residual * residual, 0) / residuals.length)),
+            mae: this.round(residuals.reduce((sum, residual) => sum + Math.abs(residual), 0) / residuals.length)
+        };
+    }
+
+    describeVariogram(model) {
+        return {
+            model: 'exponential',
+            nugget: this.round(model.nugget, 4),
+            sill: this.round(model.nugget + model.partialSill, 4),
+            range_km: this.round(model.range, 1)
+        };
+    }
+
+    createError(message) {
+        const error = new Error(message);
+        error.status = 400;
+        return error;
+    }
+
+    round(value, decimals = 2) {
+        if (!Number.isFinite(value)) return null;
+        const factor = Math.pow(10, decimals);
+        return Math.round(value * factor) / factor;
+    }
+}
@@ -0,0 +1,340 @@
+/**
+ * 📍 Station Catalog
+ * One local, spatially indexed list of buoys, NWS stations, radar sites and ground stations
+ *
+ * Each source is downloaded on its own schedule (STATION_CATALOG_REFRESH_HOURS,
+ * default 24) and the merged catalog is kept at STATION_CATALOG_PATH (default
+ * data/stations/catalog.json), so a restart answers queries from disk
+ * straight away. Queries never wait on a download: sources missing from disk
+ * are fetched in the background and show up once they arrive. A source that
+ * fails to refresh keeps its previous stations.
+ * Queries run against a k-d tree rebuilt after every refresh.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { KDTree } from '../utils/spatial-index.js';
+import { ResiliencePolicy } from '../utils/resilience.js';
+
+const CATALOG_FORMAT_VERSION = 1;
+const NWS_HEADERS = { 'User-Agent': 'enterprise-weather-system@yourdomain.com', 'Accept': 'application/geo+json' };
+const MAX_NWS_PAGES = 100;
+const GROUND_ACTIVE_WITHIN_DAYS = 365;
+
+export const STATION_TYPES = ['BUOY', 'NWS', 'RADAR', 'GROUND'];
+
+const SOURCES = {
+    BUOY: { url: 'https://www.ndbc.noaa.gov/data/stations/station_table.txt', rateLimit: 100 },
+    NWS: { url: 'https://api.weather.gov/stations?limit=500', rateLimit: 3600 },
+    RADAR: { url: 'https://api.weather.gov/radar/stations', rateLimit: 100 },
+    GROUND: { url: 'https://www.ncei.noaa.gov/pub/data/noaa/isd-history.csv', rateLimit: 100 }
+};
+
+export class StationCatalog {
+    constructor(options = {}) {
+        this.catalogPath = path.resolve(options.catalogPath || process.env.STATION_CATALOG_PATH || 'data/stations/catalog.json');
+        this.refreshIntervalMs = options.refreshIntervalMs
+            || (parseFloat(process.env.STATION_CATALOG_REFRESH_HOURS) || 24) * 60 * 60 * 1000;
+
+        this.stations = new Map();      // `${type}:${id}` -> station
+        this.sources = Object.fromEntries(STATION_TYPES.map(type => [type, { refreshedAt: null, count: 0, error: null }]));
+        this.policies = new Map(STATION_TYPES.map(type => [type, ResiliencePolicy.for(`stations:${type}`, {
+            rateLimit: SOURCES[type].rateLimit,
+            timeoutMs: 60000
+        })]));
+        this.index = new KDTree([]);
+        this.refreshing = null;
+        this.timer = null;
+        this.started = null;
+        this.saveQueue = Promise.resolve();
+    }
+
+    // Resolves once the disk copy is loaded; sources never downloaded are fetched behind it
+    start() {
+        if (!this.started) {
+            this.started = (async () => {
+                await this.load();
+
+                const missing = STATION_TYPES.filter(type => !this.sources[type].refreshedAt);
+                if (missing.length === 0) {
+                    this.scheduleRefresh();
+                    return;
+                }
+
+                this.refresh(missing)
+                    .catch(error => console.warn('📍 Station catalog download failed:', error.message))
+                    .finally(() => this.scheduleRefresh());
+            })();
+        }
+        return this.started;
+    }
+
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    scheduleRefresh() {
+        clearTimeout(this.timer);
+
+        const oldest = Math.min(...STATION_TYPES.map(type => Date.parse(this.sources[type].refreshedAt) || 0));
+        const delay = Math.max(oldest + this.refreshIntervalMs - Date.now(), 60 * 1000);
+
+        this.timer = setTimeout(() => {
+            const due = STATION_TYPES.filter(type =>
+                Date.now() - (Date.parse(this.sources[type].refreshedAt) || 0) >= this.refreshIntervalMs);
+            this.refresh(due)
+                .catch(error => console.warn('📍 Station catalog refresh failed:', error.message))
+                .finally(() => this.scheduleRefresh());
+        }, delay);
+        this.timer.unref?.();
+    }
+
+    // Concurrent callers share one refresh
+    async refresh(types = STATION_TYPES) {
+        if (this.refreshing) return this.refreshing;
+
+        this.refreshing = (async () => {
+            for (const type of types) {
+                try {
+                    const stations = await this.fetchSource(type);
+                    this.replaceSource(type, stations);
+                    this.sources[type] = { refreshedAt: new Date().toISOString(), count: stations.length, error: null };
+                    console.log(`📍 Station catalog: ${stations.length} ${type} stations`);
+                } catch (error) {
+                    this.sources[type] = { ...this.sources[type], error: error.message };
+                    console.warn(`📍 Station catalog ${type} refresh failed, keeping ${this.sources[type].count} stations:`, error.message);
+                }
+            }
+
+            this.rebuildIndex();
+            await this.save().catch(error => console.warn('📍 Failed to save station catalog:', error.message));
+            return this.getStatus();
+        })();
+
+        try {
+            return await this.refreshing;
+        } finally {
+            this.refreshing = null;
+        }
+    }
+
+    replaceSource(type, stations) {
+        Array.from(this.stations.keys())
+            .filter(key => key.startsWith(`${type}:`))
+            .forEach(key => this.stations.delete(key));
+        stations.forEach(station => this.stations.set(`${type}:${station.id}`, station));
+    }
+
+    rebuildIndex() {
+        this.index = new KDTree(Array.from(this.stations.values()));
+    }
+
+    // Queries
+    async nearest(location, options = {}) {
+        await this.start();
+        const { limit = 5, types = STATION_TYPES, maxDistanceKm = Infinity } = options;
+
+        return this.index.nearest(location.lat, location.lon, limit, {
+            maxDistanceKm,
+            filter: station => types.includes(station.type)
+        }).map(({ item, distance_km }) => ({ ...item, distance_km: Math.round(distance_km * 10) / 10 }));
+    }
+
+    async within(location, radiusKm, options = {}) {
+        await this.start();
+        const { types = STATION_TYPES, limit = Infinity } = options;
+
+        return this.index.within(location.lat, location.lon, radiusKm, {
+            filter: station => types.includes(station.type)
+        }).slice(0, limit).map(({ item, distance_km }) => ({ ...item, distance_km: Math.round(distance_km * 10) / 10 }));
+    }
+
+    async get(type, id) {
+        await this.start();
+
+        const station = this.stations.get(`${String(type).toUpperCase()}:${String(id).toUpperCase()}`);
+        if (!station) {
+            const error = new Error(`Unknown ${type} station: ${id}`);
+            error.status = 404;
+            throw error;
+        }
+        return station;
+    }
+
+    getStatus() {
+        return {
+            path: this.catalogPath,
+            stations: this.stations.size,
+            refreshIntervalMs: this.refreshIntervalMs,
+            refreshing: Boolean(this.refreshing),
+            sources: this.sources
+        };
+    }
+
+    // Sources
+    async fetchSource(type) {
+        switch (type) {
+            case 'BUOY':
+                return this.parseNDBCStationTable(await this.fetchText(type, SOURCES.BUOY.url));
+            case 'NWS':
+                return await this.fetchNWSStations();
+            case 'RADAR':
+                return this.parseRadarStations(await this.fetchJSON(type, SOURCES.RADAR.url, NWS_HEADERS));
+            case 'GROUND':
+                return this.parseISDHistory(await this.fetchText(type, SOURCES.GROUND.url));
+            default:
+                throw new Error(`Unknown station source: ${type}`);
+        }
+    }
+
+    async fetchText(type, url, headers = {}) {
+        const response = await this.policies.get(type).fetch(url, { method: 'GET', headers });
+        if (!response.ok) {
+            throw new Error(`${type} station list error: ${response.status}`);
+        }
+        return await response.text();
+    }
+
+    async fetchJSON(type, url, headers = {}) {
+        return JSON.parse(await this.fetchText(type, url, headers));
+    }
+
+    // STATION_ID|OWNER|TTYPE|HULL|NAME|PAYLOAD|LOCATION|TIMEZONE|FORECAST|NOTE
+    parseNDBCStationTable(text) {
+        return text.split('\n')
+            .filter(line => line.trim() && !line.startsWith('#'))
+            .map(line => line.split('|').map(part => part.trim()))
+            .filter(parts => parts.length >= 7)
+            .map(parts => {
+                const match = parts[6].match(/([\d.]+)\s*([NS])\s+([\d.]+)\s*([EW])/i);
+                if (!match) return null;
+
+                return this.createStation('BUOY', parts[0], parts[4] || parts[0],
+                    parseFloat(match[1]) * (match[2].toUpperCase() === 'S' ? -1 : 1),
+                    parseFloat(match[3]) * (match[4].toUpperCase() === 'W' ? -1 : 1),
+                    null,
+                    { network: 'NDBC', owner: parts[1] || null, platform: parts[2] || null, payload: parts[5] || null });
+            })
+            .filter(Boolean);
+    }
+
+    // Observation stations come 500 to a page behind a cursor
+    async fetchNWSStations() {
+        const stations = [];
+        let url = SOURCES.NWS.url;
+
+        for (let page = 0; url && page < MAX_NWS_PAGES; page++) {
+            const data = await this.fetchJSON('NWS', url, NWS_HEADERS);
+            const features = data.features || [];
+            if (features.length === 0) break;
+
+            features.forEach(feature => {
+                const [lon, lat] = feature.geometry?.coordinates || [];
+                const properties = feature.properties || {};
+                stations.push(this.createStation('NWS', properties.stationIdentifier, properties.name, lat, lon,
+                    properties.elevation?.value ?? null,
+                    { network: 'NWS', timeZone: properties.timeZone || null }));
+            });
+
+            url = data.pagination?.next || null;
+        }
+
+        return stations.filter(Boolean);
+    }
+
+    parseRadarStations(data) {
+        return (data.features || []).map(feature => {
+            const [lon, lat] = feature.geometry?.coordinates || [];
+            const properties = feature.properties || {};
+            return this.createStation('RADAR', properties.id, properties.name, lat, lon,
+                properties.elevation?.value ?? null,
+                { network: 'NWS', radarType: properties.stationType || null });
+        }).filter(Boolean);
+    }
+
+    // NCEI Integrated Surface Database history; stations silent for a year are dropped
+    parseISDHistory(text) {
+        const cutoff = new Date(Date.now() - GROUND_ACTIVE_WITHIN_DAYS * 24 * 60 * 60 * 1000)
+            .toISOString().slice(0, 10).replace(/-/g, '');
+
+        return text.split('\n').slice(1)
+            .map(line => this.parseCSVLine(line))
+            .filter(fields => fields.length >= 11 && fields[10] >= cutoff)
+            .map(([usaf, wban, name, country, state, icao, lat, lon, elevation]) =>
+                this.createStation('GROUND', `${usaf}-${wban}`, name, parseFloat(lat), parseFloat(lon),
+                    elevation === '' ? null : parseFloat(elevation),
+                    { network: 'ISD', country: country || null, state: state || null, icao: icao || null }))
+            .filter(Boolean);
+    }
+
+    parseCSVLine(line) {
+        return Array.from(line.matchAll(/"([^"]*)"/g)).map(match => match[1].trim());
+    }
+
+    // Null for records without a usable position; (0, 0) is a placeholder in several feeds
+    createStation(type, id, name, lat, lon, elevation, metadata) {
+        if (!id || !Number.isFinite(lat) || !Number.isFinite(lon)) return null;
+        if (Math.abs(lat) > 90 || Math.abs(lon) > 180 || (lat === 0 && lon === 0)) return null;
+
+        return {
+            id: String(id).toUpperCase(),
+            type,
+            name: name || String(id),
+            lat,
+            lon,
+            elevation_m: Number.isFinite(elevation) ? elevation : null,
+            ...metadata
+        };
+    }
+
+    // Persistence
+    async save() {
+        const write = this.saveQueue.then(async () => {
+            const snapshot = {
+                format: CATALOG_FORMAT_VERSION,
+                savedAt: new Date().toISOString(),
+                sources: this.sources,
+                stations: Array.from(this.stations.values())
+            };
+
+            const temporary = `${this.catalogPath}.tmp`;
+            await fs.mkdir(path.dirname(this.catalogPath), { recursive: true });
+            await fs.writeFile(temporary, JSON.stringify(snapshot));
+            await fs.rename(temporary, this.catalogPath);
+        });
+
+        this.saveQueue = write.catch(() => {});
+        await write;
+    }
+
+    async load() {
+        let snapshot;
+        try {
+            snapshot = JSON.parse(await fs.readFile(this.catalogPath, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn(`📍 Ignoring unreadable station catalog ${this.catalogPath}:`, error.message);
+            }
+            return;
+        }
+
+        if (snapshot.format !== CATALOG_FORMAT_VERSION) {
+            console.warn(`📍 Ignoring station catalog ${this.catalogPath} with unsupported format`);
+            return;
+        }
+
+        (snapshot.stations || []).forEach(station => {
+            if (STATION_TYPES.includes(station.type)) this.stations.set(`${station.type}:${station.id}`, station);
+        });
+        STATION_TYPES.forEach(type => {
+            if (snapshot.sources?.[type]) this.sources[type] = snapshot.sources[type];
+        });
+
+        this.rebuildIndex();
+        console.log(`📍 Loaded ${this.stations.size} stations from ${this.catalogPath}`);
+    }
+}
+
+// Shared by every reader in the process, like httpTransport
+export const stationCatalog = new StationCatalog();
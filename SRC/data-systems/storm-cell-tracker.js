@@ -0,0 +1,389 @@
+/**
+ * ⛈️ Storm Cell Tracker
+ * Follows storm cells across radar scans and extrapolates them into 0-60 minute nowcasts
+ *
+ * Cells are `{ id, time, lat, lon, reflectivity_dbz, area_km2, motion }`.
+ * Each scan is matched to existing tracks by provider id where one is given,
+ * otherwise by distance from where each track was expected to be, nearest
+ * pairs first; a cell and a track with different provider ids never pair.
+ * Velocity and growth are least-squares trends over the recent
+ * points of a track; a track seen only once falls back to the motion the
+ * provider reported, if any.
+ */
+
+const KM_PER_DEGREE = 111.32;
+const HOUR_MS = 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+const RAIN_THRESHOLD_DBZ = 20;      // below this radar returns are not reaching the ground as rain
+const DEFAULT_RADIUS_KM = 5;        // typical convective cell core when no area is reported
+const MAX_REFLECTIVITY_DBZ = 75;
+
+// Reflectivity bands for the nowcast message
+const INTENSITY_BANDS = [
+    { min: 55, label: 'Severe storm with possible hail' },
+    { min: 45, label: 'Heavy rain' },
+    { min: 35, label: 'Moderate rain' },
+    { min: RAIN_THRESHOLD_DBZ, label: 'Light rain' }
+];
+
+export class StormCellTracker {
+    constructor(options = {}) {
+        this.maxSpeedKph = options.maxSpeedKph || 120;
+        this.gateKm = options.gateKm || 10;
+        this.maxMissedMs = options.maxMissedMs || 20 * MINUTE_MS;
+        this.trendWindowMs = options.trendWindowMs || 30 * MINUTE_MS;
+        this.maxPoints = options.maxPoints || 12;
+        this.maxTracks = options.maxTracks || 500;
+
+        this.tracks = new Map();
+        this.sequence = 0;
+        this.stats = { scans: 0, matched: 0, started: 0, expired: 0 };
+    }
+
+    // Fold one scan of cells into the tracks; returns the ids of the tracks it touched
+    update(cells, scanTime = Date.now()) {
+        const defaultTime = new Date(scanTime).getTime();
+        const pending = cells
+            .map(cell => ({ ...cell, time: cell.time ? new Date(cell.time).getTime() : defaultTime }))
+            .filter(cell => Number.isFinite(cell.lat) && Number.isFinite(cell.lon) && !isNaN(cell.time));
+
+        this.expire(defaultTime);
+        this.stats.scans++;
+
+        const touched = [];
+        const claimed = new Set();
+
+        // Provider ids are authoritative when present
+        const unmatched = pending.filter(cell => {
+            const track = cell.id ? this.findByProviderId(cell.id) : null;
+            if (!track || claimed.has(track.id)) return true;
+
+            claimed.add(track.id);
+            this.extend(track, cell);
+            touched.push(track.id);
+            return false;
+        });
+
+        // Remaining cells: nearest predicted-position pairs first, each track and cell used once
+        const pairs = [];
+        unmatched.forEach((cell, cellIndex) => {
+            this.tracks.forEach(track => {
+                if (claimed.has(track.id)) return;
+                // The provider already says these are different cells
+                if (cell.id && track.providerId && cell.id !== track.providerId) return;
+
+                const last = track.points[track.points.length - 1];
+                const predicted = this.extrapolate(track, (cell.time - last.time) / HOUR_MS);
+                const distance = this.distanceKm(predicted.lat, predicted.lon, cell.lat, cell.lon);
+                const gate = this.gateKm + this.maxSpeedKph * Math.abs(cell.time - last.time) / HOUR_MS;
+                if (distance <= gate) pairs.push({ track, cellIndex, distance });
+            });
+        });
+
+        const assigned = new Set();
+        pairs
+            .sort((a, b) => a.distance - b.distance)
+            .forEach(({ track, cellIndex }) => {
+                if (claimed.has(track.id) || assigned.has(cellIndex)) return;
+                claimed.add(track.id);
+                assigned.add(cellIndex);
+                this.extend(track, unmatched[cellIndex]);
+                touched.push(track.id);
+            });
+
+        unmatched.forEach((cell, cellIndex) => {
+            if (assigned.has(cellIndex)) return;
+            touched.push(this.startTrack(cell).id);
+        });
+
+        return touched;
+    }
+
+    findByProviderId(providerId) {
+        for (const track of this.tracks.values()) {
+            if (track.providerId === providerId) return track;
+        }
+        return null;
+    }
+
+    startTrack(cell) {
+        const track = {
+            id: `cell-${++this.sequence}`,
+            providerId: cell.id || null,
+            firstSeen: cell.time,
+            points: []
+        };
+
+        this.extend(track, cell);
+        this.tracks.set(track.id, track);
+        this.stats.started++;
+
+        if (this.tracks.size > this.maxTracks) {
+            const stalest = Array.from(this.tracks.values()).reduce((oldest, candidate) =>
+                (this.lastPoint(candidate).time < this.lastPoint(oldest).time ? candidate : oldest));
+            this.tracks.delete(stalest.id);
+        }
+
+        return track;
+    }
+
+    extend(track, cell) {
+        // A re-delivered scan must not add a zero-interval point
+        if (track.points.some(point => point.time === cell.time)) return;
+
+        track.points.push({
+            time: cell.time,
+            lat: cell.lat,
+            lon: cell.lon,
+            reflectivity_dbz: Number.isFinite(cell.reflectivity_dbz) ? cell.reflectivity_dbz : null,
+            area_km2: Number.isFinite(cell.area_km2) ? cell.area_km2 : null,
+            motion: cell.motion || null
+        });
+        track.points.sort((a, b) => a.time - b.time);
+        if (track.points.length > this.maxPoints) track.points.shift();
+
+        if (track.points.length > 1) this.stats.matched++;
+    }
+
+    expire(now) {
+        this.tracks.forEach((track, id) => {
+            if (now - this.lastPoint(track).time > this.maxMissedMs) {
+                this.tracks.delete(id);
+                this.stats.expired++;
+            }
+        });
+    }
+
+    lastPoint(track) {
+        return track.points[track.points.length - 1];
+    }
+
+    // Velocity in km/h east (vx) and north (vy), from the track or the provider's reported motion
+    velocity(track) {
+        const recent = this.recentPoints(track);
+
+        if (recent.length >= 2) {
+            const origin = recent[recent.length - 1];
+            const hours = recent.map(point => (point.time - origin.time) / HOUR_MS);
+            const xs = recent.map(point => this.project(point.lat, point.lon, origin).x);
+            const ys = recent.map(point => this.project(point.lat, point.lon, origin).y);
+            return { vx: this.slope(hours, xs), vy: this.slope(hours, ys), source: 'track' };
+        }
+
+        const motion = this.lastPoint(track).motion;
+        if (motion && Number.isFinite(motion.speed_kph) && Number.isFinite(motion.heading_deg)) {
+            const heading = motion.heading_deg * Math.PI / 180;
+            return { vx: motion.speed_kph * Math.sin(heading), vy: motion.speed_kph * Math.cos(heading), source: 'provider' };
+        }
+
+        return null;
+    }
+
+    // Reflectivity and area change per hour over the recent points
+    growth(track) {
+        const recent = this.recentPoints(track);
+        const trend = field => {
+            const points = recent.filter(point => point[field] !== null);
+            if (points.length < 2) return null;
+            return this.slope(points.map(point => point.time / HOUR_MS), points.map(point => point[field]));
+        };
+
+        const dbzPerHour = trend('reflectivity_dbz');
+        return {
+            dbzPerHour: this.round(dbzPerHour),
+            areaKm2PerHour: this.round(trend('area_km2')),
+            trend: dbzPerHour === null ? 'unknown' : dbzPerHour > 5 ? 'intensifying' : dbzPerHour < -5 ? 'weakening' : 'steady'
+        };
+    }
+
+    recentPoints(track) {
+        const last = this.lastPoint(track);
+        return track.points.filter(point => last.time - point.time <= this.trendWindowMs);
+    }
+
+    // Position and intensity `hours` after the track's last point
+    extrapolate(track, hours) {
+        const last = this.lastPoint(track);
+        const velocity = this.velocity(track);
+        const growth = this.growth(track).dbzPerHour || 0;
+        const origin = { lat: last.lat, lon: last.lon };
+
+        const x = velocity ? velocity.vx * hours : 0;
+        const y = velocity ? velocity.vy * hours : 0;
+        const position = this.unproject(x, y, origin);
+
+        return {
+            ...position,
+            reflectivity_dbz: last.reflectivity_dbz === null
+                ? null
+                : Math.min(Math.max(last.reflectivity_dbz + growth * hours, 0), MAX_REFLECTIVITY_DBZ)
+        };
+    }
+
+    // Predicted tracks for every live cell plus when rain reaches `location`
+    nowcast(location, options = {}) {
+        const { horizonMinutes = 60, stepMinutes = 5, now = Date.now() } = options;
+        const nowMs = new Date(now).getTime();
+        const lat = Number(location.lat);
+        const lon = Number(location.lon);
+
+        const tracks = Array.from(this.tracks.values())
+            .filter(track => nowMs - this.lastPoint(track).time <= this.maxMissedMs)
+            .map(track => this.describeForecast(track, { lat, lon }, nowMs, horizonMinutes, stepMinutes))
+            .sort((a, b) => a.distance_km - b.distance_km);
+
+        const arrivals = tracks
+            .filter(track => track.arrival)
+            .sort((a, b) => a.arrival.minutes - b.arrival.minutes);
+
+        return {
+            location: { lat, lon },
+            generatedAt: new Date(nowMs).toISOString(),
+            horizonMinutes,
+            trackedCells: tracks.length,
+            nextArrival: arrivals[0] ? { cell: arrivals[0].id, ...arrivals[0].arrival } : null,
+            summary: this.summarize(arrivals[0], horizonMinutes),
+            tracks
+        };
+    }
+
+    describeForecast(track, location, nowMs, horizonMinutes, stepMinutes) {
+        const last = this.lastPoint(track);
+        const velocity = this.velocity(track);
+        const leadHours = (nowMs - last.time) / HOUR_MS;
+
+        const predictedTrack = [];
+        for (let minutes = 0; minutes <= horizonMinutes; minutes += stepMinutes) {
+            const point = this.extrapolate(track, leadHours + minutes / 60);
+            predictedTrack.push({
+                minutes,
+                time: new Date(nowMs + minutes * MINUTE_MS).toISOString(),
+                lat: this.round(point.lat, 4),
+                lon: this.round(point.lon, 4),
+                reflectivity_dbz: this.round(point.reflectivity_dbz, 1)
+            });
+        }
+
+        return {
+            id: track.id,
+            providerId: track.providerId,
+            scans: track.points.length,
+            lastSeen: new Date(last.time).toISOString(),
+            current: { lat: last.lat, lon: last.lon, reflectivity_dbz: last.reflectivity_dbz, area_km2: last.area_km2 },
+            distance_km: this.round(this.distanceKm(location.lat, location.lon, last.lat, last.lon), 1),
+            motion: velocity ? {
+                speed_kph: this.round(Math.hypot(velocity.vx, velocity.vy), 1),
+                heading_deg: this.round((Math.atan2(velocity.vx, velocity.vy) * 180 / Math.PI + 360) % 360, 0),
+                source: velocity.source
+            } : null,
+            growth: this.growth(track),
+            predictedTrack,
+            arrival: this.findArrival(track, location, velocity, nowMs, leadHours, horizonMinutes)
+        };
+    }
+
+    // First time within the horizon the cell's core covers the location, solved on the straight-line track
+    findArrival(track, location, velocity, nowMs, leadHours, horizonMinutes) {
+        const last = this.lastPoint(track);
+        const radius = last.area_km2 ? Math.sqrt(last.area_km2 / Math.PI) : DEFAULT_RADIUS_KM;
+        const start = this.project(last.lat, last.lon, location);
+        const vx = velocity ? velocity.vx : 0;
+        const vy = velocity ? velocity.vy : 0;
+
+        // |start + v t|^2 = radius^2, with t in hours after the last scan
+        const a = vx * vx + vy * vy;
+        const b = 2 * (start.x * vx + start.y * vy);
+        const c = start.x * start.x + start.y * start.y - radius * radius;
+        const windowStart = leadHours;
+        const windowEnd = leadHours + horizonMinutes / 60;
+
+        let enter;
+        let exit;
+        if (a === 0) {
+            if (c > 0) return null;
+            enter = windowStart;
+            exit = Infinity;
+        } else {
+            const discriminant = b * b - 4 * a * c;
+            if (discriminant < 0) return null;
+            enter = (-b - Math.sqrt(discriminant)) / (2 * a);
+            exit = (-b + Math.sqrt(discriminant)) / (2 * a);
+        }
+
+        if (exit < windowStart || enter > windowEnd) return null;
+
+        const arrivalHours = Math.max(enter, windowStart);
+        const expected = this.extrapolate(track, arrivalHours).reflectivity_dbz;
+        if (expected !== null && expected < RAIN_THRESHOLD_DBZ) return null;
+
+        const minutes = (arrivalHours - leadHours) * 60;
+        const closestHours = a === 0 ? windowStart : Math.min(Math.max(-b / (2 * a), windowStart), windowEnd);
+
+        return {
+            minutes: Math.round(minutes),
+            time: new Date(nowMs + minutes * MINUTE_MS).toISOString(),
+            durationMinutes: Number.isFinite(exit) ? Math.round((exit - arrivalHours) * 60) : null,
+            closest_approach_km: this.round(Math.hypot(start.x + vx * closestHours, start.y + vy * closestHours), 1),
+            expected_dbz: this.round(expected, 1),
+            intensity: this.describeIntensity(expected),
+            confidence: this.round(this.confidence(track, velocity, minutes), 2)
+        };
+    }
+
+    // More scans and a shorter lead time mean a more trustworthy extrapolation
+    confidence(track, velocity, minutes) {
+        const history = !velocity ? 0.3 : velocity.source === 'provider' ? 0.5 : Math.min(0.5 + 0.1 * track.points.length, 0.9);
+        return history * Math.exp(-minutes / 90);
+    }
+
+    summarize(arrival, horizonMinutes) {
+        if (!arrival) return `No rain expected in the next ${horizonMinutes} min`;
+
+        const { minutes, intensity } = arrival.arrival;
+        if (minutes <= 0) return `${intensity} over you now`;
+        return `${intensity} reaching you in ~${Math.max(5, Math.round(minutes / 5) * 5)} min`;
+    }
+
+    describeIntensity(dbz) {
+        if (dbz === null) return 'Rain';
+        return INTENSITY_BANDS.find(band => dbz >= band.min)?.label || 'Light rain';
+    }
+
+    getStatus() {
+        return { activeTracks: this.tracks.size, ...this.stats };
+    }
+
+    project(lat, lon, origin) {
+        return {
+            x: (lon - origin.lon) * KM_PER_DEGREE * Math.cos(origin.lat * Math.PI / 180),
+            y: (lat - origin.lat) * KM_PER_DEGREE
+        };
+    }
+
+    unproject(x, y, origin) {
+        return {
+            lat: origin.lat + y / KM_PER_DEGREE,
+            lon: origin.lon + x / (KM_PER_DEGREE * Math.cos(origin.lat * Math.PI / 180))
+        };
+    }
+
+    distanceKm(lat1, lon1, lat2, lon2) {
+        const { x, y } = this.project(lat2, lon2, { lat: lat1, lon: lon1 });
+        return Math.hypot(x, y);
+    }
+
+    slope(xs, ys) {
+        const meanX = xs.reduce((sum, x) => sum + x, 0) / xs.length;
+        const meanY = ys.reduce((sum, y) => sum + y, 0) / ys.length;
+        const spread = xs.reduce((sum, x) => sum + (x - meanX) ** 2, 0);
+        if (spread === 0) return 0;
+        return xs.reduce((sum, x, i) => sum + (x - meanX) * (ys[i] - meanY), 0) / spread;
+    }
+
+    round(value, decimals = 2) {
+        if (!Number.isFinite(value)) return null;
+        const factor = Math.pow(10, decimals);
+        return Math.round(value * factor) / factor;
+    }
+}
@@ -0,0 +1,307 @@
+/**
+ * 🌙 Tide Predictor
+ * Water levels from harmonic constituents - curves and high / low tides for any range
+ *
+ * Each station is a JSON file in TIDE_STATIONS_DIR (default data/tides):
+ *   { "id", "name", "lat", "lon", "datum": "MLLW", "msl_m": 0.97,
+ *     "constituents": [{ "name": "M2", "amplitude": 0.58, "phase": 205.1 }, ...] }
+ * Amplitudes are metres, phases are Greenwich epochs (degrees, UTC) - NOAA's
+ * `phase_GMT`, so a NOAA harcon export with `HarmonicConstituents` loads as is.
+ * `msl_m` is mean sea level above the station datum; heights are reported
+ * against that datum. A constituent that carries NOAA's `speed` is dropped when
+ * it does not match the speed of the constituent defined here under that name.
+ *
+ * `npm run tides:fetch -- <station id>...` downloads NOAA's constants and
+ * datums for the given stations into TIDE_STATIONS_DIR.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { distanceKm } from '../utils/spatial-index.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const J2000_MS = Date.UTC(2000, 0, 1, 12);
+const DEG = Math.PI / 180;
+const SPEED_TOLERANCE = 0.0001; // degrees per hour
+
+// Doodson multipliers for [τ, s, h, p, N', p1] plus a phase offset in degrees
+const CONSTITUENTS = {
+    M2:   { doodson: [2, 0, 0, 0, 0, 0], offset: 0, nodal: 'M2' },
+    S2:   { doodson: [2, 2, -2, 0, 0, 0], offset: 0, nodal: null },
+    N2:   { doodson: [2, -1, 0, 1, 0, 0], offset: 0, nodal: 'M2' },
+    K2:   { doodson: [2, 2, 0, 0, 0, 0], offset: 0, nodal: 'K2' },
+    '2N2': { doodson: [2, -2, 0, 2, 0, 0], offset: 0, nodal: 'M2' },
+    MU2:  { doodson: [2, -2, 2, 0, 0, 0], offset: 0, nodal: 'M2' },
+    NU2:  { doodson: [2, -1, 2, -1, 0, 0], offset: 0, nodal: 'M2' },
+    L2:   { doodson: [2, 1, 0, -1, 0, 0], offset: 180, nodal: 'M2' },
+    T2:   { doodson: [2, 2, -3, 0, 0, 1], offset: 0, nodal: null },
+    K1:   { doodson: [1, 1, 0, 0, 0, 0], offset: 90, nodal: 'K1' },
+    O1:   { doodson: [1, -1, 0, 0, 0, 0], offset: -90, nodal: 'O1' },
+    P1:   { doodson: [1, 1, -2, 0, 0, 0], offset: -90, nodal: null },
+    Q1:   { doodson: [1, -2, 0, 1, 0, 0], offset: -90, nodal: 'O1' },
+    J1:   { doodson: [1, 2, 0, -1, 0, 0], offset: 90, nodal: 'J1' },
+    OO1:  { doodson: [1, 3, 0, 0, 0, 0], offset: 90, nodal: 'OO1' },
+    M4:   { doodson: [4, 0, 0, 0, 0, 0], offset: 0, nodal: ['M2', 2] },
+    MS4:  { doodson: [4, 2, -2, 0, 0, 0], offset: 0, nodal: 'M2' },
+    MN4:  { doodson: [4, -1, 0, 1, 0, 0], offset: 0, nodal: ['M2', 2] },
+    S4:   { doodson: [4, 4, -4, 0, 0, 0], offset: 0, nodal: null },
+    M6:   { doodson: [6, 0, 0, 0, 0, 0], offset: 0, nodal: ['M2', 3] },
+    M8:   { doodson: [8, 0, 0, 0, 0, 0], offset: 0, nodal: ['M2', 4] },
+    MF:   { doodson: [0, 2, 0, 0, 0, 0], offset: 0, nodal: 'MF' },
+    MM:   { doodson: [0, 1, 0, -1, 0, 0], offset: 0, nodal: 'MM' },
+    SSA:  { doodson: [0, 0, 2, 0, 0, 0], offset: 0, nodal: null },
+    SA:   { doodson: [0, 0, 1, 0, 0, 0], offset: 0, nodal: null }
+};
+
+export class TidePredictor {
+    constructor(options = {}) {
+        this.stationsDir = path.resolve(options.stationsDir || process.env.TIDE_STATIONS_DIR || 'data/tides');
+        this.maxStationDistanceKm = options.maxStationDistanceKm || 100;
+        this.stations = new Map();
+        this.ready = this.loadStations();
+    }
+
+    async loadStations() {
+        let files;
+        try {
+            files = (await fs.readdir(this.stationsDir)).filter(file => file.endsWith('.json'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn(`🌙 Cannot read tide stations from ${this.stationsDir}:`, error.message);
+            }
+            return;
+        }
+
+        for (const file of files) {
+            try {
+                const station = this.normalizeStation(JSON.parse(await fs.readFile(path.join(this.stationsDir, file), 'utf8')));
+                this.stations.set(station.id, station);
+            } catch (error) {
+                console.warn(`🌙 Skipping tide station file ${file}:`, error.message);
+            }
+        }
+
+        console.log(`🌙 Loaded ${this.stations.size} tide stations from ${this.stationsDir}`);
+    }
+
+    normalizeStation(raw) {
+        const constituents = (raw.constituents || raw.HarmonicConstituents || [])
+            .map(entry => ({
+                name: String(entry.name).toUpperCase(),
+                amplitude: Number(entry.amplitude),
+                phase: Number(entry.phase ?? entry.phase_GMT),
+                speed: entry.speed !== undefined ? Number(entry.speed) : null
+            }))
+            .filter(entry => {
+                if (!CONSTITUENTS[entry.name]) return false;
+                // Same name, different constituent - another agency's naming would put it at the wrong frequency
+                if (entry.speed !== null && Math.abs(entry.speed - this.speed(entry.name)) > SPEED_TOLERANCE) return false;
+                return Number.isFinite(entry.amplitude) && Number.isFinite(entry.phase);
+            })
+            .map(({ name, amplitude, phase }) => ({ name, amplitude, phase }));
+
+        if (!raw.id || !Number.isFinite(Number(raw.lat)) || !Number.isFinite(Number(raw.lon))) {
+            throw new Error('station needs id, lat and lon');
+        }
+        if (constituents.length === 0) {
+            throw new Error(`station ${raw.id} has no supported constituents`);
+        }
+
+        return {
+            id: String(raw.id),
+            name: raw.name || String(raw.id),
+            lat: Number(raw.lat),
+            lon: Number(raw.lon),
+            datum: raw.datum || 'MSL',
+            msl: Number(raw.msl_m) || 0,
+            constituents
+        };
+    }
+
+    getStation(id) {
+        const station = this.stations.get(String(id));
+        if (!station) {
+            throw this.createError(`Unknown tide station: ${id}`, 404);
+        }
+        return station;
+    }
+
+    findStation(location, maxDistanceKm = this.maxStationDistanceKm) {
+        let nearest = null;
+
+        this.stations.forEach(station => {
+            const distance = distanceKm(location.lat, location.lon, station.lat, station.lon);
+            if (distance <= maxDistanceKm && (!nearest || distance < nearest.distance)) {
+                nearest = { station, distance };
+            }
+        });
+
+        return nearest;
+    }
+
+    // Curve and extremes between start and end (Dates)
+    predict(station, start, end, options = {}) {
+        const { stepMinutes = 10 } = options;
+        const startMs = start.getTime();
+        const endMs = end.getTime();
+
+        // Nodal factors drift over 18.6 years - one set for the middle of the range is plenty
+        const nodal = this.nodalCorrections(new Date((startMs + endMs) / 2));
+        const heightAt = time => this.height(station, time, nodal);
+
+        const curve = [];
+        for (let time = startMs; time <= endMs; time += stepMinutes * 60 * 1000) {
+            curve.push({ time: new Date(time).toISOString(), height_m: this.round(heightAt(time), 3) });
+        }
+
+        return {
+            station: this.describeStation(station),
+            datum: station.datum,
+            start: start.toISOString(),
+            end: end.toISOString(),
+            stepMinutes,
+            extremes: this.findExtremes(heightAt, startMs, endMs),
+            curve
+        };
+    }
+
+    // Current level, trend and the next high and low
+    summarize(station, now = new Date()) {
+        const nodal = this.nodalCorrections(now);
+        const heightAt = time => this.height(station, time, nodal);
+        const time = now.getTime();
+
+        const extremes = this.findExtremes(heightAt, time, time + 26 * HOUR_MS);
+        return {
+            station: this.describeStation(station),
+            datum: station.datum,
+            height_m: this.round(heightAt(time), 3),
+            trend: heightAt(time + 5 * 60 * 1000) >= heightAt(time) ? 'RISING' : 'FALLING',
+            nextHigh: extremes.find(extreme => extreme.type === 'HIGH') || null,
+            nextLow: extremes.find(extreme => extreme.type === 'LOW') || null
+        };
+    }
+
+    // Sample every 6 minutes, then refine each turning point with a parabola through its neighbours
+    findExtremes(heightAt, startMs, endMs) {
+        const step = 6 * 60 * 1000;
+        const extremes = [];
+        let previous = heightAt(startMs - step);
+        let current = heightAt(startMs);
+
+        for (let time = startMs; time <= endMs; time += step) {
+            const next = heightAt(time + step);
+            const isHigh = current > previous && current >= next;
+            const isLow = current < previous && current <= next;
+
+            if (isHigh || isLow) {
+                const denominator = previous - 2 * current + next;
+                const shift = denominator !== 0 ? 0.5 * (previous - next) / denominator : 0;
+                const peakTime = time + shift * step;
+
+                if (peakTime >= startMs && peakTime <= endMs) {
+                    extremes.push({
+                        type: isHigh ? 'HIGH' : 'LOW',
+                        time: new Date(Math.round(peakTime / 60000) * 60000).toISOString(),
+                        height_m: this.round(heightAt(peakTime), 3)
+                    });
+                }
+            }
+
+            previous = current;
+            current = next;
+        }
+
+        return extremes;
+    }
+
+    // h(t) = MSL + Σ f·A·cos(V(t) + u − G)
+    height(station, time, nodal) {
+        const astro = this.astronomicalArguments(time);
+
+        return station.constituents.reduce((sum, constituent) => {
+            const definition = CONSTITUENTS[constituent.name];
+            const { f, u } = this.constituentNodal(definition.nodal, nodal);
+            const argument = definition.doodson.reduce((angle, multiplier, index) => angle + multiplier * astro[index], definition.offset);
+            return sum + f * constituent.amplitude * Math.cos((argument + u - constituent.phase) * DEG);
+        }, station.msl);
+    }
+
+    // Angular speed in degrees per hour, from how fast the constituent's argument advances
+    speed(name) {
+        const { doodson } = CONSTITUENTS[name];
+        const before = this.astronomicalArguments(J2000_MS);
+        const after = this.astronomicalArguments(J2000_MS + HOUR_MS);
+        return doodson.reduce((sum, multiplier, index) => sum + multiplier * (after[index] - before[index]), 0);
+    }
+
+    // Doodson variables in degrees: mean lunar time, moon, sun, lunar perigee, negated node, solar perigee
+    astronomicalArguments(time) {
+        const days = (time - J2000_MS) / (24 * HOUR_MS);
+        const utcHours = (((time % (24 * HOUR_MS)) + 24 * HOUR_MS) % (24 * HOUR_MS)) / HOUR_MS;
+
+        const s = 218.3164 + 13.17639648 * days;
+        const h = 280.4661 + 0.98564736 * days;
+        const p = 83.3535 + 0.11140353 * days;
+        const node = 125.0445 - 0.05295377 * days;
+        const p1 = 282.9384 + 0.0000470684 * days;
+        const tau = 15 * utcHours + 180 + h - s;
+
+        return [tau, s, h, p, -node, p1];
+    }
+
+    // Schureman's f and u (degrees) as functions of the lunar node longitude
+    nodalCorrections(date) {
+        const days = (date.getTime() - J2000_MS) / (24 * HOUR_MS);
+        const N = (125.0445 - 0.05295377 * days) * DEG;
+        const cos = Math.cos;
+        const sin = Math.sin;
+
+        return {
+            M2: { f: 1.0004 - 0.0373 * cos(N) + 0.0002 * cos(2 * N), u: -2.14 * sin(N) },
+            K1: { f: 1.006 + 0.115 * cos(N) - 0.009 * cos(2 * N), u: -8.86 * sin(N) + 0.68 * sin(2 * N) },
+            O1: { f: 1.0089 + 0.1871 * cos(N) - 0.0147 * cos(2 * N), u: 10.80 * sin(N) - 1.34 * sin(2 * N) },
+            K2: { f: 1.024 + 0.286 * cos(N) + 0.008 * cos(2 * N), u: -17.74 * sin(N) + 0.68 * sin(2 * N) },
+            J1: { f: 1.0129 + 0.1676 * cos(N) - 0.0170 * cos(2 * N), u: -12.94 * sin(N) + 1.34 * sin(2 * N) },
+            OO1: { f: 1.1027 + 0.6504 * cos(N) + 0.0317 * cos(2 * N), u: -36.68 * sin(N) + 4.02 * sin(2 * N) },
+            MF: { f: 1.043 + 0.414 * cos(N), u: -23.74 * sin(N) + 2.68 * sin(2 * N) },
+            MM: { f: 1.0 - 0.130 * cos(N), u: 0 }
+        };
+    }
+
+    // Solar constituents have no nodal modulation; shallow-water ones compound their parents'
+    constituentNodal(rule, nodal) {
+        if (!rule) return { f: 1, u: 0 };
+        if (Array.isArray(rule)) {
+            const [parent, power] = rule;
+            return { f: Math.pow(nodal[parent].f, power), u: nodal[parent].u * power };
+        }
+        return nodal[rule];
+    }
+
+    describeStation(station) {
+        return {
+            id: station.id,
+            name: station.name,
+            lat: station.lat,
+            lon: station.lon,
+            constituents: station.constituents.length
+        };
+    }
+
+    getStations() {
+        return Array.from(this.stations.values()).map(station => this.describeStation(station));
+    }
+
+    createError(message, status) {
+        const error = new Error(message);
+        error.status = status;
+        return error;
+    }
+
+    round(value, decimals = 2) {
+        if (!Number.isFinite(value)) return null;
+        const factor = Math.pow(10, decimals);
+        return Math.round(value * factor) / factor;
+    }
+}
@@ -0,0 +1,128 @@
+/**
+ * 🕰️ Timezone Resolver
+ * Coordinates -> IANA time zone, offline
+ *
+ * Looks the point up in the timezone boundary polygons at
+ * TIMEZONE_BOUNDARIES_PATH (default data/timezones/timezones.geojson) - the
+ * GeoJSON release of timezone-boundary-builder, one feature per zone with
+ * `properties.tzid`; the "with oceans" variant also covers open water.
+ * Without that file, or for a point no polygon contains, the zone of the
+ * nearest gazetteer place within 100 km is used, and past that the nautical
+ * zone for the longitude (Etc/GMT±N, 15° wide).
+ *
+ * The boundaries are not bundled (the release is ~150 MB). To install them,
+ * unzip `timezones-with-oceans.geojson.zip` from
+ * https://github.com/evansiroky/timezone-boundary-builder/releases into
+ * data/timezones/. Until then the fallback is right in and around the bundled
+ * cities but can pick the neighbouring zone near a border, and is an hour or
+ * more off inland away from them (Etc/GMT zones have no daylight saving).
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { gazetteer } from './gazetteer.js';
+import { describeTimeZone, isValidTimeZone, nauticalZone } from '../utils/time-zone.js';
+
+const NEAREST_PLACE_KM = 100;
+
+// Ray casting; ring is [[lon, lat], ...]
+function insideRing(lon, lat, ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if ((yi > lat) !== (yj > lat) && lon < (xj - xi) * (lat - yi) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+// GeoJSON polygon: outer ring first, holes after
+function insidePolygon(lon, lat, rings) {
+    return insideRing(lon, lat, rings[0]) && !rings.slice(1).some(hole => insideRing(lon, lat, hole));
+}
+
+export class TimezoneResolver {
+    constructor(options = {}) {
+        this.boundariesPath = path.resolve(options.boundariesPath || process.env.TIMEZONE_BOUNDARIES_PATH || 'data/timezones/timezones.geojson');
+        this.gazetteer = options.gazetteer || gazetteer;
+        this.zones = [];
+        this.loaded = null;
+    }
+
+    load() {
+        if (!this.loaded) {
+            this.loaded = this.readBoundaries().then(zones => {
+                this.zones = zones;
+                if (zones.length > 0) {
+                    console.log(`🕰️ Loaded ${zones.length} timezone boundaries from ${this.boundariesPath}`);
+                }
+            });
+            this.loaded.catch(() => { this.loaded = null; });
+        }
+        return this.loaded;
+    }
+
+    async readBoundaries() {
+        let collection;
+        try {
+            collection = JSON.parse(await fs.readFile(this.boundariesPath, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            console.warn(`🕰️ No timezone boundaries at ${this.boundariesPath}, using nearest places and nautical zones`);
+            return [];
+        }
+
+        return (collection.features || []).map(feature => {
+            const timezone = feature.properties?.tzid;
+            const geometry = feature.geometry;
+            if (!timezone || !isValidTimeZone(timezone) || !geometry) return null;
+
+            const polygons = geometry.type === 'MultiPolygon' ? geometry.coordinates
+                : geometry.type === 'Polygon' ? [geometry.coordinates] : [];
+
+            return {
+                timezone,
+                polygons: polygons.map(rings => ({ rings, bbox: this.boundingBox(rings[0]) }))
+            };
+        }).filter(zone => zone && zone.polygons.length > 0);
+    }
+
+    boundingBox(ring) {
+        const box = { minLon: Infinity, minLat: Infinity, maxLon: -Infinity, maxLat: -Infinity };
+        ring.forEach(([lon, lat]) => {
+            box.minLon = Math.min(box.minLon, lon);
+            box.maxLon = Math.max(box.maxLon, lon);
+            box.minLat = Math.min(box.minLat, lat);
+            box.maxLat = Math.max(box.maxLat, lat);
+        });
+        return box;
+    }
+
+    async resolve(lat, lon) {
+        await this.load();
+
+        const zone = this.zones.find(candidate => candidate.polygons.some(({ rings, bbox }) =>
+            lon >= bbox.minLon && lon <= bbox.maxLon && lat >= bbox.minLat && lat <= bbox.maxLat &&
+            insidePolygon(lon, lat, rings)));
+        if (zone) {
+            return { timezone: zone.timezone, source: 'BOUNDARY' };
+        }
+
+        const place = await this.gazetteer.reverse(lat, lon, { maxDistanceKm: NEAREST_PLACE_KM });
+        if (place?.timezone && isValidTimeZone(place.timezone)) {
+            return { timezone: place.timezone, source: 'NEAREST_PLACE' };
+        }
+
+        return { timezone: nauticalZone(lon), source: 'NAUTICAL' };
+    }
+
+    // Zone plus the offset and DST state in force at `instant`
+    async describe(lat, lon, instant = Date.now()) {
+        const { timezone, source } = await this.resolve(lat, lon);
+        return { ...describeTimeZone(timezone, instant), source };
+    }
+}
+
+export const timezoneResolver = new TimezoneResolver();
@@ -0,0 +1,281 @@
+/**
+ * 〰️ Wave Spectrum
+ * NDBC spectral wave files -> directional spectra, swell / wind-sea partitions
+ *
+ * NDBC publishes one file per spectral parameter, each a row per hour with
+ * `value (frequency)` pairs: `.data_spec` (energy density, m²/Hz, preceded by
+ * the separation frequency), `.swdir` / `.swdir2` (mean and principal
+ * direction, degrees true, "from") and `.swr1` / `.swr2` (the first and second
+ * normalized Fourier coefficients). Energy below the separation frequency is
+ * swell, above it wind sea. The historical archive lays the same parameters
+ * out as columns under a header of frequencies, without the separation
+ * frequency and with r1 / r2 scaled by 100, so `combine` is told which of the
+ * two it is reading.
+ */
+
+const GRAVITY = 9.81;
+const MISSING_VALUES = new Set([999, 9999]);
+const MISSING_SEPARATION = 9.999;
+const DEFAULT_SEPARATION_HZ = 0.1;           // 10 s - used when neither the buoy nor the wind gives one
+
+// File extensions NDBC publishes per buoy under /data/realtime2
+export const SPECTRAL_FILES = ['data_spec', 'swdir', 'swdir2', 'swr1', 'swr2'];
+
+// Divisor that brings r1 / r2 to 0-1 for each place NDBC publishes them
+const COEFFICIENT_SCALES = { realtime: 1, historical: 100 };
+
+export class WaveSpectrumAnalyzer {
+    constructor(options = {}) {
+        this.directionBins = options.directionBins || 36;
+    }
+
+    // One file -> [{ timestamp, separation, values: [{ frequency, value }] }], newest first
+    // Realtime rows carry `value (frequency)` pairs; historical rows are columns under a header of frequencies
+    parseSpectralFile(text, options = {}) {
+        const { hasSeparation = false } = options;
+        const rows = [];
+        let columns = null;
+
+        text.split('\n').forEach(rawLine => {
+            const line = rawLine.trim();
+            if (!line) return;
+
+            if (line.startsWith('#')) {
+                const header = line.slice(1).trim().split(/\s+/).slice(5).map(Number);
+                if (header.length > 0 && header.every(Number.isFinite)) columns = header;
+                return;
+            }
+
+            const parts = line.split(/\s+/);
+            if (parts.length < 6) return;
+
+            const timestamp = new Date(Date.UTC(+parts[0], +parts[1] - 1, +parts[2], +parts[3], +parts[4]));
+            if (isNaN(timestamp.getTime())) return;
+
+            const fields = parts.slice(hasSeparation ? 6 : 5);
+            const pairs = Array.from(fields.join(' ').matchAll(/(-?[\d.]+)\s*\(\s*([\d.]+)\s*\)/g));
+            const values = pairs.length > 0
+                ? pairs.map(match => ({ frequency: parseFloat(match[2]), value: this.parseValue(match[1]) }))
+                : (columns || []).map((frequency, index) => ({ frequency, value: this.parseValue(fields[index]) }));
+
+            if (values.length === 0) return;
+
+            const separation = hasSeparation ? parseFloat(parts[5]) : null;
+            rows.push({
+                timestamp,
+                separation: Number.isFinite(separation) && separation !== MISSING_SEPARATION ? separation : null,
+                values
+            });
+        });
+
+        return rows.sort((a, b) => b.timestamp - a.timestamp);
+    }
+
+    parseValue(value) {
+        if (value === 'MM') return null;
+        const number = parseFloat(value);
+        return isNaN(number) || MISSING_VALUES.has(number) ? null : number;
+    }
+
+    // Join the five files on timestamp; energy is required, direction files are optional
+    combine(files, options = {}) {
+        const { source = 'realtime' } = options;
+        const scale = COEFFICIENT_SCALES[source];
+        if (!scale) {
+            throw new Error(`Unknown spectral file source: ${source}`);
+        }
+
+        // Only the realtime energy file leads each row with the separation frequency
+        const energy = this.parseSpectralFile(files.data_spec || '', { hasSeparation: source === 'realtime' });
+        const byTime = name => new Map(this.parseSpectralFile(files[name] || '').map(row => [row.timestamp.getTime(), row]));
+        const directional = {
+            alpha1: byTime('swdir'),
+            alpha2: byTime('swdir2'),
+            r1: byTime('swr1'),
+            r2: byTime('swr2')
+        };
+
+        return energy.map(row => {
+            const time = row.timestamp.getTime();
+            const lookup = name => new Map((directional[name].get(time)?.values || []).map(entry => [entry.frequency, entry.value]));
+            const alpha1 = lookup('alpha1');
+            const alpha2 = lookup('alpha2');
+            const r1 = lookup('r1');
+            const r2 = lookup('r2');
+
+            const bandwidths = this.bandwidths(row.values.map(entry => entry.frequency));
+
+            return {
+                timestamp: row.timestamp,
+                separation: row.separation,
+                bands: row.values.map((entry, index) => ({
+                    frequency: entry.frequency,
+                    bandwidth: bandwidths[index],
+                    density: entry.value,
+                    alpha1: alpha1.get(entry.frequency) ?? null,
+                    alpha2: alpha2.get(entry.frequency) ?? null,
+                    r1: this.normalizeCoefficient(r1.get(entry.frequency), scale),
+                    r2: this.normalizeCoefficient(r2.get(entry.frequency), scale)
+                }))
+            };
+        });
+    }
+
+    normalizeCoefficient(value, scale) {
+        if (value === null || value === undefined) return null;
+        return value / scale;
+    }
+
+    // NDBC bands are unevenly spaced, so each band spans halfway to its neighbours
+    bandwidths(frequencies) {
+        return frequencies.map((frequency, index) => {
+            const lower = index > 0 ? (frequency + frequencies[index - 1]) / 2 : frequency - ((frequencies[1] ?? frequency) - frequency) / 2;
+            const upper = index < frequencies.length - 1
+                ? (frequency + frequencies[index + 1]) / 2
+                : frequency + (frequency - (frequencies[index - 1] ?? frequency)) / 2;
+            return upper - lower;
+        });
+    }
+
+    // Integrated parameters and the swell / wind-sea split for one spectrum
+    analyze(spectrum, options = {}) {
+        const { windSpeed = null, includeDirectional = false } = options;
+        const bands = spectrum.bands.filter(band => band.density !== null && band.bandwidth > 0);
+
+        const separation = this.resolveSeparation(spectrum.separation, windSpeed);
+        const swell = bands.filter(band => band.frequency < separation.frequency_hz);
+        const windSea = bands.filter(band => band.frequency >= separation.frequency_hz);
+
+        const totalEnergy = this.energy(bands);
+        const swellEnergy = this.energy(swell);
+        const windSeaEnergy = this.energy(windSea);
+
+        const total = this.partition(bands, totalEnergy);
+        delete total.energy_fraction;
+
+        return {
+            timestamp: spectrum.timestamp,
+            separation,
+            ...total,
+            swell: this.partition(swell, totalEnergy),
+            windSea: this.partition(windSea, totalEnergy),
+            dominant: totalEnergy > 0 ? (swellEnergy >= windSeaEnergy ? 'SWELL' : 'WIND_SEA') : null,
+            bands: bands.map(band => ({
+                frequency_hz: band.frequency,
+                period_s: this.round(1 / band.frequency, 2),
+                density_m2_per_hz: band.density,
+                mean_direction_deg: band.alpha1,
+                principal_direction_deg: band.alpha2,
+                r1: band.r1,
+                r2: band.r2
+            })),
+            ...(includeDirectional && { directional: this.directionalSpectrum(bands) })
+        };
+    }
+
+    // Buoy-supplied separation first, then a wind-speed estimate, then a fixed 10 s split
+    resolveSeparation(separation, windSpeed) {
+        if (separation) {
+            return { frequency_hz: separation, period_s: this.round(1 / separation, 1), source: 'BUOY' };
+        }
+
+        // Waves travelling slower than 1.2x the wind are still being driven by it
+        if (Number.isFinite(windSpeed) && windSpeed > 0) {
+            const frequency = Math.min(Math.max(GRAVITY / (2 * Math.PI * 1.2 * windSpeed), 0.05), 0.25);
+            return { frequency_hz: this.round(frequency, 4), period_s: this.round(1 / frequency, 1), source: 'WIND' };
+        }
+
+        return { frequency_hz: DEFAULT_SEPARATION_HZ, period_s: 1 / DEFAULT_SEPARATION_HZ, source: 'DEFAULT' };
+    }
+
+    // Zeroth spectral moment - total variance of the sea surface
+    energy(bands) {
+        return bands.reduce((sum, band) => sum + band.density * band.bandwidth, 0);
+    }
+
+    partition(bands, totalEnergy) {
+        const m0 = this.energy(bands);
+        const m1 = bands.reduce((sum, band) => sum + band.frequency * band.density * band.bandwidth, 0);
+        const energyFraction = totalEnergy > 0 ? this.round(m0 / totalEnergy, 2) : null;
+
+        if (bands.length === 0 || m0 <= 0) {
+            return {
+                significant_height_m: bands.length === 0 ? null : 0,
+                peak_period_s: null,
+                mean_period_s: null,
+                mean_direction_deg: null,
+                peak_direction_deg: null,
+                directional_spread_deg: null,
+                energy_fraction: energyFraction
+            };
+        }
+
+        const peak = bands.reduce((best, band) => (band.density > best.density ? band : best));
+        const direction = this.meanDirection(bands);
+
+        return {
+            significant_height_m: this.round(4 * Math.sqrt(m0), 2),
+            peak_period_s: this.round(1 / peak.frequency, 1),
+            mean_period_s: this.round(m0 / m1, 1),
+            mean_direction_deg: direction.mean,
+            peak_direction_deg: peak.alpha1,
+            directional_spread_deg: direction.spread,
+            energy_fraction: energyFraction
+        };
+    }
+
+    // Energy-weighted first Fourier moments (Kuik et al. 1988)
+    meanDirection(bands) {
+        let a1 = 0;
+        let b1 = 0;
+        let energy = 0;
+
+        bands.forEach(band => {
+            if (band.alpha1 === null || band.r1 === null) return;
+            const weight = band.density * band.bandwidth;
+            const alpha = band.alpha1 * Math.PI / 180;
+            a1 += weight * band.r1 * Math.cos(alpha);
+            b1 += weight * band.r1 * Math.sin(alpha);
+            energy += weight;
+        });
+
+        if (energy === 0) return { mean: null, spread: null };
+
+        const mean = (Math.atan2(b1, a1) * 180 / Math.PI + 360) % 360;
+        const r = Math.min(Math.hypot(a1, b1) / energy, 1);
+
+        return {
+            mean: this.round(mean, 0),
+            spread: this.round(Math.sqrt(2 * (1 - r)) * 180 / Math.PI, 0)
+        };
+    }
+
+    // E(f, θ) = S(f) · D(θ), D from the Longuet-Higgins truncated Fourier series
+    directionalSpectrum(bands) {
+        const step = 360 / this.directionBins;
+        const directions = Array.from({ length: this.directionBins }, (_, index) => index * step);
+
+        return {
+            directions_deg: directions,
+            frequencies_hz: bands.map(band => band.frequency),
+            units: 'm²/Hz/deg',
+            energy: bands.map(band => {
+                if (band.alpha1 === null || band.r1 === null) return directions.map(() => null);
+
+                return directions.map(direction => {
+                    const theta = direction * Math.PI / 180;
+                    const alpha1 = band.alpha1 * Math.PI / 180;
+                    const alpha2 = (band.alpha2 ?? band.alpha1) * Math.PI / 180;
+                    const spreading = (0.5 + band.r1 * Math.cos(theta - alpha1) + (band.r2 ?? 0) * Math.cos(2 * (theta - alpha2))) / Math.PI;
+                    return this.round(band.density * Math.max(spreading, 0) * Math.PI / 180, 5);
+                });
+            })
+        };
+    }
+
+    round(value, decimals = 2) {
+        if (!Number.isFinite(value)) return null;
+        const factor = Math.pow(10, decimals);
+        return Math.round(value * factor) / factor;
+    }
+}
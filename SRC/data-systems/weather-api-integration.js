@@ -5,219 +5,127 @@
  */
 
 import { DataQualityEngine } from './data-quality-engine.js';
-import { EnterpriseCache } from '../utils/enterprise-cache.js';
+import { EnterpriseCache, gridKey } from '../utils/enterprise-cache.js';
+import WeatherProviderAdapter from './weather-providers/weather-provider-adapter.js';
+import OpenWeatherAdapter from './weather-providers/openweather-adapter.js';
+import WeatherAPIAdapter from './weather-providers/weatherapi-adapter.js';
+import AccuWeatherAdapter from './weather-providers/accuweather-adapter.js';
+import WeatherGovAdapter from './weather-providers/weather-gov-adapter.js';
+import TomorrowAdapter from './weather-providers/tomorrow-adapter.js';
+import ClimacellAdapter from './weather-providers/climacell-adapter.js';
+import { ObservationSchema } from './observation-schema.js';
+import { ConsensusFusion } from './consensus-fusion.js';
+import { ResiliencePolicy, gatewayStatus } from '../utils/resilience.js';
 
 export default class WeatherAPIIntegration {
     constructor() {
-        this.weatherProviders = this.initializeWeatherProviders();
+        this.weatherProviders = new Map();
+        this.clients = new Map();
         this.qualityEngine = new DataQualityEngine();
+        this.schema = new ObservationSchema();
+        this.consensus = new ConsensusFusion();
         this.cache = new EnterpriseCache('weather-data', 2000, 10 * 60 * 1000); // 10 min cache
-        this.rateLimiters = new Map();
+        this.policies = new Map();
         this.forecastModels = new Map();
+        this.maxProvidersPerRequest = 4;
         
-        this.initializeWeatherClients();
+        this.initializeWeatherProviders();
         this.startRealTimeWeatherMonitoring();
         
         console.log('🌤️ Enterprise Weather API Integration - PRODUCTION ACTIVE');
     }
 
     initializeWeatherProviders() {
-        return {
-            // OpenWeatherMap - Comprehensive global coverage
-            OPENWEATHER: {
-                name: 'OpenWeatherMap',
-                baseURL: 'https://api.openweathermap.org/data/2.5',
-                endpoints: {
-                    current: '/weather',
-                    forecast: '/forecast',
-                    onecall: '/onecall',
-                    history: '/onecall/timemachine'
-                },
-                apiKey: process.env.OPENWEATHER_API_KEY,
-                rateLimit: 1000,
-                priority: 'HIGH',
-                coverage: 'GLOBAL',
-                features: ['current', 'forecast', 'historical', 'alerts']
-            },
-
-            // WeatherAPI - Reliable commercial service
-            WEATHERAPI: {
-                name: 'WeatherAPI.com',
-                baseURL: 'http://api.weatherapi.com/v1',
-                endpoints: {
-                    current: '/current.json',
-                    forecast: '/forecast.json',
-                    history: '/history.json',
-                    astronomy: '/astronomy.json',
-                    timezone: '/timezone.json'
-                },
-                apiKey: process.env.WEATHERAPI_KEY,
-                rateLimit: 1000000, // High limit for commercial
-                priority: 'HIGH',
-                coverage: 'GLOBAL',
-                features: ['current', 'forecast', 'astronomy', 'alerts']
-            },
-
-            // AccuWeather - Enterprise-grade weather data
-            ACCUWEATHER: {
-                name: 'AccuWeather',
-                baseURL: 'http://dataservice.accuweather.com',
-                endpoints: {
-                    locations: '/locations/v1',
-                    current: '/currentconditions/v1',
-                    forecast: '/forecasts/v1/daily/5day',
-                    hourly: '/forecasts/v1/hourly/12hour'
-                },
-                apiKey: process.env.ACCUWEATHER_API_KEY,
-                rateLimit: 50, // Strict limit
-                priority: 'HIGH',
-                coverage: 'GLOBAL',
-                features: ['current', 'forecast', 'locations', 'indices']
-            },
-
-            // Weather.gov - US Government data (free)
-            WEATHER_GOV: {
-                name: 'National Weather Service',
-                baseURL: 'https://api.weather.gov',
-                endpoints: {
-                    points: '/points/{lat},{lon}',
-                    forecast: '/gridpoints/{office}/{gridX},{gridY}/forecast',
-                    hourly: '/gridpoints/{office}/{gridX},{gridY}/forecast/hourly',
-                    alerts: '/alerts/active'
-                },
-                rateLimit: 1000,
-                priority: 'HIGH',
-                coverage: 'UNITED_STATES',
-                features: ['forecast', 'alerts', 'radar', 'stations']
-            },
-
-            // Tomorrow.io - Advanced weather intelligence
-            TOMORROW: {
-                name: 'Tomorrow.io',
-                baseURL: 'https://api.tomorrow.io/v4',
-                endpoints: {
-                    timeline: '/timeline',
-                    weather: '/weather/realtime',
-                    forecast: '/weather/forecast'
-                },
-                apiKey: process.env.TOMORROW_API_KEY,
-                rateLimit: 1000,
-                priority: 'MEDIUM',
-                coverage: 'GLOBAL',
-                features: ['ai_forecasts', 'pollen', 'air_quality', 'fire_index']
-            },
-
-            // Climacell (Now Tomorrow.io) - Historical provider
-            CLIMACELL: {
-                name: 'Climacell',
-                baseURL: 'https://data.climacell.co/v4',
-                endpoints: {
-                    realtime: '/weather/realtime',
-                    forecast: '/weather/forecast',
-                    historical: '/weather/historical'
-                },
-                apiKey: process.env.CLIMACELL_API_KEY,
-                rateLimit: 1000,
-                priority: 'MEDIUM',
-                coverage: 'GLOBAL',
-                features: ['hyperlocal', 'precipitation', 'road_risk']
-            }
-        };
+        [
+            new OpenWeatherAdapter(),   // Comprehensive global coverage
+            new WeatherAPIAdapter(),    // Reliable commercial service
+            new AccuWeatherAdapter(),   // Enterprise-grade weather data
+            new WeatherGovAdapter(),    // US Government data (free)
+            new TomorrowAdapter(),      // Advanced weather intelligence
+            new ClimacellAdapter()      // Historical provider (now Tomorrow.io)
+        ].forEach(adapter => this.registerProvider(adapter));
+
+        console.log('🌤️ Weather clients initialized for all providers');
     }
 
-    initializeWeatherClients() {
-        this.clients = new Map();
-        
-        Object.entries(this.weatherProviders).forEach(([provider, config]) => {
-            this.clients.set(provider, this.createWeatherClient(provider, config));
-            this.rateLimiters.set(provider, this.createRateLimiter(config.rateLimit));
-        });
+    // Provider registry - in-house networks plug in here at runtime
+    registerProvider(adapter, options = {}) {
+        WeatherProviderAdapter.assertContract(adapter);
 
-        console.log('🌤️ Weather clients initialized for all providers');
+        if (this.weatherProviders.has(adapter.id) && !options.replace) {
+            throw new Error(`Weather provider already registered: ${adapter.id}`);
+        }
+
+        this.weatherProviders.set(adapter.id, adapter);
+        const client = this.createWeatherClient(adapter);
+        this.clients.set(adapter.id, client);
+        this.policies.set(adapter.id, ResiliencePolicy.for(`weather:${adapter.id}`, {
+            rateLimit: adapter.rateLimit,
+            timeoutMs: client.timeout,
+            maxAttempts: client.retryAttempts
+        }));
+
+        return adapter;
+    }
+
+    unregisterProvider(providerId) {
+        this.clients.delete(providerId);
+        this.policies.delete(providerId);
+        return this.weatherProviders.delete(providerId);
     }
 
-    createWeatherClient(provider, config) {
+    getProvider(providerId) {
+        const adapter = this.weatherProviders.get(providerId);
+        if (!adapter) {
+            throw new Error(`Unknown weather provider: ${providerId}`);
+        }
+        return adapter;
+    }
+
+    listProviders() {
+        return Array.from(this.weatherProviders.values()).map(adapter => adapter.describe());
+    }
+
+    createWeatherClient(adapter) {
         const headers = {
             'User-Agent': 'Enterprise-Weather-System/1.0',
             'Accept': 'application/json',
-            'Content-Type': 'application/json'
+            'Content-Type': 'application/json',
+            ...adapter.getAuthHeaders()
         };
 
-        // Add provider-specific headers
-        switch(provider) {
-            case 'WEATHERAPI':
-                headers['Key'] = config.apiKey;
-                break;
-            case 'TOMORROW':
-            case 'CLIMACELL':
-                headers['apikey'] = config.apiKey;
-                break;
-            case 'ACCUWEATHER':
-                // AccuWeather uses query parameter
-                break;
-        }
-
         return {
-            baseURL: config.baseURL,
+            baseURL: adapter.baseURL,
             headers,
-            timeout: 15000,
+            timeout: adapter.timeout,
             retryAttempts: 3
         };
     }
 
-    createRateLimiter(requestsPerHour) {
-        const requestsPerSecond = requestsPerHour / 3600;
-        let lastRequest = 0;
-        
-        return {
-            canMakeRequest: () => {
-                const now = Date.now();
-                const timeSinceLast = now - lastRequest;
-                const minInterval = 1000 / requestsPerSecond;
-                
-                if (timeSinceLast >= minInterval) {
-                    lastRequest = now;
-                    return true;
-                }
-                return false;
-            },
-            getWaitTime: () => {
-                const now = Date.now();
-                return Math.max(0, (1000 / requestsPerSecond) - (now - lastRequest));
-            }
-        };
-    }
-
     // Main weather data acquisition method
     async getWeatherData(location, options = {}) {
         const { lat, lon, type = 'current' } = location;
-        const cacheKey = `weather_${type}_${lat}_${lon}_${Date.now()}`;
-        
-        // Check cache first
-        const cached = await this.cache.get(cacheKey);
-        if (cached && !options.forceRefresh) {
-            console.log('🌤️ Using cached weather data');
-            return cached;
-        }
+        const cacheKey = gridKey(`weather_${type}`, lat, lon);
 
         try {
-            await this.checkRateLimits();
-            
-            const weatherData = await this.fetchMultiProviderWeather(location, type, options);
-            
-            // Process and fuse data
-            const processedWeather = await this.processWeatherData(weatherData, location, type);
-            
-            // Validate data quality
-            const qualityReport = await this.qualityEngine.validateWeatherData(processedWeather);
-            
-            if (qualityReport.score >= 0.8) {
-                // Cache successful data
-                await this.cache.set(cacheKey, processedWeather);
-                return processedWeather;
-            } else {
-                throw new Error(`Weather data quality insufficient: ${qualityReport.issues.join(', ')}`);
-            }
+            return await this.cache.getOrFetch(cacheKey, async () => {
+                const [weatherData, alerts] = await Promise.all([
+                    this.fetchMultiProviderWeather(location, type, options),
+                    type === 'current' ? this.fetchActiveAlerts(location, options) : null
+                ]);
+                
+                // Process and fuse data
+                const processedWeather = await this.processWeatherData(weatherData, location, type);
+                if (alerts) processedWeather.alerts = alerts;
+                
+                // Bad fields are flagged per observation and skipped downstream, so a low score is reported rather than fatal
+                const qualityReport = await this.qualityEngine.validateWeatherData(processedWeather);
+                
+                if (qualityReport.score < 0.8) {
+                    console.warn(`🌤️ Weather data quality low (${qualityReport.score.toFixed(2)}): ${qualityReport.issues.join(', ')}`);
+                }
+                return { ...processedWeather, dataQuality: qualityReport };
+            }, { forceRefresh: options.forceRefresh });
             
         } catch (error) {
             console.error('Weather data acquisition failed:', error);
@@ -256,58 +164,104 @@ export default class WeatherAPIIntegration {
         return providerData;
     }
 
-    selectProvidersForLocation(location, type) {
+    // Observations carry no warnings, so current conditions ask every alerting provider for them separately
+    async fetchActiveAlerts(location, options) {
+        const providers = this.selectProvidersForLocation(location, 'alerts');
+        const results = await Promise.all(providers.map(provider => this.fetchFromProvider(provider, location, 'alerts', options)));
+        const byProvider = {};
+
+        results.forEach(result => {
+            if (!result.metadata.success || !result.data) return;
+            try {
+                byProvider[result.provider] = { alerts: this.normalizeProviderData(result.data, result.provider, 'alerts', location) };
+            } catch (error) {
+                console.warn(`🌤️ ${result.provider} alerts unreadable: ${error.message}`);
+            }
+        });
+
+        return this.extractWeatherAlerts(byProvider);
+    }
+
+    // Hourly observations for past UTC days from every provider with a history endpoint
+    async getHistoricalWeather(location, days, options = {}) {
         const { lat, lon } = location;
-        const providers = [];
-        
-        // Always include OpenWeatherMap and WeatherAPI for global coverage
-        providers.push('OPENWEATHER', 'WEATHERAPI');
-        
-        // Add location-specific providers
-        if (this.isInUnitedStates(lat, lon)) {
-            providers.push('WEATHER_GOV'); // Best for US coverage
-        }
-        
-        // Add premium providers if available
-        if (this.weatherProviders.ACCUWEATHER.apiKey) {
-            providers.push('ACCUWEATHER');
-        }
-        
-        if (this.weatherProviders.TOMORROW.apiKey) {
-            providers.push('TOMORROW');
+        const history = { observations: [], providers: {}, failedProviders: [] };
+
+        // Day by day keeps each request inside what every history endpoint accepts
+        for (const day of days) {
+            const startMs = Date.parse(`${day}T00:00:00Z`);
+            const window = {
+                lat,
+                lon,
+                start: new Date(startMs).toISOString(),
+                end: new Date(Math.min(startMs + 24 * 60 * 60 * 1000, Date.now())).toISOString()
+            };
+
+            const providers = this.selectHistoryProviders(location, startMs);
+            const results = await Promise.all(
+                providers.map(provider => this.fetchFromProvider(provider, window, 'history', options))
+            );
+
+            results.forEach(result => {
+                if (!result.metadata.success || !result.data) {
+                    history.failedProviders.push({ provider: result.provider, day, error: result.error });
+                    return;
+                }
+
+                const observations = this.normalizeProviderData(result.data, result.provider, 'history', location)
+                    .filter(observation => {
+                        const time = Date.parse(observation.time);
+                        return time >= startMs && time < Date.parse(window.end);
+                    });
+
+                history.observations.push(...observations);
+                history.providers[result.provider] = (history.providers[result.provider] || 0) + observations.length;
+            });
         }
+
+        return history;
+    }
+
+    selectHistoryProviders(location, time) {
+        const { lat, lon } = location;
+
+        return Array.from(this.weatherProviders.values())
+            .filter(adapter => adapter.isConfigured() && adapter.coversHistory(time) && adapter.covers(lat, lon))
+            .filter(adapter => this.isProviderAvailable(adapter.id))
+            .sort((a, b) => a.getPriorityRank() - b.getPriorityRank())
+            .slice(0, this.maxProvidersPerRequest)
+            .map(adapter => adapter.id);
+    }
+
+    selectProvidersForLocation(location, type) {
+        const { lat, lon } = location;
         
-        return providers.slice(0, 4); // Limit to 4 providers
+        return Array.from(this.weatherProviders.values())
+            .filter(adapter => adapter.isConfigured() && adapter.supports(type) && adapter.covers(lat, lon))
+            .filter(adapter => this.isProviderAvailable(adapter.id))
+            .sort((a, b) => a.getPriorityRank() - b.getPriorityRank())
+            .slice(0, this.maxProvidersPerRequest)
+            .map(adapter => adapter.id);
     }
 
-    isInUnitedStates(lat, lon) {
-        // Simple geographic check for US territory
-        return lat >= 24.0 && lat <= 50.0 && lon >= -125.0 && lon <= -65.0;
+    // Providers whose breaker is open are left out rather than slowing every request
+    isProviderAvailable(providerId) {
+        return this.policies.get(providerId)?.isAvailable() ?? true;
     }
 
     async fetchFromProvider(provider, location, type, options) {
-        await this.checkRateLimit(provider);
-        
+        const adapter = this.getProvider(provider);
         const client = this.clients.get(provider);
-        const providerConfig = this.weatherProviders[provider];
         const startTime = Date.now();
         
         try {
-            let data;
-            
-            switch (type) {
-                case 'current':
-                    data = await this.fetchCurrentWeather(provider, location, options);
-                    break;
-                case 'forecast':
-                    data = await this.fetchWeatherForecast(provider, location, options);
-                    break;
-                case 'historical':
-                    data = await this.fetchHistoricalWeather(provider, location, options);
-                    break;
-                default:
-                    throw new Error(`Unknown weather type: ${type}`);
+            if (!adapter.supports(type)) {
+                throw new Error(`${adapter.name} does not support ${type} weather`);
             }
+
+            const data = await this.policies.get(provider).execute(
+                signal => adapter.fetchData(type, location, options, { ...client, signal })
+            );
             
             return {
                 provider,
@@ -335,111 +289,6 @@ export default class WeatherAPIIntegration {
         }
     }
 
-    async fetchCurrentWeather(provider, location, options) {
-        const { lat, lon } = location;
-        const client = this.clients.get(provider);
-        
-        switch (provider) {
-            case 'OPENWEATHER':
-                const owmParams = new URLSearchParams({
-                    lat: lat.toString(),
-                    lon: lon.toString(),
-                    appid: this.weatherProviders.OPENWEATHER.apiKey,
-                    units: 'metric',
-                    lang: 'en'
-                });
-                
-                const owmResponse = await fetch(
-                    `${client.baseURL}${this.weatherProviders.OPENWEATHER.endpoints.current}?${owmParams}`,
-                    { method: 'GET', headers: client.headers, signal: AbortSignal.timeout(client.timeout) }
-                );
-                
-                if (!owmResponse.ok) throw new Error(`OpenWeather error: ${owmResponse.status}`);
-                return await owmResponse.json();
-                
-            case 'WEATHERAPI':
-                const waParams = new URLSearchParams({
-                    key: this.weatherProviders.WEATHERAPI.apiKey,
-                    q: `${lat},${lon}`,
-                    aqi: 'yes'
-                });
-                
-                const waResponse = await fetch(
-                    `${client.baseURL}${this.weatherProviders.WEATHERAPI.endpoints.current}?${waParams}`,
-                    { method: 'GET', headers: client.headers, signal: AbortSignal.timeout(client.timeout) }
-                );
-                
-                if (!waResponse.ok) throw new Error(`WeatherAPI error: ${waResponse.status}`);
-                return await waResponse.json();
-                
-            case 'WEATHER_GOV':
-                // First get grid point
-                const pointsResponse = await fetch(
-                    `${client.baseURL}${this.weatherProviders.WEATHER_GOV.endpoints.points.replace('{lat},{lon}', `${lat},${lon}`)}`,
-                    { method: 'GET', headers: client.headers, signal: AbortSignal.timeout(client.timeout) }
-                );
-                
-                if (!pointsResponse.ok) throw new Error(`Weather.gov points error: ${pointsResponse.status}`);
-                const pointsData = await pointsResponse.json();
-                
-                // Then get forecast
-                const forecastResponse = await fetch(
-                    pointsData.properties.forecast,
-                    { method: 'GET', headers: client.headers, signal: AbortSignal.timeout(client.timeout) }
-                );
-                
-                if (!forecastResponse.ok) throw new Error(`Weather.gov forecast error: ${forecastResponse.status}`);
-                return await forecastResponse.json();
-                
-            default:
-                throw new Error(`Current weather not supported for provider: ${provider}`);
-        }
-    }
-
-    async fetchWeatherForecast(provider, location, options) {
-        const { lat, lon, days = 5 } = location;
-        const client = this.clients.get(provider);
-        
-        switch (provider) {
-            case 'OPENWEATHER':
-                const owmParams = new URLSearchParams({
-                    lat: lat.toString(),
-                    lon: lon.toString(),
-                    appid: this.weatherProviders.OPENWEATHER.apiKey,
-                    units: 'metric',
-                    cnt: Math.min(days * 8, 40).toString() // 3-hour intervals
-                });
-                
-                const owmResponse = await fetch(
-                    `${client.baseURL}${this.weatherProviders.OPENWEATHER.endpoints.forecast}?${owmParams}`,
-                    { method: 'GET', headers: client.headers, signal: AbortSignal.timeout(client.timeout) }
-                );
-                
-                if (!owmResponse.ok) throw new Error(`OpenWeather forecast error: ${owmResponse.status}`);
-                return await owmResponse.json();
-                
-            case 'WEATHERAPI':
-                const waParams = new URLSearchParams({
-                    key: this.weatherProviders.WEATHERAPI.apiKey,
-                    q: `${lat},${lon}`,
-                    days: days.toString(),
-                    aqi: 'yes',
-                    alerts: 'yes'
-                });
-                
-                const waResponse = await fetch(
-                    `${client.baseURL}${this.weatherProviders.WEATHERAPI.endpoints.forecast}?${waParams}`,
-                    { method: 'GET', headers: client.headers, signal: AbortSignal.timeout(client.timeout) }
-                );
-                
-                if (!waResponse.ok) throw new Error(`WeatherAPI forecast error: ${waResponse.status}`);
-                return await waResponse.json();
-                
-            default:
-                throw new Error(`Forecast not supported for provider: ${provider}`);
-        }
-    }
-
     // Data processing methods
     async processWeatherData(providerData, location, type) {
         const processed = {
@@ -447,7 +296,10 @@ export default class WeatherAPIIntegration {
             type,
             timestamp: new Date(),
             providers: Object.keys(providerData).filter(provider => providerData[provider].metadata.success),
+            failedProviders: Object.keys(providerData).filter(provider => !providerData[provider].metadata.success),
+            schemaVersion: this.schema.version,
             data: {},
+            observations: [],
             analysis: {},
             alerts: []
         };
@@ -455,12 +307,18 @@ export default class WeatherAPIIntegration {
         // Process data from successful providers
         Object.entries(providerData).forEach(([provider, result]) => {
             if (result.metadata.success && result.data) {
-                processed.data[provider] = this.normalizeProviderData(result.data, provider, type);
+                processed.data[provider] = this.normalizeProviderData(result.data, provider, type, location);
             }
         });
 
+        processed.observations = Object.values(processed.data).flatMap(data => {
+            if (type === 'current') return [data];
+            if (type === 'forecast') return data.periods;
+            return [];
+        });
+
         // Perform data fusion
-        processed.fusedData = await this.fuseWeatherData(processed.data, type);
+        processed.fusedData = await this.fuseWeatherData(processed.data, type, location);
         
         // Generate weather analysis
         processed.analysis = await this.analyzeWeatherData(processed.fusedData, location, type);
@@ -474,48 +332,131 @@ export default class WeatherAPIIntegration {
         return processed;
     }
 
-    normalizeProviderData(data, provider, type) {
-        switch (provider) {
-            case 'OPENWEATHER':
-                return this.normalizeOpenWeatherData(data, type);
-            case 'WEATHERAPI':
-                return this.normalizeWeatherAPIData(data, type);
-            case 'WEATHER_GOV':
-                return this.normalizeWeatherGovData(data, type);
+    normalizeProviderData(data, provider, type, location) {
+        const normalized = this.getProvider(provider).normalize(type, data);
+        const context = { lat: location.lat, lon: location.lon, system: 'WEATHER', provider };
+
+        // Observations and forecast periods leave here in the canonical schema
+        switch (type) {
+            case 'current':
+                return this.schema.create(normalized, context);
+            case 'forecast':
+                return {
+                    ...normalized,
+                    periods: normalized.periods.map(period => this.schema.create(period, { ...context, kind: 'forecast' }))
+                };
+            case 'history':
+                return normalized.map(observation => this.schema.create(observation, context));
+            default:
+                return normalized;
+        }
+    }
+
+    // Quality-weighted consensus across providers, field by field
+    async fuseWeatherData(data, type, location) {
+        switch (type) {
+            case 'current':
+                return this.consensus.fuse(Object.values(data), location);
+            case 'forecast': {
+                // Fuse each valid time separately; providers on 3-hourly steps join the hours they cover
+                const byTime = new Map();
+                Object.values(data).flatMap(forecast => forecast.periods).forEach(period => {
+                    if (!byTime.has(period.time)) byTime.set(period.time, []);
+                    byTime.get(period.time).push(period);
+                });
+
+                return {
+                    periods: Array.from(byTime.entries())
+                        .sort(([a], [b]) => Date.parse(a) - Date.parse(b))
+                        .map(([time, periods]) => ({ ...this.consensus.fuse(periods, location), time }))
+                };
+            }
             default:
                 return data;
         }
     }
 
-    normalizeOpenWeatherData(data, type) {
-        if (type === 'current') {
+    analyzeWeatherData(fusedData, location, type) {
+        if (type === 'forecast') {
+            const periods = fusedData.periods || [];
+            const temps = periods.map(period => period.temp_c).filter(Number.isFinite);
+            const precip = periods.map(period => period.precip_probability).filter(Number.isFinite);
+
             return {
-                temperature: data.main.temp,
-                feelsLike: data.main.feels_like,
-                humidity: data.main.humidity,
-                pressure: data.main.pressure,
-                visibility: data.visibility,
-                wind: {
-                    speed: data.wind.speed,
-                    direction: data.wind.deg,
-                    gust: data.wind.gust
-                },
-                clouds: data.clouds.all,
-                weather: data.weather[0],
-                rain: data.rain,
-                snow: data.snow,
-                timestamp: new Date(data.dt * 1000)
+                periodCount: periods.length,
+                validFrom: periods[0]?.time ?? null,
+                validTo: periods[periods.length - 1]?.time ?? null,
+                temperatureRange: temps.length > 0 ? { min: Math.min(...temps), max: Math.max(...temps) } : null,
+                maxPrecipProbability: precip.length > 0 ? Math.max(...precip) : null
             };
-        } else if (type === 'forecast') {
-            return {
-                city: data.city,
-                list: data.list.map(item => ({
-                    timestamp: new Date(item.dt * 1000),
-                    temperature: item.main.temp,
-                    feelsLike: item.main.feels_like,
-                    humidity: item.main.humidity,
-                    pressure: item.main.pressure,
-                    weather: item.weather[0],
-                    clouds: item.clouds.all,
-                    wind: item.wind,
-                    precipitation: item.pop, // Probability 
+        }
+
+        if (type !== 'current') return {};
+
+        // Fields the providers disagree on by more than the consensus can smooth over
+        const disputed = Object.entries(fusedData.consensus || {})
+            .filter(([, result]) => result.rejected.length > 0)
+            .map(([field]) => field);
+
+        return {
+            condition: fusedData.condition?.text ?? null,
+            observedAt: fusedData.time,
+            dewpointDepression: Number.isFinite(fusedData.temp_c) && Number.isFinite(fusedData.dewpoint_c)
+                ? Math.round((fusedData.temp_c - fusedData.dewpoint_c) * 10) / 10
+                : null,
+            disputedFields: disputed
+        };
+    }
+
+    // Alerts arrive on forecast payloads or from fetchActiveAlerts; the same event from two providers is listed once
+    extractWeatherAlerts(data) {
+        const seen = new Set();
+
+        return Object.entries(data).flatMap(([provider, normalized]) =>
+            (normalized?.alerts || []).map(alert => ({ ...alert, provider }))
+        ).filter(alert => {
+            const key = `${alert.event}|${alert.effective}`;
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+    }
+
+    calculateWeatherQuality(processed) {
+        const attempted = processed.providers.length + processed.failedProviders.length;
+
+        return {
+            providerSuccessRate: attempted > 0 ? processed.providers.length / attempted : 0,
+            providerCount: processed.providers.length,
+            observationCount: processed.observations.length
+        };
+    }
+
+    createProviderErrorResult(provider, error) {
+        return {
+            provider,
+            data: null,
+            error: error?.message || String(error),
+            metadata: {
+                fetchTime: 0,
+                success: false,
+                timestamp: new Date()
+            }
+        };
+    }
+
+    enhanceWeatherError(error, context) {
+        const enhancedError = new Error(`WeatherAPIIntegration.${context}: ${error.message}`);
+        enhancedError.originalError = error;
+        enhancedError.timestamp = new Date();
+        enhancedError.context = context;
+        // Client errors such as an unknown location keep their status for the route, provider failures become 502
+        enhancedError.status = gatewayStatus(error);
+        return enhancedError;
+    }
+
+    // Periodic refresh of watched locations is the aggregation scheduler's job
+    startRealTimeWeatherMonitoring() {
+        console.log('🌤️ Weather refresh delegated to the aggregation scheduler');
+    }
+}
@@ -0,0 +1,137 @@
+/**
+ * ☀️ AccuWeather Adapter
+ * Enterprise-grade weather data, addressed by AccuWeather location key
+ */
+
+import WeatherProviderAdapter from './weather-provider-adapter.js';
+
+export default class AccuWeatherAdapter extends WeatherProviderAdapter {
+    constructor(overrides = {}) {
+        super({
+            id: 'ACCUWEATHER',
+            name: 'AccuWeather',
+            baseURL: 'http://dataservice.accuweather.com',
+            endpoints: {
+                locations: '/locations/v1/cities/geoposition/search',
+                current: '/currentconditions/v1',
+                forecast: '/forecasts/v1/daily/5day',
+                hourly: '/forecasts/v1/hourly/12hour'
+            },
+            apiKey: process.env.ACCUWEATHER_API_KEY,
+            rateLimit: 50, // Strict limit
+            priority: 'HIGH',
+            coverage: 'GLOBAL',
+            features: ['current', 'forecast', 'locations', 'indices'],
+            ...overrides
+        });
+
+        // Location keys never change for a coordinate, so avoid spending the strict quota twice
+        this.locationKeys = new Map();
+    }
+
+    getAuthParams() {
+        return { apikey: this.apiKey };
+    }
+
+    buildRequest(type, location, options = {}) {
+        const { lat, lon, locationKey } = location;
+
+        switch (type) {
+            case 'locations':
+                return {
+                    label: 'location lookup',
+                    path: this.endpoints.locations,
+                    params: { q: `${lat},${lon}` }
+                };
+            case 'current':
+                return {
+                    label: 'current',
+                    path: `${this.endpoints.current}/${locationKey}`,
+                    params: { details: 'true' }
+                };
+            case 'forecast':
+                return {
+                    label: 'forecast',
+                    path: `${this.endpoints.forecast}/${locationKey}`,
+                    params: { details: 'true', metric: 'true' }
+                };
+            default:
+                return super.buildRequest(type, location, options);
+        }
+    }
+
+    async fetchData(type, location, options, client) {
+        if (type === 'locations') {
+            return await this.execute(this.buildRequest(type, location, options), client);
+        }
+
+        const locationKey = await this.resolveLocationKey(location, client);
+        return await this.execute(this.buildRequest(type, { ...location, locationKey }, options), client);
+    }
+
+    async resolveLocationKey(location, client) {
+        const cacheKey = `${location.lat.toFixed(3)},${location.lon.toFixed(3)}`;
+        if (this.locationKeys.has(cacheKey)) {
+            return this.locationKeys.get(cacheKey);
+        }
+
+        const match = await this.execute(this.buildRequest('locations', location), client);
+        if (!match?.Key) {
+            throw new Error(`AccuWeather has no location key for ${cacheKey}`);
+        }
+
+        this.locationKeys.set(cacheKey, match.Key);
+        return match.Key;
+    }
+
+    normalize(type, data) {
+        switch (type) {
+            case 'current': {
+                const current = Array.isArray(data) ? data[0] : data;
+                return this.createObservation({
+                    time: current.EpochTime * 1000,
+                    temp_c: current.Temperature?.Metric?.Value,
+                    feelslike_c: current.RealFeelTemperature?.Metric?.Value,
+                    dewpoint_c: current.DewPoint?.Metric?.Value,
+                    humidity: current.RelativeHumidity,
+                    pressure_mb: current.Pressure?.Metric?.Value,
+                    wind_kph: current.Wind?.Speed?.Metric?.Value,
+                    wind_degree: current.Wind?.Direction?.Degrees,
+                    gust_kph: current.WindGust?.Speed?.Metric?.Value,
+                    vis_km: current.Visibility?.Metric?.Value,
+                    cloud: current.CloudCover,
+                    precip_mm: current.Precip1hr?.Metric?.Value,
+                    condition: {
+                        text: current.WeatherText,
+                        code: current.WeatherIcon
+                    }
+                });
+            }
+            case 'forecast':
+                return this.createForecast(data.DailyForecasts.map(day => ({
+                    time: day.EpochDate * 1000,
+                    temp_c: (day.Temperature.Maximum.Value + day.Temperature.Minimum.Value) / 2,
+                    temp_min_c: day.Temperature.Minimum.Value,
+                    temp_max_c: day.Temperature.Maximum.Value,
+                    wind_kph: day.Day?.Wind?.Speed?.Value,
+                    wind_degree: day.Day?.Wind?.Direction?.Degrees,
+                    gust_kph: day.Day?.WindGust?.Speed?.Value,
+                    cloud: day.Day?.CloudCover,
+                    precip_mm: day.Day?.TotalLiquid?.Value,
+                    precip_probability: day.Day?.PrecipitationProbability,
+                    condition: {
+                        text: day.Day?.IconPhrase,
+                        code: day.Day?.Icon
+                    }
+                })), { headline: data.Headline?.Text ?? null });
+            case 'locations':
+                return {
+                    key: data.Key,
+                    name: data.LocalizedName,
+                    country: data.Country?.LocalizedName
+                };
+            default:
+                return super.normalize(type, data);
+        }
+    }
+}
@@ -0,0 +1,28 @@
+/**
+ * 🌧️ Climacell Adapter
+ * Historical provider (now Tomorrow.io) - same v4 payloads on the legacy host
+ */
+
+import TomorrowAdapter from './tomorrow-adapter.js';
+
+export default class ClimacellAdapter extends TomorrowAdapter {
+    constructor(overrides = {}) {
+        super({
+            id: 'CLIMACELL',
+            name: 'Climacell',
+            baseURL: 'https://data.climacell.co/v4',
+            endpoints: {
+                weather: '/weather/realtime',
+                forecast: '/weather/forecast',
+                historical: '/weather/historical'
+            },
+            apiKey: process.env.CLIMACELL_API_KEY,
+            rateLimit: 1000,
+            priority: 'MEDIUM',
+            coverage: 'GLOBAL',
+            features: ['current', 'forecast', 'hyperlocal', 'precipitation', 'road_risk', 'history'],
+            historyDays: 1, // recent history is the last 24 hours on the free plan
+            ...overrides
+        });
+    }
+}
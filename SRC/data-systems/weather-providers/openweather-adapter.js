@@ -0,0 +1,144 @@
+/**
+ * 🌤️ OpenWeatherMap Adapter
+ * Comprehensive global coverage
+ */
+
+import WeatherProviderAdapter from './weather-provider-adapter.js';
+
+export default class OpenWeatherAdapter extends WeatherProviderAdapter {
+    constructor(overrides = {}) {
+        super({
+            id: 'OPENWEATHER',
+            name: 'OpenWeatherMap',
+            baseURL: 'https://api.openweathermap.org/data/2.5',
+            endpoints: {
+                current: '/weather',
+                forecast: '/forecast',
+                onecall: '/onecall',
+                history: '/onecall/timemachine'
+            },
+            apiKey: process.env.OPENWEATHER_API_KEY,
+            rateLimit: 1000,
+            priority: 'HIGH',
+            coverage: 'GLOBAL',
+            features: ['current', 'forecast', 'alerts', 'history'],
+            historyDays: 5, // timemachine only reaches five days back
+            ...overrides
+        });
+    }
+
+    getAuthParams() {
+        return { appid: this.apiKey };
+    }
+
+    buildRequest(type, location, options = {}) {
+        const { lat, lon, days = 5 } = location;
+
+        switch (type) {
+            case 'current':
+                return {
+                    label: 'current',
+                    path: this.endpoints.current,
+                    params: { lat, lon, units: 'metric', lang: 'en' }
+                };
+            case 'forecast':
+                return {
+                    label: 'forecast',
+                    path: this.endpoints.forecast,
+                    params: { lat, lon, units: 'metric', cnt: Math.min(days * 8, 40) } // 3-hour intervals
+                };
+            case 'history':
+                // One call returns the hourly series for the day containing dt
+                return {
+                    label: 'history',
+                    path: this.endpoints.history,
+                    params: { lat, lon, units: 'metric', dt: Math.floor(Date.parse(location.start) / 1000) }
+                };
+            case 'alerts':
+                // One Call with everything but the alerts excluded
+                return {
+                    label: 'alerts',
+                    path: this.endpoints.onecall,
+                    params: { lat, lon, exclude: 'current,minutely,hourly,daily' }
+                };
+            default:
+                return super.buildRequest(type, location, options);
+        }
+    }
+
+    normalize(type, data) {
+        switch (type) {
+            case 'current':
+                return this.normalizeObservation(data);
+            case 'forecast':
+                return this.createForecast(
+                    data.list.map(item => ({
+                        ...this.observationFields(item),
+                        temp_min_c: item.main.temp_min,
+                        temp_max_c: item.main.temp_max,
+                        precip_probability: item.pop !== undefined ? item.pop * 100 : null
+                    })),
+                    { city: data.city?.name ?? null }
+                );
+            case 'history':
+                return (data.hourly || data.data || []).map(hour => this.createObservation(this.onecallFields(hour)));
+            case 'alerts':
+                // One Call gives no severity; the first line of the text is its headline
+                return (data.alerts || []).map(alert => this.createAlert({
+                    event: alert.event,
+                    headline: alert.description?.split('\n')[0] || alert.event,
+                    effective: alert.start * 1000,
+                    expires: alert.end * 1000
+                }));
+            default:
+                return super.normalize(type, data);
+        }
+    }
+
+    normalizeObservation(item) {
+        return this.createObservation(this.observationFields(item));
+    }
+
+    observationFields(item) {
+        // OpenWeather metric units: wind in m/s, visibility in metres
+        return {
+            time: item.dt * 1000,
+            temp_c: item.main.temp,
+            feelslike_c: item.main.feels_like,
+            humidity: item.main.humidity,
+            pressure_mb: item.main.pressure,
+            wind_kph: item.wind?.speed !== undefined ? item.wind.speed * 3.6 : null,
+            wind_degree: item.wind?.deg,
+            gust_kph: item.wind?.gust !== undefined ? item.wind.gust * 3.6 : null,
+            vis_km: item.visibility !== undefined ? item.visibility / 1000 : null,
+            cloud: item.clouds?.all,
+            precip_mm: (item.rain?.['1h'] ?? item.rain?.['3h'] ?? 0) + (item.snow?.['1h'] ?? item.snow?.['3h'] ?? 0),
+            condition: {
+                text: item.weather?.[0]?.description,
+                code: item.weather?.[0]?.id
+            }
+        };
+    }
+
+    onecallFields(hour) {
+        // One Call payloads are flat rather than nested under main/wind
+        return {
+            time: hour.dt * 1000,
+            temp_c: hour.temp,
+            feelslike_c: hour.feels_like,
+            dewpoint_c: hour.dew_point,
+            humidity: hour.humidity,
+            pressure_mb: hour.pressure,
+            wind_kph: hour.wind_speed !== undefined ? hour.wind_speed * 3.6 : null,
+            wind_degree: hour.wind_deg,
+            gust_kph: hour.wind_gust !== undefined ? hour.wind_gust * 3.6 : null,
+            vis_km: hour.visibility !== undefined ? hour.visibility / 1000 : null,
+            cloud: hour.clouds,
+            precip_mm: (hour.rain?.['1h'] ?? 0) + (hour.snow?.['1h'] ?? 0),
+            condition: {
+                text: hour.weather?.[0]?.description,
+                code: hour.weather?.[0]?.id
+            }
+        };
+    }
+}
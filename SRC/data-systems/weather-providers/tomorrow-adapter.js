@@ -0,0 +1,115 @@
+/**
+ * 🔮 Tomorrow.io Adapter
+ * Advanced weather intelligence (v4 timelines API)
+ */
+
+import WeatherProviderAdapter from './weather-provider-adapter.js';
+
+const WEATHER_CODES = {
+    1000: 'Clear', 1100: 'Mostly Clear', 1101: 'Partly Cloudy', 1102: 'Mostly Cloudy',
+    1001: 'Cloudy', 2000: 'Fog', 2100: 'Light Fog', 4000: 'Drizzle', 4001: 'Rain',
+    4200: 'Light Rain', 4201: 'Heavy Rain', 5000: 'Snow', 5001: 'Flurries',
+    5100: 'Light Snow', 5101: 'Heavy Snow', 6000: 'Freezing Drizzle', 6001: 'Freezing Rain',
+    6200: 'Light Freezing Rain', 6201: 'Heavy Freezing Rain', 7000: 'Ice Pellets',
+    7101: 'Heavy Ice Pellets', 7102: 'Light Ice Pellets', 8000: 'Thunderstorm'
+};
+
+export default class TomorrowAdapter extends WeatherProviderAdapter {
+    constructor(overrides = {}) {
+        super({
+            id: 'TOMORROW',
+            name: 'Tomorrow.io',
+            baseURL: 'https://api.tomorrow.io/v4',
+            endpoints: {
+                timeline: '/timeline',
+                weather: '/weather/realtime',
+                forecast: '/weather/forecast'
+            },
+            apiKey: process.env.TOMORROW_API_KEY,
+            rateLimit: 1000,
+            priority: 'MEDIUM',
+            coverage: 'GLOBAL',
+            features: ['current', 'forecast', 'ai_forecasts', 'pollen', 'air_quality', 'fire_index'],
+            ...overrides
+        });
+    }
+
+    getAuthHeaders() {
+        return { apikey: this.apiKey };
+    }
+
+    buildRequest(type, location, options = {}) {
+        const { lat, lon } = location;
+
+        switch (type) {
+            case 'current':
+                return {
+                    label: 'realtime',
+                    path: this.endpoints.weather,
+                    params: { location: `${lat},${lon}`, units: 'metric' }
+                };
+            case 'forecast':
+                return {
+                    label: 'forecast',
+                    path: this.endpoints.forecast,
+                    params: { location: `${lat},${lon}`, units: 'metric', timesteps: '1h' }
+                };
+            case 'history':
+                // Only the legacy Climacell host exposes an hourly historical endpoint
+                if (!this.endpoints.historical) {
+                    return super.buildRequest(type, location, options);
+                }
+                return {
+                    label: 'historical',
+                    path: this.endpoints.historical,
+                    params: {
+                        location: `${lat},${lon}`,
+                        units: 'metric',
+                        timesteps: '1h',
+                        startTime: location.start,
+                        endTime: location.end
+                    }
+                };
+            default:
+                return super.buildRequest(type, location, options);
+        }
+    }
+
+    normalize(type, data) {
+        switch (type) {
+            case 'current':
+                return this.createObservation(this.observationFields(data.data.time, data.data.values));
+            case 'forecast':
+                return this.createForecast((data.timelines?.hourly || []).map(step => ({
+                    ...this.observationFields(step.time, step.values),
+                    precip_probability: step.values.precipitationProbability
+                })));
+            case 'history':
+                return (data.timelines?.hourly || []).map(step => this.createObservation(this.observationFields(step.time, step.values)));
+            default:
+                return super.normalize(type, data);
+        }
+    }
+
+    observationFields(time, values) {
+        // Metric units: wind in m/s, visibility in km, precipitation intensity in mm/hr
+        return {
+            time,
+            temp_c: values.temperature,
+            feelslike_c: values.temperatureApparent,
+            dewpoint_c: values.dewPoint,
+            humidity: values.humidity,
+            pressure_mb: values.pressureSurfaceLevel,
+            wind_kph: values.windSpeed != null ? values.windSpeed * 3.6 : null,
+            wind_degree: values.windDirection,
+            gust_kph: values.windGust != null ? values.windGust * 3.6 : null,
+            vis_km: values.visibility,
+            cloud: values.cloudCover,
+            precip_mm: values.precipitationIntensity,
+            condition: {
+                text: WEATHER_CODES[values.weatherCode] ?? null,
+                code: values.weatherCode
+            }
+        };
+    }
+}
@@ -0,0 +1,159 @@
+/**
+ * 🇺🇸 National Weather Service Adapter
+ * US Government data (free) - resolves grid points before fetching
+ */
+
+import WeatherProviderAdapter from './weather-provider-adapter.js';
+
+const COMPASS_DEGREES = {
+    N: 0, NNE: 22.5, NE: 45, ENE: 67.5, E: 90, ESE: 112.5, SE: 135, SSE: 157.5,
+    S: 180, SSW: 202.5, SW: 225, WSW: 247.5, W: 270, WNW: 292.5, NW: 315, NNW: 337.5
+};
+
+export default class WeatherGovAdapter extends WeatherProviderAdapter {
+    constructor(overrides = {}) {
+        super({
+            id: 'WEATHER_GOV',
+            name: 'National Weather Service',
+            baseURL: 'https://api.weather.gov',
+            endpoints: {
+                points: '/points/{lat},{lon}',
+                forecast: '/gridpoints/{office}/{gridX},{gridY}/forecast',
+                hourly: '/gridpoints/{office}/{gridX},{gridY}/forecast/hourly',
+                latest: '/stations/{station}/observations/latest',
+                alerts: '/alerts/active'
+            },
+            requiresApiKey: false,
+            rateLimit: 1000,
+            priority: 'HIGH',
+            coverage: 'UNITED_STATES',
+            features: ['current', 'forecast', 'alerts', 'radar', 'stations'],
+            ...overrides
+        });
+    }
+
+    getAuthHeaders() {
+        // NWS asks for an identifying User-Agent instead of a key
+        return {
+            'User-Agent': process.env.NWS_USER_AGENT || 'Enterprise-Weather-System/1.0',
+            'Accept': 'application/geo+json'
+        };
+    }
+
+    buildRequest(type, location, options = {}) {
+        const { lat, lon } = location;
+
+        switch (type) {
+            case 'points':
+                return {
+                    label: 'points',
+                    path: this.endpoints.points.replace('{lat},{lon}', `${lat.toFixed(4)},${lon.toFixed(4)}`)
+                };
+            case 'stations':
+                return { label: 'stations', path: location.stationsURL };
+            case 'current':
+                return {
+                    label: 'observations',
+                    path: this.endpoints.latest.replace('{station}', location.stationId)
+                };
+            case 'forecast':
+                return {
+                    label: 'forecast',
+                    path: location.forecastURL,
+                    params: { units: 'si' }
+                };
+            case 'alerts':
+                return {
+                    label: 'alerts',
+                    path: this.endpoints.alerts,
+                    params: { point: `${lat.toFixed(4)},${lon.toFixed(4)}` }
+                };
+            default:
+                return super.buildRequest(type, location, options);
+        }
+    }
+
+    async fetchData(type, location, options, client) {
+        if (type === 'alerts') {
+            return await this.execute(this.buildRequest(type, location, options), client);
+        }
+
+        // First get grid point
+        const points = await this.execute(this.buildRequest('points', location), client);
+
+        if (type === 'forecast') {
+            return await this.execute(
+                this.buildRequest('forecast', { ...location, forecastURL: points.properties.forecast }, options),
+                client
+            );
+        }
+
+        // Current conditions come from the nearest observation station
+        const stations = await this.execute(
+            this.buildRequest('stations', { ...location, stationsURL: points.properties.observationStations }),
+            client
+        );
+        const stationId = stations.features?.[0]?.properties?.stationIdentifier;
+
+        if (!stationId) {
+            throw new Error('No NWS observation stations found');
+        }
+
+        return await this.execute(this.buildRequest('current', { ...location, stationId }, options), client);
+    }
+
+    normalize(type, data) {
+        switch (type) {
+            case 'current': {
+                const p = data.properties;
+                return this.createObservation({
+                    time: p.timestamp,
+                    temp_c: p.temperature?.value,
+                    feelslike_c: p.heatIndex?.value ?? p.windChill?.value ?? p.temperature?.value,
+                    dewpoint_c: p.dewpoint?.value,
+                    humidity: p.relativeHumidity?.value,
+                    pressure_mb: p.barometricPressure?.value != null ? p.barometricPressure.value / 100 : null, // Pa
+                    wind_kph: p.windSpeed?.value,
+                    wind_degree: p.windDirection?.value,
+                    gust_kph: p.windGust?.value,
+                    vis_km: p.visibility?.value != null ? p.visibility.value / 1000 : null, // m
+                    precip_mm: p.precipitationLastHour?.value,
+                    condition: {
+                        text: p.textDescription,
+                        code: null
+                    }
+                });
+            }
+            case 'forecast':
+                return this.createForecast(data.properties.periods.map(period => ({
+                    time: period.startTime,
+                    temp_c: this.toCelsius(period.temperature, period.temperatureUnit),
+                    wind_kph: this.parseWindSpeed(period.windSpeed),
+                    wind_degree: COMPASS_DEGREES[period.windDirection] ?? null,
+                    precip_probability: period.probabilityOfPrecipitation?.value,
+                    condition: {
+                        text: period.shortForecast,
+                        code: null
+                    }
+                })));
+            case 'alerts':
+                return (data.features || []).map(feature => this.createAlert(feature.properties));
+            default:
+                return super.normalize(type, data);
+        }
+    }
+
+    toCelsius(value, unit) {
+        if (value === null || value === undefined) return null;
+        return unit === 'F' ? (value - 32) * 5 / 9 : value;
+    }
+
+    parseWindSpeed(text) {
+        // Forecast wind arrives as text, e.g. "10 to 15 km/h" or "5 mph"
+        if (!text) return null;
+        const values = (text.match(/\d+(\.\d+)?/g) || []).map(Number);
+        if (values.length === 0) return null;
+        const speed = Math.max(...values);
+        return /mph/i.test(text) ? speed * 1.609344 : speed;
+    }
+}
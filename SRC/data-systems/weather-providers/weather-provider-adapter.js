@@ -0,0 +1,203 @@
+/**
+ * 🔌 Weather Provider Adapter
+ * Contract every weather provider implements to plug into WeatherAPIIntegration
+ *
+ * An adapter declares which request types it supports (`features`), where it
+ * has coverage, how it authenticates, how to build each request and how to
+ * normalize the raw response into the canonical observation/forecast shape.
+ */
+
+import { httpTransport } from '../../utils/http-transport.js';
+import { parseRetryAfter } from '../../utils/resilience.js';
+
+const PRIORITY_RANK = { HIGH: 0, MEDIUM: 1, LOW: 2 };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const COVERAGE_BOUNDS = {
+    UNITED_STATES: { minLat: 24.0, maxLat: 50.0, minLon: -125.0, maxLon: -65.0 }
+};
+
+const REQUIRED_METHODS = ['supports', 'covers', 'isConfigured', 'getAuthHeaders', 'buildRequest', 'fetchData', 'normalize'];
+
+export default class WeatherProviderAdapter {
+    constructor(config) {
+        this.id = config.id;
+        this.name = config.name;
+        this.baseURL = config.baseURL;
+        this.endpoints = config.endpoints || {};
+        this.apiKey = config.apiKey;
+        this.requiresApiKey = config.requiresApiKey !== false;
+        this.rateLimit = config.rateLimit || 1000; // requests per hour
+        this.priority = config.priority || 'MEDIUM';
+        this.coverage = config.coverage || 'GLOBAL';
+        this.bounds = config.bounds || COVERAGE_BOUNDS[this.coverage] || null;
+        this.features = config.features || [];
+        this.historyDays = config.historyDays ?? null; // how far back `history` reaches, null = unlimited
+        this.timeout = config.timeout || 15000;
+    }
+
+    // Feature declaration
+    supports(type) {
+        return this.features.includes(type);
+    }
+
+    covers(lat, lon) {
+        if (!this.bounds) return true;
+        return lat >= this.bounds.minLat && lat <= this.bounds.maxLat &&
+               lon >= this.bounds.minLon && lon <= this.bounds.maxLon;
+    }
+
+    coversHistory(time, now = Date.now()) {
+        if (!this.supports('history')) return false;
+        return this.historyDays === null || now - time <= this.historyDays * DAY_MS;
+    }
+
+    isConfigured() {
+        return !this.requiresApiKey || Boolean(this.apiKey);
+    }
+
+    getPriorityRank() {
+        return PRIORITY_RANK[this.priority] ?? PRIORITY_RANK.LOW;
+    }
+
+    describe() {
+        return {
+            id: this.id,
+            name: this.name,
+            priority: this.priority,
+            coverage: this.coverage,
+            features: [...this.features],
+            ...(this.supports('history') && { historyDays: this.historyDays }),
+            rateLimit: this.rateLimit,
+            configured: this.isConfigured()
+        };
+    }
+
+    // Authentication
+    getAuthHeaders() {
+        return {};
+    }
+
+    getAuthParams() {
+        return {};
+    }
+
+    // Request building - returns { path, params, headers } for a request type.
+    // `history` requests receive { lat, lon, start, end } spanning one UTC day.
+    buildRequest(type, location, options = {}) {
+        throw new Error(`${this.name} adapter does not support ${type} requests`);
+    }
+
+    async fetchData(type, location, options, client) {
+        const request = this.buildRequest(type, location, options);
+        return await this.execute(request, client);
+    }
+
+    async execute(request, client) {
+        const url = new URL(/^https?:\/\//.test(request.path) ? request.path : `${this.baseURL}${request.path}`);
+        const params = { ...(request.auth === false ? {} : this.getAuthParams()), ...request.params };
+
+        Object.entries(params).forEach(([key, value]) => {
+            if (value !== undefined && value !== null) {
+                url.searchParams.set(key, value.toString());
+            }
+        });
+
+        const response = await httpTransport.fetch(url, {
+            method: request.method || 'GET',
+            headers: { ...client.headers, ...request.headers },
+            body: request.body,
+            // The resilience policy supplies the signal; direct callers fall back to the client timeout
+            signal: client.signal || AbortSignal.timeout(client.timeout)
+        });
+
+        if (!response.ok) {
+            const error = new Error(`${this.name} ${request.label || 'request'} error: ${response.status}`);
+            error.status = response.status;
+            error.upstream = true;
+            error.retryAfterMs = parseRetryAfter(response);
+            throw error;
+        }
+
+        return await response.json();
+    }
+
+    // Response normalization
+    normalize(type, raw) {
+        throw new Error(`${this.name} adapter does not normalize ${type} responses`);
+    }
+
+    createObservation(fields) {
+        return {
+            time: fields.time ? new Date(fields.time).toISOString() : null,
+            temp_c: this.toNumber(fields.temp_c),
+            feelslike_c: this.toNumber(fields.feelslike_c),
+            dewpoint_c: this.toNumber(fields.dewpoint_c),
+            humidity: this.toNumber(fields.humidity),
+            pressure_mb: this.toNumber(fields.pressure_mb),
+            wind_kph: this.toNumber(fields.wind_kph),
+            wind_degree: this.toNumber(fields.wind_degree),
+            gust_kph: this.toNumber(fields.gust_kph),
+            vis_km: this.toNumber(fields.vis_km),
+            cloud: this.toNumber(fields.cloud),
+            precip_mm: this.toNumber(fields.precip_mm),
+            condition: {
+                text: fields.condition?.text ?? null,
+                code: fields.condition?.code ?? null
+            }
+        };
+    }
+
+    createForecastPeriod(fields) {
+        return {
+            ...this.createObservation(fields),
+            temp_min_c: this.toNumber(fields.temp_min_c),
+            temp_max_c: this.toNumber(fields.temp_max_c),
+            precip_probability: this.toNumber(fields.precip_probability)
+        };
+    }
+
+    createForecast(periods, extras = {}) {
+        return {
+            periods: periods.map(period => this.createForecastPeriod(period)),
+            ...extras
+        };
+    }
+
+    // Active warnings, whichever provider issued them
+    createAlert(fields) {
+        return {
+            event: fields.event ?? null,
+            severity: fields.severity ?? null,
+            headline: fields.headline ?? null,
+            effective: fields.effective ? new Date(fields.effective).toISOString() : null,
+            expires: fields.expires ? new Date(fields.expires).toISOString() : null
+        };
+    }
+
+    toNumber(value) {
+        if (value === undefined || value === null || value === '') return null;
+        const num = typeof value === 'number' ? value : parseFloat(value);
+        return Number.isFinite(num) ? num : null;
+    }
+
+    // Contract validation for adapters registered at runtime
+    static assertContract(adapter) {
+        const problems = [];
+
+        if (!adapter || typeof adapter !== 'object') {
+            throw new Error('Weather provider adapter must be an object');
+        }
+        if (!adapter.id || typeof adapter.id !== 'string') problems.push('id');
+        if (!adapter.name) problems.push('name');
+        if (!Array.isArray(adapter.features) || adapter.features.length === 0) problems.push('features');
+
+        REQUIRED_METHODS.forEach(method => {
+            if (typeof adapter[method] !== 'function') problems.push(`${method}()`);
+        });
+
+        if (problems.length > 0) {
+            throw new Error(`Weather provider adapter ${adapter.id || '<unnamed>'} is missing: ${problems.join(', ')}`);
+        }
+    }
+}
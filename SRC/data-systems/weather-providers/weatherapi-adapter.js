@@ -0,0 +1,144 @@
+/**
+ * 🌦️ WeatherAPI.com Adapter
+ * Reliable commercial service with geocoding search
+ */
+
+import WeatherProviderAdapter from './weather-provider-adapter.js';
+
+export default class WeatherAPIAdapter extends WeatherProviderAdapter {
+    constructor(overrides = {}) {
+        super({
+            id: 'WEATHERAPI',
+            name: 'WeatherAPI.com',
+            baseURL: 'http://api.weatherapi.com/v1',
+            endpoints: {
+                current: '/current.json',
+                forecast: '/forecast.json',
+                history: '/history.json',
+                alerts: '/alerts.json',
+                astronomy: '/astronomy.json',
+                timezone: '/timezone.json',
+                search: '/search.json'
+            },
+            apiKey: process.env.WEATHERAPI_KEY,
+            rateLimit: 1000000, // High limit for commercial
+            priority: 'HIGH',
+            coverage: 'GLOBAL',
+            features: ['current', 'forecast', 'search', 'astronomy', 'alerts', 'history'],
+            historyDays: 7, // free plan limit, paid plans reach back to 2010
+            ...overrides
+        });
+    }
+
+    getAuthHeaders() {
+        return { Key: this.apiKey };
+    }
+
+    getAuthParams() {
+        return { key: this.apiKey };
+    }
+
+    buildRequest(type, location, options = {}) {
+        const { lat, lon, days = 5 } = location;
+
+        switch (type) {
+            case 'current':
+                return {
+                    label: 'current',
+                    path: this.endpoints.current,
+                    params: { q: `${lat},${lon}`, aqi: 'yes' }
+                };
+            case 'forecast':
+                return {
+                    label: 'forecast',
+                    path: this.endpoints.forecast,
+                    params: { q: `${lat},${lon}`, days, aqi: 'yes', alerts: 'yes' }
+                };
+            case 'history':
+                return {
+                    label: 'history',
+                    path: this.endpoints.history,
+                    params: { q: `${lat},${lon}`, dt: location.start.split('T')[0] }
+                };
+            case 'alerts':
+                return {
+                    label: 'alerts',
+                    path: this.endpoints.alerts,
+                    params: { q: `${lat},${lon}` }
+                };
+            case 'search':
+                return {
+                    label: 'search',
+                    path: this.endpoints.search,
+                    params: { q: location.query }
+                };
+            default:
+                return super.buildRequest(type, location, options);
+        }
+    }
+
+    normalize(type, data) {
+        switch (type) {
+            case 'current':
+                return this.normalizeObservation(data.current);
+            case 'forecast':
+                return this.createForecast(
+                    data.forecast.forecastday.flatMap(day => day.hour.map(hour => ({
+                        ...this.observationFields(hour, hour.time_epoch),
+                        temp_min_c: day.day.mintemp_c,
+                        temp_max_c: day.day.maxtemp_c,
+                        precip_probability: Math.max(hour.chance_of_rain ?? 0, hour.chance_of_snow ?? 0)
+                    }))),
+                    {
+                        city: data.location?.name ?? null,
+                        alerts: this.normalizeAlerts(data)
+                    }
+                );
+            case 'alerts':
+                return this.normalizeAlerts(data);
+            case 'history':
+                return data.forecast.forecastday.flatMap(day => day.hour.map(hour =>
+                    this.createObservation(this.observationFields(hour, hour.time_epoch))
+                ));
+            case 'search':
+                return data.map(match => ({
+                    name: match.name,
+                    region: match.region,
+                    country: match.country,
+                    lat: match.lat,
+                    lon: match.lon
+                }));
+            default:
+                return super.normalize(type, data);
+        }
+    }
+
+    normalizeAlerts(data) {
+        return (data.alerts?.alert || []).map(alert => this.createAlert(alert));
+    }
+
+    normalizeObservation(current) {
+        return this.createObservation(this.observationFields(current, current.last_updated_epoch));
+    }
+
+    observationFields(item, epochSeconds) {
+        return {
+            time: epochSeconds * 1000,
+            temp_c: item.temp_c,
+            feelslike_c: item.feelslike_c,
+            dewpoint_c: item.dewpoint_c,
+            humidity: item.humidity,
+            pressure_mb: item.pressure_mb,
+            wind_kph: item.wind_kph,
+            wind_degree: item.wind_degree,
+            gust_kph: item.gust_kph,
+            vis_km: item.vis_km,
+            cloud: item.cloud,
+            precip_mm: item.precip_mm,
+            condition: {
+                text: item.condition?.text,
+                code: item.condition?.code
+            }
+        };
+    }
+}
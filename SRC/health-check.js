@@ -1,6 +1,9 @@
 /**
  * 🩺 Comprehensive Health Check System
  */
+import { EnterpriseCache } from './utils/enterprise-cache.js';
+import { ResiliencePolicy } from './utils/resilience.js';
+
 export default class HealthCheck {
     constructor(climateEntity) {
         this.climateEntity = climateEntity;
@@ -14,7 +17,9 @@ export default class HealthCheck {
             apis: this.checkAPIHealth.bind(this),
             ai: this.checkAIHealth.bind(this),
             security: this.checkSecurityHealth.bind(this),
-            database: this.checkDatabaseHealth.bind(this)
+            database: this.checkDatabaseHealth.bind(this),
+            cache: this.checkCacheHealth.bind(this),
+            providers: this.checkProviderHealth.bind(this)
         };
     }
 
@@ -128,10 +133,39 @@ export default class HealthCheck {
     }
 
     async checkDatabaseHealth() {
-        // Placeholder for database connections
+        // The embedded observation store is the only database - a failed probe marks it unhealthy
+        if (!this.climateEntity.observationStore) {
+            throw new Error('Observation store not configured');
+        }
+
+        return await this.climateEntity.observationStore.checkHealth();
+    }
+
+    async checkCacheHealth() {
+        const caches = EnterpriseCache.getAllStats();
+        const totals = Object.values(caches).reduce((sum, stats) => ({
+            hits: sum.hits + stats.hits + stats.staleHits,
+            misses: sum.misses + stats.misses,
+            entries: sum.entries + stats.size
+        }), { hits: 0, misses: 0, entries: 0 });
+
+        return {
+            entries: totals.entries,
+            hitRate: totals.hits + totals.misses === 0 ? 0 : totals.hits / (totals.hits + totals.misses),
+            caches
+        };
+    }
+
+    // Breaker state per upstream provider - an open breaker means that provider is being skipped
+    async checkProviderHealth() {
+        const breakers = ResiliencePolicy.getAllStates();
+        const byState = state => Object.keys(breakers).filter(name => breakers[name].state === state);
+
         return {
-            connection: 'established',
-            latency: '<50ms'
+            total: Object.keys(breakers).length,
+            open: byState('open'),
+            halfOpen: byState('half-open'),
+            breakers
         };
     }
 
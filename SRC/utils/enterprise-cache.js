@@ -0,0 +1,300 @@
+/**
+ * 🗃️ Enterprise Cache
+ * Bounded LRU cache with per-entry TTL, stale-while-revalidate and request coalescing
+ *
+ * `getOrFetch` is the main entry point: fresh entries are returned directly,
+ * stale entries are returned while one background refresh runs, and misses
+ * share a single upstream call however many callers ask at once. Setting
+ * CACHE_PERSIST_DIR (or `persistPath`) snapshots entries to JSON so a restart
+ * starts warm - values must therefore be JSON-serializable.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+// ~1.1 km of latitude - close enough to share conditions, coarse enough to share entries
+const DEFAULT_GRID_DEGREES = 0.01;
+const PERSIST_FORMAT_VERSION = 1;
+
+const registry = new Set();
+
+// Snap coordinates to a grid cell so nearby requests produce the same key
+export function gridKey(namespace, lat, lon, params = {}, cellDegrees = DEFAULT_GRID_DEGREES) {
+    const decimals = (String(cellDegrees).split('.')[1] || '').length;
+    const snap = value => (Math.round(value / cellDegrees) * cellDegrees).toFixed(decimals);
+
+    const extras = Object.keys(params)
+        .filter(key => params[key] !== undefined && params[key] !== null)
+        .sort()
+        .map(key => `${key}=${typeof params[key] === 'object' ? JSON.stringify(params[key]) : params[key]}`);
+
+    return [namespace, `${snap(lat)},${snap(lon)}`, ...extras].join(':');
+}
+
+export class EnterpriseCache {
+    constructor(name, maxSize = 1000, ttl = 5 * 60 * 1000, options = {}) {
+        this.name = name;
+        this.maxSize = maxSize;
+        this.ttl = ttl;
+        this.staleWhileRevalidate = options.staleWhileRevalidate ?? ttl;
+        this.persistPath = options.persistPath
+            || (process.env.CACHE_PERSIST_DIR ? path.resolve(process.env.CACHE_PERSIST_DIR, `${name}.json`) : null);
+        this.persistDelayMs = options.persistDelayMs || 5000;
+
+        this.entries = new Map();
+        this.inflight = new Map();
+        this.persistTimer = null;
+        this.persistQueue = Promise.resolve();
+        this.stats = {
+            hits: 0,
+            misses: 0,
+            staleHits: 0,
+            coalesced: 0,
+            evictions: 0,
+            expirations: 0,
+            refreshErrors: 0
+        };
+
+        this.ready = this.persistPath ? this.load() : Promise.resolve();
+        registry.add(this);
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    // Fresh value or undefined - never triggers a fetch
+    async get(key) {
+        await this.ready;
+        const entry = this.lookup(key);
+
+        if (!entry || entry.expiresAt <= Date.now()) {
+            this.stats.misses++;
+            return undefined;
+        }
+
+        this.stats.hits++;
+        return entry.value;
+    }
+
+    async set(key, value, ttl = this.ttl, staleWhileRevalidate = this.staleWhileRevalidate) {
+        await this.ready;
+        const now = Date.now();
+
+        this.entries.delete(key);
+        this.entries.set(key, {
+            value,
+            storedAt: now,
+            expiresAt: now + ttl,
+            staleUntil: now + ttl + staleWhileRevalidate
+        });
+
+        while (this.entries.size > this.maxSize) {
+            this.entries.delete(this.entries.keys().next().value);
+            this.stats.evictions++;
+        }
+
+        this.schedulePersist();
+        return value;
+    }
+
+    async getOrFetch(key, fetcher, options = {}) {
+        await this.ready;
+        const { ttl = this.ttl, staleWhileRevalidate = this.staleWhileRevalidate, forceRefresh = false } = options;
+
+        if (!forceRefresh) {
+            const entry = this.lookup(key);
+            const now = Date.now();
+
+            if (entry && entry.expiresAt > now) {
+                this.stats.hits++;
+                return entry.value;
+            }
+
+            if (entry && entry.staleUntil > now) {
+                // Serve stale now, refresh once in the background
+                this.stats.staleHits++;
+                this.fetchShared(key, fetcher, ttl, staleWhileRevalidate).catch(error => {
+                    this.stats.refreshErrors++;
+                    console.warn(`🗃️ Background refresh of ${this.name}/${key} failed:`, error.message);
+                });
+                return entry.value;
+            }
+        }
+
+        if (this.inflight.has(key)) {
+            this.stats.coalesced++;
+        } else {
+            this.stats.misses++;
+        }
+
+        return await this.fetchShared(key, fetcher, ttl, staleWhileRevalidate);
+    }
+
+    // Concurrent callers for the same key share one upstream call
+    fetchShared(key, fetcher, ttl, staleWhileRevalidate) {
+        if (this.inflight.has(key)) {
+            return this.inflight.get(key);
+        }
+
+        const pending = (async () => {
+            try {
+                const value = await fetcher();
+                await this.set(key, value, ttl, staleWhileRevalidate);
+                return value;
+            } finally {
+                this.inflight.delete(key);
+            }
+        })();
+
+        this.inflight.set(key, pending);
+        return pending;
+    }
+
+    // Entry lookup that drops anything past its stale window and refreshes LRU order
+    lookup(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return null;
+
+        if (entry.staleUntil <= Date.now()) {
+            this.entries.delete(key);
+            this.stats.expirations++;
+            return null;
+        }
+
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        return entry;
+    }
+
+    async delete(key) {
+        await this.ready;
+        const deleted = this.entries.delete(key);
+        if (deleted) this.schedulePersist();
+        return deleted;
+    }
+
+    async clear() {
+        await this.ready;
+        this.entries.clear();
+        this.schedulePersist();
+    }
+
+    getHitRate() {
+        const lookups = this.stats.hits + this.stats.staleHits + this.stats.misses;
+        return lookups === 0 ? 0 : (this.stats.hits + this.stats.staleHits) / lookups;
+    }
+
+    // Share of lookups answered without a dedicated upstream call
+    getEfficiency() {
+        const lookups = this.stats.hits + this.stats.staleHits + this.stats.coalesced + this.stats.misses;
+        return lookups === 0 ? 0 : (lookups - this.stats.misses) / lookups;
+    }
+
+    getStats() {
+        return {
+            name: this.name,
+            size: this.entries.size,
+            maxSize: this.maxSize,
+            ttlMs: this.ttl,
+            staleWhileRevalidateMs: this.staleWhileRevalidate,
+            inflight: this.inflight.size,
+            persistent: Boolean(this.persistPath),
+            ...this.stats,
+            hitRate: this.getHitRate(),
+            efficiency: this.getEfficiency()
+        };
+    }
+
+    // Persistence
+    schedulePersist() {
+        if (!this.persistPath || this.persistTimer) return;
+
+        this.persistTimer = setTimeout(() => {
+            this.persistTimer = null;
+            this.flush().catch(error => console.warn(`🗃️ Failed to persist cache ${this.name}:`, error.message));
+        }, this.persistDelayMs);
+        this.persistTimer.unref?.();
+    }
+
+    async flush() {
+        if (!this.persistPath) return;
+
+        clearTimeout(this.persistTimer);
+        this.persistTimer = null;
+
+        // Serialized so a scheduled and an explicit flush never share the temp file
+        const write = this.persistQueue.then(async () => {
+            const snapshot = {
+                format: PERSIST_FORMAT_VERSION,
+                name: this.name,
+                savedAt: new Date().toISOString(),
+                entries: Array.from(this.entries.entries())
+            };
+
+            // Write-then-rename so a crash never leaves a half-written snapshot
+            const temporary = `${this.persistPath}.tmp`;
+            await fs.mkdir(path.dirname(this.persistPath), { recursive: true });
+            await fs.writeFile(temporary, JSON.stringify(snapshot));
+            await fs.rename(temporary, this.persistPath);
+        });
+
+        this.persistQueue = write.catch(() => {});
+        await write;
+    }
+
+    async load() {
+        let snapshot;
+        try {
+            snapshot = JSON.parse(await fs.readFile(this.persistPath, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn(`🗃️ Ignoring unreadable cache snapshot ${this.persistPath}:`, error.message);
+            }
+            return;
+        }
+
+        if (snapshot.format !== PERSIST_FORMAT_VERSION || !Array.isArray(snapshot.entries)) {
+            console.warn(`🗃️ Ignoring cache snapshot ${this.persistPath} with unsupported format`);
+            return;
+        }
+
+        const now = Date.now();
+        snapshot.entries
+            .filter(([, entry]) => entry && entry.staleUntil > now)
+            .slice(-this.maxSize)
+            .forEach(([key, entry]) => this.entries.set(key, entry));
+
+        console.log(`🗃️ Cache ${this.name} restored ${this.entries.size} entries`);
+    }
+
+    async destroy() {
+        await this.flush();
+        registry.delete(this);
+    }
+
+    // Metrics across every live cache, merged by name
+    static getAllStats() {
+        const byName = {};
+
+        registry.forEach(cache => {
+            const stats = cache.getStats();
+            const existing = byName[stats.name];
+
+            if (!existing) {
+                byName[stats.name] = { ...stats, instances: 1 };
+                return;
+            }
+
+            ['size', 'maxSize', 'inflight', 'hits', 'misses', 'staleHits', 'coalesced', 'evictions', 'expirations', 'refreshErrors']
+                .forEach(counter => { existing[counter] += stats[counter]; });
+            existing.instances++;
+
+            const lookups = existing.hits + existing.staleHits + existing.misses;
+            existing.hitRate = lookups === 0 ? 0 : (existing.hits + existing.staleHits) / lookups;
+            existing.efficiency = lookups + existing.coalesced === 0 ? 0 : (lookups + existing.coalesced - existing.misses) / (lookups + existing.coalesced);
+        });
+
+        return byName;
+    }
+}
@@ -1,715 +1,410 @@
-// For Node.js URL parsing
-import { URL } from "url";
 /**
- * 🌍 Enhanced Geo Locator
- * Advanced location services with multiple fallback methods
+ * 🌍 Geo Locator
+ * One location service with a strategy chain:
+ * explicit coordinates -> GPS -> IP -> cached -> fallback
+ *
+ * Each step either answers or hands on to the next, and every result
+ * carries `source`, `accuracy` (metres), `accuracyLevel` and a 0-1
+ * `confidence`, so callers can tell a GPS fix from an IP guess or the
+ * default city. The IP step asks our own server first - it locates the
+ * request from a local IP-range database (SRC/data-systems/ip-locator.js) -
+ * and only then the public IP services.
+ *
+ * Nothing here touches the browser at import time; the accuracy helpers are
+ * shared with the server-side IP locator.
  */
 
-export default class GeoLocator {
-    constructor() {
-        this.locationCache = new Map();
-        this.locationHistory = [];
-        this.maxCacheSize = 1000;
-        this.cacheTimeout = 30 * 60 * 1000; // 30 minutes
-        
-        this.locationSources = {
-            GPS: 'gps',
-            IP: 'ip',
-            NETWORK: 'network',
-            MANUAL: 'manual',
-            FALLBACK: 'fallback'
-        };
-        
-        this.initLocationServices();
-    }
-
-    initLocationServices() {
-        this.watchId = null;
-        this.lastKnownPosition = null;
-        this.accuracyThreshold = 100; // meters
-        this.maxAge = 30000; // 30 seconds
-        
-        console.log('🌍 Geo Locator - Enhanced Location Services Activated');
-    }
-
-    // Main location acquisition method
-    async getCurrentLocation(options = {}) {
-        const {
-            enableHighAccuracy = true,
-            timeout = 10000,
-            maximumAge = this.maxAge,
-            fallbackToIP = true
-        } = options;
-
-        // Check cache first
-        const cachedLocation = this.getCachedLocation();
-        if (cachedLocation && this.isLocationFresh(cachedLocation)) {
-            return cachedLocation;
-        }
-
-        try {
-            // Try GPS first
-            const gpsLocation = await this.getGPSLocation({
-                enableHighAccuracy,
-                timeout,
-                maximumAge
-            });
-
-            if (gpsLocation && gpsLocation.accuracy <= this.accuracyThreshold) {
-                this.cacheLocation(gpsLocation);
-                return gpsLocation;
-            }
-
-            // Fallback to IP-based location
-            if (fallbackToIP) {
-                const ipLocation = await this.getIPLocation();
-                if (ipLocation) {
-                    this.cacheLocation(ipLocation);
-                    return ipLocation;
-                }
-            }
-
-            // Final fallback
-            return this.getFallbackLocation();
-
-        } catch (error) {
-            console.error('Location acquisition failed:', error);
-            return this.getFallbackLocation();
-        }
-    }
+import { nauticalZone } from './time-zone.js';
+
+// Station catalog, gazetteer and IP locator served by the weather API (SERVER/routes/)
+const API_BASE_URL = 'http://localhost:3000/api';
+const WEATHER_STATION_TYPES = 'NWS,GROUND';
+
+export const LOCATION_SOURCES = Object.freeze({
+    EXPLICIT: 'EXPLICIT',
+    GPS: 'GPS',
+    IP: 'IP',
+    CACHED: 'CACHED',
+    FALLBACK: 'FALLBACK'
+});
+
+const STRATEGY_ORDER = [
+    LOCATION_SOURCES.EXPLICIT,
+    LOCATION_SOURCES.GPS,
+    LOCATION_SOURCES.IP,
+    LOCATION_SOURCES.CACHED,
+    LOCATION_SOURCES.FALLBACK
+];
+
+// Upper bound of each level in metres, and how far a fix within it is trusted
+export const ACCURACY_LEVELS = [
+    { level: 'VERY_HIGH', maxMeters: 50, confidence: 0.95 },
+    { level: 'HIGH', maxMeters: 200, confidence: 0.85 },
+    { level: 'MEDIUM', maxMeters: 1000, confidence: 0.7 },
+    { level: 'LOW', maxMeters: 5000, confidence: 0.5 },
+    { level: 'VERY_LOW', maxMeters: Infinity, confidence: 0.3 }
+];
+
+export function describeAccuracy(accuracyMeters) {
+    const { level, confidence } = ACCURACY_LEVELS.find(({ maxMeters }) => accuracyMeters <= maxMeters) ||
+        ACCURACY_LEVELS[ACCURACY_LEVELS.length - 1];
+    return { accuracy: accuracyMeters, accuracyLevel: level, confidence };
+}
 
-    // GPS-based location
-    async getGPSLocation(options) {
-        return new Promise((resolve, reject) => {
-            if (!navigator.geolocation) {
-                reject(new Error('Geolocation not supported'));
-                return;
-            }
+// IP ranges place a network in a city at best; region- or country-only answers are coarser
+export function estimateIPAccuracy(place) {
+    if (place.city) return 25000;
+    if (place.region) return 150000;
+    return 500000;
+}
 
-            navigator.geolocation.getCurrentPosition(
-                (position) => {
-                    const location = this.processGPSPosition(position);
-                    resolve(location);
-                },
-                (error) => {
-                    reject(this.handleGeolocationError(error));
-                },
-                options
-            );
-        });
+async function requestAPI(path, params) {
+    const response = await fetch(`${API_BASE_URL}/${path}?${new URLSearchParams(params)}`);
+    if (!response.ok) {
+        const error = new Error(`Weather API error: ${response.status}`);
+        error.status = response.status;
+        throw error;
     }
 
-    // IP-based location fallback
-    async getIPLocation() {
-        try {
-            // Try multiple IP location services
-            const location = await Promise.any([
-                this.fetchIPAPI(),
-                this.fetchIPInfo(),
-                this.fetchGeolocationAPI()
-            ]);
-
-            return {
-                latitude: location.lat,
-                longitude: location.lon,
-                accuracy: 5000, // IP-based accuracy is low
-                source: this.locationSources.IP,
-                timestamp: new Date(),
-                city: location.city,
-                country: location.country,
-                countryCode: location.countryCode,
-                timezone: location.timezone,
-                isp: location.isp
-            };
-
-        } catch (error) {
-            console.warn('All IP location services failed');
-            return null;
-        }
-    }
+    return await response.json();
+}
 
-    // Multiple IP location service providers
-    async fetchIPAPI() {
-        const response = await fetch('http://ip-api.com/json/');
-        const data = await response.json();
-        
-        if (data.status === 'success') {
-            return {
-                lat: data.lat,
-                lon: data.lon,
-                city: data.city,
-                country: data.country,
-                countryCode: data.countryCode,
-                timezone: data.timezone,
-                isp: data.isp
-            };
-        }
-        throw new Error('IP-API service failed');
-    }
+async function requestStations(path, params) {
+    const data = await requestAPI(`stations/${path}`, params);
+    return data.stations || [];
+}
 
-    async fetchIPInfo() {
-        try {
-            const response = await fetch('https://ipinfo.io/json');
-            const data = await response.json();
-            
-            const [lat, lon] = data.loc.split(',');
+// Tried in order; each maps the service's JSON to { latitude, longitude, city, region, country, ... }
+const IP_SERVICES = [
+    {
+        name: 'server',
+        url: `${API_BASE_URL}/location?units=metric`,
+        normalize: data => ({
+            latitude: data.lat,
+            longitude: data.lon,
+            accuracy: data.accuracy_m,
+            city: data.name,
+            region: data.admin1,
+            country: data.country,
+            timezone: data.timezone
+        })
+    },
+    {
+        name: 'ipapi.co',
+        url: 'https://ipapi.co/json/',
+        normalize: data => ({
+            latitude: parseFloat(data.latitude),
+            longitude: parseFloat(data.longitude),
+            city: data.city,
+            region: data.region,
+            country: data.country_name,
+            countryCode: data.country_code,
+            timezone: data.timezone,
+            postal: data.postal,
+            isp: data.org
+        })
+    },
+    {
+        name: 'ipinfo.io',
+        url: 'https://ipinfo.io/json',
+        normalize: data => {
+            const [lat, lon] = (data.loc || '').split(',');
             return {
-                lat: parseFloat(lat),
-                lon: parseFloat(lon),
+                latitude: parseFloat(lat),
+                longitude: parseFloat(lon),
                 city: data.city,
+                region: data.region,
                 country: data.country,
                 countryCode: data.country,
                 timezone: data.timezone,
+                postal: data.postal,
                 isp: data.org
             };
-        } catch (error) {
-            throw new Error('IPInfo service failed');
         }
     }
+];
 
-    async fetchGeolocationAPI() {
-        // Another fallback service
-        throw new Error('Geolocation API not implemented');
-    }
-
-    // Continuous location tracking
-    startTracking(callback, options = {}) {
-        if (!navigator.geolocation) {
-            console.error('Geolocation not available for tracking');
-            return null;
-        }
-
-        const trackingOptions = {
-            enableHighAccuracy: true,
-            maximumAge: 30000,
-            timeout: 27000,
-            ...options
-        };
-
-        this.watchId = navigator.geolocation.watchPosition(
-            (position) => {
-                const location = this.processGPSPosition(position);
-                this.cacheLocation(location);
-                this.recordLocationHistory(location);
-                
-                if (callback) {
-                    callback(location);
-                }
-            },
-            (error) => {
-                console.error('Location tracking error:', this.handleGeolocationError(error));
-            },
-            trackingOptions
-        );
+const FALLBACK_LOCATION = {
+    latitude: 40.7128, // New York City
+    longitude: -74.0060,
+    accuracy: 10000,
+    city: 'New York',
+    region: 'New York',
+    country: 'United States',
+    countryCode: 'US',
+    timezone: 'America/New_York'
+};
 
-        return this.watchId;
-    }
+export default class GeoLocator {
+    constructor(options = {}) {
+        this.fallbackLocation = options.fallbackLocation || FALLBACK_LOCATION;
+        this.ipServices = options.ipServices || IP_SERVICES;
+        this.storageKey = options.storageKey || 'locationHistory';
+        this.maxHistory = 100;
+        this.cachedHalfLife = 6 * 60 * 60 * 1000; // confidence in a stored fix halves every 6 hours
+        this.maxCachedAge = 7 * 24 * 60 * 60 * 1000;
 
-    stopTracking() {
-        if (this.watchId) {
-            navigator.geolocation.clearWatch(this.watchId);
-            this.watchId = null;
-        }
-    }
+        this.currentLocation = null;
+        this.locationHistory = [];
+        this.permissionStatus = 'UNKNOWN';
+        this.watchId = null;
 
-    // Location processing
-    processGPSPosition(position) {
-        const { latitude, longitude, accuracy, altitude, altitudeAccuracy, heading, speed } = position.coords;
-        
-        return {
-            latitude,
-            longitude,
-            accuracy,
-            altitude: altitude || null,
-            altitudeAccuracy: altitudeAccuracy || null,
-            heading: heading || null,
-            speed: speed || null,
-            source: this.locationSources.GPS,
-            timestamp: new Date(position.timestamp),
-            satellites: this.estimateSatellites(accuracy)
+        this.strategies = {
+            [LOCATION_SOURCES.EXPLICIT]: this.fromCoordinates.bind(this),
+            [LOCATION_SOURCES.GPS]: this.fromGPS.bind(this),
+            [LOCATION_SOURCES.IP]: this.fromIP.bind(this),
+            [LOCATION_SOURCES.CACHED]: this.fromCache.bind(this),
+            [LOCATION_SOURCES.FALLBACK]: this.fromFallback.bind(this)
         };
     }
 
-    estimateSatellites(accuracy) {
-        // Rough estimation based on accuracy
-        if (accuracy < 10) return 8; // High accuracy
-        if (accuracy < 50) return 5; // Medium accuracy
-        if (accuracy < 100) return 3; // Low accuracy
-        return 1; // Very low accuracy
-    }
+    // First strategy to answer wins; `sources` narrows the chain, e.g. ['IP', 'FALLBACK']
+    async getCurrentLocation(options = {}) {
+        const sources = options.sources || STRATEGY_ORDER;
 
-    // Cache management
-    cacheLocation(location) {
-        const cacheKey = this.generateCacheKey(location);
-        this.locationCache.set(cacheKey, {
-            ...location,
-            cachedAt: new Date()
-        });
+        for (const source of STRATEGY_ORDER.filter(candidate => sources.includes(candidate))) {
+            try {
+                const location = await this.strategies[source](options);
+                if (!location) continue;
 
-        // Manage cache size
-        if (this.locationCache.size > this.maxCacheSize) {
-            const firstKey = this.locationCache.keys().next().value;
-            this.locationCache.delete(firstKey);
+                if (source !== LOCATION_SOURCES.CACHED && source !== LOCATION_SOURCES.FALLBACK) {
+                    this.storeLocation(location);
+                }
+                this.currentLocation = location;
+                console.log(`🌍 Location from ${source}: ${this.formatLocation(location)} (±${Math.round(location.accuracy)} m, confidence ${location.confidence})`);
+                return location;
+            } catch (error) {
+                console.warn(`🌍 ${source} location failed:`, error.message);
+            }
         }
-    }
 
-    getCachedLocation() {
-        if (this.locationCache.size === 0) return null;
-        
-        // Get most recent cached location
-        const locations = Array.from(this.locationCache.values());
-        locations.sort((a, b) => new Date(b.cachedAt) - new Date(a.cachedAt));
-        
-        return locations[0];
+        return null;
     }
 
-    isLocationFresh(location) {
-        const age = Date.now() - new Date(location.cachedAt).getTime();
-        return age < this.cacheTimeout;
+    createLocation(source, fields, confidence) {
+        const location = {
+            ...fields,
+            source,
+            timestamp: fields.timestamp ? new Date(fields.timestamp) : new Date(),
+            ...describeAccuracy(fields.accuracy)
+        };
+        if (confidence !== undefined) {
+            location.confidence = Math.round(confidence * 100) / 100;
+        }
+        return location;
     }
 
-    generateCacheKey(location) {
-        return `${location.latitude.toFixed(4)}_${location.longitude.toFixed(4)}_${location.source}`;
-    }
+    // STRATEGIES
 
-    // Location history
-    recordLocationHistory(location) {
-        this.locationHistory.push({
-            ...location,
-            recordedAt: new Date()
-        });
+    // A point the caller already knows - a map click, a saved place, ?lat=&lon=
+    async fromCoordinates({ coordinates } = {}) {
+        if (!coordinates) return null;
 
-        // Keep only recent history
-        if (this.locationHistory.length > 1000) {
-            this.locationHistory = this.locationHistory.slice(-500);
+        const { lat, lon, ...details } = coordinates;
+        const latitude = parseFloat(coordinates.latitude ?? lat);
+        const longitude = parseFloat(coordinates.longitude ?? lon);
+        if (!this.isValidLocation({ latitude, longitude })) {
+            throw new Error('Invalid coordinates, expected latitude within ±90 and longitude within ±180');
         }
-    }
 
-    getLocationHistory(limit = 100) {
-        return this.locationHistory.slice(-limit);
+        return this.createLocation(LOCATION_SOURCES.EXPLICIT, {
+            ...details,
+            latitude,
+            longitude,
+            accuracy: coordinates.accuracy ?? 0
+        }, 1);
     }
 
-    // Distance calculations
-    calculateDistance(lat1, lon1, lat2, lon2, unit = 'km') {
-        // Haversine formula
-        const R = unit === 'km' ? 6371 : 3959; // Earth radius in km or miles
-        const dLat = this.deg2rad(lat2 - lat1);
-        const dLon = this.deg2rad(lon2 - lon1);
-        
-        const a = 
-            Math.sin(dLat/2) * Math.sin(dLat/2) +
-            Math.cos(this.deg2rad(lat1)) * Math.cos(this.deg2rad(lat2)) * 
-            Math.sin(dLon/2) * Math.sin(dLon/2);
-            
-        const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-        const distance = R * c;
-        
-        return distance;
-    }
+    async fromGPS(options = {}) {
+        if (!this.isGPSAvailable()) return null;
 
-    deg2rad(deg) {
-        return deg * (Math.PI/180);
-    }
+        const position = await new Promise((resolve, reject) => {
+            navigator.geolocation.getCurrentPosition(resolve, error => reject(this.mapGeolocationError(error)), {
+                enableHighAccuracy: options.highAccuracy ?? true,
+                timeout: options.timeout ?? 10000,
+                maximumAge: options.maximumAge ?? 30000
+            });
+        });
 
-    // Location-based services
-    async getWeatherStationNearby(location, radiusKm = 50) {
-        // This would integrate with weather station APIs
-        const stations = await this.fetchNearbyStations(location, radiusKm);
-        return stations.sort((a, b) => 
-            this.calculateDistance(location.latitude, location.longitude, a.lat, a.lon) -
-            this.calculateDistance(location.latitude, location.longitude, b.lat, b.lon)
-        )[0];
+        return this.processPosition(position);
     }
 
-    async getTimeZone(location) {
-        try {
-            const response = await fetch(
-                `https://api.timezonedb.com/v2.1/get-time-zone?key=YOUR_API_KEY&format=json&by=position&lat=${location.latitude}&lng=${location.longitude}`
-            );
-            const data = await response.json();
-            return data.zoneName;
-        } catch (error) {
-            // Fallback to calculating from longitude
-            return this.estimateTimeZone(location.longitude);
-        }
-    }
+    async fromIP() {
+        for (const service of this.ipServices) {
+            try {
+                const response = await fetch(service.url, { signal: AbortSignal.timeout(5000) });
+                if (!response.ok) continue;
 
-    estimateTimeZone(longitude) {
-        // Rough timezone estimation based on longitude
-        const offset = Math.round(longitude / 15);
-        return `UTC${offset >= 0 ? '+' : ''}${offset}`;
-    }
+                const place = service.normalize(await response.json());
+                if (!this.isValidLocation(place)) continue;
 
-    // Error handling
-    handleGeolocationError(error) {
-        const errorMessages = {
-            1: 'Location access denied by user',
-            2: 'Location unavailable',
-            3: 'Location request timed out'
-        };
+                return this.createLocation(LOCATION_SOURCES.IP, {
+                    ...place,
+                    accuracy: place.accuracy ?? estimateIPAccuracy(place),
+                    provider: service.name,
+                    address: this.formatAddress({ city: place.city, state: place.region, country: place.country })
+                });
+            } catch (error) {
+                console.warn(`🌍 IP location service failed: ${service.name}`, error.message);
+            }
+        }
 
-        return new Error(errorMessages[error.code] || 'Unknown location error');
+        return null;
     }
 
-    // Fallback methods
-    getFallbackLocation() {
-        // Return a default location or last known position
-        return {
-            latitude: 40.7128, // New York City as fallback
-            longitude: -74.0060,
-            accuracy: 10000,
-            source: this.locationSources.FALLBACK,
-            timestamp: new Date(),
-            city: 'New York',
-            country: 'United States',
-            countryCode: 'US',
-            timezone: 'America/New_York'
-        };
-    }
+    // Last stored fix, trusted less the older it is
+    async fromCache() {
+        const last = this.getLastKnownLocation();
+        if (!last) return null;
 
-    // Utility methods
-    isValidLocation(location) {
-        return location && 
-               typeof location.latitude === 'number' && 
-               typeof location.longitude === 'number' &&
-               Math.abs(location.latitude) <= 90 &&
-               Math.abs(location.longitude) <= 180;
-    }
+        const age = Date.now() - new Date(last.timestamp).getTime();
+        if (!(age >= 0 && age <= this.maxCachedAge)) return null;
 
-    formatLocation(location, format = 'decimal') {
-        if (!this.isValidLocation(location)) return 'Invalid location';
-        
-        if (format === 'dms') {
-            return this.decimalToDMS(location.latitude, location.longitude);
-        }
-        
-        return `${location.latitude.toFixed(6)}, ${location.longitude.toFixed(6)}`;
+        const { confidence } = describeAccuracy(last.accuracy);
+        return this.createLocation(LOCATION_SOURCES.CACHED, {
+            ...last,
+            originalSource: last.originalSource || last.source,
+            age
+        }, confidence * 0.5 ** (age / this.cachedHalfLife));
     }
 
-    decimalToDMS(lat, lon) {
-        const latDir = lat >= 0 ? 'N' : 'S';
-        const lonDir = lon >= 0 ? 'E' : 'W';
-        
-        const latAbs = Math.abs(lat);
-        const lonAbs = Math.abs(lon);
-        
-        const latDeg = Math.floor(latAbs);
-        const latMin = Math.floor((latAbs - latDeg) * 60);
-        const latSec = ((latAbs - latDeg - latMin/60) * 3600).toFixed(1);
-        
-        const lonDeg = Math.floor(lonAbs);
-        const lonMin = Math.floor((lonAbs - lonDeg) * 60);
-        const lonSec = ((lonAbs - lonDeg - lonMin/60) * 3600).toFixed(1);
-        
-        return `${latDeg}°${latMin}'${latSec}"${latDir} ${lonDeg}°${lonMin}'${lonSec}"${lonDir}`;
+    async fromFallback() {
+        return this.createLocation(LOCATION_SOURCES.FALLBACK, { ...this.fallbackLocation }, 0.05);
     }
 
-    // Cleanup
-    destroy() {
-        this.stopTracking();
-        this.locationCache.clear();
-        this.locationHistory = [];
-        console.log('🌍 Geo Locator - Services stopped');
-    }
-}
-export default class GeoLocator {
-    constructor() {
-        this.currentLocation = null;
-        this.locationHistory = [];
-        this.permissionStatus = 'UNKNOWN';
-        this.locationServices = new Map();
-        
-        this.initializeLocationServices();
-        console.log('📍 Geo-Locator System - INITIALIZED');
-    }
-
-    async initializeLocationServices() {
-        // Initialize multiple location services for fallback
-        this.locationServices.set('HTML5_GEOLOCATION', this.html5Geolocation.bind(this));
-        this.locationServices.set('IP_GEOLOCATION', this.ipGeolocation.bind(this));
-        this.locationServices.set('WIFI_POSITIONING', this.wifiPositioning.bind(this));
-        this.locationServices.set('CELL_TOWER', this.cellTowerLocation.bind(this));
-        
-        await this.detectCapabilities();
-    }
-
-    async detectCapabilities() {
-        const capabilities = {
-            html5: 'geolocation' in navigator,
-            highAccuracy: false,
-            ipFallback: true,
-            sensors: this.hasLocationSensors()
-        };
+    // CONTINUOUS TRACKING
 
-        // Test HTML5 accuracy
-        if (capabilities.html5) {
-            capabilities.highAccuracy = await this.testGeolocationAccuracy();
+    startTracking(callback, options = {}) {
+        if (!this.isGPSAvailable()) {
+            console.error('🌍 Geolocation not available for tracking');
+            return null;
         }
 
-        this.capabilities = capabilities;
-        console.log('📍 Location capabilities:', capabilities);
-    }
-
-    async getCurrentLocation(options = {}) {
-        const {
-            highAccuracy = false,
-            timeout = 10000,
-            maximumAge = 300000, // 5 minutes
-            fallback = true
-        } = options;
-
-        console.log('📍 Acquiring current location...');
-
-        try {
-            // Try primary method first (HTML5 Geolocation)
-            let location = await this.html5Geolocation({ highAccuracy, timeout, maximumAge });
-            
-            if (!location && fallback) {
-                // Fallback to IP-based geolocation
-                location = await this.ipGeolocation();
-            }
-
-            if (location) {
-                await this.storeLocation(location);
+        this.stopTracking();
+        this.watchId = navigator.geolocation.watchPosition(
+            (position) => {
+                const location = this.processPosition(position);
+                this.storeLocation(location);
                 this.currentLocation = location;
-                return location;
+
+                if (callback) {
+                    callback(location);
+                }
+            },
+            (error) => {
+                console.error('🌍 Location tracking error:', this.mapGeolocationError(error).message);
+            },
+            {
+                enableHighAccuracy: true,
+                maximumAge: 30000,
+                timeout: 27000,
+                ...options
             }
+        );
 
-            throw new Error('All location methods failed');
+        return this.watchId;
+    }
 
-        } catch (error) {
-            console.error('📍 Location acquisition failed:', error);
-            return this.getLastKnownLocation();
+    stopTracking() {
+        if (this.watchId !== null) {
+            navigator.geolocation.clearWatch(this.watchId);
+            this.watchId = null;
         }
     }
 
-    async html5Geolocation(options = {}) {
-        return new Promise((resolve, reject) => {
-            if (!navigator.geolocation) {
-                reject(new Error('HTML5 Geolocation not supported'));
-                return;
-            }
-
-            const geolocationOptions = {
-                enableHighAccuracy: options.highAccuracy || false,
-                timeout: options.timeout || 10000,
-                maximumAge: options.maximumAge || 300000
-            };
+    processPosition(position) {
+        const { latitude, longitude, accuracy, altitude, altitudeAccuracy, heading, speed } = position.coords;
+        this.permissionStatus = 'granted';
 
-            navigator.geolocation.getCurrentPosition(
-                (position) => {
-                    const location = this.processGeolocationPosition(position);
-                    resolve(location);
-                },
-                (error) => {
-                    console.error('📍 HTML5 Geolocation error:', error);
-                    reject(this.mapGeolocationError(error));
-                },
-                geolocationOptions
-            );
+        return this.createLocation(LOCATION_SOURCES.GPS, {
+            latitude,
+            longitude,
+            accuracy,
+            altitude: altitude ?? null,
+            altitudeAccuracy: altitudeAccuracy ?? null,
+            heading: heading ?? null,
+            speed: speed ?? null,
+            timestamp: position.timestamp
         });
     }
 
-    processGeolocationPosition(position) {
-        const { coords, timestamp } = position;
-        
-        return {
-            source: 'HTML5_GEOLOCATION',
-            latitude: coords.latitude,
-            longitude: coords.longitude,
-            accuracy: coords.accuracy,
-            altitude: coords.altitude,
-            altitudeAccuracy: coords.altitudeAccuracy,
-            heading: coords.heading,
-            speed: coords.speed,
-            timestamp: new Date(timestamp),
-            address: null,
-            city: null,
-            country: null,
-            timezone: this.getTimezone(coords.latitude, coords.longitude),
-            accuracyLevel: this.calculateAccuracyLevel(coords.accuracy)
+    mapGeolocationError(error) {
+        const errors = {
+            1: ['PERMISSION_DENIED', 'Location access denied by user'],
+            2: ['POSITION_UNAVAILABLE', 'Location unavailable'],
+            3: ['TIMEOUT', 'Location request timed out']
         };
-    }
+        const [code, message] = errors[error.code] || ['UNKNOWN_ERROR', 'Unknown location error'];
 
-    async ipGeolocation() {
-        try {
-            console.log('📍 Attempting IP-based geolocation...');
-            
-            // Use multiple IP geolocation services for reliability
-            const services = [
-                'https://ipapi.co/json/',
-                'https://ipinfo.io/json',
-                'https://api.ipgeolocation.io/ipgeo?apiKey=demo'
-            ];
-
-            for (const service of services) {
-                try {
-                    const response = await fetch(service, { 
-                        signal: AbortSignal.timeout(5000) 
-                    });
-                    
-                    if (response.ok) {
-                        const data = await response.json();
-                        const location = this.processIPGeolocationData(data, service);
-                        
-                        if (location.accuracyLevel !== 'LOW') {
-                            return location;
-                        }
-                    }
-                } catch (error) {
-                    console.warn(`📍 IP geolocation service failed: ${service}`, error);
-                    continue;
-                }
-            }
+        if (error.code === 1) {
+            this.permissionStatus = 'denied';
+        }
 
-            throw new Error('All IP geolocation services failed');
+        const mapped = new Error(message);
+        mapped.code = code;
+        return mapped;
+    }
 
-        } catch (error) {
-            console.error('📍 IP geolocation completely failed:', error);
-            return null;
+    // STORAGE AND HISTORY
+
+    storeLocation(location) {
+        if (!this.isValidLocation(location)) {
+            console.warn('🌍 Invalid location data, not storing');
+            return;
         }
-    }
 
-    processIPGeolocationData(data, service) {
-        // Normalize data from different IP geolocation services
-        let location = {
-            source: `IP_GEOLOCATION_${service.split('/')[2]}`,
-            accuracy: 50000, // Default accuracy for IP-based (50km)
-            accuracyLevel: 'MEDIUM'
-        };
+        this.locationHistory.push({ ...location, storedAt: new Date() });
+        if (this.locationHistory.length > this.maxHistory) {
+            this.locationHistory.shift();
+        }
 
-        if (service.includes('ipapi.co')) {
-            location = {
-                ...location,
-                latitude: parseFloat(data.latitude),
-                longitude: parseFloat(data.longitude),
-                city: data.city,
-                country: data.country_name,
-                region: data.region,
-                timezone: data.timezone,
-                isp: data.org,
-                postal: data.postal
-            };
-        } else {
-            let hostname = "";
+        if (typeof localStorage !== 'undefined') {
             try {
-                hostname = (new URL(service)).hostname;
-            } catch (e) {
-                hostname = "";
-            }
-            if (hostname === 'ipinfo.io') {
-                const [lat, lon] = data.loc?.split(',') || [0, 0];
-                location = {
-                    ...location,
-                    latitude: parseFloat(lat),
-                    longitude: parseFloat(lon),
-                    city: data.city,
-                    country: data.country,
-                    region: data.region,
-                    timezone: data.timezone,
-                    isp: data.org,
-                    postal: data.postal
-                };
+                localStorage.setItem(this.storageKey, JSON.stringify(this.locationHistory.slice(-20)));
+            } catch (error) {
+                console.warn('🌍 Could not persist location history:', error.message);
             }
         }
-
-        // Enhance with additional data
-        location.address = this.generateAddress(location);
-        location.accuracyLevel = this.calculateAccuracyLevel(location.accuracy);
-        
-        return location;
     }
 
-    async wifiPositioning() {
-        // WiFi-based positioning (simulated - in real app, use WiFi API if available)
-        try {
-            if (!this.hasWifiCapability()) {
-                throw new Error('WiFi positioning not available');
-            }
-
-            console.log('📍 Attempting WiFi-based positioning...');
-            
-            // In a real implementation, this would scan for WiFi networks
-            // and query a positioning service
-            const simulatedLocation = {
-                source: 'WIFI_POSITIONING',
-                latitude: this.currentLocation?.latitude || 0,
-                longitude: this.currentLocation?.longitude || 0,
-                accuracy: 100, // Meters
-                accuracyLevel: 'HIGH',
-                timestamp: new Date(),
-                networks: this.scanWiFiNetworks() // Simulated
-            };
+    getLastKnownLocation() {
+        if (this.locationHistory.length > 0) {
+            return this.locationHistory[this.locationHistory.length - 1];
+        }
 
-            return simulatedLocation;
+        if (typeof localStorage === 'undefined') return null;
 
+        try {
+            const history = JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+            return history.length > 0 ? history[history.length - 1] : null;
         } catch (error) {
-            console.warn('📍 WiFi positioning failed:', error);
             return null;
         }
     }
 
-    async cellTowerLocation() {
-        // Cell tower triangulation (simulated)
-        try {
-            console.log('📍 Attempting cell tower positioning...');
-            
-            const simulatedLocation = {
-                source: 'CELL_TOWER',
-                latitude: this.currentLocation?.latitude || 0,
-                longitude: this.currentLocation?.longitude || 0,
-                accuracy: 1000, // Meters
-                accuracyLevel: 'MEDIUM',
-                timestamp: new Date(),
-                towers: this.scanCellTowers() // Simulated
-            };
-
-            return simulatedLocation;
-
-        } catch (error) {
-            console.warn('📍 Cell tower positioning failed:', error);
-            return null;
-        }
+    getLocationHistory(days = 7) {
+        const cutoff = Date.now() - days * 24 * 60 * 60 * 1000;
+        return this.locationHistory.filter(location => new Date(location.timestamp).getTime() >= cutoff);
     }
 
-    // ENHANCED LOCATION SERVICES
-    async getEnhancedLocation() {
-        // Get location with enhanced data (city, address, etc.)
-        const location = await this.getCurrentLocation();
-        
-        if (location) {
-            const enhanced = await this.enhanceLocationData(location);
-            return enhanced;
-        }
-        
-        return null;
+    // LOCATION-BASED SERVICES
+
+    async getEnhancedLocation(options = {}) {
+        const location = await this.getCurrentLocation(options);
+        return location ? await this.enhanceLocationData(location) : null;
     }
 
     async enhanceLocationData(location) {
-        // Add reverse geocoding and additional data
         const enhanced = { ...location };
 
         try {
-            // Reverse geocoding to get address
-            if (!enhanced.address && enhanced.latitude && enhanced.longitude) {
-                const address = await this.reverseGeocode(enhanced.latitude, enhanced.longitude);
-                enhanced.address = address;
+            if (!enhanced.address) {
+                enhanced.address = await this.reverseGeocode(enhanced.latitude, enhanced.longitude);
             }
-
-            // Get weather station proximity
             enhanced.weatherStations = await this.findNearbyWeatherStations(enhanced);
-
-            // Get terrain and elevation data
-            enhanced.terrain = await this.getTerrainData(enhanced);
-
-            // Calculate sunrise/sunset times
-            enhanced.astronomy = this.calculateAstronomyData(enhanced);
-
-            // Timezone verification
-            enhanced.verifiedTimezone = await this.verifyTimezone(enhanced);
-
+            enhanced.timezone = await this.getTimeZone(enhanced);
         } catch (error) {
-            console.warn('📍 Location enhancement failed:', error);
+            console.warn('🌍 Location enhancement failed:', error);
         }
 
         return enhanced;
@@ -717,17 +412,13 @@ export default class GeoLocator {
 
     async reverseGeocode(lat, lon) {
         try {
-            // Use OpenStreetMap Nominatim for reverse geocoding
-            const response = await fetch(
-                `https://nominatim.openstreetmap.org/reverse?format=json&lat=${lat}&lon=${lon}&zoom=18&addressdetails=1`
-            );
-            
-            if (response.ok) {
-                const data = await response.json();
-                return this.formatAddress(data.address);
-            }
+            // Nearest place from the server's offline gazetteer
+            const place = await requestAPI('geocode/reverse', { lat, lon });
+            return this.formatAddress({ city: place.name, state: place.admin1Name, country: place.country });
         } catch (error) {
-            console.warn('📍 Reverse geocoding failed:', error);
+            if (error.status !== 404) {
+                console.warn('🌍 Reverse geocoding failed:', error);
+            }
         }
 
         return null;
@@ -745,253 +436,160 @@ export default class GeoLocator {
         if (addressData.country) components.push(addressData.country);
         if (addressData.postcode) components.push(addressData.postcode);
 
-        return components.join(', ');
-    }
-
-    async findNearbyWeatherStations(location) {
-        // Find nearby weather stations for accurate data
-        const stations = [];
-        
-        // Simulated station finding
-        stations.push({
-            id: 'virtual_station_1',
-            name: `${location.city || 'Local'} Weather Station`,
-            distance: Math.random() * 10, // km
-            reliability: 0.9,
-            coordinates: {
-                lat: location.latitude + (Math.random() - 0.5) * 0.1,
-                lon: location.longitude + (Math.random() - 0.5) * 0.1
-            }
-        });
-
-        return stations;
+        return components.length > 0 ? components.join(', ') : null;
     }
 
-    // ACCURACY AND VALIDATION
-    calculateAccuracyLevel(accuracyMeters) {
-        if (accuracyMeters <= 50) return 'VERY_HIGH';
-        if (accuracyMeters <= 200) return 'HIGH';
-        if (accuracyMeters <= 1000) return 'MEDIUM';
-        if (accuracyMeters <= 5000) return 'LOW';
-        return 'VERY_LOW';
-    }
-
-    async testGeolocationAccuracy() {
+    // IANA zone from the server; the longitude estimate stands in while offline
+    async getTimeZone(location) {
         try {
-            const position = await new Promise((resolve, reject) => {
-                navigator.geolocation.getCurrentPosition(resolve, reject, {
-                    enableHighAccuracy: true,
-                    timeout: 10000
-                });
-            });
-
-            return position.coords.accuracy <= 100; // High accuracy if within 100m
-
+            const data = await requestAPI('timezone', { lat: location.latitude, lon: location.longitude });
+            return data.id;
         } catch (error) {
-            return false;
+            console.warn('🌍 Timezone lookup failed:', error);
+            return location.timezone || nauticalZone(location.longitude);
         }
     }
 
-    validateLocation(location) {
-        if (!location) return false;
-        
-        const checks = [
-            location.latitude >= -90 && location.latitude <= 90,
-            location.longitude >= -180 && location.longitude <= 180,
-            location.timestamp instanceof Date,
-            location.accuracy > 0
-        ];
-
-        return checks.every(check => check === true);
-    }
-
-    // STORAGE AND HISTORY
-    async storeLocation(location) {
-        if (!this.validateLocation(location)) {
-            console.warn('📍 Invalid location data, not storing');
-            return;
-        }
-
-        this.locationHistory.push({
-            ...location,
-            storedAt: new Date(),
-            id: this.generateLocationId()
-        });
-
-        // Keep only recent history (last 100 locations)
-        if (this.locationHistory.length > 100) {
-            this.locationHistory.shift();
-        }
-
-        // Store in localStorage for persistence
-        localStorage.setItem('locationHistory', JSON.stringify(this.locationHistory.slice(-20)));
-    }
-
-    getLastKnownLocation() {
-        if (this.locationHistory.length > 0) {
-            return this.locationHistory[this.locationHistory.length - 1];
-        }
+    // Closest surface stations from the shared catalog, for accurate data
+    async findNearbyWeatherStations(location, { limit = 3, maxDistanceKm } = {}) {
+        try {
+            const stations = await requestStations('nearest', {
+                lat: location.latitude,
+                lon: location.longitude,
+                limit,
+                types: WEATHER_STATION_TYPES,
+                ...(maxDistanceKm !== undefined && { maxDistance: maxDistanceKm })
+            });
 
-        // Try to load from localStorage
-        const stored = localStorage.getItem('locationHistory');
-        if (stored) {
-            const history = JSON.parse(stored);
-            if (history.length > 0) {
-                return history[history.length - 1];
-            }
+            return stations.map(station => ({
+                id: station.id,
+                name: station.name,
+                type: station.type,
+                distance: station.distance_km,
+                elevation: station.elevation_m,
+                coordinates: { lat: station.lat, lon: station.lon }
+            }));
+        } catch (error) {
+            console.warn('🌍 Weather station lookup failed:', error);
+            return [];
         }
-
-        return null;
     }
 
-    getLocationHistory(days = 7) {
-        const cutoff = new Date();
-        cutoff.setDate(cutoff.getDate() - days);
-
-        return this.locationHistory.filter(loc => 
-            new Date(loc.timestamp) >= cutoff
-        );
-    }
-
-    // UTILITY METHODS
-    calculateDistance(lat1, lon1, lat2, lon2) {
-        // Haversine formula for distance calculation
-        const R = 6371; // Earth's radius in km
-        const dLat = this.deg2rad(lat2 - lat1);
-        const dLon = this.deg2rad(lon2 - lon1);
-        
-        const a = 
-            Math.sin(dLat/2) * Math.sin(dLat/2) +
-            Math.cos(this.deg2rad(lat1)) * Math.cos(this.deg2rad(lat2)) * 
-            Math.sin(dLon/2) * Math.sin(dLon/2);
-        
-        const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a)); 
-        return R * c; // Distance in km
-    }
-
-    deg2rad(deg) {
-        return deg * (Math.PI/180);
-    }
-
-    getTimezone(lat, lon) {
-        // Simple timezone estimation based on longitude
-        const offset = Math.round(lon / 15);
-        return `UTC${offset >= 0 ? '+' : ''}${offset}`;
-    }
-
-    hasLocationSensors() {
-        return (
-            'geolocation' in navigator ||
-            'connection' in navigator ||
-            'getBattery' in navigator
-        );
-    }
-
-    hasWifiCapability() {
-        // Check if device has WiFi capability
-        return 'connection' in navigator && navigator.connection.type === 'wifi';
-    }
-
-    scanWiFiNetworks() {
-        // Simulated WiFi network scan
-        return [
-            { ssid: 'Home_Network', strength: -45 },
-            { ssid: 'Neighbor_WiFi', strength: -65 },
-            { ssid: 'Public_Hotspot', strength: -75 }
-        ];
-    }
-
-    scanCellTowers() {
-        // Simulated cell tower scan
-        return [
-            { mcc: 310, mnc: 410, lac: 1234, cellid: 56789, strength: -75 },
-            { mcc: 310, mnc: 410, lac: 1234, cellid: 56790, strength: -80 }
-        ];
+    async getWeatherStationNearby(location, radiusKm = 50) {
+        const [station] = await this.findNearbyWeatherStations(location, { limit: 1, maxDistanceKm: radiusKm });
+        return station || null;
     }
 
-    generateAddress(location) {
-        if (location.city && location.country) {
-            return `${location.city}, ${location.country}`;
-        }
-        return `${location.latitude.toFixed(4)}, ${location.longitude.toFixed(4)}`;
-    }
+    // PERMISSIONS AND STATUS
 
-    mapGeolocationError(error) {
-        const errorMap = {
-            1: 'PERMISSION_DENIED',
-            2: 'POSITION_UNAVAILABLE',
-            3: 'TIMEOUT'
-        };
-        
-        return new Error(errorMap[error.code] || 'UNKNOWN_ERROR');
+    isGPSAvailable() {
+        return typeof navigator !== 'undefined' && 'geolocation' in navigator;
     }
 
-    generateLocationId() {
-        return 'LOC_' + Date.now() + '_' + Math.random().toString(36).substr(2, 6);
-    }
-
-    // PERMISSION MANAGEMENT
     async requestLocationPermission() {
-        if (!navigator.permissions) {
-            this.permissionStatus = 'GRANTED'; // Assume granted if no permissions API
-            return 'GRANTED';
+        if (typeof navigator === 'undefined' || !navigator.permissions) {
+            return this.permissionStatus;
         }
 
         try {
             const result = await navigator.permissions.query({ name: 'geolocation' });
             this.permissionStatus = result.state;
-            
+
             result.onchange = () => {
                 this.permissionStatus = result.state;
-                console.log(`📍 Location permission changed to: ${result.state}`);
+                console.log(`🌍 Location permission changed to: ${result.state}`);
             };
-            
+
             return result.state;
         } catch (error) {
-            console.warn('📍 Permission API not supported:', error);
-            this.permissionStatus = 'UNKNOWN';
-            return 'UNKNOWN';
+            console.warn('🌍 Permission API not supported:', error);
+            return this.permissionStatus;
         }
     }
 
-    // STATUS AND REPORTING
-    getGeoLocatorStatus() {
+    getStatus() {
         return {
             currentLocation: this.currentLocation,
             permissionStatus: this.permissionStatus,
-            capabilities: this.capabilities,
+            gpsAvailable: this.isGPSAvailable(),
+            tracking: this.watchId !== null,
             locationHistory: this.locationHistory.length,
-            servicesAvailable: this.locationServices.size
+            strategies: STRATEGY_ORDER
         };
     }
 
     getAccuracyReport() {
         if (!this.currentLocation) return null;
 
+        const { accuracy, accuracyLevel, confidence, source, timestamp } = this.currentLocation;
         return {
-            accuracy: this.currentLocation.accuracy,
-            accuracyLevel: this.currentLocation.accuracyLevel,
-            source: this.currentLocation.source,
-            lastUpdated: this.currentLocation.timestamp,
+            accuracy,
+            accuracyLevel,
+            confidence,
+            source,
+            lastUpdated: timestamp,
             recommendedImprovements: this.getAccuracyImprovements()
         };
     }
 
     getAccuracyImprovements() {
         const improvements = [];
-        
-        if (!this.capabilities.highAccuracy) {
-            improvements.push('Enable high accuracy mode for better precision');
-        }
-        
-        if (this.permissionStatus !== 'GRANTED') {
+
+        if (!this.isGPSAvailable()) {
+            improvements.push('Use a browser that supports HTML5 geolocation');
+        } else if (this.permissionStatus === 'denied') {
             improvements.push('Grant location permissions for accurate weather data');
         }
-        
-        if (!this.capabilities.html5) {
-            improvements.push('Use a browser that supports HTML5 geolocation');
+
+        if (this.currentLocation && [LOCATION_SOURCES.IP, LOCATION_SOURCES.CACHED, LOCATION_SOURCES.FALLBACK].includes(this.currentLocation.source)) {
+            improvements.push('Pick a location on the map or search for a city for local conditions');
         }
 
         return improvements;
     }
+
+    // UTILITY METHODS
+
+    isValidLocation(location) {
+        return Boolean(location) &&
+               Number.isFinite(location.latitude) &&
+               Number.isFinite(location.longitude) &&
+               Math.abs(location.latitude) <= 90 &&
+               Math.abs(location.longitude) <= 180;
+    }
+
+    formatLocation(location, format = 'decimal') {
+        if (!this.isValidLocation(location)) return 'Invalid location';
+
+        if (format === 'dms') {
+            return this.decimalToDMS(location.latitude, location.longitude);
+        }
+
+        return `${location.latitude.toFixed(6)}, ${location.longitude.toFixed(6)}`;
+    }
+
+    decimalToDMS(lat, lon) {
+        const latDir = lat >= 0 ? 'N' : 'S';
+        const lonDir = lon >= 0 ? 'E' : 'W';
+
+        const latAbs = Math.abs(lat);
+        const lonAbs = Math.abs(lon);
+
+        const latDeg = Math.floor(latAbs);
+        const latMin = Math.floor((latAbs - latDeg) * 60);
+        const latSec = ((latAbs - latDeg - latMin/60) * 3600).toFixed(1);
+
+        const lonDeg = Math.floor(lonAbs);
+        const lonMin = Math.floor((lonAbs - lonDeg) * 60);
+        const lonSec = ((lonAbs - lonDeg - lonMin/60) * 3600).toFixed(1);
+
+        return `${latDeg}°${latMin}'${latSec}"${latDir} ${lonDeg}°${lonMin}'${lonSec}"${lonDir}`;
+    }
+
+    destroy() {
+        this.stopTracking();
+        this.locationHistory = [];
+        this.currentLocation = null;
+        console.log('🌍 Geo Locator - Services stopped');
+    }
 }
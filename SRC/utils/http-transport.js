@@ -0,0 +1,169 @@
+/**
+ * 📼 HTTP Transport
+ * Single fetch entry point for every provider call, with record/replay fixtures
+ *
+ * HTTP_REPLAY_MODE selects the behaviour:
+ *   live   - plain fetch (default)
+ *   record - plain fetch, and every response is written to HTTP_FIXTURES_DIR
+ *   replay - responses are served from HTTP_FIXTURES_DIR, the network is never touched
+ *
+ * A replayed request must match a recording exactly (method, URL without
+ * credentials, body) or it fails with REPLAY_MISS. HTTP_REPLAY_FALLBACK=endpoint
+ * opts in to serving the newest recording of the same endpoint instead, for
+ * fixtures whose query parameters (dates, rounded coordinates) drift.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+const MODES = ['live', 'record', 'replay'];
+const FALLBACKS = ['none', 'endpoint'];
+
+// Credentials never reach a fixture key or file
+const SECRET_PARAMS = ['appid', 'key', 'api_key', 'apikey', 'apiKey', 'client_id', 'client_secret', 'token', 'access_token'];
+
+export default class HttpTransport {
+    constructor(options = {}) {
+        this.mode = options.mode || process.env.HTTP_REPLAY_MODE || 'live';
+        this.fixturesDir = path.resolve(options.fixturesDir || process.env.HTTP_FIXTURES_DIR || 'fixtures/http');
+        this.fallback = options.fallback || process.env.HTTP_REPLAY_FALLBACK || 'none';
+        this.stats = { live: 0, recorded: 0, replayed: 0, fallbacks: 0, misses: 0 };
+
+        if (!MODES.includes(this.mode)) {
+            throw new Error(`Unknown HTTP_REPLAY_MODE: ${this.mode}. Use one of ${MODES.join(', ')}`);
+        }
+        if (!FALLBACKS.includes(this.fallback)) {
+            throw new Error(`Unknown HTTP_REPLAY_FALLBACK: ${this.fallback}. Use one of ${FALLBACKS.join(', ')}`);
+        }
+
+        if (this.mode !== 'live') {
+            console.log(`📼 HTTP transport in ${this.mode} mode (${this.fixturesDir})`);
+        }
+    }
+
+    async fetch(url, init = {}) {
+        const request = this.describeRequest(url, init);
+
+        if (this.mode === 'replay') {
+            return await this.replay(request);
+        }
+
+        const response = await fetch(url, init);
+        this.stats.live++;
+
+        if (this.mode === 'record') {
+            await this.record(request, response.clone());
+        }
+
+        return response;
+    }
+
+    describeRequest(url, init) {
+        const parsed = new URL(url);
+        SECRET_PARAMS.forEach(param => parsed.searchParams.delete(param));
+        parsed.searchParams.sort();
+
+        const method = (init.method || 'GET').toUpperCase();
+        const bodyHash = init.body ? crypto.createHash('sha1').update(String(init.body)).digest('hex') : null;
+        const key = crypto.createHash('sha1')
+            .update(`${method} ${parsed.toString()} ${bodyHash || ''}`)
+            .digest('hex');
+
+        return {
+            method,
+            url: parsed.toString(),
+            key,
+            // One directory per endpoint so replay can fall back across volatile query params
+            directory: path.join(this.fixturesDir, this.slugify(parsed.host), this.slugify(`${method}${parsed.pathname}`))
+        };
+    }
+
+    async record(request, response) {
+        const fixture = {
+            request: { method: request.method, url: request.url },
+            response: {
+                status: response.status,
+                statusText: response.statusText,
+                headers: { 'content-type': response.headers.get('content-type') || 'application/json' },
+                body: await response.text()
+            },
+            recordedAt: new Date().toISOString()
+        };
+
+        try {
+            await fs.mkdir(request.directory, { recursive: true });
+            await fs.writeFile(path.join(request.directory, `${request.key}.json`), JSON.stringify(fixture, null, 2));
+            this.stats.recorded++;
+        } catch (error) {
+            console.warn(`📼 Failed to record ${request.method} ${request.url}:`, error.message);
+        }
+    }
+
+    async replay(request) {
+        let fixture = await this.readFixture(path.join(request.directory, `${request.key}.json`));
+
+        if (!fixture && this.fallback === 'endpoint') {
+            fixture = await this.findEndpointFixture(request.directory);
+            if (fixture) {
+                this.stats.fallbacks++;
+                console.warn(`📼 No exact fixture for ${request.method} ${request.url}, replaying ${fixture.request.url}`);
+            }
+        }
+
+        if (!fixture) {
+            this.stats.misses++;
+            const error = new Error(`No recorded fixture for ${request.method} ${request.url}`);
+            error.code = 'REPLAY_MISS';
+            error.status = 503;
+            throw error;
+        }
+
+        this.stats.replayed++;
+        return new Response(fixture.response.body, {
+            status: fixture.response.status,
+            statusText: fixture.response.statusText,
+            headers: fixture.response.headers
+        });
+    }
+
+    async readFixture(file) {
+        try {
+            return JSON.parse(await fs.readFile(file, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    // Same endpoint, different query (dates, coordinates) - serve the newest recording
+    async findEndpointFixture(directory) {
+        let files;
+        try {
+            files = (await fs.readdir(directory)).filter(file => file.endsWith('.json'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+
+        const fixtures = await Promise.all(files.map(file => this.readFixture(path.join(directory, file))));
+        return fixtures
+            .filter(Boolean)
+            .sort((a, b) => b.recordedAt.localeCompare(a.recordedAt))[0] || null;
+    }
+
+    slugify(value) {
+        return value.replace(/[^a-zA-Z0-9.-]+/g, '_').replace(/^_+|_+$/g, '') || 'root';
+    }
+
+    getStatus() {
+        return {
+            mode: this.mode,
+            fixturesDir: this.fixturesDir,
+            fallback: this.fallback,
+            ...this.stats
+        };
+    }
+}
+
+export const httpTransport = new HttpTransport();
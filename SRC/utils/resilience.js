@@ -0,0 +1,350 @@
+/**
+ * 🛡️ Provider Resilience
+ * Shared rate limiting, retry, timeout and circuit breaking for every upstream provider
+ *
+ * One ResiliencePolicy per provider, shared by name across instances. A call
+ * waits for a token from the provider's bucket (sized from its `rateLimit`
+ * per hour), runs under a timeout, and is retried with jittered exponential
+ * backoff on timeouts, network errors, 429 and 5xx. A Retry-After is honoured
+ * up to `maxDelayMs`; a longer one fails the call. A 429 is backpressure,
+ * not a fault: it holds the provider's bucket for the Retry-After (or the
+ * backoff) so every caller slows down, and never counts against the breaker.
+ * Consecutive failures open the provider's breaker: calls then fail fast with
+ * CIRCUIT_OPEN until the cool-down passes and a single half-open probe decides
+ * whether it closes.
+ */
+
+import { httpTransport } from './http-transport.js';
+
+const STATES = { CLOSED: 'closed', OPEN: 'open', HALF_OPEN: 'half-open' };
+
+// Deterministic failures - retrying or blaming the provider achieves nothing
+const NON_RETRYABLE_CODES = ['CIRCUIT_OPEN', 'RATE_LIMITED', 'REPLAY_MISS'];
+
+const DEFAULTS = {
+    rateLimit: 1000,            // requests per hour
+    maxWaitMs: 10000,           // longest a caller queues for a token before the provider is skipped
+    timeoutMs: 30000,
+    maxAttempts: 3,
+    baseDelayMs: 1000,
+    maxDelayMs: 10000,
+    failureThreshold: 5,        // consecutive failures that open the breaker
+    resetTimeoutMs: 30000,      // first cool-down; doubles each time a probe fails
+    maxResetTimeoutMs: 10 * 60 * 1000
+};
+
+const registry = new Map();
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+export function createResilienceError(message, code, status) {
+    const error = new Error(message);
+    error.code = code;
+    error.status = status;
+    error.upstream = true;
+    return error;
+}
+
+// Statuses raised for the client (bad input, unknown place) pass through; a failed or unusable provider is a bad gateway
+export function gatewayStatus(error) {
+    return error.status && !error.upstream ? error.status : 502;
+}
+
+// Retry-After is either delta-seconds or an HTTP date
+export function parseRetryAfter(response) {
+    const header = response.headers?.get?.('retry-after');
+    if (!header) return null;
+
+    const seconds = Number(header);
+    if (Number.isFinite(seconds)) return Math.max(seconds, 0) * 1000;
+
+    const date = Date.parse(header);
+    return isNaN(date) ? null : Math.max(date - Date.now(), 0);
+}
+
+export function isRetryable(error) {
+    if (NON_RETRYABLE_CODES.includes(error.code)) return false;
+    if (error.code === 'TIMEOUT' || error.code === 'NETWORK_ERROR') return true;
+    return error.status === 429 || (error.status >= 500 && error.status < 600);
+}
+
+// Full jitter: anywhere between zero and the exponential ceiling
+export function backoffDelay(attempt, baseDelayMs = DEFAULTS.baseDelayMs, maxDelayMs = DEFAULTS.maxDelayMs) {
+    return Math.random() * Math.min(maxDelayMs, baseDelayMs * Math.pow(2, attempt));
+}
+
+export class TokenBucket {
+    constructor(requestsPerHour, capacity = Math.max(1, Math.round(requestsPerHour / 60))) {
+        this.ratePerMs = requestsPerHour / 3600000;
+        this.capacity = capacity; // a minute's worth of burst by default
+        this.tokens = capacity;
+        this.updatedAt = Date.now();
+    }
+
+    refill(now = Date.now()) {
+        this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) * this.ratePerMs);
+        this.updatedAt = now;
+    }
+
+    // Reserve a token and return how long to wait for it; tokens go negative while callers queue
+    reserve(maxWaitMs = Infinity) {
+        this.refill();
+
+        const waitMs = this.tokens >= 1 ? 0 : (1 - this.tokens) / this.ratePerMs;
+        if (waitMs > maxWaitMs) return null;
+
+        this.tokens -= 1;
+        return waitMs;
+    }
+
+    // Nothing is handed out for `ms`, e.g. while a provider's Retry-After runs
+    holdFor(ms, now = Date.now()) {
+        this.refill(now);
+        this.tokens = Math.min(this.tokens, 1 - ms * this.ratePerMs);
+    }
+
+    getWaitTime() {
+        this.refill();
+        return this.tokens >= 1 ? 0 : Math.ceil((1 - this.tokens) / this.ratePerMs);
+    }
+}
+
+export class CircuitBreaker {
+    constructor(name, options = {}) {
+        this.name = name;
+        this.failureThreshold = options.failureThreshold || DEFAULTS.failureThreshold;
+        this.resetTimeoutMs = options.resetTimeoutMs || DEFAULTS.resetTimeoutMs;
+        this.maxResetTimeoutMs = options.maxResetTimeoutMs || DEFAULTS.maxResetTimeoutMs;
+
+        this.state = STATES.CLOSED;
+        this.consecutiveFailures = 0;
+        this.openCount = 0;
+        this.openedAt = null;
+        this.probeInFlight = false;
+        this.lastError = null;
+        this.stats = { successes: 0, failures: 0, rejected: 0, opened: 0 };
+    }
+
+    get cooldownMs() {
+        return Math.min(this.resetTimeoutMs * Math.pow(2, Math.max(this.openCount - 1, 0)), this.maxResetTimeoutMs);
+    }
+
+    // True when a call would be let through right now
+    isAvailable(now = Date.now()) {
+        if (this.state === STATES.CLOSED) return true;
+        if (this.state === STATES.HALF_OPEN) return !this.probeInFlight;
+        return now - this.openedAt >= this.cooldownMs;
+    }
+
+    // Admit a call, moving open -> half-open once the cool-down has passed
+    acquire(now = Date.now()) {
+        if (this.state === STATES.OPEN && now - this.openedAt >= this.cooldownMs) {
+            this.state = STATES.HALF_OPEN;
+            console.log(`🛡️ Circuit ${this.name} half-open, probing`);
+        }
+
+        if (this.state === STATES.CLOSED) return true;
+        if (this.state === STATES.HALF_OPEN && !this.probeInFlight) {
+            this.probeInFlight = true;
+            return true;
+        }
+
+        this.stats.rejected++;
+        return false;
+    }
+
+    recordSuccess() {
+        this.stats.successes++;
+        this.consecutiveFailures = 0;
+        this.probeInFlight = false;
+
+        if (this.state !== STATES.CLOSED) {
+            console.log(`🛡️ Circuit ${this.name} closed`);
+            this.state = STATES.CLOSED;
+            this.openCount = 0;
+            this.openedAt = null;
+        }
+    }
+
+    recordFailure(error) {
+        this.stats.failures++;
+        this.consecutiveFailures++;
+        this.lastError = { message: error.message, at: new Date().toISOString() };
+
+        // Calls still in flight when the breaker opened must not extend the cool-down
+        if (this.state === STATES.HALF_OPEN || (this.state === STATES.CLOSED && this.consecutiveFailures >= this.failureThreshold)) {
+            this.open();
+        }
+        this.probeInFlight = false;
+    }
+
+    // A probe that ended without a verdict (rate limited, client error) frees the slot
+    release() {
+        this.probeInFlight = false;
+    }
+
+    open() {
+        this.openCount++;
+        this.state = STATES.OPEN;
+        this.openedAt = Date.now();
+        this.stats.opened++;
+        console.warn(`🛡️ Circuit ${this.name} open for ${Math.round(this.cooldownMs / 1000)}s after ${this.consecutiveFailures} consecutive failures`);
+    }
+
+    getState() {
+        return {
+            state: this.state,
+            available: this.isAvailable(),
+            consecutiveFailures: this.consecutiveFailures,
+            retryAt: this.state === STATES.OPEN ? new Date(this.openedAt + this.cooldownMs).toISOString() : null,
+            lastError: this.lastError,
+            ...this.stats
+        };
+    }
+}
+
+export class ResiliencePolicy {
+    constructor(name, options = {}) {
+        this.name = name;
+        this.options = { ...DEFAULTS };
+        Object.entries(options).forEach(([key, value]) => {
+            if (value !== undefined && value !== null) this.options[key] = value;
+        });
+        this.bucket = new TokenBucket(this.options.rateLimit, options.burst);
+        this.breaker = new CircuitBreaker(name, this.options);
+        this.stats = { calls: 0, retries: 0, timeouts: 0, rateLimited: 0, throttled: 0 };
+    }
+
+    // Shared per provider name so every instance of a system sees the same breaker and budget
+    static for(name, options = {}) {
+        if (!registry.has(name)) {
+            registry.set(name, new ResiliencePolicy(name, options));
+        }
+        return registry.get(name);
+    }
+
+    static getAllStates() {
+        return Object.fromEntries(Array.from(registry.entries()).map(([name, policy]) => [name, policy.getState()]));
+    }
+
+    isAvailable() {
+        return this.breaker.isAvailable();
+    }
+
+    // Run `operation(signal)` under the rate limit, timeout, retry and breaker
+    async execute(operation, options = {}) {
+        const { timeoutMs = this.options.timeoutMs, maxAttempts = this.options.maxAttempts } = options;
+        this.stats.calls++;
+
+        for (let attempt = 0; ; attempt++) {
+            if (!this.breaker.acquire()) {
+                throw createResilienceError(`${this.name} circuit open, skipping provider`, 'CIRCUIT_OPEN', 503);
+            }
+
+            const waitMs = this.bucket.reserve(this.options.maxWaitMs);
+            if (waitMs === null) {
+                this.breaker.release();
+                this.stats.rateLimited++;
+                throw createResilienceError(`${this.name} rate limit of ${this.options.rateLimit}/h reached`, 'RATE_LIMITED', 429);
+            }
+            if (waitMs > 0) await sleep(waitMs);
+
+            try {
+                const result = await this.withTimeout(operation, timeoutMs);
+                this.breaker.recordSuccess();
+                return result;
+            } catch (rawError) {
+                const error = this.classifyError(rawError);
+                const retryable = isRetryable(error);
+                const throttled = error.status === 429;
+
+                // Client errors and throttling say nothing about the provider's health
+                if (retryable && !throttled) {
+                    this.breaker.recordFailure(error);
+                } else {
+                    this.breaker.release();
+                }
+
+                // Every caller of the provider waits out a 429, not only this one
+                if (throttled) {
+                    this.stats.throttled++;
+                    this.bucket.holdFor(error.retryAfterMs ?? backoffDelay(attempt, this.options.baseDelayMs, this.options.maxDelayMs));
+                }
+
+                if (!retryable || attempt + 1 >= maxAttempts || !this.breaker.isAvailable()) {
+                    throw error;
+                }
+
+                // Waiting out a longer Retry-After would hold the caller past its retry budget
+                if (error.retryAfterMs > this.options.maxDelayMs) {
+                    throw error;
+                }
+
+                this.stats.retries++;
+                // A 429 holds the bucket, so the next reserve() does the waiting
+                if (!throttled) {
+                    await sleep(Math.max(error.retryAfterMs || 0, backoffDelay(attempt, this.options.baseDelayMs, this.options.maxDelayMs)));
+                }
+            }
+        }
+    }
+
+    // httpTransport.fetch through the policy; 429 and 5xx responses throw so they are retried
+    async fetch(url, init = {}, options = {}) {
+        return await this.execute(async signal => {
+            const response = await httpTransport.fetch(url, { ...init, signal });
+
+            if (response.status === 429 || response.status >= 500) {
+                const error = createResilienceError(`${this.name} responded ${response.status} ${response.statusText || ''}`.trim(), 'HTTP_ERROR', response.status);
+                error.retryAfterMs = parseRetryAfter(response);
+                throw error;
+            }
+
+            return response;
+        }, options);
+    }
+
+    async withTimeout(operation, timeoutMs) {
+        const controller = new AbortController();
+        const timeoutError = createResilienceError(`${this.name} timed out after ${timeoutMs}ms`, 'TIMEOUT', 504);
+        let timer;
+
+        // Operations that ignore the signal are still abandoned at the deadline
+        const deadline = new Promise((_, reject) => {
+            timer = setTimeout(() => {
+                controller.abort(timeoutError);
+                reject(timeoutError);
+            }, timeoutMs);
+        });
+
+        try {
+            return await Promise.race([operation(controller.signal), deadline]);
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    classifyError(error) {
+        if (error.code === 'TIMEOUT') {
+            this.stats.timeouts++;
+            return error;
+        }
+        if (error.name === 'TimeoutError' || error.name === 'AbortError') {
+            this.stats.timeouts++;
+            error.code = 'TIMEOUT';
+        } else if (!error.code && !error.status && (error.name === 'TypeError' || error.cause?.code)) {
+            // fetch() reports DNS, refused and reset connections as a TypeError
+            error.code = 'NETWORK_ERROR';
+        }
+        return error;
+    }
+
+    getState() {
+        return {
+            ...this.breaker.getState(),
+            rateLimit: this.options.rateLimit,
+            waitTime: this.bucket.getWaitTime(),
+            ...this.stats
+        };
+    }
+}
@@ -0,0 +1,112 @@
+/**
+ * 🧭 Spatial Index
+ * Static k-d tree over lat/lon points for nearest-N and within-radius queries
+ *
+ * Points are placed on the unit sphere (x, y, z) so the dateline and the
+ * poles need no special cases: straight-line (chord) distance between two
+ * unit vectors grows monotonically with great-circle distance, and the tree
+ * splits on plain Euclidean axes.
+ */
+
+const EARTH_RADIUS_KM = 6371;
+const DEG = Math.PI / 180;
+
+function toVector(lat, lon) {
+    const phi = lat * DEG;
+    const lambda = lon * DEG;
+    return [Math.cos(phi) * Math.cos(lambda), Math.cos(phi) * Math.sin(lambda), Math.sin(phi)];
+}
+
+function chordSquared(a, b) {
+    return (a[0] - b[0]) ** 2 + (a[1] - b[1]) ** 2 + (a[2] - b[2]) ** 2;
+}
+
+export function chordToKm(chord) {
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(chord / 2, 1));
+}
+
+export function kmToChord(km) {
+    return 2 * Math.sin(Math.min(km / EARTH_RADIUS_KM, Math.PI) / 2);
+}
+
+// Great-circle distance between two lat/lon points
+export function distanceKm(lat1, lon1, lat2, lon2) {
+    return chordToKm(Math.sqrt(chordSquared(toVector(lat1, lon1), toVector(lat2, lon2))));
+}
+
+export class KDTree {
+    // items: anything with numeric `lat` and `lon`
+    constructor(items = []) {
+        this.size = items.length;
+        this.root = this.build(items.map(item => ({ item, vector: toVector(item.lat, item.lon) })), 0);
+    }
+
+    build(entries, depth) {
+        if (entries.length === 0) return null;
+
+        const axis = depth % 3;
+        entries.sort((a, b) => a.vector[axis] - b.vector[axis]);
+        const median = entries.length >> 1;
+
+        return {
+            entry: entries[median],
+            axis,
+            left: this.build(entries.slice(0, median), depth + 1),
+            right: this.build(entries.slice(median + 1), depth + 1)
+        };
+    }
+
+    // k closest items, optionally within maxDistanceKm and passing `filter`
+    nearest(lat, lon, k = 1, options = {}) {
+        const { maxDistanceKm = Infinity, filter = null } = options;
+        const target = toVector(lat, lon);
+        const best = [];  // sorted ascending by squared chord
+        let limit = maxDistanceKm === Infinity ? Infinity : kmToChord(maxDistanceKm) ** 2;
+
+        const visit = node => {
+            if (!node) return;
+
+            const distance = chordSquared(node.entry.vector, target);
+            if (distance <= limit && (!filter || filter(node.entry.item))) {
+                const index = best.findIndex(candidate => candidate.distance > distance);
+                best.splice(index === -1 ? best.length : index, 0, { item: node.entry.item, distance });
+                if (best.length > k) best.pop();
+                if (best.length === k) limit = Math.min(limit, best[k - 1].distance);
+            }
+
+            const delta = target[node.axis] - node.entry.vector[node.axis];
+            const [near, far] = delta < 0 ? [node.left, node.right] : [node.right, node.left];
+            visit(near);
+            if (delta * delta <= limit) visit(far);
+        };
+
+        visit(this.root);
+        return best.map(({ item, distance }) => ({ item, distance_km: chordToKm(Math.sqrt(distance)) }));
+    }
+
+    // Every item within radiusKm, closest first
+    within(lat, lon, radiusKm, options = {}) {
+        const { filter = null } = options;
+        const target = toVector(lat, lon);
+        const limit = kmToChord(radiusKm) ** 2;
+        const found = [];
+
+        const visit = node => {
+            if (!node) return;
+
+            const distance = chordSquared(node.entry.vector, target);
+            if (distance <= limit && (!filter || filter(node.entry.item))) {
+                found.push({ item: node.entry.item, distance });
+            }
+
+            const delta = target[node.axis] - node.entry.vector[node.axis];
+            if (delta < 0 || delta * delta <= limit) visit(node.left);
+            if (delta >= 0 || delta * delta <= limit) visit(node.right);
+        };
+
+        visit(this.root);
+        return found
+            .sort((a, b) => a.distance - b.distance)
+            .map(({ item, distance }) => ({ item, distance_km: chordToKm(Math.sqrt(distance)) }));
+    }
+}
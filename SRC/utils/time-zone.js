@@ -0,0 +1,138 @@
+/**
+ * 🕰️ Time Zones
+ * DST-aware UTC offsets and local wall-clock times for IANA zones
+ *
+ * Offsets come from the runtime's own tz database through Intl, so any
+ * instant past or future gets the rule in force at that moment. No I/O -
+ * the browser modules share these with the server.
+ */
+
+const formatters = new Map();
+
+// Strict UTC ISO-8601 as produced by Date#toISOString and most upstream feeds
+const UTC_ISO_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?Z$/;
+
+function formatterFor(timeZone) {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        }));
+    }
+    return formatters.get(timeZone);
+}
+
+export function isValidTimeZone(timeZone) {
+    try {
+        formatterFor(timeZone);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Calendar fields of `instant` as a clock in `timeZone` shows them
+export function wallClock(instant, timeZone) {
+    const parts = {};
+    formatterFor(timeZone).formatToParts(new Date(instant)).forEach(({ type, value }) => {
+        if (type !== 'literal') parts[type] = parseInt(value, 10);
+    });
+    return parts;
+}
+
+// Minutes east of UTC, e.g. -240 for New York in summer
+export function offsetMinutes(timeZone, instant = Date.now()) {
+    const time = new Date(instant).getTime();
+    const clock = wallClock(time, timeZone);
+    const asUTC = Date.UTC(clock.year, clock.month - 1, clock.day, clock.hour, clock.minute, clock.second);
+    return Math.round((asUTC - Math.floor(time / 1000) * 1000) / 60000);
+}
+
+export function formatOffset(minutes) {
+    const sign = minutes < 0 ? '-' : '+';
+    const absolute = Math.abs(minutes);
+    return `${sign}${String(Math.floor(absolute / 60)).padStart(2, '0')}:${String(absolute % 60).padStart(2, '0')}`;
+}
+
+// Daylight saving is whichever of the January and July offsets is further east
+export function isDaylightSaving(timeZone, instant = Date.now()) {
+    const year = new Date(instant).getUTCFullYear();
+    const january = offsetMinutes(timeZone, Date.UTC(year, 0, 1));
+    const july = offsetMinutes(timeZone, Date.UTC(year, 6, 1));
+    return january !== july && offsetMinutes(timeZone, instant) === Math.max(january, july);
+}
+
+export function abbreviation(timeZone, instant = Date.now()) {
+    const part = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'short' })
+        .formatToParts(new Date(instant))
+        .find(({ type }) => type === 'timeZoneName');
+    return part ? part.value : null;
+}
+
+export function describeTimeZone(timeZone, instant = Date.now()) {
+    const minutes = offsetMinutes(timeZone, instant);
+    return {
+        id: timeZone,
+        utcOffset: formatOffset(minutes),
+        utcOffsetMinutes: minutes,
+        isDST: isDaylightSaving(timeZone, instant),
+        abbreviation: abbreviation(timeZone, instant)
+    };
+}
+
+// Zone for the longitude's 15° band when nothing better is known; Etc/GMT signs
+// are POSIX-style, so Etc/GMT+5 is five hours *behind* UTC
+export function nauticalZone(lon) {
+    const hours = Math.max(-12, Math.min(12, Math.round(lon / 15)));
+    if (hours === 0) return 'Etc/GMT';
+    return `Etc/GMT${hours > 0 ? '-' : '+'}${Math.abs(hours)}`;
+}
+
+// Same instant, written with the zone's offset: 2024-07-01T08:00:00.000-04:00
+export function toZonedISOString(instant, timeZone) {
+    const time = new Date(instant).getTime();
+    const clock = wallClock(time, timeZone);
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+    const milliseconds = ((time % 1000) + 1000) % 1000;
+
+    return `${pad(clock.year, 4)}-${pad(clock.month)}-${pad(clock.day)}T${pad(clock.hour)}:${pad(clock.minute)}:${pad(clock.second)}` +
+        `.${pad(milliseconds, 3)}${formatOffset(offsetMinutes(timeZone, time))}`;
+}
+
+// The instant a clock in `timeZone` reads the given local time; month is 1-12
+export function zonedDateTime(timeZone, year, month, day, hour = 0, minute = 0) {
+    const local = Date.UTC(year, month - 1, day, hour, minute);
+    let guess = local - offsetMinutes(timeZone, local) * 60000;
+    // A second pass settles times near a DST transition
+    guess = local - offsetMinutes(timeZone, guess) * 60000;
+    return new Date(guess);
+}
+
+// Rewrite every Date and UTC ISO string in a response into the zone's local offset
+export function localizeTimes(data, timeZone) {
+    if (!timeZone) return data;
+
+    const walk = value => {
+        if (value instanceof Date) {
+            return isNaN(value.getTime()) ? value : toZonedISOString(value, timeZone);
+        }
+        if (typeof value === 'string') {
+            return UTC_ISO_PATTERN.test(value) ? toZonedISOString(value, timeZone) : value;
+        }
+        if (Array.isArray(value)) {
+            return value.map(walk);
+        }
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, walk(entry)]));
+        }
+        return value;
+    };
+
+    return { ...walk(data), timeZone: describeTimeZone(timeZone) };
+}
@@ -0,0 +1,213 @@
+/**
+ * 📏 Unit Converter
+ * Converts canonical metric weather data into the unit system a client asks for
+ *
+ * Data systems always work in metric (see observation-schema.js). Conversion
+ * happens only at the response edge: unit-suffixed fields (`temp_c`,
+ * `wind_kph`, ...) are converted and renamed to the target suffix, and any
+ * unsuffixed fields can be mapped to a quantity explicitly.
+ */
+
+const QUANTITY_SUFFIXES = [
+    { suffix: '_mmhr', quantity: 'precipitationRate' },
+    { suffix: '_kph', quantity: 'speed' },
+    { suffix: '_mb', quantity: 'pressure' },
+    { suffix: '_mm', quantity: 'precipitation' },
+    { suffix: '_km', quantity: 'distance' },
+    { suffix: '_c', quantity: 'temperature' },
+    { suffix: '_m', quantity: 'length' }
+];
+
+const METRIC = {
+    temperature:       { unit: '°C', suffix: '_c', convert: value => value },
+    temperatureDelta:  { unit: '°C', suffix: '_c', convert: value => value },
+    speed:             { unit: 'km/h', suffix: '_kph', convert: value => value },
+    pressure:          { unit: 'hPa', suffix: '_mb', convert: value => value },
+    precipitation:     { unit: 'mm', suffix: '_mm', convert: value => value },
+    precipitationRate: { unit: 'mm/h', suffix: '_mmhr', convert: value => value },
+    length:            { unit: 'm', suffix: '_m', convert: value => value },
+    distance:          { unit: 'km', suffix: '_km', convert: value => value }
+};
+
+export const UNIT_SYSTEMS = {
+    metric: METRIC,
+    imperial: {
+        temperature:       { unit: '°F', suffix: '_f', convert: value => value * 9 / 5 + 32 },
+        // Spreads and differences scale but never shift
+        temperatureDelta:  { unit: '°F', suffix: '_f', convert: value => value * 9 / 5 },
+        speed:             { unit: 'mph', suffix: '_mph', convert: value => value / 1.609344 },
+        pressure:          { unit: 'inHg', suffix: '_in', convert: value => value * 0.0295299830714 },
+        precipitation:     { unit: 'in', suffix: '_in', convert: value => value / 25.4 },
+        precipitationRate: { unit: 'in/h', suffix: '_inhr', convert: value => value / 25.4 },
+        length:            { unit: 'ft', suffix: '_ft', convert: value => value / 0.3048 },
+        distance:          { unit: 'mi', suffix: '_miles', convert: value => value / 1.609344 }
+    },
+    // SI with marine conventions: knots and nautical miles
+    nautical: {
+        ...METRIC,
+        speed:             { unit: 'kt', suffix: '_kt', convert: value => value / 1.852 },
+        distance:          { unit: 'nmi', suffix: '_nmi', convert: value => value / 1.852 }
+    }
+};
+
+const SYSTEM_ALIASES = {
+    metric: 'metric',
+    imperial: 'imperial',
+    us: 'imperial',
+    nautical: 'nautical',
+    si: 'nautical',
+    marine: 'nautical'
+};
+
+// Regions that default to imperial units when no system is requested
+const IMPERIAL_REGIONS = ['US', 'LR', 'MM'];
+
+export default class UnitConverter {
+    constructor(defaultSystem = 'metric') {
+        if (!UNIT_SYSTEMS[defaultSystem]) {
+            throw new Error(`Unknown default unit system: ${defaultSystem}`);
+        }
+        this.defaultSystem = defaultSystem;
+    }
+
+    // Explicit ?units= wins, then the caller's locale, then the default
+    resolveSystem(requested, locale) {
+        if (requested !== undefined && requested !== '') {
+            const system = SYSTEM_ALIASES[String(requested).toLowerCase()];
+            if (!system) {
+                const error = new Error(`Unknown unit system: ${requested}. Use one of ${Object.keys(UNIT_SYSTEMS).join(', ')}`);
+                error.status = 400;
+                throw error;
+            }
+            return system;
+        }
+
+        return this.systemForLocale(locale);
+    }
+
+    systemForLocale(locale) {
+        if (!locale) return this.defaultSystem;
+
+        // Accept-Language style: "en-US,en;q=0.9" - the first tag decides
+        const primary = String(locale).split(',')[0].trim();
+        const region = primary.split(/[-_]/)[1]?.toUpperCase();
+
+        return IMPERIAL_REGIONS.includes(region) ? 'imperial' : this.defaultSystem;
+    }
+
+    // Quantity measured by a unit-suffixed canonical field, e.g. temp_c -> temperature
+    quantityForField(field) {
+        return QUANTITY_SUFFIXES.find(({ suffix }) => field.endsWith(suffix))?.quantity ?? null;
+    }
+
+    // Errors and spreads of a quantity convert without an offset
+    deltaQuantity(quantity) {
+        return quantity === 'temperature' ? 'temperatureDelta' : quantity;
+    }
+
+    convert(value, quantity, system) {
+        if (typeof value !== 'number' || !Number.isFinite(value)) return value;
+        const target = UNIT_SYSTEMS[system][quantity];
+        return target ? Math.round(target.convert(value) * 100) / 100 : value;
+    }
+
+    // Variances (semivariogram nugget and sill) scale with the square of an offset-free quantity
+    convertSquared(value, quantity, system) {
+        if (typeof value !== 'number' || !Number.isFinite(value)) return value;
+        const target = UNIT_SYSTEMS[system][quantity];
+        if (!target) return value;
+        const scale = target.convert(1) - target.convert(0);
+        return Math.round(value * scale * scale * 10000) / 10000;
+    }
+
+    // Walk a response, converting suffixed fields and any explicitly mapped ones
+    convertData(data, system, quantities = {}) {
+        if (system === 'metric') return data;
+
+        if (Array.isArray(data)) {
+            return data.map(item => this.convertData(item, system, quantities));
+        }
+
+        if (!data || typeof data !== 'object' || data instanceof Date) {
+            return data;
+        }
+
+        const converted = {};
+
+        Object.entries(data).forEach(([key, value]) => {
+            const explicit = quantities[key];
+            if (explicit) {
+                converted[key] = this.convertValues(value, explicit, system);
+                return;
+            }
+
+            const match = QUANTITY_SUFFIXES.find(({ suffix }) => key.endsWith(suffix));
+            if (match) {
+                const target = UNIT_SYSTEMS[system][match.quantity];
+                const renamed = key.slice(0, -match.suffix.length) + target.suffix;
+                converted[renamed] = this.convertMeasurement(value, match.quantity, system);
+                return;
+            }
+
+            converted[key] = this.convertData(value, system, quantities);
+        });
+
+        return converted;
+    }
+
+    // A suffixed field's payload: a number, or a fused result whose `value` (and the values of its
+    // contributions and rejections) is in the field's unit while `uncertainty` is a spread
+    convertMeasurement(value, quantity, system) {
+        if (Array.isArray(value)) {
+            return value.map(item => this.convertMeasurement(item, quantity, system));
+        }
+        if (!value || typeof value !== 'object') {
+            return this.convert(value, quantity, system);
+        }
+
+        const converted = {};
+        Object.entries(value).forEach(([key, item]) => {
+            if (key === 'value') {
+                converted[key] = this.convert(item, quantity, system);
+            } else if (key === 'uncertainty') {
+                converted[key] = this.convert(item, this.deltaQuantity(quantity), system);
+            } else {
+                converted[key] = item && typeof item === 'object' ? this.convertMeasurement(item, quantity, system) : item;
+            }
+        });
+        return converted;
+    }
+
+    // Numbers, or arrays of them (grids), of one explicit quantity; `{ quantity, squared }` for variances
+    convertValues(value, quantity, system) {
+        if (Array.isArray(value)) {
+            return value.map(item => this.convertValues(item, quantity, system));
+        }
+        if (typeof quantity === 'object') {
+            return quantity.squared
+                ? this.convertSquared(value, quantity.quantity, system)
+                : this.convertValues(value, quantity.quantity, system);
+        }
+        return typeof value === 'number' ? this.convert(value, quantity, system) : value;
+    }
+
+    describe(system) {
+        const units = { system };
+        Object.entries(UNIT_SYSTEMS[system]).forEach(([quantity, spec]) => {
+            units[quantity] = spec.unit;
+        });
+        return units;
+    }
+
+    // Converted payload plus a declaration of the unit system it uses
+    formatResponse(data, system, quantities = {}) {
+        if (Array.isArray(data)) {
+            return data.map(item => this.formatResponse(item, system, quantities));
+        }
+
+        return {
+            ...this.convertData(data, system, quantities),
+            units: this.describe(system)
+        };
+    }
+}
@@ -0,0 +1,82 @@
+/**
+ * 🏙️ Fetch gazetteer
+ * Downloads a GeoNames cities export and its admin1 names for the gazetteer
+ *
+ *   npm run gazetteer:fetch            (cities15000: population above 15,000)
+ *   npm run gazetteer:fetch -- cities5000
+ *
+ * Writes <export>.txt and admin1CodesASCII.txt to the directory of
+ * GAZETTEER_PATH (default data/gazetteer). Point GAZETTEER_PATH at the .txt
+ * and restart the server to use it instead of the bundled cities.tsv.
+ * GeoNames data is licensed CC BY 4.0 (https://www.geonames.org).
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import zlib from 'zlib';
+
+const DUMP_URL = 'https://download.geonames.org/export/dump';
+const EXPORTS = ['cities500', 'cities1000', 'cities5000', 'cities15000'];
+
+async function download(url) {
+    const response = await fetch(url, { signal: AbortSignal.timeout(5 * 60 * 1000) });
+    if (!response.ok) {
+        throw new Error(`${url} responded ${response.status}`);
+    }
+    return Buffer.from(await response.arrayBuffer());
+}
+
+// GeoNames zips hold a single file; read it through the central directory
+function unzipEntry(archive, entryName) {
+    const end = archive.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+    if (end < 0) throw new Error('not a zip archive');
+
+    let offset = archive.readUInt32LE(end + 16);
+    const entries = archive.readUInt16LE(end + 10);
+
+    for (let i = 0; i < entries; i++) {
+        const method = archive.readUInt16LE(offset + 10);
+        const compressedSize = archive.readUInt32LE(offset + 20);
+        const nameLength = archive.readUInt16LE(offset + 28);
+        const headerOffset = archive.readUInt32LE(offset + 42);
+        const name = archive.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+        if (name === entryName) {
+            const dataStart = headerOffset + 30 + archive.readUInt16LE(headerOffset + 26) + archive.readUInt16LE(headerOffset + 28);
+            const data = archive.subarray(dataStart, dataStart + compressedSize);
+            return method === 0 ? data : zlib.inflateRawSync(data);
+        }
+
+        offset += 46 + nameLength + archive.readUInt16LE(offset + 30) + archive.readUInt16LE(offset + 32);
+    }
+
+    throw new Error(`${entryName} is not in the archive`);
+}
+
+const name = process.argv[2] || 'cities15000';
+if (!EXPORTS.includes(name)) {
+    console.error(`Usage: npm run gazetteer:fetch -- [${EXPORTS.join('|')}]`);
+    process.exit(1);
+}
+
+const directory = path.dirname(path.resolve(process.env.GAZETTEER_PATH || 'data/gazetteer/cities.tsv'));
+const citiesPath = path.join(directory, `${name}.txt`);
+
+try {
+    const [archive, admin1] = await Promise.all([
+        download(`${DUMP_URL}/${name}.zip`),
+        download(`${DUMP_URL}/admin1CodesASCII.txt`)
+    ]);
+    const cities = unzipEntry(archive, `${name}.txt`);
+
+    await fs.mkdir(directory, { recursive: true });
+    await fs.writeFile(path.join(directory, 'admin1CodesASCII.txt'), admin1);
+    await fs.writeFile(citiesPath, cities);
+
+    const places = cities.toString('utf8').split('\n').filter(Boolean).length;
+    console.log(`🏙️ ${places} GeoNames places saved to ${citiesPath}`);
+    console.log(`🏙️ Set GAZETTEER_PATH=${citiesPath} and restart the server to use them`);
+} catch (error) {
+    console.error('🏙️ Gazetteer download failed:', error.message);
+    process.exit(1);
+}
@@ -0,0 +1,40 @@
+/**
+ * 🌐 Fetch IP ranges
+ * Downloads the month's DB-IP "IP to City Lite" database to IP_LOCATION_DB_PATH
+ *
+ *   npm run ip-ranges:fetch
+ *
+ * DB-IP Lite is licensed CC BY 4.0: pages that show IP-based locations must
+ * credit DB-IP (https://db-ip.com). Restart the server to load a new release.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+
+const RELEASE_URL = 'https://download.db-ip.com/free/dbip-city-lite-{month}.csv.gz';
+
+const databasePath = path.resolve(process.env.IP_LOCATION_DB_PATH || 'data/ip-ranges/ip-city.csv');
+const month = new Date().toISOString().slice(0, 7);
+const url = RELEASE_URL.replace('{month}', month);
+const partialPath = `${databasePath}.tmp`;
+
+try {
+    const response = await fetch(url, { signal: AbortSignal.timeout(10 * 60 * 1000) });
+    if (!response.ok) {
+        throw new Error(`${url} responded ${response.status}`);
+    }
+
+    await fs.promises.mkdir(path.dirname(databasePath), { recursive: true });
+    await pipeline(Readable.fromWeb(response.body), zlib.createGunzip(), fs.createWriteStream(partialPath));
+    await fs.promises.rename(partialPath, databasePath);
+
+    const { size } = await fs.promises.stat(databasePath);
+    console.log(`🌐 DB-IP City Lite ${month} saved to ${databasePath} (${Math.round(size / 1024 / 1024)} MB)`);
+} catch (error) {
+    await fs.promises.rm(partialPath, { force: true });
+    console.error('🌐 IP-range download failed:', error.message);
+    process.exit(1);
+}
@@ -0,0 +1,78 @@
+/**
+ * 🌙 Fetch tide stations
+ * Downloads NOAA CO-OPS harmonic constants and datums into TIDE_STATIONS_DIR
+ *
+ *   npm run tides:fetch -- 8518750 9414290
+ *
+ * Each station is written as <id>.json in the shape TidePredictor loads:
+ * NOAA's `HarmonicConstituents` as published, with heights against MLLW.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+const METADATA_URL = 'https://api.tidesandcurrents.noaa.gov/mdapi/prod/webapi/stations';
+
+async function getJSON(url) {
+    const response = await fetch(url, { signal: AbortSignal.timeout(30000) });
+    if (!response.ok) {
+        throw new Error(`${url} responded ${response.status}`);
+    }
+    return await response.json();
+}
+
+async function fetchStation(id) {
+    const [metadata, harcon, datums] = await Promise.all([
+        getJSON(`${METADATA_URL}/${id}.json`),
+        getJSON(`${METADATA_URL}/${id}/harcon.json?units=metric`),
+        getJSON(`${METADATA_URL}/${id}/datums.json?units=metric`)
+    ]);
+
+    const station = metadata.stations?.[0];
+    if (!station) {
+        throw new Error(`NOAA has no station ${id}`);
+    }
+
+    const datum = name => datums.datums?.find(entry => entry.name === name)?.value;
+    const msl = datum('MSL');
+    const mllw = datum('MLLW');
+    if (!Number.isFinite(msl) || !Number.isFinite(mllw)) {
+        throw new Error(`station ${id} has no MSL / MLLW datums`);
+    }
+
+    return {
+        id: String(station.id),
+        name: station.name,
+        lat: station.lat,
+        lon: station.lng,
+        datum: 'MLLW',
+        msl_m: Math.round((msl - mllw) * 1000) / 1000,
+        source: `NOAA CO-OPS harmonic constants, retrieved ${new Date().toISOString().split('T')[0]}`,
+        HarmonicConstituents: (harcon.HarmonicConstituents || [])
+            .filter(constituent => constituent.amplitude > 0)
+            .map(({ name, amplitude, phase_GMT, speed }) => ({ name, amplitude, phase_GMT, speed }))
+    };
+}
+
+const ids = process.argv.slice(2);
+if (ids.length === 0) {
+    console.error('Usage: npm run tides:fetch -- <station id>...');
+    process.exit(1);
+}
+
+const directory = path.resolve(process.env.TIDE_STATIONS_DIR || 'data/tides');
+await fs.mkdir(directory, { recursive: true });
+
+let failed = 0;
+for (const id of ids) {
+    try {
+        const station = await fetchStation(id);
+        await fs.writeFile(path.join(directory, `${station.id}.json`), JSON.stringify(station, null, 2) + '\n');
+        console.log(`🌙 ${station.id} ${station.name}: ${station.HarmonicConstituents.length} constituents`);
+    } catch (error) {
+        failed++;
+        console.error(`🌙 Station ${id} failed:`, error.message);
+    }
+}
+
+process.exit(failed > 0 ? 1 : 0);
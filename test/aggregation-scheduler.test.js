@@ -0,0 +1,183 @@
+/**
+ * ⏱️ Aggregation scheduler runs, persisted state and manual "run now"
+ */
+
+import { describe, it, before, after, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { AggregationScheduler, parseLocations } from '../SRC/data-systems/aggregation-scheduler.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const NEW_YORK = { lat: 40.7128, lon: -74.006, name: 'New York' };
+const BOSTON = { lat: 42.3601, lon: -71.0589, name: 'Boston' };
+
+// Aggregator stand-in whose refreshes answer from a per-location script
+function createAggregator(refresh = async () => ({ observations: 3 })) {
+    const aggregator = {
+        dataSources: {
+            WEATHER: { refreshInterval: HOUR_MS },
+            NASA: { refreshInterval: 6 * HOUR_MS },
+            STATIC: {}
+        },
+        calls: [],
+        refreshSource: async (source, location) => {
+            aggregator.calls.push([source, location.name]);
+            return refresh(source, location);
+        }
+    };
+    return aggregator;
+}
+
+describe('parseLocations', () => {
+    it('reads "lat,lon[,name]" entries separated by semicolons', () => {
+        assert.deepEqual(parseLocations(' 40.7128,-74.006,New York, NY ; 42.36,-71.06 ;'), [
+            { lat: 40.7128, lon: -74.006, name: 'New York,NY' },
+            { lat: 42.36, lon: -71.06, name: null }
+        ]);
+        assert.deepEqual(parseLocations(undefined), []);
+    });
+
+    it('rejects coordinates off the globe', () => {
+        assert.throws(() => parseLocations('40.7,-190'), /Invalid watched location/);
+        assert.throws(() => parseLocations('north,west'), /Invalid watched location/);
+    });
+});
+
+describe('AggregationScheduler', () => {
+    let directory;
+    let count = 0;
+    const schedulers = [];
+    const createScheduler = (aggregator, options = {}) => {
+        const scheduler = new AggregationScheduler(aggregator, {
+            statePath: path.join(directory, `${count++}`, 'state.json'),
+            locations: [NEW_YORK, BOSTON],
+            locationSpacingMs: 0,
+            startStaggerMs: 0,
+            ...options
+        });
+        schedulers.push(scheduler);
+        return scheduler;
+    };
+
+    before(async () => {
+        ['log', 'warn'].forEach(method => mock.method(console, method, () => {}));
+        directory = await fs.mkdtemp(path.join(os.tmpdir(), 'aggregation-scheduler-'));
+    });
+
+    afterEach(() => mock.timers.reset());
+
+    after(async () => {
+        schedulers.forEach(scheduler => scheduler.stop());
+        mock.restoreAll();
+        await fs.rm(directory, { recursive: true, force: true });
+    });
+
+    it('creates one job per source with a refresh interval', () => {
+        const scheduler = createScheduler(createAggregator(), { sourceLocations: { NASA: [BOSTON] } });
+
+        assert.deepEqual(Array.from(scheduler.jobs.keys()), ['WEATHER', 'NASA']);
+        assert.deepEqual(scheduler.jobs.get('WEATHER').locations, [NEW_YORK, BOSTON]);
+        assert.deepEqual(scheduler.jobs.get('NASA').locations, [BOSTON]);
+    });
+
+    it('walks every watched location and counts a run as failed only when all of them fail', async () => {
+        const aggregator = createAggregator(async (source, location) => {
+            if (location.name === 'Boston') throw new Error('provider responded 503');
+            return { observations: 3 };
+        });
+        const scheduler = createScheduler(aggregator);
+
+        const partial = await scheduler.runJob('WEATHER', 'manual');
+
+        assert.deepEqual(aggregator.calls, [['WEATHER', 'New York'], ['WEATHER', 'Boston']]);
+        assert.equal(partial.failures, 0);
+        assert.equal(partial.lastError, 'Boston: provider responded 503');
+        assert.equal(partial.locations['New York'].observations, 3);
+        assert.equal(partial.locations.Boston.error, 'provider responded 503');
+
+        const failing = createScheduler(createAggregator(async () => { throw new Error('offline'); }));
+        const failed = await failing.runJob('WEATHER', 'manual');
+        assert.equal(failed.failures, 1);
+        assert.equal(failed.lastSuccessAt, null);
+    });
+
+    it('refreshes a location-independent source once per run', async () => {
+        const aggregator = createAggregator();
+        await createScheduler(aggregator).runJob('NASA', 'manual');
+
+        assert.deepEqual(aggregator.calls, [['NASA', 'New York']]);
+    });
+
+    it('answers 409 to "run now" while the job is running and skips overlapping ticks', async () => {
+        let finish;
+        const aggregator = createAggregator(() => new Promise(resolve => { finish = resolve; }));
+        const scheduler = createScheduler(aggregator, { locations: [NEW_YORK] });
+
+        const started = await scheduler.runNow('weather');
+        assert.equal(started.running, true);
+        assert.equal(started.lastTrigger, null);
+
+        await assert.rejects(scheduler.runNow('WEATHER'), error => error.status === 409);
+        assert.equal(await scheduler.runJob('WEATHER', 'schedule'), null);
+        assert.equal(scheduler.jobs.get('WEATHER').state.skippedOverlaps, 1);
+
+        finish({ observations: 1 });
+        await scheduler.saveQueue;
+        await new Promise(resolve => setImmediate(resolve));
+
+        const job = scheduler.getStatus().jobs.find(status => status.source === 'WEATHER');
+        assert.equal(job.running, false);
+        assert.equal(job.lastTrigger, 'manual');
+        assert.equal(aggregator.calls.length, 1);
+    });
+
+    it('answers 404 for an unknown source and 400 when nothing is watched', async () => {
+        const scheduler = createScheduler(createAggregator(), { locations: [] });
+
+        await assert.rejects(scheduler.runNow('TIDES'), error => error.status === 404);
+        await assert.rejects(scheduler.runNow('WEATHER'), error => error.status === 400);
+    });
+
+    it('saves its state after a run and picks the schedule up from it after a restart', async () => {
+        mock.timers.enable({ apis: ['Date', 'setTimeout'], now: Date.parse('2026-10-19T12:00:00Z') });
+        const statePath = path.join(directory, 'restart', 'state.json');
+        const aggregator = createAggregator();
+
+        await createScheduler(aggregator, { statePath, locations: [NEW_YORK] }).runJob('WEATHER', 'manual');
+        const saved = JSON.parse(await fs.readFile(statePath, 'utf8'));
+        assert.equal(saved.format, 1);
+        assert.equal(saved.jobs.WEATHER.lastRunAt, '2026-10-19T12:00:00.000Z');
+        assert.equal(saved.jobs.WEATHER.runs, 1);
+
+        // Back up 20 minutes later: the next run is due one interval after the last, not now
+        mock.timers.tick(20 * 60 * 1000);
+        const restarted = createScheduler(aggregator, { statePath, locations: [NEW_YORK] });
+        await restarted.start();
+
+        const weather = restarted.jobs.get('WEATHER');
+        assert.equal(weather.state.runs, 1);
+        assert.equal(weather.nextRunAt, '2026-10-19T13:00:00.000Z');
+        // Never run before, so due at once - after the one-second floor
+        assert.equal(restarted.jobs.get('NASA').nextRunAt, '2026-10-19T12:20:01.000Z');
+
+        aggregator.calls.length = 0;
+        mock.timers.tick(40 * 60 * 1000 - 1);
+        assert.deepEqual(aggregator.calls, [['NASA', 'New York']]);
+        mock.timers.tick(1);
+        assert.deepEqual(aggregator.calls, [['NASA', 'New York'], ['WEATHER', 'New York']]);
+        restarted.stop();
+    });
+
+    it('ignores a state file it cannot read', async () => {
+        const statePath = path.join(directory, 'torn', 'state.json');
+        await fs.mkdir(path.dirname(statePath), { recursive: true });
+        await fs.writeFile(statePath, '{"format":1,"jobs":');
+
+        const scheduler = createScheduler(createAggregator(), { statePath });
+        await scheduler.loadState();
+
+        assert.equal(scheduler.jobs.get('WEATHER').state.runs, 0);
+    });
+});
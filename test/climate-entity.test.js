@@ -0,0 +1,160 @@
+/**
+ * 🧠 Climate entity weather analysis on cached results and history from the store
+ */
+
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import ClimateEntity from '../SRC/ai-climate-entity/climate-entity.js';
+import { ObservationStore } from '../SRC/data-systems/observation-store.js';
+import { ObservationSchema } from '../SRC/data-systems/observation-schema.js';
+
+function weatherResult(timestamp, lat = 45.52, lon = -122.68) {
+    return { location: { lat, lon, type: 'current' }, timestamp };
+}
+
+describe('ClimateEntity.claimWeatherFetch', () => {
+    it('claims each provider fetch once however often the cache returns it', () => {
+        const entity = new ClimateEntity({ observationStore: {} });
+        const fetched = weatherResult(new Date('2026-10-19T12:00:00Z'));
+
+        assert.equal(entity.claimWeatherFetch(fetched), true);
+        assert.equal(entity.claimWeatherFetch(fetched), false);
+        // A persisted entry comes back with its timestamp as a string
+        assert.equal(entity.claimWeatherFetch(weatherResult('2026-10-19T12:00:00.000Z', 45.521, -122.681)), false);
+        assert.equal(entity.claimWeatherFetch(weatherResult(new Date('2026-10-19T12:10:00Z'))), true);
+    });
+
+    it('tracks grid cells separately', () => {
+        const entity = new ClimateEntity({ observationStore: {} });
+        const timestamp = new Date('2026-10-19T12:00:00Z');
+
+        assert.equal(entity.claimWeatherFetch(weatherResult(timestamp)), true);
+        assert.equal(entity.claimWeatherFetch(weatherResult(timestamp, 40.71, -74.01)), true);
+    });
+
+    it('stores and verifies a cached result only on the request that fetched it', async () => {
+        const entity = new ClimateEntity({ observationStore: {} });
+        const weather = { ...weatherResult(new Date()), observations: [{ temp_c: 12 }], fusedData: {} };
+        const stored = mock.method(entity, 'storeObservations', async () => {});
+        const verified = mock.method(entity, 'verifyProviders', async () => {});
+        const issued = mock.method(entity, 'issueAndVerifyForecast', async () => {});
+
+        entity.initialized = true;
+        entity.resolveLocation = async () => ({ lat: 45.52, lon: -122.68 });
+        entity.weatherSystem = { integration: { getWeatherData: async () => weather } };
+        entity.buildCurrentConditions = () => ({ current: { condition: {} } });
+        entity.emotionalMatrix = { processWeather: () => ({}), getMoodDescription: () => null };
+        entity.evaluateWeatherDecision = async () => null;
+        entity.generateWeatherInsights = () => [];
+        entity.describeConsensus = () => null;
+
+        await entity.getWeatherAnalysis({ city: 'Portland' });
+        await entity.getWeatherAnalysis({ city: 'Portland' });
+
+        assert.equal(stored.mock.callCount(), 1);
+        assert.equal(verified.mock.callCount(), 1);
+        assert.equal(issued.mock.callCount(), 1);
+    });
+});
+
+describe('ClimateEntity.getWeatherHistory', () => {
+    const schema = new ObservationSchema();
+    const NEW_YORK = { lat: 40.7128, lon: -74.006 };
+    const RANGE = { from: '2026-10-17T00:00:00Z', to: '2026-10-19T00:00:00Z' };
+
+    const hours = (day, from, to, values, source) => Array.from({ length: to - from }, (_, index) => {
+        const hour = from + index;
+        return schema.create(values(hour), {
+            ...NEW_YORK,
+            time: `${day}T${String(hour).padStart(2, '0')}:00:00.000Z`,
+            system: 'WEATHER',
+            ...source
+        });
+    });
+
+    let directory;
+    let entity;
+    let requestedDays;
+
+    before(async () => {
+        ['log', 'warn'].forEach(method => mock.method(console, method, () => {}));
+        mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-10-19T12:00:00Z') });
+        directory = await fs.mkdtemp(path.join(os.tmpdir(), 'weather-history-'));
+
+        const observationStore = new ObservationStore({ directory });
+        observationStore.lastRetentionRun = Infinity;
+        // The 17th is fully covered, the 18th only until noon
+        await observationStore.append([
+            ...hours('2026-10-17', 0, 24, hour => ({ temp_c: hour, precip_mm: 0.5 }), { provider: 'WEATHERAPI', station: 'KNYC' }),
+            ...hours('2026-10-18', 0, 12, () => ({ temp_c: 10 }), { provider: 'WEATHERAPI', station: 'KNYC' })
+        ]);
+
+        requestedDays = [];
+        entity = new ClimateEntity({ observationStore });
+        entity.initialized = true;
+        entity.weatherSystem = {
+            integration: {
+                getHistoricalWeather: async (location, days) => {
+                    requestedDays.push(...days);
+                    const observations = days.flatMap(day => hours(day, 0, 24, () => ({ temp_c: 12, precip_mm: 0.25 }), { provider: 'OPENMETEO' }));
+                    return { observations, providers: { OPENMETEO: observations.length }, failedProviders: [] };
+                }
+            }
+        };
+    });
+
+    after(async () => {
+        mock.timers.reset();
+        mock.restoreAll();
+        await fs.rm(directory, { recursive: true, force: true });
+    });
+
+    it('asks providers only for days with uncovered hours', async () => {
+        const history = await entity.getWeatherHistory(NEW_YORK, RANGE);
+
+        assert.deepEqual(requestedDays, ['2026-10-18']);
+        assert.deepEqual(history.filledDays, ['2026-10-18']);
+        assert.deepEqual(history.sources, { store: 36, providers: { OPENMETEO: 24 } });
+        assert.equal(history.to, '2026-10-19T00:00:00.000Z');
+    });
+
+    it('merges overlapping providers into one hourly mean', async () => {
+        const { series } = await entity.getWeatherHistory(NEW_YORK, RANGE);
+
+        assert.equal(series.length, 48);
+        assert.deepEqual([series[0].temp_c, series[23].temp_c], [0, 23]);
+        // Stored 10 °C and the provider's 12 °C before noon, the provider alone after it
+        assert.deepEqual([series[24].temp_c, series[35].temp_c, series[36].temp_c], [11, 11, 12]);
+    });
+
+    it('answers later requests from what it stored', async () => {
+        requestedDays.length = 0;
+        const history = await entity.getWeatherHistory(NEW_YORK, RANGE);
+
+        assert.deepEqual(requestedDays, []);
+        assert.deepEqual(history.filledDays, []);
+        assert.equal(history.sources.store, 60);
+    });
+
+    it('rolls hours up into daily means, extremes and precipitation totals', async () => {
+        const { series } = await entity.getWeatherHistory(NEW_YORK, { ...RANGE, interval: 'daily' });
+
+        assert.deepEqual(series.map(day => [day.time, day.temp_c, day.temp_min_c, day.temp_max_c, day.precip_mm]), [
+            ['2026-10-17T00:00:00.000Z', 11.5, 0, 23, 12],
+            ['2026-10-18T00:00:00.000Z', 11.5, 11, 12, 6]
+        ]);
+    });
+
+    it('rejects ranges it cannot answer with a 400', async () => {
+        const rejected = options => assert.rejects(entity.getWeatherHistory(NEW_YORK, options), error => error.status === 400);
+
+        await rejected({ from: 'last tuesday' });
+        await rejected({ from: '2026-10-18T00:00:00Z', to: '2026-10-17T00:00:00Z' });
+        await rejected({ from: '2026-10-20T00:00:00Z', to: '2026-10-21T00:00:00Z' });
+        await rejected({ from: '2026-08-01T00:00:00Z', to: '2026-10-01T00:00:00Z' });
+        await rejected({ ...RANGE, interval: 'weekly' });
+    });
+});
@@ -0,0 +1,53 @@
+/**
+ * 🤝 Consensus weighted by verified provider error
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ConsensusFusion, ProviderSkillTracker } from '../SRC/data-systems/consensus-fusion.js';
+import { ObservationSchema } from '../SRC/data-systems/observation-schema.js';
+
+const NEW_YORK = { lat: 40.7128, lon: -74.006 };
+const TIME = '2026-10-19T12:00:00.000Z';
+const schema = new ObservationSchema();
+
+function reading(provider, temp_c, context = {}) {
+    return schema.create({ temp_c, time: TIME }, { ...NEW_YORK, system: 'WEATHER', provider, ...context });
+}
+
+describe('ConsensusFusion', () => {
+    it('learns nothing from providers agreeing with each other', () => {
+        const fusion = new ConsensusFusion({ skill: new ProviderSkillTracker() });
+
+        fusion.fuse([reading('WEATHERAPI', 12), reading('OPENWEATHER', 12.2), reading('TOMORROW', 15)], NEW_YORK);
+
+        assert.equal(fusion.skill.getError('TOMORROW', 'temp_c', NEW_YORK.lat, NEW_YORK.lon), null);
+    });
+
+    it('weights providers by their error against a nearby station measurement', () => {
+        const fusion = new ConsensusFusion({ skill: new ProviderSkillTracker() });
+        const providers = [reading('WEATHERAPI', 12), reading('OPENWEATHER', 15)];
+        // A buoy 5 km offshore, half an hour later
+        const buoy = schema.create(
+            { temp_c: 14.8, time: '2026-10-19T12:30:00.000Z' },
+            { lat: 40.67, lon: -74.02, system: 'OCEAN', provider: 'NDBC', station: '44065' }
+        );
+
+        assert.equal(fusion.verify(providers, [buoy, ...providers]), 2);
+        assert.ok(Math.abs(fusion.skill.getError('WEATHERAPI', 'temp_c', NEW_YORK.lat, NEW_YORK.lon) - 2.8) < 1e-9);
+
+        const { consensus } = fusion.fuse(providers, NEW_YORK);
+        assert.equal(consensus.temp_c.winner, 'OPENWEATHER');
+        assert.ok(consensus.temp_c.value > 14.5);
+    });
+
+    it('treats the NWS station reading as a measurement rather than a provider to verify', () => {
+        const fusion = new ConsensusFusion({ skill: new ProviderSkillTracker() });
+        const nws = reading('WEATHER_GOV', 13);
+        const distant = schema.create({ temp_c: 20, time: TIME }, { lat: 41.5, lon: -74.0, system: 'OCEAN', provider: 'NDBC', station: '44000' });
+
+        assert.equal(fusion.verify([nws, reading('TOMORROW', 14)], [nws, distant]), 1);
+        assert.equal(fusion.skill.getError('WEATHER_GOV', 'temp_c', NEW_YORK.lat, NEW_YORK.lon), null);
+        assert.equal(fusion.skill.getError('TOMORROW', 'temp_c', NEW_YORK.lat, NEW_YORK.lon), 1);
+    });
+});
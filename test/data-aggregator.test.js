@@ -0,0 +1,104 @@
+/**
+ * 🔄 Data aggregation against recorded ocean, radar, NASA and weather responses
+ * Replays test/fixtures/http through every processor DataAggregator fans out to
+ */
+
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+const NEW_YORK = { lat: 40.7128, lon: -74.006 };
+// The fixtures were recorded at noon UTC; strike ages and storm scans are judged against this clock
+const RECORDED_AT = Date.parse('2026-10-19T12:00:00Z');
+
+process.env.HTTP_REPLAY_MODE = 'replay';
+process.env.HTTP_FIXTURES_DIR = path.join(FIXTURES_DIR, 'http');
+process.env.STATION_CATALOG_PATH = path.join(FIXTURES_DIR, 'stations', 'catalog.json');
+['OPENWEATHER_API_KEY', 'WEATHERAPI_KEY', 'AERIS_CLIENT_ID', 'AERIS_CLIENT_SECRET'].forEach(name => {
+    process.env[name] = 'test';
+});
+
+describe('DataAggregator.aggregateData', () => {
+    let result;
+    let stationCatalog;
+
+    before(async () => {
+        ['log', 'warn', 'error'].forEach(method => mock.method(console, method, () => {}));
+        mock.timers.enable({ apis: ['Date'], now: RECORDED_AT });
+
+        // The transport and station catalog read the environment on import
+        ({ stationCatalog } = await import('../SRC/data-systems/station-catalog.js'));
+        const { default: DataAggregator } = await import('../SRC/data-systems/data-aggregator.js');
+
+        const aggregator = new DataAggregator({ autoStart: false, store: { append: async () => {} } });
+        result = await aggregator.aggregateData(NEW_YORK, { sources: ['OCEAN', 'RADAR', 'NASA', 'WEATHER'] });
+    });
+
+    after(() => {
+        stationCatalog?.stop();
+        mock.timers.reset();
+        mock.restoreAll();
+    });
+
+    it('hears from every requested source', () => {
+        assert.deepEqual([...result.sources].sort(), ['NASA', 'OCEAN', 'RADAR', 'WEATHER']);
+    });
+
+    it('reads the nearest NDBC buoy from the station catalog', () => {
+        assert.equal(result.ocean.current.time, '2026-10-19T11:50:00.000Z');
+        assert.equal(result.ocean.current.water_temp_c, 17.4);
+        assert.equal(result.ocean.current.wave_height_m, 1.2);
+        // 7 m/s
+        assert.equal(result.ocean.current.wind_kph, 25.2);
+    });
+
+    it('fuses weather providers and the radar station observation', () => {
+        const contributors = Object.keys(result.current.consensus.temp_c.contributions).sort();
+        assert.deepEqual(contributors, ['NWS:KNYC', 'OPENWEATHER', 'WEATHERAPI', 'WEATHER_GOV']);
+        assert.ok(Math.abs(result.current.temp_c - 12.3) < 0.2);
+        assert.equal(result.interpolated.temp_c.pointCount, 3);
+    });
+
+    it('lists EONET v3 events and every source\'s alerts once', () => {
+        assert.ok(result.events.some(event => event.title === 'Tropical Storm Melissa'));
+
+        const messages = result.alerts.map(alert => alert.message || alert.event);
+        assert.ok(messages.includes('Severe storm cells detected'));
+        assert.ok(messages.includes('Tropical Storm Melissa'));
+        assert.equal(messages.filter(message => message === 'Small Craft Advisory').length, 1);
+        assert.ok(messages.includes('Wind Advisory'));
+    });
+});
+
+describe('DataAggregator.normalizeSourceData', () => {
+    let aggregator;
+    let schema;
+
+    before(async () => {
+        ['log', 'warn'].forEach(method => mock.method(console, method, () => {}));
+        const { default: DataAggregator } = await import('../SRC/data-systems/data-aggregator.js');
+        const { ObservationSchema } = await import('../SRC/data-systems/observation-schema.js');
+        aggregator = new DataAggregator({ autoStart: false, store: { append: async () => {} } });
+        schema = new ObservationSchema();
+    });
+
+    after(() => mock.restoreAll());
+
+    it('reports the quality its processor assessed instead of assessing again', () => {
+        const observation = schema.create({ water_temp_c: 17.4 }, {
+            lat: 40.369, lon: -73.703, time: new Date(RECORDED_AT).toISOString(), system: 'OCEAN', provider: 'NDBC', station: '44065'
+        });
+        // The buoy reader flagged a jump its own history showed
+        const processorQuality = { flags: { water_temp_c: 'spike' }, score: 0, stale: false, issues: ['water_temp_c: spike'] };
+        observation.quality = processorQuality;
+
+        const assess = mock.method(aggregator.qualityEngine, 'assessObservation');
+        const normalized = aggregator.normalizeSourceData({ observations: [observation] }, 'OCEAN', NEW_YORK);
+
+        assert.equal(assess.mock.callCount(), 0);
+        assert.equal(normalized.observations[0].quality, processorQuality);
+        assert.deepEqual(normalized.checks.flagCounts, { 'water_temp_c: spike': 1 });
+    });
+});
@@ -0,0 +1,38 @@
+/**
+ * 🧪 Per-field quality control
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { DataQualityEngine } from '../SRC/data-systems/data-quality-engine.js';
+import { ObservationSchema } from '../SRC/data-systems/observation-schema.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const START = Date.parse('2026-10-19T00:00:00Z');
+const schema = new ObservationSchema();
+
+function hourly(field, values, system = 'WEATHER') {
+    return values.map((value, hour) => schema.create(
+        { [field]: value, time: new Date(START + hour * HOUR_MS).toISOString() },
+        { lat: 40.7128, lon: -74.006, system, provider: 'NDBC', station: '44025' }
+    ));
+}
+
+describe('DataQualityEngine', () => {
+    it('flags a single spike without flagging the recovery after it', () => {
+        const engine = new DataQualityEngine();
+        const observations = engine.assessObservations(hourly('temp_c', [10, 11, 35, 11, 12]));
+
+        assert.deepEqual(observations.map(observation => observation.quality.flags.temp_c), ['ok', 'ok', 'spike', 'ok', 'ok']);
+    });
+
+    it('keeps flagging a flat sensor once it is stuck', () => {
+        const engine = new DataQualityEngine();
+        const observations = engine.assessObservations(hourly('water_temp_c', Array(8).fill(18.4), 'OCEAN'));
+
+        assert.deepEqual(
+            observations.map(observation => observation.quality.flags.water_temp_c),
+            ['ok', 'ok', 'ok', 'ok', 'ok', 'stuck', 'stuck', 'stuck']
+        );
+    });
+});
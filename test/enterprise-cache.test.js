@@ -0,0 +1,207 @@
+/**
+ * 🗃️ Enterprise cache eviction, expiry, stale-while-revalidate, coalescing and snapshots
+ */
+
+import { describe, it, before, after, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { EnterpriseCache, gridKey } from '../SRC/utils/enterprise-cache.js';
+
+const MINUTE_MS = 60 * 1000;
+const NOW = Date.parse('2026-10-19T12:00:00Z');
+
+// A fetcher that counts its calls and resolves only when told to
+function deferredFetcher() {
+    const fetcher = () => {
+        fetcher.calls++;
+        return new Promise((resolve, reject) => Object.assign(fetcher, { resolve, reject }));
+    };
+    fetcher.calls = 0;
+    return fetcher;
+}
+
+before(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+});
+
+after(() => mock.restoreAll());
+
+beforeEach(() => mock.timers.enable({ apis: ['Date'], now: NOW }));
+
+afterEach(() => mock.timers.reset());
+
+describe('gridKey', () => {
+    it('shares a key between points in the same 0.01° cell', () => {
+        assert.equal(gridKey('current', 40.71283, -74.00601), 'current:40.71,-74.01');
+        assert.equal(gridKey('current', 40.7149, -74.0051), gridKey('current', 40.71283, -74.00601));
+        assert.notEqual(gridKey('current', 40.7151, -74.006), gridKey('current', 40.71283, -74.006));
+    });
+
+    it('appends parameters in a fixed order and skips empty ones', () => {
+        assert.equal(gridKey('forecast', 40.7, -74, { days: 3, alerts: true, aqi: null }), 'forecast:40.70,-74.00:alerts=true:days=3');
+        assert.equal(gridKey('marine', 40.7, -74, { bbox: [1, 2] }, 0.1), 'marine:40.7,-74.0:bbox=[1,2]');
+    });
+});
+
+describe('EnterpriseCache', () => {
+    const caches = [];
+    const createCache = (...args) => {
+        const cache = new EnterpriseCache(...args);
+        caches.push(cache);
+        return cache;
+    };
+
+    after(async () => {
+        await Promise.all(caches.map(cache => cache.destroy()));
+    });
+
+    it('evicts the least recently used entry past its size', async () => {
+        const cache = createCache('lru', 2);
+        await cache.set('a', 1);
+        await cache.set('b', 2);
+        // Reading a makes b the oldest
+        assert.equal(await cache.get('a'), 1);
+        await cache.set('c', 3);
+
+        assert.deepEqual(Array.from(cache.entries.keys()), ['a', 'c']);
+        assert.equal(await cache.get('b'), undefined);
+        assert.equal(cache.stats.evictions, 1);
+    });
+
+    it('stops answering get after the TTL and forgets entries past the stale window', async () => {
+        const cache = createCache('ttl', 10, 5 * MINUTE_MS, { staleWhileRevalidate: 10 * MINUTE_MS });
+        await cache.set('a', 1);
+        await cache.set('b', 2, MINUTE_MS, 0);
+
+        mock.timers.tick(2 * MINUTE_MS);
+        assert.equal(await cache.get('a'), 1);
+        assert.equal(await cache.get('b'), undefined);
+        assert.equal(cache.stats.expirations, 1);
+
+        mock.timers.tick(4 * MINUTE_MS);
+        assert.equal(await cache.get('a'), undefined);
+        assert.equal(cache.size, 1);
+
+        mock.timers.tick(10 * MINUTE_MS);
+        assert.equal(await cache.get('a'), undefined);
+        assert.equal(cache.size, 0);
+        assert.equal(cache.stats.expirations, 2);
+    });
+
+    it('serves a stale value while a single background refresh runs', async () => {
+        const cache = createCache('swr', 10, MINUTE_MS, { staleWhileRevalidate: 10 * MINUTE_MS });
+        await cache.set('current', 'old');
+        mock.timers.tick(2 * MINUTE_MS);
+
+        const refresh = deferredFetcher();
+        assert.equal(await cache.getOrFetch('current', refresh), 'old');
+        assert.equal(await cache.getOrFetch('current', refresh), 'old');
+        assert.equal(refresh.calls, 1);
+
+        const refreshing = cache.inflight.get('current');
+        refresh.resolve('new');
+        await refreshing;
+
+        assert.equal(await cache.getOrFetch('current', refresh), 'new');
+        assert.deepEqual([cache.stats.staleHits, cache.stats.hits, cache.stats.misses], [2, 1, 0]);
+    });
+
+    it('keeps the stale value when the background refresh fails', async () => {
+        const cache = createCache('swr-failure', 10, MINUTE_MS, { staleWhileRevalidate: 10 * MINUTE_MS });
+        await cache.set('current', 'old');
+        mock.timers.tick(2 * MINUTE_MS);
+
+        const refresh = deferredFetcher();
+        assert.equal(await cache.getOrFetch('current', refresh), 'old');
+        const refreshing = cache.inflight.get('current');
+        refresh.reject(new Error('provider responded 503'));
+        await refreshing.catch(() => {});
+        // The catch that counts the failure runs a turn later
+        await new Promise(resolve => setImmediate(resolve));
+
+        assert.equal(cache.stats.refreshErrors, 1);
+        assert.equal(await cache.getOrFetch('current', refresh), 'old');
+        assert.equal(refresh.calls, 2);
+    });
+
+    it('shares one upstream call between concurrent misses', async () => {
+        const cache = createCache('coalesce');
+        const fetcher = deferredFetcher();
+
+        const waiting = Promise.all([1, 2, 3].map(() => cache.getOrFetch('forecast', fetcher)));
+        // getOrFetch awaits readiness before it reaches the fetcher
+        await new Promise(resolve => setImmediate(resolve));
+        fetcher.resolve({ days: 3 });
+
+        assert.deepEqual(await waiting, [{ days: 3 }, { days: 3 }, { days: 3 }]);
+        assert.equal(fetcher.calls, 1);
+        assert.deepEqual([cache.stats.misses, cache.stats.coalesced], [1, 2]);
+        assert.equal(cache.getEfficiency(), 2 / 3);
+    });
+
+    it('hands a failed fetch to every waiting caller and caches nothing', async () => {
+        const cache = createCache('coalesce-failure');
+        const fetcher = deferredFetcher();
+
+        const waiting = [1, 2].map(() => cache.getOrFetch('forecast', fetcher));
+        await new Promise(resolve => setImmediate(resolve));
+        fetcher.reject(new Error('provider timed out'));
+
+        for (const caller of waiting) {
+            await assert.rejects(caller, /timed out/);
+        }
+        assert.equal(cache.size, 0);
+        assert.equal(cache.inflight.size, 0);
+
+        assert.equal(await cache.getOrFetch('forecast', async () => 'retried'), 'retried');
+    });
+
+    it('bypasses a fresh entry when asked to force a refresh', async () => {
+        const cache = createCache('force');
+        await cache.set('current', 'old');
+
+        assert.equal(await cache.getOrFetch('current', async () => 'new', { forceRefresh: true }), 'new');
+        assert.equal(await cache.get('current'), 'new');
+    });
+});
+
+describe('EnterpriseCache persistence', () => {
+    let directory;
+
+    before(async () => {
+        directory = await fs.mkdtemp(path.join(os.tmpdir(), 'enterprise-cache-'));
+    });
+
+    after(async () => {
+        await fs.rm(directory, { recursive: true, force: true });
+    });
+
+    it('restores entries still inside their stale window after a restart', async () => {
+        const persistPath = path.join(directory, 'weather.json');
+        const cache = new EnterpriseCache('weather', 10, MINUTE_MS, { persistPath, staleWhileRevalidate: MINUTE_MS });
+        await cache.set('short', 1, MINUTE_MS, 0);
+        await cache.set('long', 2, 10 * MINUTE_MS);
+        await cache.destroy();
+
+        mock.timers.tick(5 * MINUTE_MS);
+        const restarted = new EnterpriseCache('weather', 10, MINUTE_MS, { persistPath });
+
+        assert.equal(await restarted.get('long'), 2);
+        assert.equal(restarted.size, 1);
+        await restarted.destroy();
+    });
+
+    it('starts empty from an unreadable snapshot', async () => {
+        const persistPath = path.join(directory, 'torn.json');
+        await fs.writeFile(persistPath, '{"format":1,"entries":[');
+
+        const cache = new EnterpriseCache('torn', 10, MINUTE_MS, { persistPath });
+
+        assert.equal(await cache.get('anything'), undefined);
+        assert.equal(cache.size, 0);
+        await cache.destroy();
+    });
+});
@@ -0,0 +1,66 @@
+/**
+ * 🎯 Forecast verification and its persisted scores
+ */
+
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { ForecastVerifier } from '../SRC/ai-climate-entity/neutral-networks/forecast-verifier.js';
+
+const ISSUED_AT = '2026-10-19T06:00:00.000Z';
+
+function observation(fields) {
+    return { time: '2026-10-19T12:10:00.000Z', lat: 40.72, lon: -74.0, source: { provider: 'WEATHERAPI' }, ...fields };
+}
+
+describe('ForecastVerifier', () => {
+    let directory;
+
+    before(async () => {
+        mock.method(console, 'log', () => {});
+        directory = await fs.mkdtemp(path.join(os.tmpdir(), 'forecast-verification-'));
+    });
+
+    after(async () => {
+        mock.restoreAll();
+        await fs.rm(directory, { recursive: true, force: true });
+    });
+
+    it('scores a forecast against an observation near its valid time and place', () => {
+        const verifier = new ForecastVerifier();
+        verifier.recordForecast({
+            coordinates: { lat: 40.7128, lon: -74.006 },
+            issuedAt: ISSUED_AT,
+            horizonHours: 6,
+            temperature: 14,
+            precipitationProbability: 80
+        });
+
+        // 150 km away: too far to verify against
+        assert.deepEqual(verifier.verify(observation({ lat: 42.0, temp_c: 12, precip_mm: 1 })), []);
+
+        const [pair] = verifier.verify(observation({ temp_c: 12, precip_mm: 1 }));
+        assert.equal(pair.temperatureError, 2);
+        assert.ok(Math.abs(pair.brier - 0.04) < 1e-9);
+        assert.equal(verifier.getScores().byHorizon['0-6h'].temperature.mae, 2);
+    });
+
+    it('restores pending and verified forecasts from its saved state', async () => {
+        const statePath = path.join(directory, 'verification.json');
+        const verifier = new ForecastVerifier({ statePath });
+
+        verifier.recordForecast({ coordinates: { lat: 40.7128, lon: -74.006 }, issuedAt: ISSUED_AT, horizonHours: 6, temperature: 11 });
+        verifier.recordForecast({ coordinates: { lat: 40.7128, lon: -74.006 }, issuedAt: ISSUED_AT, horizonHours: 24, temperature: 9 });
+        verifier.verify(observation({ temp_c: 12 }));
+        await verifier.save();
+
+        const restored = new ForecastVerifier({ statePath });
+        await restored.load();
+
+        assert.equal(restored.getScores().overall.temperature.mae, 1);
+        assert.equal(restored.pending.length, 1);
+        assert.equal(restored.recordForecast({ coordinates: { lat: 0, lon: 0 }, horizonHours: 6 }).id, 3);
+    });
+});
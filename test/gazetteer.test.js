@@ -0,0 +1,94 @@
+/**
+ * 🏙️ Gazetteer forward and reverse geocoding
+ */
+
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { Gazetteer, normalizeName } from '../SRC/data-systems/gazetteer.js';
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'gazetteer');
+
+describe('Gazetteer', () => {
+    let gazetteer;
+
+    before(async () => {
+        mock.method(console, 'log', () => {});
+        gazetteer = new Gazetteer({ citiesPath: path.join(FIXTURES_DIR, 'cities.tsv') });
+        await gazetteer.load();
+    });
+
+    after(() => mock.restoreAll());
+
+    it('folds case, accents and "St." before matching', () => {
+        assert.equal(normalizeName('  SÃO-Paulo '), 'sao paulo');
+        assert.equal(normalizeName('St. Petersburg'), 'saint petersburg');
+    });
+
+    it('ranks exact names by population and matches alternate names', async () => {
+        const [london] = await gazetteer.geocode('london');
+        assert.equal(london.country, 'GB');
+        assert.equal(london.match.type, 'NAME');
+
+        const [oporto] = await gazetteer.geocode('Oporto');
+        assert.equal(oporto.name, 'Porto');
+        assert.equal(oporto.match.type, 'ALTERNATE');
+    });
+
+    it('narrows by admin1 or country qualifiers', async () => {
+        const [maine] = await gazetteer.geocode('Portland, ME');
+        assert.equal(maine.admin1Name, 'Maine');
+
+        const [ontario] = await gazetteer.geocode('London, Canada');
+        assert.equal(ontario.admin1, 'ON');
+
+        assert.deepEqual(await gazetteer.geocode('London, France'), []);
+        assert.equal((await gazetteer.geocode('Portland', { admin1: 'Oregon' }))[0].admin1, 'OR');
+    });
+
+    it('falls back to prefixes, shortest completion first', async () => {
+        const matches = await gazetteer.geocode('Port');
+
+        assert.ok(matches.every(match => match.match.type === 'PREFIX'));
+        assert.equal(matches[0].name, 'Porto');
+        assert.equal(matches[0].match.distance, 1);
+    });
+
+    it('forgives small typos but not in short names', async () => {
+        const [typo] = await gazetteer.geocode('Portlnad');
+        assert.equal(typo.name, 'Portland');
+        assert.equal(typo.match.type, 'FUZZY');
+
+        const [transposed] = await gazetteer.geocode('Saint Petresburg');
+        assert.equal(transposed.country, 'RU');
+
+        assert.deepEqual(await gazetteer.geocode('Suvq'), []);
+    });
+
+    it('rejects an empty name', async () => {
+        await assert.rejects(gazetteer.geocode(' , US'), error => error.status === 400);
+    });
+
+    it('reverse geocodes to the nearest place within range', async () => {
+        const nearby = await gazetteer.reverse(51.5, -0.1);
+        assert.equal(nearby.name, 'London');
+        assert.equal(nearby.country, 'GB');
+        assert.ok(nearby.distance_km < 5);
+
+        // Across the antimeridian from Suva
+        const suva = await gazetteer.reverse(-18.1, -179.9, { maxDistanceKm: 200 });
+        assert.equal(suva?.name, 'Suva');
+
+        assert.equal(await gazetteer.reverse(0, -30), null);
+    });
+
+    it('reads a GeoNames export with admin1 names from beside it', async () => {
+        const geonames = new Gazetteer({ citiesPath: path.join(FIXTURES_DIR, 'geonames', 'cities15000.txt') });
+        const [oregon] = await geonames.geocode('Portland, Oregon');
+
+        assert.equal(oregon.id, '5746545');
+        assert.equal(oregon.timezone, 'America/Los_Angeles');
+        assert.equal((await geonames.geocode('PDX'))[0].match.type, 'ALTERNATE');
+    });
+});
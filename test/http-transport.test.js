@@ -0,0 +1,65 @@
+/**
+ * 📼 Record/replay transport
+ */
+
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import HttpTransport from '../SRC/utils/http-transport.js';
+
+const RECORDED_URL = 'https://api.example.test/v1/current?lat=40.71&lon=-74.01&key=secret';
+const DRIFTED_URL = 'https://api.example.test/v1/current?lat=40.72&lon=-74.01&key=secret';
+
+describe('HttpTransport replay', () => {
+    let fixturesDir;
+
+    before(async () => {
+        // Keep the transport's mode banner and fallback warnings out of the runner's stdout
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'warn', () => {});
+        fixturesDir = await fs.mkdtemp(path.join(os.tmpdir(), 'http-fixtures-'));
+
+        const transport = new HttpTransport({ mode: 'replay', fixturesDir });
+        const request = transport.describeRequest(RECORDED_URL, {});
+        await fs.mkdir(request.directory, { recursive: true });
+        await fs.writeFile(path.join(request.directory, `${request.key}.json`), JSON.stringify({
+            request: { method: request.method, url: request.url },
+            response: { status: 200, statusText: 'OK', headers: { 'content-type': 'application/json' }, body: '{"temp_c":12}' },
+            recordedAt: '2026-10-19T12:00:00.000Z'
+        }));
+    });
+
+    after(async () => {
+        mock.restoreAll();
+        await fs.rm(fixturesDir, { recursive: true, force: true });
+    });
+
+    it('serves an exact match without the credential in the key', async () => {
+        const transport = new HttpTransport({ mode: 'replay', fixturesDir });
+        const response = await transport.fetch(RECORDED_URL.replace('key=secret', 'key=other'));
+
+        assert.deepEqual(await response.json(), { temp_c: 12 });
+        assert.equal(transport.getStatus().replayed, 1);
+    });
+
+    it('fails a request with no exact recording', async () => {
+        const transport = new HttpTransport({ mode: 'replay', fixturesDir });
+
+        await assert.rejects(transport.fetch(DRIFTED_URL), error => error.code === 'REPLAY_MISS' && error.status === 503);
+        assert.equal(transport.getStatus().misses, 1);
+    });
+
+    it('falls back to the endpoint recording only when opted in', async () => {
+        const transport = new HttpTransport({ mode: 'replay', fixturesDir, fallback: 'endpoint' });
+        const response = await transport.fetch(DRIFTED_URL);
+
+        assert.deepEqual(await response.json(), { temp_c: 12 });
+        assert.equal(transport.getStatus().fallbacks, 1);
+    });
+
+    it('rejects an unknown fallback', () => {
+        assert.throws(() => new HttpTransport({ mode: 'replay', fixturesDir, fallback: 'newest' }), /HTTP_REPLAY_FALLBACK/);
+    });
+});
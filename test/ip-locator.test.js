@@ -0,0 +1,65 @@
+/**
+ * 🌐 IP-range lookups against a small range fixture
+ */
+
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { IPLocator } from '../SRC/data-systems/ip-locator.js';
+
+const databasePath = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures/ip-ranges/ip-city.csv');
+
+describe('IPLocator', () => {
+    let locator;
+
+    before(async () => {
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'warn', () => {});
+        locator = new IPLocator({ databasePath });
+        await locator.load();
+    });
+
+    after(() => mock.restoreAll());
+
+    it('reads both CSV layouts and sorts the ranges it is given', () => {
+        assert.deepEqual(locator.getStatus().ranges, { ipv4: 4, ipv6: 1 });
+        assert.equal(locator.getStatus().places, 5);
+    });
+
+    it('finds the range an address falls in', async () => {
+        assert.deepEqual(await locator.lookup('192.0.2.200'), {
+            city: 'London', region: 'England', country: 'GB', countryName: null, lat: 51.5074, lon: -0.1278
+        });
+        assert.equal((await locator.lookup('198.51.100.7')).city, 'Denver');
+        assert.equal((await locator.lookup('::ffff:192.0.2.1')).city, 'New York');
+    });
+
+    it('reads integer bounds and country names from IP2Location rows', async () => {
+        const place = await locator.lookup('203.0.113.42');
+        assert.equal(place.countryName, 'Japan');
+        assert.equal(place.city, 'Tokyo');
+    });
+
+    it('looks up IPv6 ranges', async () => {
+        assert.equal((await locator.lookup('2001:db8::1')).city, 'Sydney');
+        assert.equal(await locator.lookup('2001:db8:1::1'), null);
+    });
+
+    it('answers null for unlisted and reserved addresses and rejects malformed ones', async () => {
+        assert.equal(await locator.lookup('198.51.101.1'), null);
+        assert.equal(await locator.lookup('10.1.2.3'), null);
+        await assert.rejects(locator.lookup('192.0.2'), error => error.status === 400);
+    });
+
+    it('adds an accuracy estimate when locating', async () => {
+        const location = await locator.locate('198.51.100.7');
+        assert.equal(location.ip, '198.51.100.7');
+        assert.ok(location.accuracy_m > 0);
+    });
+
+    it('reports no location without a database', async () => {
+        const missing = new IPLocator({ databasePath: path.join(path.dirname(databasePath), 'missing.csv') });
+        assert.equal(await missing.lookup('198.51.100.7'), null);
+    });
+});
@@ -0,0 +1,192 @@
+/**
+ * ⚡ Lightning 30/30 all-clear countdown, strike clustering and activity trend
+ */
+
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { LightningMonitor } from '../SRC/data-systems/lightning-monitor.js';
+
+const REPLAY_FILE = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'lightning', 'squall-line.jsonl');
+const MINUTE_MS = 60 * 1000;
+const KM_PER_DEGREE = 6371 * Math.PI / 180;
+const NOW = Date.parse('2026-10-19T18:00:00Z');
+const NEW_YORK = { lat: 40.7128, lon: -74.006, name: 'New York' };
+
+// A strike placed by minutes before NOW and kilometres north and east of New York
+function strike(minutesAgo, northKm = 0, eastKm = 0, extra = {}) {
+    return {
+        time: new Date(NOW - minutesAgo * MINUTE_MS).toISOString(),
+        lat: NEW_YORK.lat + northKm / KM_PER_DEGREE,
+        lon: NEW_YORK.lon + eastKm / (KM_PER_DEGREE * Math.cos(NEW_YORK.lat * Math.PI / 180)),
+        ...extra
+    };
+}
+
+const minutesFromNow = minutes => NOW + minutes * MINUTE_MS;
+
+before(() => mock.method(console, 'log', () => {}));
+
+after(() => mock.restoreAll());
+
+describe('LightningMonitor.ingest', () => {
+    it('skips duplicates, strikes past the window and strikes without a position', () => {
+        const monitor = new LightningMonitor();
+
+        const added = monitor.ingest([
+            strike(5, 0, 0, { id: 'a' }),
+            strike(5, 0, 0, { id: 'a' }),
+            strike(3, 20),
+            strike(3, 20),
+            strike(90, 10),
+            { time: new Date(NOW).toISOString(), lat: null, lon: -74 }
+        ], NOW);
+
+        assert.equal(added, 2);
+        assert.deepEqual(monitor.getStatus(), { strikes: 2, watchedLocations: 0, recentAlerts: 0, ingested: 2, duplicates: 2, expired: 0 });
+    });
+
+    it('forgets strikes as they age out and keeps only the newest past the cap', () => {
+        const monitor = new LightningMonitor({ maxStrikes: 3 });
+        monitor.ingest([strike(50, 0, 0, { id: 'old' }), ...[4, 3, 2, 1].map(minutes => strike(minutes, minutes))], NOW);
+
+        assert.equal(monitor.strikes.length, 3);
+        assert.equal(monitor.stats.expired, 2);
+
+        monitor.prune(minutesFromNow(60));
+        assert.equal(monitor.strikes.length, 0);
+        // A forgotten strike can come in again
+        assert.equal(monitor.ingest([strike(5, 0, 0, { id: 'old' })], NOW), 1);
+    });
+
+    it('replays a recorded storm so its newest strike lands on the clock', async () => {
+        const monitor = new LightningMonitor();
+
+        assert.equal(await monitor.loadReplay(REPLAY_FILE, { now: NOW }), 4);
+        assert.equal(monitor.stats.duplicates, 1);
+        assert.equal(monitor.strikes[3].time, NOW);
+        assert.equal(monitor.strikes[0].time, NOW - (10 * MINUTE_MS + 45 * 1000));
+        assert.equal(monitor.strikes[3].peak_current_ka, null);
+        assert.equal(monitor.assess(NEW_YORK, { now: NOW }).status, 'DANGER');
+    });
+});
+
+describe('LightningMonitor.assess', () => {
+    it('holds DANGER for 30 minutes after the last strike inside the radius', () => {
+        const monitor = new LightningMonitor();
+        monitor.ingest([strike(0, 10)], NOW);
+
+        const danger = monitor.assess(NEW_YORK, { now: NOW });
+        assert.equal(danger.status, 'DANGER');
+        assert.equal(danger.allClearAt, '2026-10-19T18:30:00.000Z');
+        assert.equal(danger.allClearInMinutes, 30);
+        assert.deepEqual([danger.nearest.distance_km, danger.nearest.direction], [10, 'N']);
+
+        const almost = monitor.assess(NEW_YORK, { now: minutesFromNow(29.5) });
+        assert.equal(almost.status, 'DANGER');
+        assert.equal(almost.allClearInMinutes, 1);
+
+        const clear = monitor.assess(NEW_YORK, { now: minutesFromNow(30) });
+        assert.equal(clear.status, 'ALL_CLEAR');
+        assert.equal(clear.allClearAt, null);
+        assert.equal(clear.lastStrikeInRadius, '2026-10-19T18:00:00.000Z');
+        // Too old to hold off the all-clear, so no longer reported as nearest
+        assert.equal(monitor.assess(NEW_YORK, { now: minutesFromNow(31) }).nearest, null);
+    });
+
+    it('restarts the countdown with each strike inside the radius and ignores those outside it', () => {
+        const monitor = new LightningMonitor();
+        monitor.ingest([strike(20, 0, -12), strike(0, 0, 25)], NOW);
+
+        const assessment = monitor.assess(NEW_YORK, { now: NOW });
+        assert.equal(assessment.allClearAt, '2026-10-19T18:10:00.000Z');
+        assert.deepEqual([assessment.nearest.distance_km, assessment.nearest.direction], [12, 'W']);
+
+        monitor.ingest([strike(-5, -15)], minutesFromNow(5));
+        assert.equal(monitor.assess(NEW_YORK, { now: minutesFromNow(5) }).allClearAt, '2026-10-19T18:35:00.000Z');
+    });
+
+    it('reports strike density over the window', () => {
+        const monitor = new LightningMonitor();
+        monitor.ingest([strike(1, 1), strike(2, 2), strike(3, 3), strike(20, 4)], NOW);
+
+        // Three strikes in 15 minutes over π·16² km²
+        assert.deepEqual(monitor.assess(NEW_YORK, { now: NOW }).density, {
+            windowMinutes: 15,
+            strikes: 3,
+            perKm2PerHour: 0.0149
+        });
+    });
+});
+
+describe('LightningMonitor.trend', () => {
+    // Strikes within the radius at the given minutes before NOW
+    const trendOf = minutes => {
+        const monitor = new LightningMonitor();
+        monitor.ingest(minutes.map((minutesAgo, index) => strike(minutesAgo, index % 5)), NOW);
+        return monitor.assess(NEW_YORK, { now: NOW }).trend;
+    };
+
+    it('compares this window with the one before', () => {
+        assert.equal(trendOf([]), 'none');
+        assert.equal(trendOf([1, 2, 3, 4, 5, 20]), 'increasing');
+        assert.equal(trendOf([1, 20, 21, 22, 23]), 'decreasing');
+        assert.equal(trendOf([1, 2, 3, 4, 20, 21, 22, 23]), 'steady');
+        // A storm that has moved on has nothing this window
+        assert.equal(trendOf([16, 25]), 'decreasing');
+    });
+});
+
+describe('LightningMonitor.cluster', () => {
+    const monitor = new LightningMonitor();
+    monitor.ingest([
+        // A line of cells 8 km apart: 16 km end to end, linked through the middle one
+        strike(10, 0, 0),
+        strike(9, 0, 8),
+        strike(8, 0, 16),
+        // A separate storm 60 km east
+        strike(5, 0, 60),
+        strike(4, 0, 62),
+        // Over the city again, but long before the line passed
+        strike(40, 0, 0)
+    ], NOW);
+
+    it('links strikes within 10 km and 15 minutes of each other', () => {
+        const clusters = monitor.cluster({ now: NOW });
+
+        assert.deepEqual(clusters.map(cluster => cluster.strikeCount), [3, 2, 1]);
+        assert.deepEqual(clusters[0].center, { lat: NEW_YORK.lat, lon: -73.9111 });
+        assert.equal(clusters[0].radius_km, 8);
+        assert.equal(clusters[0].strikesPerMinute, 1.5);
+        assert.deepEqual(clusters.map(cluster => cluster.active), [true, true, false]);
+    });
+
+    it('places each cluster relative to a location', () => {
+        const clusters = monitor.cluster({ location: NEW_YORK, radiusKm: 100, now: NOW });
+        const east = clusters.find(cluster => cluster.strikeCount === 2);
+
+        assert.equal(east.distance_km, 61);
+        assert.equal(east.bearing_deg, 90);
+        assert.deepEqual(monitor.cluster({ location: NEW_YORK, radiusKm: 20, now: NOW }).map(cluster => cluster.strikeCount), [3, 1]);
+    });
+});
+
+describe('LightningMonitor.evaluate', () => {
+    it('alerts once on entering DANGER and once on the all-clear', () => {
+        const monitor = new LightningMonitor();
+        monitor.watch(NEW_YORK);
+        monitor.ingest([strike(0, 0, -10)], NOW);
+
+        const [danger] = monitor.evaluate(NOW);
+        assert.equal(danger.type, 'LIGHTNING_PROXIMITY');
+        assert.equal(danger.message, 'Lightning 10 km W of New York - seek shelter');
+
+        assert.deepEqual(monitor.evaluate(minutesFromNow(10)), []);
+
+        const [clear] = monitor.evaluate(minutesFromNow(30));
+        assert.equal(clear.type, 'LIGHTNING_ALL_CLEAR');
+        assert.equal(clear.timestamp, '2026-10-19T18:30:00.000Z');
+        assert.equal(monitor.getStatus().recentAlerts, 2);
+    });
+});
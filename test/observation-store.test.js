@@ -0,0 +1,137 @@
+/**
+ * 🗄️ Observation store partitions, de-duplication, downsampling and retention
+ */
+
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { ObservationStore } from '../SRC/data-systems/observation-store.js';
+import { ObservationSchema } from '../SRC/data-systems/observation-schema.js';
+
+const schema = new ObservationSchema();
+const NEW_YORK = { lat: 40.7128, lon: -74.006 };
+
+function observation(time, values, { system = 'WEATHER', provider = 'WEATHERAPI', station = 'KNYC', lat = NEW_YORK.lat, lon = NEW_YORK.lon } = {}) {
+    return schema.create(values, { lat, lon, time, system, provider, station });
+}
+
+describe('ObservationStore', () => {
+    let root;
+    let count = 0;
+    // A fresh directory per store; retention runs only when a test asks for it
+    const createStore = options => {
+        const store = new ObservationStore({ directory: path.join(root, String(count++)), ...options });
+        store.lastRetentionRun = Infinity;
+        return store;
+    };
+
+    before(async () => {
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'warn', () => {});
+        root = await fs.mkdtemp(path.join(os.tmpdir(), 'observation-store-'));
+    });
+
+    after(async () => {
+        mock.restoreAll();
+        await fs.rm(root, { recursive: true, force: true });
+    });
+
+    it('appends one JSON-lines file per system and UTC day and skips invalid records', async () => {
+        const store = createStore();
+        const invalid = { ...observation('2026-10-18T23:30:00Z', { temp_c: 11 }), time: '2026-10-18 23:30' };
+
+        const partitions = await store.append([
+            observation('2026-10-18T23:30:00Z', { temp_c: 11 }),
+            observation('2026-10-19T00:30:00Z', { temp_c: 10.5 }),
+            observation('2026-10-19T00:40:00Z', { water_temp_c: 17.4 }, { system: 'OCEAN', provider: 'NDBC', station: '44065' }),
+            invalid
+        ]);
+
+        assert.equal(partitions, 3);
+        assert.deepEqual((await fs.readdir(path.join(store.directory, 'WEATHER'))).sort(), ['2026-10-18.jsonl', '2026-10-19.jsonl']);
+        assert.deepEqual(await fs.readdir(path.join(store.directory, 'OCEAN')), ['2026-10-19.jsonl']);
+        assert.equal(store.stats.written, 3);
+        assert.equal(store.stats.rejected, 1);
+    });
+
+    it('keeps the latest copy of a re-ingested observation', async () => {
+        const store = createStore();
+        await store.append([
+            observation('2026-10-19T10:00:00Z', { temp_c: 12 }),
+            observation('2026-10-19T10:00:00Z', { temp_c: 12.4 }, { station: 'KLGA', lat: 40.779, lon: -73.88 })
+        ]);
+        // The same reading delivered again after a provider correction
+        await store.append([observation('2026-10-19T10:00:00Z', { temp_c: 12.2 })]);
+        // A crash can leave a torn last line
+        await fs.appendFile(store.partitionFile('WEATHER', '2026-10-19T10:00:00Z'), '{"schemaVersion":');
+
+        const results = await store.query({ start: '2026-10-19T00:00:00Z', end: '2026-10-19T23:59:59Z' });
+
+        assert.deepEqual(results.map(result => [result.source.station, result.temp_c]), [['KNYC', 12.2], ['KLGA', 12.4]]);
+    });
+
+    it('filters by range across day partitions, distance, station and variables', async () => {
+        const store = createStore();
+        await store.append([
+            observation('2026-10-18T22:00:00Z', { temp_c: 11, humidity: 70 }),
+            observation('2026-10-19T02:00:00Z', { temp_c: 10, humidity: 75 }),
+            observation('2026-10-19T02:00:00Z', { temp_c: 14 }, { station: 'KBOS', lat: 42.36, lon: -71.01 }),
+            observation('2026-10-20T02:00:00Z', { temp_c: 9 })
+        ]);
+
+        const nearby = await store.query({ start: '2026-10-18T00:00:00Z', end: '2026-10-19T12:00:00Z', ...NEW_YORK, radiusKm: 50 });
+        assert.deepEqual(nearby.map(result => result.temp_c), [11, 10]);
+
+        const boston = await store.query({ start: '2026-10-18T00:00:00Z', end: '2026-10-20T12:00:00Z', station: 'KBOS' });
+        assert.deepEqual(boston.map(result => result.temp_c), [14]);
+
+        const [projected] = await store.query({ start: '2026-10-19T00:00:00Z', end: '2026-10-19T12:00:00Z', ...NEW_YORK, variables: ['humidity'] });
+        assert.equal(projected.humidity, 75);
+        assert.equal(projected.temp_c, undefined);
+
+        await assert.rejects(store.query({ variables: ['snow_depth_furlongs'] }), error => error.status === 400);
+        await assert.rejects(store.query({ start: '2026-10-20T00:00:00Z', end: '2026-10-19T00:00:00Z' }), error => error.status === 400);
+    });
+
+    it('downsamples into fixed UTC buckets with the chosen aggregate', () => {
+        const store = createStore();
+        const series = [
+            observation('2026-10-19T10:05:00Z', { temp_c: 10, precip_mm: 0.25 }),
+            observation('2026-10-19T10:35:00Z', { temp_c: 12, precip_mm: 0.75 }),
+            observation('2026-10-19T10:55:00Z', { temp_c: 11 }),
+            observation('2026-10-19T12:10:00Z', { temp_c: 8, precip_mm: 1 })
+        ];
+
+        const hourly = store.downsample(series, { variables: ['temp_c', 'precip_mm'] });
+        assert.deepEqual(hourly, [
+            { time: '2026-10-19T10:00:00.000Z', count: 3, temp_c: 11, precip_mm: 0.5 },
+            { time: '2026-10-19T12:00:00.000Z', count: 1, temp_c: 8, precip_mm: 1 }
+        ]);
+
+        const aggregate = name => store.downsample(series, { interval: '1d', aggregate: name, variables: ['temp_c'] })[0].temp_c;
+        assert.deepEqual(['min', 'max', 'sum', 'last'].map(aggregate), [8, 12, 41, 8]);
+
+        assert.equal(store.downsample(series, { interval: '30m', variables: ['temp_c'] }).length, 3);
+        assert.throws(() => store.downsample(series, { aggregate: 'median' }), error => error.status === 400);
+        assert.throws(() => store.downsample(series, { interval: '0h' }), error => error.status === 400);
+    });
+
+    it('deletes whole days past each system\'s retention', async () => {
+        const store = createStore({ retention: { default: 30, RADAR: 2 } });
+        await store.append([
+            observation('2026-09-18T12:00:00Z', { temp_c: 15 }),
+            observation('2026-09-20T12:00:00Z', { temp_c: 16 }),
+            observation('2026-10-16T12:00:00Z', { precip_rate_mmhr: 2 }, { system: 'RADAR', provider: 'NWS', station: 'KOKX' }),
+            observation('2026-10-18T12:00:00Z', { precip_rate_mmhr: 3 }, { system: 'RADAR', provider: 'NWS', station: 'KOKX' })
+        ]);
+
+        const deleted = await store.applyRetention(Date.parse('2026-10-19T12:00:00Z'));
+
+        assert.equal(deleted, 2);
+        assert.deepEqual(await fs.readdir(path.join(store.directory, 'WEATHER')), ['2026-09-20.jsonl']);
+        assert.deepEqual(await fs.readdir(path.join(store.directory, 'RADAR')), ['2026-10-18.jsonl']);
+        assert.equal(store.stats.deletedPartitions, 2);
+    });
+});
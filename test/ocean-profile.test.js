@@ -0,0 +1,155 @@
+/**
+ * 🤿 Argo profiles: mixed-layer depth, 0-700 m heat content and the Argovis client
+ */
+
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { OceanProfileAnalyzer } from '../SRC/data-systems/ocean-profile.js';
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+const BERMUDA = { lat: 32, lon: -64 };
+// The Argovis search window ends now, so the recorded URLs only match on this clock
+const RECORDED_AT = Date.parse('2026-10-19T12:00:00Z');
+
+process.env.HTTP_REPLAY_MODE = 'replay';
+process.env.HTTP_FIXTURES_DIR = path.join(FIXTURES_DIR, 'http');
+process.env.ARGOVIS_API_KEY = 'test';
+
+const analyzer = new OceanProfileAnalyzer();
+const PRESSURES = [5, 10, 20, 30, 40, 50, 60, 70, 80, 90, 100, 150, 200, 300, 400, 500, 600, 700, 800, 900, 1000];
+
+// Argovis v2 document with temperature and salinity given as functions of depth
+function argovisProfile({ temperature, salinity = () => 35, pressures = PRESSURES, temperatureQC = () => 1 }) {
+    const depth = pressure => analyzer.pressureToDepth(pressure, 0);
+    return {
+        _id: '4903456_041',
+        geolocation: { type: 'Point', coordinates: [-30, 0] },
+        timestamp: '2026-10-15T09:52:30.000Z',
+        cycle_number: 41,
+        data: [
+            pressures,
+            pressures.map(pressure => temperature(depth(pressure))),
+            pressures.map(temperatureQC),
+            pressures.map(pressure => salinity(depth(pressure))),
+            pressures.map(() => 1)
+        ],
+        data_info: [['pressure', 'temperature', 'temperature_argoqc', 'salinity', 'salinity_argoqc'], ['units'], []]
+    };
+}
+
+describe('OceanProfileAnalyzer', () => {
+    it('reads an Argovis document into depth-sorted levels', () => {
+        const profile = analyzer.normalizeProfile(argovisProfile({ temperature: () => 20, temperatureQC: pressure => pressure === 60 ? 4 : 1 }));
+
+        assert.equal(profile.lat, 0);
+        assert.equal(profile.lon, -30);
+        assert.equal(profile.cycle, 41);
+        assert.equal(profile.time, '2026-10-15T09:52:30.000Z');
+        assert.equal(profile.levels.length, PRESSURES.length);
+        // UNESCO 1983: 1000 dbar is 992 m down at the equator
+        assert.equal(profile.levels[profile.levels.length - 1].depth_m, 992.1);
+        // Bad QC drops the value, not the level - its salinity is still good
+        const flagged = profile.levels.find(level => level.pressure_dbar === 60);
+        assert.equal(flagged.temperature_c, null);
+        assert.equal(flagged.salinity_psu, 35);
+    });
+
+    it('finds the mixed layer where temperature falls 0.2 °C below its 10 m value', () => {
+        // Salinity-compensated: density stays put, so only the temperature criterion fires
+        const profile = analyzer.normalizeProfile(argovisProfile({
+            temperature: depth => depth <= 40 ? 20 : 20 - 0.01 * (depth - 40),
+            salinity: depth => depth <= 40 ? 35 : 35 - 0.01 * (depth - 40) * 1.7e-4 / 7.6e-4
+        }));
+        const { mixedLayer } = analyzer.analyze(profile);
+
+        assert.ok(Math.abs(mixedLayer.temperature_m - 60) < 0.2, `temperature MLD ${mixedLayer.temperature_m}`);
+        assert.equal(mixedLayer.density_m, null);
+        assert.equal(mixedLayer.depth_m, mixedLayer.temperature_m);
+    });
+
+    it('prefers the density criterion for a salinity-stratified layer', () => {
+        // Isothermal to 100 m, but salinity rises 0.01 psu per metre below 30 m: 0.03 kg/m³ is 3.85 m further down
+        const profile = analyzer.normalizeProfile(argovisProfile({
+            temperature: depth => depth <= 100 ? 20 : 20 - 0.01 * (depth - 100),
+            salinity: depth => depth <= 30 ? 35 : 35 + 0.01 * (depth - 30)
+        }));
+        const { mixedLayer } = analyzer.analyze(profile);
+
+        assert.ok(Math.abs(mixedLayer.density_m - 33.85) < 0.2, `density MLD ${mixedLayer.density_m}`);
+        assert.ok(mixedLayer.temperature_m > 100);
+        assert.equal(mixedLayer.depth_m, mixedLayer.density_m);
+    });
+
+    it('integrates heat content over 0-700 m', () => {
+        // Uniform 10 °C: ρ·cp·T·700 m = 1025 · 3985 · 10 · 700
+        const uniform = analyzer.analyze(analyzer.normalizeProfile(argovisProfile({ temperature: () => 10 })));
+        assert.deepEqual(uniform.heatContent700, { value_gj_m2: 28.59, meanTemperature_c: 10, reason: null });
+
+        // Linear from 20 °C at the surface to 6 °C at 700 m averages 13 °C
+        const linear = analyzer.analyze(analyzer.normalizeProfile(argovisProfile({ temperature: depth => 20 - 0.02 * depth })));
+        assert.ok(Math.abs(linear.heatContent700.meanTemperature_c - 13) <= 0.06, `mean ${linear.heatContent700.meanTemperature_c}`);
+        assert.ok(Math.abs(linear.heatContent700.value_gj_m2 - 37.17) <= 0.15, `heat content ${linear.heatContent700.value_gj_m2}`);
+    });
+
+    it('reports why heat content is missing', () => {
+        const shallow = analyzer.analyze(analyzer.normalizeProfile(argovisProfile({ temperature: () => 10, pressures: PRESSURES.slice(0, 15) })));
+        assert.deepEqual(shallow.heatContent700, { value_gj_m2: null, meanTemperature_c: null, reason: 'Profile does not reach 700 m' });
+
+        const deepStart = analyzer.analyze(analyzer.normalizeProfile(argovisProfile({ temperature: () => 10, pressures: PRESSURES.slice(3) })));
+        assert.equal(deepStart.heatContent700.reason, 'No near-surface level');
+        assert.equal(deepStart.surfaceTemperature_c, null);
+    });
+});
+
+describe('OceanBuoyReader.readOceanProfiles', () => {
+    let result;
+
+    before(async () => {
+        ['log', 'warn', 'error'].forEach(method => mock.method(console, method, () => {}));
+        mock.timers.enable({ apis: ['Date'], now: RECORDED_AT });
+
+        // The transport reads the environment on import
+        const { default: OceanBuoyReader } = await import('../SRC/data-systems/ocean-buoy-reader.js');
+        result = await new OceanBuoyReader().readOceanProfiles(BERMUDA, 300);
+    });
+
+    after(() => {
+        mock.timers.reset();
+        mock.restoreAll();
+    });
+
+    it('lists each float once, nearest first, at its latest surfacing', () => {
+        assert.deepEqual(result.floats.map(float => [float.float, float.distance_km]), [['4903456', 54.6], ['1902345', 192.6]]);
+        assert.equal(result.floats[0].latest.cycle, 41);
+        assert.deepEqual(result.floats[0].history.map(profile => profile.cycle), [40]);
+    });
+
+    it('analyzes the latest Argovis profile of each float', () => {
+        const [near, far] = result.floats;
+
+        // Mixed to 10 m, then cooling 0.02 °C per metre: the 0.2 °C drop is at 20 m, the density threshold sooner
+        assert.deepEqual(near.latest.mixedLayer, { temperature_m: 20, density_m: 18.6, depth_m: 18.6 });
+        assert.deepEqual(near.latest.heatContent700, { value_gj_m2: 37.74, meanTemperature_c: 13.2, reason: null });
+        assert.equal(far.latest.heatContent700.reason, 'Profile does not reach 700 m');
+
+        // The far float cools half as fast, so its density threshold lies 17.2 m below the 10 m reference instead of 8.6 m
+        assert.equal(far.latest.mixedLayer.depth_m, 27.1);
+        assert.deepEqual(result.summary, {
+            floats: 2,
+            profiles: 2,
+            meanMixedLayerDepth_m: 22.85,
+            meanHeatContent700_gj_m2: 37.74,
+            meanSurfaceTemperature_c: 20.98
+        });
+    });
+
+    it('follows a float\'s drift from its Argovis positions', () => {
+        const { trajectory } = result.floats[0];
+
+        assert.deepEqual(trajectory.positions.map(position => position.cycle), [39, 40, 41]);
+        assert.equal(trajectory.distance_km, 68.8);
+        assert.equal(trajectory.meanDrift_km_per_day, 3.44);
+    });
+});
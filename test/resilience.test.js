@@ -0,0 +1,192 @@
+/**
+ * 🛡️ Retry budget, rate limiting, backpressure and circuit breaking
+ */
+
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { ResiliencePolicy, CircuitBreaker, TokenBucket, createResilienceError, gatewayStatus } from '../SRC/utils/resilience.js';
+
+function throttled(retryAfterMs) {
+    const error = createResilienceError('provider responded 429 Too Many Requests', 'HTTP_ERROR', 429);
+    error.retryAfterMs = retryAfterMs;
+    return error;
+}
+
+function serverError() {
+    return createResilienceError('provider responded 503 Service Unavailable', 'HTTP_ERROR', 503);
+}
+
+// Breakers announce every state change
+before(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+});
+
+after(() => mock.restoreAll());
+
+describe('ResiliencePolicy', () => {
+    it('waits out a Retry-After inside the retry budget', async () => {
+        const policy = new ResiliencePolicy('retry-after-short', { baseDelayMs: 1, maxDelayMs: 200 });
+        let calls = 0;
+
+        const started = Date.now();
+        const result = await policy.execute(async () => {
+            if (++calls === 1) throw throttled(50);
+            return 'ok';
+        });
+
+        assert.equal(result, 'ok');
+        assert.equal(calls, 2);
+        assert.ok(Date.now() - started >= 45);
+    });
+
+    it('fails instead of sleeping past the budget when Retry-After is longer', async () => {
+        const policy = new ResiliencePolicy('retry-after-long', { baseDelayMs: 1, maxDelayMs: 200 });
+        let calls = 0;
+
+        const started = Date.now();
+        await assert.rejects(policy.execute(async () => {
+            calls++;
+            throw throttled(120 * 1000);
+        }), error => error.status === 429 && error.retryAfterMs === 120 * 1000);
+
+        assert.equal(calls, 1);
+        assert.ok(Date.now() - started < 1000);
+    });
+
+    it('treats 429 as backpressure, never as a breaker failure', async () => {
+        const policy = new ResiliencePolicy('throttled', { failureThreshold: 2, maxAttempts: 1, baseDelayMs: 1 });
+
+        for (let i = 0; i < 3; i++) {
+            await assert.rejects(policy.execute(async () => { throw throttled(null); }), error => error.status === 429);
+        }
+        assert.equal(policy.getState().state, 'closed');
+        assert.equal(policy.getState().throttled, 3);
+
+        // A Retry-After longer than callers queue turns the next call away without reaching the provider
+        let calls = 0;
+        await assert.rejects(policy.execute(async () => { calls++; throw throttled(60 * 1000); }));
+        await assert.rejects(policy.execute(async () => { calls++; return 'ok'; }), error => error.code === 'RATE_LIMITED');
+        assert.equal(calls, 1);
+        assert.equal(policy.getState().state, 'closed');
+    });
+
+    it('opens the breaker on consecutive 5xx and fails fast while open', async () => {
+        const policy = new ResiliencePolicy('failing', { failureThreshold: 2, maxAttempts: 1, resetTimeoutMs: 60 * 1000 });
+        let calls = 0;
+        const failing = async () => { calls++; throw serverError(); };
+
+        await assert.rejects(policy.execute(failing), error => error.status === 503);
+        await assert.rejects(policy.execute(failing), error => error.status === 503);
+        await assert.rejects(policy.execute(failing), error => error.code === 'CIRCUIT_OPEN');
+
+        assert.equal(calls, 2);
+        assert.equal(policy.isAvailable(), false);
+    });
+
+    it('turns callers away once the token bucket is exhausted', async () => {
+        const policy = new ResiliencePolicy('exhausted', { rateLimit: 3600, burst: 2, maxWaitMs: 100 });
+        const ok = async () => 'ok';
+
+        assert.equal(await policy.execute(ok), 'ok');
+        assert.equal(await policy.execute(ok), 'ok');
+        await assert.rejects(policy.execute(ok), error => error.code === 'RATE_LIMITED' && error.status === 429);
+
+        assert.equal(policy.getState().rateLimited, 1);
+        assert.equal(policy.getState().consecutiveFailures, 0);
+    });
+});
+
+describe('TokenBucket', () => {
+    it('queues callers past the burst and refuses those that would wait too long', () => {
+        const bucket = new TokenBucket(3600, 2); // one token a second
+
+        assert.equal(bucket.reserve(), 0);
+        assert.equal(bucket.reserve(), 0);
+        assert.equal(bucket.reserve(500), null);
+        assert.ok(Math.abs(bucket.reserve(2000) - 1000) < 50);
+        assert.ok(bucket.getWaitTime() > 1900);
+    });
+
+    it('hands nothing out while held', () => {
+        const bucket = new TokenBucket(3600, 10);
+        bucket.holdFor(5000);
+
+        assert.ok(Math.abs(bucket.getWaitTime() - 5000) < 50);
+        assert.equal(bucket.reserve(1000), null);
+    });
+});
+
+describe('CircuitBreaker', () => {
+    function openBreaker() {
+        const breaker = new CircuitBreaker('probe', { failureThreshold: 2, resetTimeoutMs: 1000, maxResetTimeoutMs: 3000 });
+        breaker.recordFailure(serverError());
+        breaker.recordFailure(serverError());
+        return breaker;
+    }
+
+    it('opens after the failure threshold and rejects until the cool-down passes', () => {
+        const breaker = openBreaker();
+
+        assert.equal(breaker.state, 'open');
+        assert.equal(breaker.acquire(breaker.openedAt + 999), false);
+        assert.equal(breaker.stats.rejected, 1);
+        assert.equal(breaker.isAvailable(breaker.openedAt + 1000), true);
+    });
+
+    it('lets a single half-open probe through and closes on its success', () => {
+        const breaker = openBreaker();
+        const afterCooldown = breaker.openedAt + 1000;
+
+        assert.equal(breaker.acquire(afterCooldown), true);
+        assert.equal(breaker.state, 'half-open');
+        assert.equal(breaker.acquire(afterCooldown), false);
+
+        breaker.recordSuccess();
+        assert.equal(breaker.state, 'closed');
+        assert.equal(breaker.cooldownMs, 1000);
+    });
+
+    it('doubles the cool-down each time a probe fails, up to the cap', () => {
+        const breaker = openBreaker();
+        const cooldowns = [breaker.cooldownMs];
+
+        for (let i = 0; i < 3; i++) {
+            assert.equal(breaker.acquire(breaker.openedAt + breaker.cooldownMs), true);
+            breaker.recordFailure(serverError());
+            assert.equal(breaker.state, 'open');
+            cooldowns.push(breaker.cooldownMs);
+        }
+
+        assert.deepEqual(cooldowns, [1000, 2000, 3000, 3000]);
+    });
+
+    it('frees the probe slot when the probe ends without a verdict', () => {
+        const breaker = openBreaker();
+        const afterCooldown = breaker.openedAt + 1000;
+
+        assert.equal(breaker.acquire(afterCooldown), true);
+        breaker.release();
+        assert.equal(breaker.state, 'half-open');
+        assert.equal(breaker.acquire(afterCooldown), true);
+    });
+});
+
+describe('gatewayStatus', () => {
+    it('keeps statuses raised for the client', () => {
+        const error = new Error('Location not found: Atlantis');
+        error.status = 404;
+        assert.equal(gatewayStatus(error), 404);
+    });
+
+    it('reports provider failures as 502 whatever the provider answered', () => {
+        const notFound = new Error('WeatherAPI.com current error: 404');
+        notFound.status = 404;
+        notFound.upstream = true;
+
+        assert.equal(gatewayStatus(notFound), 502);
+        assert.equal(gatewayStatus(createResilienceError('provider responded 500', 'HTTP_ERROR', 500)), 502);
+        assert.equal(gatewayStatus(createResilienceError('provider timed out after 15000ms', 'TIMEOUT', 504)), 502);
+        assert.equal(gatewayStatus(new Error('NDBC data error: 503')), 502);
+    });
+});
@@ -0,0 +1,16 @@
+/**
+ * 🌍 Server module import
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+describe('ClimateZillaServer', () => {
+    it('starts nothing when imported rather than run', async () => {
+        const signalHandlers = process.listenerCount('SIGTERM');
+        const { default: ClimateZillaServer } = await import('../SERVER/server.js');
+
+        assert.equal(typeof ClimateZillaServer, 'function');
+        assert.equal(process.listenerCount('SIGTERM'), signalHandlers);
+    });
+});
@@ -0,0 +1,93 @@
+/**
+ * 🧭 k-d tree nearest and within-radius queries across the dateline and the poles
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { KDTree, distanceKm } from '../SRC/utils/spatial-index.js';
+
+// Deterministic scatter over the whole globe, uniform on the sphere
+function scatter(count, seed = 42) {
+    let state = seed;
+    const random = () => (state = (state * 1103515245 + 12345) % 2147483648) / 2147483648;
+    return Array.from({ length: count }, (_, id) => ({
+        id,
+        lat: Math.asin(2 * random() - 1) * 180 / Math.PI,
+        lon: random() * 360 - 180
+    }));
+}
+
+function bruteForce(points, lat, lon) {
+    return points
+        .map(point => ({ id: point.id, distance_km: distanceKm(lat, lon, point.lat, point.lon) }))
+        .sort((a, b) => a.distance_km - b.distance_km);
+}
+
+const ids = results => results.map(({ item }) => item.id);
+
+describe('distanceKm', () => {
+    it('measures great-circle distance', () => {
+        assert.ok(Math.abs(distanceKm(0, 0, 0, 1) - 111.19) < 0.01);
+        assert.ok(Math.abs(distanceKm(0, 179.5, 0, -179.5) - 111.19) < 0.01);
+        assert.ok(Math.abs(distanceKm(90, 0, -90, 0) - Math.PI * 6371) < 0.01);
+    });
+});
+
+describe('KDTree', () => {
+    it('finds the nearest point on the far side of the dateline', () => {
+        const tree = new KDTree([
+            { id: 'west', lat: 10, lon: 179.8 },
+            { id: 'east', lat: 10, lon: -170 },
+            { id: 'meridian', lat: 10, lon: 0 }
+        ]);
+
+        const [nearest] = tree.nearest(10, -179.5);
+        assert.equal(nearest.item.id, 'west');
+        assert.ok(Math.abs(nearest.distance_km - distanceKm(10, -179.5, 10, 179.8)) < 1e-6);
+
+        assert.deepEqual(ids(tree.within(10, 180, 100)), ['west']);
+    });
+
+    it('treats every longitude at the pole as the same place', () => {
+        const ring = [0, 90, 180, -90].map(lon => ({ id: `ring${lon}`, lat: 89.9, lon }));
+        const tree = new KDTree([...ring, { id: 'arctic', lat: 80, lon: 45 }]);
+
+        // 0.1° of latitude from the pole whatever the longitude asked for
+        const nearest = tree.nearest(90, 123, 4);
+        assert.deepEqual(ids(nearest).sort(), ring.map(point => point.id).sort());
+        nearest.forEach(({ distance_km }) => assert.ok(Math.abs(distance_km - 11.12) < 0.01));
+
+        assert.equal(tree.within(90, -45, 20).length, 4);
+        // Across the pole: 89.9°N 0° to 89.9°N 180° is 0.2° of arc
+        assert.ok(Math.abs(tree.nearest(89.9, 180, 2)[1].distance_km - 15.72) < 0.01);
+    });
+
+    it('matches a brute-force search for nearest-k and within-radius', () => {
+        const points = scatter(500);
+        const tree = new KDTree(points);
+
+        [[0, 0], [45, -179.9], [-89.5, 10], [89.99, -60], [-30, 150]].forEach(([lat, lon]) => {
+            const expected = bruteForce(points, lat, lon);
+
+            assert.deepEqual(ids(tree.nearest(lat, lon, 5)), expected.slice(0, 5).map(point => point.id), `nearest to ${lat},${lon}`);
+
+            const radius = expected[9].distance_km + 1;
+            assert.deepEqual(ids(tree.within(lat, lon, radius)),
+                expected.filter(point => point.distance_km <= radius).map(point => point.id), `within ${radius} km of ${lat},${lon}`);
+        });
+    });
+
+    it('applies the distance cap and the filter while searching', () => {
+        const points = scatter(500);
+        const tree = new KDTree(points);
+        const even = point => point.id % 2 === 0;
+
+        const expected = bruteForce(points.filter(even), 20, 20);
+        assert.deepEqual(ids(tree.nearest(20, 20, 3, { filter: even })), expected.slice(0, 3).map(point => point.id));
+
+        const capped = tree.nearest(20, 20, 50, { maxDistanceKm: expected[1].distance_km + 0.001, filter: even });
+        assert.deepEqual(ids(capped), expected.slice(0, 2).map(point => point.id));
+
+        assert.deepEqual(new KDTree([]).nearest(0, 0, 3), []);
+    });
+});
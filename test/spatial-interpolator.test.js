@@ -0,0 +1,118 @@
+/**
+ * 🗺️ Inverse-distance weighting, ordinary kriging and their leave-one-out errors
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { SpatialInterpolator } from '../SRC/data-systems/spatial-interpolator.js';
+
+const interpolator = new SpatialInterpolator();
+const BBOX = { minLat: 40, maxLat: 41.5, minLon: -75, maxLon: -73.5 };
+
+// Jittered 7x7 stations over a smooth temperature field
+function smoothField() {
+    const points = [];
+    for (let i = 0; i < 7; i++) {
+        for (let j = 0; j < 7; j++) {
+            const lat = 40 + i * 0.25 + ((i * 7 + j) % 3) * 0.03;
+            const lon = -75 + j * 0.25 + ((i + j) % 4) * 0.02;
+            points.push({ lat, lon, value: 15 + 5 * Math.sin(lat * 2) + 3 * Math.cos(lon * 1.5) });
+        }
+    }
+    return points;
+}
+
+// Three stations 10 km apart along a line, already projected
+const LINE = [{ x: 0, y: 0, value: 0 }, { x: 10, y: 0, value: 1 }, { x: 20, y: 0, value: 2 }];
+
+describe('SpatialInterpolator.idw', () => {
+    it('returns a station\'s own value on top of it', () => {
+        assert.deepEqual(interpolator.idw(LINE, 10, 0), { value: 1, error: 0 });
+    });
+
+    it('weights neighbours by inverse squared distance and reports their weighted spread', () => {
+        // 5 km from the first, 5 from the second and 15 from the third: weights 9:9:1
+        const { value, error } = interpolator.idw(LINE, 5, 0);
+
+        assert.ok(Math.abs(value - 11 / 19) < 1e-12);
+        const spread = (9 * (0 - value) ** 2 + 9 * (1 - value) ** 2 + (2 - value) ** 2) / 19;
+        assert.ok(Math.abs(error - Math.sqrt(spread)) < 1e-12);
+    });
+});
+
+describe('SpatialInterpolator.krige', () => {
+    it('honours the data at a station with no error', () => {
+        const model = { nugget: 0.1, partialSill: 1, range: 30 };
+        const { value, error } = interpolator.krige(LINE, model, 20, 0);
+
+        assert.ok(Math.abs(value - 2) < 1e-9);
+        assert.ok(error < 1e-6);
+    });
+
+    it('falls back to the plain mean when the stations are uncorrelated', () => {
+        // Range far below the spacing: every pair is at the sill, so every weight is equal
+        const model = { nugget: 0, partialSill: 1, range: 1e-3 };
+        const { value, error } = interpolator.krige(LINE, model, 5, 0);
+
+        assert.ok(Math.abs(value - 1) < 1e-9);
+        // σ² = γ(x0) + μ with weights 1/3: 1 + 1/3
+        assert.ok(Math.abs(error - Math.sqrt(4 / 3)) < 1e-9);
+    });
+});
+
+describe('SpatialInterpolator.crossValidate', () => {
+    it('leaves each station out in turn with IDW', () => {
+        // Dropping an end station estimates it from the others at 10 and 20 km: 1.2 and 0.8
+        assert.deepEqual(interpolator.crossValidate(LINE, null), { rmse: 0.98, mae: 0.8 });
+    });
+
+    it('leaves each station out in turn with kriging', () => {
+        // Uncorrelated stations: each is estimated by the mean of the other two
+        assert.deepEqual(interpolator.crossValidate(LINE, { nugget: 0, partialSill: 1, range: 1e-3 }), { rmse: 1.22, mae: 1 });
+    });
+
+    it('needs at least three stations', () => {
+        assert.equal(interpolator.crossValidate(LINE.slice(0, 2), null), null);
+    });
+});
+
+describe('SpatialInterpolator.interpolate', () => {
+    it('lays out the grid from the box and resolution', () => {
+        const grid = interpolator.interpolate(smoothField(), { bbox: BBOX, resolution: 0.5 });
+
+        assert.deepEqual([grid.rows, grid.cols], [4, 4]);
+        assert.deepEqual(grid.lats, [40, 40.5, 41, 41.5]);
+        assert.deepEqual(grid.lons, [-75, -74.5, -74, -73.5]);
+        assert.equal(grid.values.length, 4);
+        grid.values.forEach(row => assert.equal(row.length, 4));
+        assert.equal(grid.pointCount, 49);
+        assert.equal(grid.variogram, undefined);
+    });
+
+    it('fits a variogram and beats IDW in leave-one-out on a smooth field', () => {
+        const idw = interpolator.interpolate(smoothField(), { bbox: BBOX, method: 'idw' });
+        const kriging = interpolator.interpolate(smoothField(), { bbox: BBOX, method: 'kriging' });
+
+        assert.equal(kriging.variogram.model, 'exponential');
+        assert.ok(kriging.variogram.range_km > 0);
+        assert.ok(kriging.crossValidation.rmse < idw.crossValidation.rmse,
+            `kriging ${kriging.crossValidation.rmse} against IDW ${idw.crossValidation.rmse}`);
+        assert.ok(kriging.crossValidation.mae < idw.crossValidation.mae);
+    });
+
+    it('averages co-located reports into one station', () => {
+        const estimate = interpolator.estimateAt([
+            { lat: 40.5, lon: -74.5, value: 10 },
+            { lat: 40.50001, lon: -74.50001, value: 12 },
+            { lat: 40.5, lon: -74, value: Number.NaN }
+        ], 40.5, -74.5);
+
+        assert.deepEqual(estimate, { value: 11, error: 0, pointCount: 1 });
+    });
+
+    it('refuses what it cannot grid', () => {
+        assert.throws(() => interpolator.interpolate(smoothField(), { bbox: BBOX, method: 'spline' }), error => error.status === 400);
+        assert.throws(() => interpolator.interpolate(smoothField(), { bbox: BBOX, resolution: 0.001 }), error => error.status === 400);
+        assert.throws(() => interpolator.interpolate([], { bbox: BBOX }), error => error.status === 404);
+    });
+});
@@ -0,0 +1,145 @@
+/**
+ * 📍 Station list parsers and a catalog that answers while it downloads
+ */
+
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { StationCatalog } from '../SRC/data-systems/station-catalog.js';
+
+const SOURCES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'stations', 'sources');
+const NEW_YORK = { lat: 40.7128, lon: -74.006 };
+
+const readSource = name => fs.readFile(path.join(SOURCES_DIR, name), 'utf8');
+
+describe('StationCatalog parsers', () => {
+    const catalog = new StationCatalog({ catalogPath: path.join(os.tmpdir(), 'unused-catalog.json') });
+
+    it('reads NDBC\'s station table, signing S and W and skipping rows without a position', async () => {
+        const stations = catalog.parseNDBCStationTable(await readSource('station_table.txt'));
+
+        assert.deepEqual(stations.map(station => [station.id, station.lat, station.lon]), [
+            ['21413', 30.52, 152.123],
+            ['32ST0', -19.713, -85.585],
+            ['41013', 33.441, -77.764],
+            ['44065', 40.369, -73.703]
+        ]);
+        assert.deepEqual(stations[3], {
+            id: '44065',
+            type: 'BUOY',
+            name: 'New York Harbor Entrance - 15 NM SE of Breezy Point , NY',
+            lat: 40.369,
+            lon: -73.703,
+            elevation_m: null,
+            network: 'NDBC',
+            owner: 'NDBC',
+            platform: 'Weather Buoy',
+            payload: 'SCOOP'
+        });
+    });
+
+    it('keeps ISD stations heard from within a year and drops the (0, 0) placeholder', async () => {
+        mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-10-19T12:00:00Z') });
+        try {
+            const stations = catalog.parseISDHistory(await readSource('isd-history.csv'));
+
+            assert.deepEqual(stations.map(station => station.id), ['725030-14732', '999999-00181']);
+            assert.equal(stations[0].icao, 'KLGA');
+            assert.equal(stations[0].lon, -73.88);
+            assert.equal(stations[0].elevation_m, 3.4);
+            assert.equal(stations[1].elevation_m, null);
+        } finally {
+            mock.timers.reset();
+        }
+    });
+
+    it('reads NWS radar sites and skips those without geometry', async () => {
+        const stations = catalog.parseRadarStations(JSON.parse(await readSource('radar-stations.json')));
+
+        assert.deepEqual(stations.map(station => [station.id, station.radarType]), [['KOKX', 'WSR-88D'], ['TJFK', 'TDWR']]);
+        assert.equal(stations[0].lat, 40.8655);
+        assert.equal(stations[0].elevation_m, 25.908);
+    });
+
+    it('follows NWS pagination until a page comes back empty', async () => {
+        const pages = {
+            'https://api.weather.gov/stations?limit=500': {
+                features: [{ geometry: { coordinates: [-73.9693, 40.7789] }, properties: { stationIdentifier: 'KNYC', name: 'New York City, Central Park', elevation: { value: 46.9 }, timeZone: 'America/New_York' } }],
+                pagination: { next: 'https://api.weather.gov/stations?limit=500&cursor=2' }
+            },
+            'https://api.weather.gov/stations?limit=500&cursor=2': {
+                features: [{ geometry: { coordinates: [-73.7789, 40.6392] }, properties: { stationIdentifier: 'KJFK', name: 'New York, Kennedy International Airport' } }],
+                pagination: { next: 'https://api.weather.gov/stations?limit=500&cursor=3' }
+            },
+            'https://api.weather.gov/stations?limit=500&cursor=3': { features: [], pagination: { next: 'https://api.weather.gov/stations?limit=500&cursor=4' } }
+        };
+        const requested = [];
+        const paged = new StationCatalog({ catalogPath: path.join(os.tmpdir(), 'unused-catalog.json') });
+        paged.fetchJSON = async (type, url) => {
+            requested.push(url);
+            return pages[url];
+        };
+
+        const stations = await paged.fetchNWSStations();
+
+        assert.equal(requested.length, 3);
+        assert.deepEqual(stations.map(station => station.id), ['KNYC', 'KJFK']);
+        assert.equal(stations[0].timeZone, 'America/New_York');
+        assert.equal(stations[1].elevation_m, null);
+    });
+});
+
+describe('StationCatalog.start', () => {
+    let directory;
+    let catalog;
+    let finishDownload;
+
+    before(async () => {
+        ['log', 'warn'].forEach(method => mock.method(console, method, () => {}));
+        directory = await fs.mkdtemp(path.join(os.tmpdir(), 'station-catalog-'));
+
+        // Only the buoys have been downloaded before
+        const catalogPath = path.join(directory, 'catalog.json');
+        await fs.writeFile(catalogPath, JSON.stringify({
+            format: 1,
+            sources: { BUOY: { refreshedAt: '2026-10-19T00:00:00.000Z', count: 1, error: null } },
+            stations: [{ id: '44065', type: 'BUOY', name: 'New York Harbor Entrance', lat: 40.369, lon: -73.703, elevation_m: null, network: 'NDBC' }]
+        }));
+
+        catalog = new StationCatalog({ catalogPath });
+        const download = new Promise(resolve => { finishDownload = resolve; });
+        catalog.fetchSource = async type => {
+            await download;
+            return type === 'NWS'
+                ? [catalog.createStation('NWS', 'KNYC', 'Central Park', 40.7789, -73.9693, 46.9, { network: 'NWS' })]
+                : [];
+        };
+    });
+
+    after(async () => {
+        catalog.stop();
+        mock.restoreAll();
+        await fs.rm(directory, { recursive: true, force: true });
+    });
+
+    it('answers from the stations on disk while the missing sources download', async () => {
+        await catalog.start();
+
+        assert.equal(catalog.getStatus().refreshing, true);
+        assert.deepEqual((await catalog.nearest(NEW_YORK)).map(station => station.id), ['44065']);
+        assert.equal((await catalog.get('BUOY', '44065')).name, 'New York Harbor Entrance');
+    });
+
+    it('adds the downloaded sources once they arrive', async () => {
+        const refreshing = catalog.refreshing;
+        finishDownload();
+        await refreshing;
+
+        assert.deepEqual((await catalog.nearest(NEW_YORK)).map(station => station.id), ['KNYC', '44065']);
+        assert.equal(catalog.getStatus().sources.NWS.count, 1);
+        assert.equal(catalog.getStatus().sources.BUOY.refreshedAt, '2026-10-19T00:00:00.000Z');
+    });
+});
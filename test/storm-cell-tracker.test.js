@@ -0,0 +1,137 @@
+/**
+ * ⛈️ Storm cell tracking and nowcasts
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { StormCellTracker } from '../SRC/data-systems/storm-cell-tracker.js';
+
+const MINUTE_MS = 60 * 1000;
+const START = Date.parse('2026-10-19T18:00:00Z');
+const HOME = { lat: 40, lon: -100 };
+const KM_PER_DEGREE_LON = 111.32 * Math.cos(HOME.lat * Math.PI / 180);
+
+// A cell `xKm` east of HOME (negative is west)
+function cellAt(xKm, minutes, extra = {}) {
+    return {
+        time: new Date(START + minutes * MINUTE_MS).toISOString(),
+        lat: HOME.lat,
+        lon: HOME.lon + xKm / KM_PER_DEGREE_LON,
+        reflectivity_dbz: 45,
+        ...extra
+    };
+}
+
+function eastKm(track) {
+    return (track.points[track.points.length - 1].lon - HOME.lon) * KM_PER_DEGREE_LON;
+}
+
+// One cell heading east at 60 km/h, scanned every 10 minutes, ending 20 km west of HOME
+function approachingTracker() {
+    const tracker = new StormCellTracker();
+    [-40, -30, -20].forEach((xKm, scan) => tracker.update([cellAt(xKm, scan * 10)]));
+    return tracker;
+}
+
+describe('StormCellTracker', () => {
+    it('follows a provider id across scans', () => {
+        const tracker = new StormCellTracker();
+        const [first] = tracker.update([cellAt(-40, 0, { id: 'A' })]);
+        const [second] = tracker.update([cellAt(-30, 10, { id: 'A' })]);
+
+        assert.equal(second, first);
+        assert.equal(tracker.tracks.get(first).points.length, 2);
+    });
+
+    it('never pairs a cell with a track the provider numbered differently', () => {
+        const tracker = new StormCellTracker();
+        const [first] = tracker.update([cellAt(-40, 0, { id: 'A' })]);
+        const [second] = tracker.update([cellAt(-39, 10, { id: 'B' })]);
+
+        assert.notEqual(second, first);
+        assert.equal(tracker.tracks.size, 2);
+    });
+
+    it('matches unnumbered cells to the nearest predicted position', () => {
+        const tracker = new StormCellTracker();
+        const [west, east] = tracker.update([cellAt(-40, 0), cellAt(-10, 0)]);
+        tracker.update([cellAt(0, 10), cellAt(-32, 10)]);
+
+        assert.equal(tracker.tracks.size, 2);
+        assert.equal(Math.round(eastKm(tracker.tracks.get(east))), 0);
+        assert.equal(Math.round(eastKm(tracker.tracks.get(west))), -32);
+    });
+
+    it('starts a new track for a cell beyond the distance gate', () => {
+        const tracker = new StormCellTracker({ gateKm: 10, maxSpeedKph: 60 });
+        tracker.update([cellAt(-40, 0)]);
+        tracker.update([cellAt(40, 10)]);
+
+        assert.equal(tracker.tracks.size, 2);
+    });
+
+    it('fits velocity to the track, or falls back to the reported motion', () => {
+        const tracker = approachingTracker();
+        const velocity = tracker.velocity(tracker.tracks.values().next().value);
+
+        assert.equal(velocity.source, 'track');
+        assert.ok(Math.abs(velocity.vx - 60) < 0.5);
+        assert.ok(Math.abs(velocity.vy) < 0.5);
+
+        const single = new StormCellTracker();
+        single.update([cellAt(-40, 0, { motion: { speed_kph: 30, heading_deg: 180 } })]);
+        const reported = single.velocity(single.tracks.values().next().value);
+
+        assert.equal(reported.source, 'provider');
+        assert.ok(Math.abs(reported.vy + 30) < 1e-9);
+    });
+
+    it('finds when the core reaches a location and for how long', () => {
+        const tracker = approachingTracker();
+        const track = tracker.tracks.values().next().value;
+        const now = START + 20 * MINUTE_MS;
+
+        const arrival = tracker.findArrival(track, HOME, tracker.velocity(track), now, 0, 60);
+
+        // 20 km to go, 5 km core radius, 60 km/h
+        assert.equal(arrival.minutes, 15);
+        assert.equal(arrival.durationMinutes, 10);
+        assert.equal(arrival.closest_approach_km, 0);
+        assert.equal(arrival.intensity, 'Heavy rain');
+        assert.equal(arrival.confidence, 0.68);
+    });
+
+    it('expects no rain from a cell weakening below the rain threshold on the way', () => {
+        const tracker = new StormCellTracker();
+        [[-40, 45], [-30, 35], [-20, 25]].forEach(([xKm, dbz], scan) =>
+            tracker.update([cellAt(xKm, scan * 10, { reflectivity_dbz: dbz })]));
+        const track = tracker.tracks.values().next().value;
+
+        assert.equal(tracker.growth(track).trend, 'weakening');
+        assert.equal(tracker.findArrival(track, HOME, tracker.velocity(track), START + 20 * MINUTE_MS, 0, 60), null);
+    });
+
+    it('nowcasts the next arrival and leaves out cells moving away', () => {
+        const tracker = new StormCellTracker();
+        [[-40, -60], [-30, -70], [-20, -80]].forEach(([approaching, receding], scan) =>
+            tracker.update([cellAt(approaching, scan * 10), cellAt(receding, scan * 10)]));
+
+        const nowcast = tracker.nowcast(HOME, { now: START + 20 * MINUTE_MS });
+
+        assert.equal(nowcast.trackedCells, 2);
+        assert.equal(nowcast.nextArrival.minutes, 15);
+        assert.equal(nowcast.summary, 'Heavy rain reaching you in ~15 min');
+        assert.equal(nowcast.tracks[0].motion.heading_deg, 90);
+        assert.equal(nowcast.tracks[1].motion.heading_deg, 270);
+        assert.equal(nowcast.tracks[1].arrival, null);
+        assert.equal(nowcast.tracks[0].predictedTrack.length, 13);
+    });
+
+    it('reports no rain once every track has gone stale', () => {
+        const tracker = approachingTracker();
+        const nowcast = tracker.nowcast(HOME, { now: START + 90 * MINUTE_MS });
+
+        assert.equal(nowcast.trackedCells, 0);
+        assert.equal(nowcast.summary, 'No rain expected in the next 60 min');
+    });
+});
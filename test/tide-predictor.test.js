@@ -0,0 +1,157 @@
+/**
+ * 🌙 Tide prediction from harmonic constituents
+ */
+
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { TidePredictor } from '../SRC/data-systems/tide-predictor.js';
+
+// Constituent speeds in degrees per hour as NOAA CO-OPS publishes them with every harcon table
+const NOAA_SPEEDS = {
+    M2: 28.9841042, S2: 30.0, N2: 28.4397295, K1: 15.0410686, M4: 57.9682084, O1: 13.9430356,
+    M6: 86.9523127, S4: 60.0, MN4: 57.4238337, NU2: 28.5125831, MU2: 27.9682084, '2N2': 27.8953548,
+    OO1: 16.1391017, J1: 15.5854433, MM: 0.5443747, SSA: 0.0821373, SA: 0.0410686, MF: 1.0980331,
+    Q1: 13.3986609, T2: 29.9589333, P1: 14.9589314, L2: 29.5284789, K2: 30.0821373, M8: 115.9364166,
+    MS4: 58.9841042
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Lunar and solar semidiurnal tides only: springs and neaps a fortnight apart
+const SYNTHETIC_STATION = {
+    id: 'SYN1', name: 'Synthetic', lat: 0, lon: 0, datum: 'MLLW', msl_m: 1,
+    constituents: [
+        { name: 'M2', amplitude: 1, phase: 0 },
+        { name: 'S2', amplitude: 0.3, phase: 0 }
+    ]
+};
+
+describe('TidePredictor', () => {
+    let directory;
+
+    before(async () => {
+        mock.method(console, 'log', () => {});
+        directory = await fs.mkdtemp(path.join(os.tmpdir(), 'tide-stations-'));
+    });
+
+    after(async () => {
+        mock.restoreAll();
+        await fs.rm(directory, { recursive: true, force: true });
+    });
+
+    it('advances every constituent at the speed NOAA publishes for it', () => {
+        const predictor = new TidePredictor({ stationsDir: directory });
+
+        Object.entries(NOAA_SPEEDS).forEach(([name, speed]) => {
+            assert.ok(Math.abs(predictor.speed(name) - speed) < 1e-5, `${name}: expected ${speed}, got ${predictor.speed(name)}`);
+        });
+    });
+
+    it('loads a NOAA harcon export and drops constituents whose speed does not match the name', async () => {
+        await fs.writeFile(path.join(directory, 'TEST1.json'), JSON.stringify({
+            id: 'TEST1', name: 'Test', lat: 40.7, lon: -74.01, datum: 'MLLW', msl_m: 0.8,
+            HarmonicConstituents: [
+                { name: 'M2', amplitude: 0.6, phase_GMT: 0, speed: 28.9841042 },
+                { name: 'L2', amplitude: 0.04, phase_GMT: 0, speed: 29.4556253 }, // LAM2's speed
+                { name: 'RHO', amplitude: 0.01, phase_GMT: 0, speed: 13.4715145 }
+            ]
+        }));
+
+        const predictor = new TidePredictor({ stationsDir: directory });
+        await predictor.ready;
+        const station = predictor.getStation('TEST1');
+
+        assert.deepEqual(station.constituents.map(constituent => constituent.name), ['M2']);
+
+        // A lone M2 tide turns every half lunar day
+        const start = new Date('2026-10-19T00:00:00Z');
+        const { extremes } = predictor.predict(station, start, new Date(start.getTime() + 48 * 60 * 60 * 1000));
+        const highs = extremes.filter(extreme => extreme.type === 'HIGH').map(extreme => Date.parse(extreme.time));
+        const intervalHours = (highs[highs.length - 1] - highs[0]) / (highs.length - 1) / (60 * 60 * 1000);
+
+        assert.ok(Math.abs(intervalHours - 360 / NOAA_SPEEDS.M2) < 0.05);
+        // Mean sea level plus the M2 amplitude, give or take its nodal factor
+        assert.ok(Math.abs(Math.max(...extremes.map(extreme => extreme.height_m)) - 1.4) < 0.05);
+    });
+});
+
+describe('TidePredictor.predict on an M2 + S2 station', () => {
+    const predictor = new TidePredictor({ stationsDir: path.join(os.tmpdir(), 'no-tide-stations') });
+    const station = predictor.normalizeStation(SYNTHETIC_STATION);
+    const start = new Date('2026-10-01T00:00:00Z');
+    const end = new Date('2026-10-31T00:00:00Z');
+    const nodal = predictor.nodalCorrections(new Date((start.getTime() + end.getTime()) / 2));
+    let result;
+
+    before(() => {
+        result = predictor.predict(station, start, end);
+    });
+
+    it('samples the curve every step from start to end', () => {
+        assert.equal(result.stepMinutes, 10);
+        assert.equal(result.curve.length, 30 * 24 * 6 + 1);
+        assert.equal(result.curve[0].time, start.toISOString());
+        assert.equal(result.curve[result.curve.length - 1].time, end.toISOString());
+        assert.equal(result.station.constituents, 2);
+    });
+
+    it('alternates highs and lows at the true turning points', () => {
+        const { extremes } = result;
+        // Two of each a lunar day, 24.84 h
+        assert.ok(Math.abs(extremes.length - 4 * 30 * 24 / 24.84) <= 1);
+
+        extremes.forEach((extreme, index) => {
+            if (index > 0) assert.notEqual(extreme.type, extremes[index - 1].type);
+
+            // Search a minute-by-minute neighbourhood for the real peak or trough
+            const reported = Date.parse(extreme.time);
+            let best = { time: reported, height: predictor.height(station, reported, nodal) };
+            for (let minutes = -30; minutes <= 30; minutes += 0.25) {
+                const time = reported + minutes * 60 * 1000;
+                const height = predictor.height(station, time, nodal);
+                if (extreme.type === 'HIGH' ? height > best.height : height < best.height) best = { time, height };
+            }
+
+            assert.ok(Math.abs(best.time - reported) <= 60 * 1000, `${extreme.type} at ${extreme.time} is off the turning point`);
+            assert.ok(Math.abs(best.height - extreme.height_m) < 0.001);
+        });
+    });
+
+    it('ranges between spring and neap tides', () => {
+        const ranges = result.extremes.slice(1).map((extreme, index) => Math.abs(extreme.height_m - result.extremes[index].height_m));
+        const m2 = nodal.M2.f * SYNTHETIC_STATION.constituents[0].amplitude;
+        const s2 = SYNTHETIC_STATION.constituents[1].amplitude;
+
+        assert.ok(Math.abs(Math.max(...ranges) - 2 * (m2 + s2)) < 0.01);
+        assert.ok(Math.abs(Math.min(...ranges) - 2 * (m2 - s2)) < 0.01);
+    });
+});
+
+describe('TidePredictor.findExtremes', () => {
+    const predictor = new TidePredictor({ stationsDir: path.join(os.tmpdir(), 'no-tide-stations') });
+    const start = Date.parse('2026-10-19T00:00:00Z');
+    // A 12-hour cosine peaking at `peak`
+    const wave = peak => time => Math.cos(2 * Math.PI * (time - peak) / (12 * HOUR_MS));
+
+    it('places turning points between the 6-minute samples to the minute', () => {
+        const extremes = predictor.findExtremes(wave(start + 2 * HOUR_MS + 197 * 1000), start, start + 24 * HOUR_MS);
+
+        assert.deepEqual(extremes.map(extreme => [extreme.type, extreme.time, extreme.height_m]), [
+            ['HIGH', '2026-10-19T02:03:00.000Z', 1],
+            ['LOW', '2026-10-19T08:03:00.000Z', -1],
+            ['HIGH', '2026-10-19T14:03:00.000Z', 1],
+            ['LOW', '2026-10-19T20:03:00.000Z', -1]
+        ]);
+    });
+
+    it('keeps turning points on the range bounds and drops those outside it', () => {
+        const onBounds = predictor.findExtremes(wave(start), start, start + 6 * HOUR_MS);
+        assert.deepEqual(onBounds.map(extreme => extreme.time), ['2026-10-19T00:00:00.000Z', '2026-10-19T06:00:00.000Z']);
+
+        const justBefore = predictor.findExtremes(wave(start - 60 * 1000), start, start + 6 * HOUR_MS);
+        assert.deepEqual(justBefore.map(extreme => extreme.type), ['LOW']);
+    });
+});
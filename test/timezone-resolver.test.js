@@ -0,0 +1,60 @@
+/**
+ * 🕰️ Time zone lookup with and without boundary polygons
+ */
+
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { TimezoneResolver } from '../SRC/data-systems/timezone-resolver.js';
+import { nauticalZone } from '../SRC/utils/time-zone.js';
+
+describe('TimezoneResolver', () => {
+    let directory;
+
+    before(async () => {
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'warn', () => {});
+        directory = await fs.mkdtemp(path.join(os.tmpdir(), 'timezones-'));
+    });
+
+    after(async () => {
+        mock.restoreAll();
+        await fs.rm(directory, { recursive: true, force: true });
+    });
+
+    it('falls back to the nearest bundled place, then the nautical zone, without boundaries', async () => {
+        const resolver = new TimezoneResolver({ boundariesPath: path.join(directory, 'missing.geojson') });
+
+        assert.deepEqual(await resolver.resolve(39.9, -105.1), { timezone: 'America/Denver', source: 'NEAREST_PLACE' });
+        assert.deepEqual(await resolver.resolve(35, -40), { timezone: 'Etc/GMT+3', source: 'NAUTICAL' });
+    });
+
+    it('prefers a containing boundary polygon', async () => {
+        const boundariesPath = path.join(directory, 'timezones.geojson');
+        // Arizona keeps standard time next to Denver's zone - a box around Phoenix is enough here
+        await fs.writeFile(boundariesPath, JSON.stringify({
+            type: 'FeatureCollection',
+            features: [{
+                type: 'Feature',
+                properties: { tzid: 'America/Phoenix' },
+                geometry: { type: 'Polygon', coordinates: [[[-114, 31], [-109, 31], [-109, 37], [-114, 37], [-114, 31]]] }
+            }]
+        }));
+
+        const resolver = new TimezoneResolver({ boundariesPath });
+        const summer = await resolver.describe(34.5, -111.5, Date.parse('2026-07-01T12:00:00Z'));
+
+        assert.equal(summer.source, 'BOUNDARY');
+        assert.equal(summer.id, 'America/Phoenix');
+        assert.equal(summer.isDST, false);
+        assert.equal(summer.utcOffset, '-07:00');
+    });
+
+    it('names nautical zones with POSIX signs', () => {
+        assert.equal(nauticalZone(-75), 'Etc/GMT+5');
+        assert.equal(nauticalZone(150), 'Etc/GMT-10');
+        assert.equal(nauticalZone(3), 'Etc/GMT');
+    });
+});
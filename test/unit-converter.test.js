@@ -0,0 +1,77 @@
+/**
+ * 📏 Unit conversion at the response edge
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import UnitConverter from '../SRC/utils/unit-converter.js';
+import GridRoutes from '../SERVER/routes/grid-routes.js';
+
+const units = new UnitConverter();
+
+describe('UnitConverter.convertData', () => {
+    it('converts and renames suffixed numeric fields', () => {
+        assert.deepEqual(units.convertData({ temp_c: 20, wind_kph: 16.09344 }, 'imperial'), { temp_f: 68, wind_mph: 10 });
+    });
+
+    it('converts a fused result under a suffixed key, with uncertainty as a spread', () => {
+        const consensus = {
+            temp_c: {
+                value: 10,
+                uncertainty: 1,
+                sourceCount: 2,
+                winner: 'WEATHERAPI',
+                rejected: [{ provider: 'TOMORROW', value: 20 }],
+                contributions: { WEATHERAPI: { value: 10, weight: 0.6 }, OPENWEATHER: { value: 0, weight: 0.4 } }
+            }
+        };
+
+        assert.deepEqual(units.convertData({ consensus }, 'imperial'), {
+            consensus: {
+                temp_f: {
+                    value: 50,
+                    uncertainty: 1.8,
+                    sourceCount: 2,
+                    winner: 'WEATHERAPI',
+                    rejected: [{ provider: 'TOMORROW', value: 68 }],
+                    contributions: { WEATHERAPI: { value: 50, weight: 0.6 }, OPENWEATHER: { value: 32, weight: 0.4 } }
+                }
+            }
+        });
+    });
+
+    it('leaves metric payloads untouched', () => {
+        const data = { temp_c: { value: 10, uncertainty: 1 } };
+        assert.equal(units.convertData(data, 'metric'), data);
+    });
+});
+
+describe('UnitConverter.formatResponse', () => {
+    it('formats arrays element by element', () => {
+        const formatted = units.formatResponse([{ temp_c: 0 }, { temp_c: 100 }], 'imperial');
+
+        assert.ok(Array.isArray(formatted));
+        assert.deepEqual(formatted.map(item => item.temp_f), [32, 212]);
+        formatted.forEach(item => assert.equal(item.units.temperature, '°F'));
+    });
+});
+
+describe('Grid response units', () => {
+    it('converts cross-validation errors as spreads and the variogram in squared units', () => {
+        const routes = new GridRoutes({ climateEntity: null, units });
+        const grid = {
+            variable: 'temp_c',
+            values: [[10, 20]],
+            errors: [[1, 2]],
+            crossValidation: { rmse: 1, mae: 0.5 },
+            variogram: { model: 'exponential', nugget: 0.5, sill: 2, range_km: 160.9 }
+        };
+
+        const formatted = units.formatResponse(grid, 'imperial', routes.gridQuantities(grid.variable));
+
+        assert.deepEqual(formatted.values, [[50, 68]]);
+        assert.deepEqual(formatted.errors, [[1.8, 3.6]]);
+        assert.deepEqual(formatted.crossValidation, { rmse: 1.8, mae: 0.9 });
+        assert.deepEqual(formatted.variogram, { model: 'exponential', nugget: 1.62, sill: 6.48, range_miles: 99.98 });
+    });
+});
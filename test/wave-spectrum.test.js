@@ -0,0 +1,93 @@
+/**
+ * 〰️ Wave spectrum parsing and swell / wind-sea partitions
+ */
+
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { WaveSpectrumAnalyzer, SPECTRAL_FILES } from '../SRC/data-systems/wave-spectrum.js';
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'wave-spectrum');
+
+// Historical archive file letters for each realtime extension
+const HISTORICAL_FILES = { data_spec: 'w', swdir: 'd', swr1: 'j' };
+
+async function readFiles(names, fileName) {
+    const entries = await Promise.all(names.map(async name =>
+        [name, await fs.readFile(path.join(FIXTURES_DIR, fileName(name)), 'utf8')]));
+    return Object.fromEntries(entries);
+}
+
+describe('WaveSpectrumAnalyzer', () => {
+    const analyzer = new WaveSpectrumAnalyzer();
+    let realtime;
+    let historical;
+
+    before(async () => {
+        realtime = await readFiles(SPECTRAL_FILES, name => `46042.${name}`);
+        historical = await readFiles(Object.keys(HISTORICAL_FILES),
+            name => path.join('historical', `46042${HISTORICAL_FILES[name]}2026.txt`));
+    });
+
+    it('reads realtime rows newest first with the separation frequency', () => {
+        const rows = analyzer.parseSpectralFile(realtime.data_spec, { hasSeparation: true });
+
+        assert.equal(rows.length, 2);
+        assert.equal(rows[0].timestamp.toISOString(), '2026-10-19T17:00:00.000Z');
+        assert.equal(rows[0].separation, 0.1);
+        assert.equal(rows[1].separation, null);
+        assert.deepEqual(rows[0].values[1], { frequency: 0.07, value: 3.2 });
+    });
+
+    it('keeps a 99° direction and drops only the 999 missing marker', () => {
+        const [spectrum] = analyzer.combine(realtime);
+        const band = frequency => spectrum.bands.find(entry => entry.frequency === frequency);
+
+        assert.equal(band(0.15).alpha1, 99);
+        assert.equal(band(0.11).alpha1, null);
+        assert.equal(band(0.11).r1, null);
+    });
+
+    it('takes the r1 / r2 scale from the file source, not the value', () => {
+        const [recent] = analyzer.combine(realtime, { source: 'realtime' });
+        const [archived] = analyzer.combine(historical, { source: 'historical' });
+
+        assert.equal(recent.bands[1].r1, 0.9);
+        assert.equal(archived.bands[1].r1, 0.9);
+        assert.equal(archived.bands[1].alpha1, 270);
+        assert.equal(archived.separation, null);
+        assert.equal(archived.timestamp.toISOString(), '2026-10-19T17:00:00.000Z');
+
+        assert.throws(() => analyzer.combine(realtime, { source: 'archive' }), /Unknown spectral file source/);
+    });
+
+    it('splits swell from wind sea at the buoy separation frequency', () => {
+        const [spectrum] = analyzer.combine(realtime);
+        const result = analyzer.analyze(spectrum);
+
+        assert.deepEqual(result.separation, { frequency_hz: 0.1, period_s: 10, source: 'BUOY' });
+        // Hs = 4·sqrt(m0) over bands spanning halfway to their neighbours
+        assert.equal(result.significant_height_m, 1.58);
+        assert.equal(result.swell.significant_height_m, 1.24);
+        assert.equal(result.swell.peak_period_s, 14.3);
+        assert.equal(result.swell.energy_fraction, 0.62);
+        assert.equal(result.windSea.significant_height_m, 0.98);
+        assert.equal(result.windSea.peak_period_s, 5);
+        assert.equal(result.windSea.peak_direction_deg, 95);
+        assert.equal(result.dominant, 'SWELL');
+    });
+
+    it('falls back to a wind-speed, then a fixed, separation', () => {
+        const [, older] = analyzer.combine(realtime);
+
+        const windy = analyzer.analyze(older, { windSpeed: 10 });
+        assert.equal(windy.separation.source, 'WIND');
+        assert.equal(windy.separation.frequency_hz, 0.1301);
+
+        const calm = analyzer.analyze(older);
+        assert.equal(calm.separation.source, 'DEFAULT');
+        assert.equal(calm.separation.frequency_hz, 0.1);
+    });
+});
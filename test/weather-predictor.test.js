@@ -0,0 +1,101 @@
+/**
+ * 🧠 Weather predictor training and persistence
+ */
+
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import NeuralNetwork from '../SRC/ai-climate-entity/neutral-networks/weather-predictor.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const START = Date.parse('2026-10-01T00:00:00Z');
+
+// Hourly diurnal cycle at one place
+function hourlyObservations(hours) {
+    return Array.from({ length: hours }, (_, hour) => ({
+        time: new Date(START + hour * HOUR_MS).toISOString(),
+        lat: 40.71,
+        lon: -74.0,
+        source: { provider: 'WEATHERAPI', station: null },
+        temp_c: 12 + 6 * Math.sin(2 * Math.PI * hour / 24),
+        humidity: 60,
+        pressure_mb: 1015,
+        wind_kph: 10,
+        precip_mm: 0,
+        condition: { text: null, code: null }
+    }));
+}
+
+async function createNetwork(modelPath = null) {
+    const network = new NeuralNetwork();
+    await network.initialize({ layers: [13, 16, 14], learningRate: 0.1, modelPath });
+    return network;
+}
+
+describe('NeuralNetwork', () => {
+    let directory;
+
+    before(async () => {
+        mock.method(console, 'log', () => {});
+        directory = await fs.mkdtemp(path.join(os.tmpdir(), 'weather-model-'));
+    });
+
+    after(async () => {
+        mock.restoreAll();
+        await fs.rm(directory, { recursive: true, force: true });
+    });
+
+    it('pairs each observation with the one a horizon later and skips incomplete inputs', async () => {
+        const network = await createNetwork();
+        const observations = hourlyObservations(30);
+        observations[2].humidity = null;
+
+        const records = network.buildHistoricalRecords(observations, 24, 0.5);
+
+        // Hours 0-5 have a partner 24 h later; hour 2 cannot be encoded
+        assert.equal(records.length, 5);
+        assert.equal(records[0].observation.time, observations[24].time);
+        assert.ok(records.every(record => record.input.humidity === 60));
+    });
+
+    it('reads the time of day and season in UTC whatever the server time zone', async () => {
+        const network = await createNetwork();
+        const [{ input }] = network.buildHistoricalRecords(hourlyObservations(30), 24, 0.5);
+        const serverZone = process.env.TZ;
+
+        // Midnight UTC on 1 October is 09:00 the same day in Tokyo and 17:00 the day before in Los Angeles
+        try {
+            process.env.TZ = 'Asia/Tokyo';
+            const tokyo = network.extractFeatures(input);
+            process.env.TZ = 'America/Los_Angeles';
+            assert.deepEqual(network.extractFeatures(input), tokyo);
+            assert.equal(network.encodeTime(input.timestamp), 0);
+        } finally {
+            if (serverZone === undefined) delete process.env.TZ;
+            else process.env.TZ = serverZone;
+        }
+    });
+
+    it('trains on historical records and saves the model where it will load from', async () => {
+        const modelPath = path.join(directory, 'weather-predictor.json');
+        const network = await createNetwork(modelPath);
+
+        await network.trainOnHistoricalData(network.buildHistoricalRecords(hourlyObservations(24 * 6), 24, 0.5), { epochs: 5 });
+
+        const restored = await createNetwork(modelPath);
+        assert.deepEqual(restored.weights, network.weights);
+        assert.equal(restored.trainingSummary.examples, 24 * 5);
+    });
+
+    it('keeps its learning rate while verifying observations', async () => {
+        const network = await createNetwork();
+
+        for (let i = 0; i < 10; i++) {
+            await network.continuousLearning(hourlyObservations(1));
+        }
+
+        assert.equal(network.learningRate, 0.1);
+    });
+});
@@ -0,0 +1,238 @@
+/**
+ * 🔌 Weather provider adapters against recorded responses
+ * Replays test/fixtures/http through each built-in adapter and checks the canonical fields
+ */
+
+import { describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Keep the transport's mode banner out of the runner's stdout
+mock.method(console, 'log', () => {});
+
+process.env.HTTP_REPLAY_MODE = 'replay';
+process.env.HTTP_FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures/http');
+
+// The transport reads its mode on import, so the adapters load after the environment is set
+const { default: WeatherAPIAdapter } = await import('../SRC/data-systems/weather-providers/weatherapi-adapter.js');
+const { default: OpenWeatherAdapter } = await import('../SRC/data-systems/weather-providers/openweather-adapter.js');
+const { default: TomorrowAdapter } = await import('../SRC/data-systems/weather-providers/tomorrow-adapter.js');
+const { default: ClimacellAdapter } = await import('../SRC/data-systems/weather-providers/climacell-adapter.js');
+const { default: AccuWeatherAdapter } = await import('../SRC/data-systems/weather-providers/accuweather-adapter.js');
+const { default: WeatherGovAdapter } = await import('../SRC/data-systems/weather-providers/weather-gov-adapter.js');
+const { default: WeatherAPIIntegration } = await import('../SRC/data-systems/weather-api-integration.js');
+
+const NEW_YORK = { lat: 40.7128, lon: -74.006 };
+const HISTORY_DAY = { ...NEW_YORK, start: '2026-10-18T00:00:00.000Z', end: '2026-10-19T00:00:00.000Z' };
+const CLIENT = { headers: {}, timeout: 5000 };
+
+const OBSERVATION_KEYS = [
+    'time', 'temp_c', 'feelslike_c', 'dewpoint_c', 'humidity', 'pressure_mb', 'wind_kph',
+    'wind_degree', 'gust_kph', 'vis_km', 'cloud', 'precip_mm', 'condition'
+];
+const FORECAST_KEYS = [...OBSERVATION_KEYS, 'temp_min_c', 'temp_max_c', 'precip_probability'];
+
+async function replay(adapter, type, location = NEW_YORK) {
+    return adapter.normalize(type, await adapter.fetchData(type, location, {}, CLIENT));
+}
+
+function assertObservation(observation, expected) {
+    assert.deepEqual(Object.keys(observation), OBSERVATION_KEYS);
+    Object.entries(expected).forEach(([field, value]) => {
+        if (typeof value === 'number') {
+            assert.ok(Math.abs(observation[field] - value) < 1e-6, `${field}: expected ${value}, got ${observation[field]}`);
+        } else {
+            assert.deepEqual(observation[field], value, field);
+        }
+    });
+}
+
+function assertForecast(forecast, count) {
+    assert.equal(forecast.periods.length, count);
+    forecast.periods.forEach(period => assert.deepEqual(Object.keys(period), FORECAST_KEYS));
+}
+
+describe('WeatherAPI.com adapter', () => {
+    const adapter = new WeatherAPIAdapter();
+
+    it('normalizes current conditions', async () => {
+        assertObservation(await replay(adapter, 'current'), {
+            time: '2026-10-19T11:45:00.000Z',
+            temp_c: 12.2,
+            dewpoint_c: 5.1,
+            pressure_mb: 1016,
+            wind_kph: 13,
+            gust_kph: 19.8,
+            condition: { text: 'Partly cloudy', code: 1003 }
+        });
+    });
+
+    it('takes the larger of rain and snow chance as the precipitation probability', async () => {
+        const forecast = await replay(adapter, 'forecast');
+        assertForecast(forecast, 2);
+        assert.equal(forecast.city, 'New York');
+        assert.equal(forecast.periods[1].precip_probability, 64);
+        assert.equal(forecast.periods[1].temp_max_c, 15.4);
+    });
+
+    it('flattens history into hourly observations', async () => {
+        const history = await replay(adapter, 'history', HISTORY_DAY);
+        assert.equal(history.length, 2);
+        assertObservation(history[0], { time: '2026-10-18T00:00:00.000Z', temp_c: 11, pressure_mb: 1019 });
+    });
+
+    it('reads active alerts with their offsets resolved to UTC', async () => {
+        const alerts = await replay(adapter, 'alerts');
+        assert.equal(alerts.length, 2);
+        assert.equal(alerts[1].event, 'Wind Advisory');
+        assert.equal(alerts[1].severity, 'Moderate');
+        assert.equal(alerts[1].effective, '2026-10-19T08:12:00.000Z');
+    });
+});
+
+describe('OpenWeatherMap adapter', () => {
+    const adapter = new OpenWeatherAdapter();
+
+    it('converts wind from m/s and visibility from metres', async () => {
+        assertObservation(await replay(adapter, 'current'), {
+            time: '2026-10-19T11:45:00.000Z',
+            temp_c: 12.4,
+            dewpoint_c: null,
+            wind_kph: 14.76,
+            gust_kph: 22.32,
+            vis_km: 10,
+            condition: { text: 'scattered clouds', code: 802 }
+        });
+    });
+
+    it('scales probability of precipitation to percent and sums 3-hour rain', async () => {
+        const forecast = await replay(adapter, 'forecast');
+        assertForecast(forecast, 2);
+        assert.equal(forecast.periods[1].precip_probability, 62);
+        assert.equal(forecast.periods[1].precip_mm, 0.8);
+    });
+
+    it('reads flat One Call hours for history', async () => {
+        const [hour] = await replay(adapter, 'history', HISTORY_DAY);
+        assertObservation(hour, { temp_c: 11.2, dewpoint_c: 3, wind_kph: 9.36, cloud: 0 });
+    });
+
+    it('takes One Call alerts with the first line of the text as the headline', async () => {
+        const [alert] = await replay(adapter, 'alerts');
+        assert.equal(alert.event, 'Wind Advisory');
+        assert.equal(alert.severity, null);
+        assert.equal(alert.headline, '...WIND ADVISORY IN EFFECT UNTIL 8 PM EDT THIS EVENING...');
+        assert.equal(alert.expires, '2026-10-20T00:00:00.000Z');
+    });
+});
+
+describe('Tomorrow.io adapter', () => {
+    const adapter = new TomorrowAdapter();
+
+    it('maps weather codes to text and wind to km/h', async () => {
+        assertObservation(await replay(adapter, 'current'), {
+            time: '2026-10-19T11:45:00.000Z',
+            pressure_mb: 1015.4,
+            wind_kph: 13.68,
+            vis_km: 16,
+            condition: { text: 'Partly Cloudy', code: 1101 }
+        });
+    });
+
+    it('normalizes the hourly timeline', async () => {
+        const forecast = await replay(adapter, 'forecast');
+        assertForecast(forecast, 2);
+        assert.equal(forecast.periods[1].precip_probability, 55);
+        assert.equal(forecast.periods[1].condition.text, 'Light Rain');
+    });
+
+    it('has no history endpoint on the current host', () => {
+        assert.throws(() => adapter.buildRequest('history', HISTORY_DAY), /does not support history/);
+    });
+});
+
+describe('Climacell adapter', () => {
+    const adapter = new ClimacellAdapter();
+
+    it('reads the same v4 payloads from the legacy host', async () => {
+        assertObservation(await replay(adapter, 'current'), {
+            temp_c: 12.1,
+            wind_kph: 12.6,
+            condition: { text: 'Mostly Cloudy', code: 1102 }
+        });
+        assertForecast(await replay(adapter, 'forecast'), 1);
+    });
+
+    it('normalizes the historical timeline', async () => {
+        const [hour] = await replay(adapter, 'history', HISTORY_DAY);
+        assertObservation(hour, { time: '2026-10-18T00:00:00.000Z', temp_c: 11.1, wind_kph: 9 });
+    });
+});
+
+describe('AccuWeather adapter', () => {
+    const adapter = new AccuWeatherAdapter();
+
+    it('resolves the location key before reading current conditions', async () => {
+        assertObservation(await replay(adapter, 'current'), {
+            time: '2026-10-19T11:45:00.000Z',
+            temp_c: 12.2,
+            feelslike_c: 10.6,
+            pressure_mb: 1016.3,
+            vis_km: 16.1,
+            condition: { text: 'Partly sunny', code: 3 }
+        });
+        assert.equal(adapter.locationKeys.get('40.713,-74.006'), '349727');
+    });
+
+    it('averages the daily extremes into the period temperature', async () => {
+        const forecast = await replay(adapter, 'forecast');
+        assertForecast(forecast, 2);
+        assert.equal(forecast.headline, 'A couple of showers this afternoon');
+        assert.equal(forecast.periods[0].temp_c, 12.5);
+        assert.equal(forecast.periods[0].precip_probability, 60);
+    });
+});
+
+describe('National Weather Service adapter', () => {
+    const adapter = new WeatherGovAdapter();
+
+    it('reads the nearest station and converts pressure from Pa and visibility from m', async () => {
+        assertObservation(await replay(adapter, 'current'), {
+            time: '2026-10-19T11:51:00.000Z',
+            temp_c: 12.2,
+            feelslike_c: 12.2,
+            humidity: 61.6,
+            pressure_mb: 1015.9,
+            vis_km: 16.09,
+            gust_kph: null,
+            condition: { text: 'Partly Cloudy', code: null }
+        });
+    });
+
+    it('parses text wind speeds and compass directions', async () => {
+        const forecast = await replay(adapter, 'forecast');
+        assertForecast(forecast, 2);
+        assert.equal(forecast.periods[0].wind_kph, 20);
+        assert.equal(forecast.periods[0].wind_degree, 225);
+        assert.equal(forecast.periods[1].wind_degree, 315);
+    });
+
+    it('lists active alerts for the point', async () => {
+        const [alert] = await replay(adapter, 'alerts');
+        assert.equal(alert.event, 'Small Craft Advisory');
+        assert.equal(alert.severity, 'Minor');
+    });
+});
+
+describe('WeatherAPIIntegration alerts', () => {
+    it('asks every alerting provider for current conditions and lists each event once', async () => {
+        const integration = new WeatherAPIIntegration();
+        ['OPENWEATHER', 'WEATHERAPI'].forEach(id => { integration.getProvider(id).apiKey = 'test'; });
+
+        const alerts = await integration.fetchActiveAlerts(NEW_YORK, {});
+
+        assert.deepEqual(alerts.map(alert => alert.event).sort(), ['Small Craft Advisory', 'Wind Advisory']);
+        assert.ok(alerts.every(alert => alert.provider));
+    });
+});
@@ -0,0 +1,91 @@
+/**
+ * 🌤️ Weather analysis resolves its location like every other route
+ * and answers in the location's local time, history included
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import UnitConverter from '../SRC/utils/unit-converter.js';
+import WeatherRoutes from '../SERVER/routes/weather-routes.js';
+
+function analyse(location) {
+    const queries = [];
+    const climateEntity = {
+        getWeatherAnalysis: async query => {
+            queries.push(query);
+            return { location: query };
+        }
+    };
+    const routes = new WeatherRoutes({ climateEntity, units: new UnitConverter() });
+    const res = { json: () => {}, status: () => res };
+
+    return routes.getWeatherAnalysis({ params: { location }, query: {} }, res, error => { throw error; })
+        .then(() => queries[0]);
+}
+
+describe('WeatherRoutes.getWeatherAnalysis', () => {
+    it('passes a city name to the shared resolver', async () => {
+        assert.deepEqual(await analyse('Portland'), { city: 'Portland' });
+    });
+
+    it('passes a lat,lon path as coordinates', async () => {
+        assert.deepEqual(await analyse('40.7128,-74.006'), { lat: '40.7128', lon: '-74.006' });
+    });
+
+    it('writes times with the location\'s offset', async () => {
+        const climateEntity = {
+            getWeatherAnalysis: async () => ({
+                location: { name: 'New York', timezone: 'America/New_York' },
+                timestamp: '2026-10-19T12:00:00.000Z'
+            })
+        };
+        const routes = new WeatherRoutes({ climateEntity, units: new UnitConverter() });
+        let body;
+        const res = { json: value => { body = value; }, status: () => res };
+
+        await routes.getWeatherAnalysis({ params: { location: 'New York' }, query: {} }, res, error => { throw error; });
+
+        assert.equal(body.timestamp, '2026-10-19T08:00:00.000-04:00');
+        assert.equal(body.timeZone.id, 'America/New_York');
+    });
+});
+
+describe('WeatherRoutes.getHistory', () => {
+    function history(query, getWeatherHistory) {
+        const calls = [];
+        const climateEntity = {
+            resolveLocation: async () => ({ lat: 40.7128, lon: -74.006, timezone: 'America/New_York' }),
+            getWeatherHistory: async (location, options) => {
+                calls.push([location, options]);
+                return getWeatherHistory(location, options);
+            }
+        };
+        const routes = new WeatherRoutes({ climateEntity, units: new UnitConverter() });
+        const result = { calls };
+        const res = { json: value => { result.body = value; }, status: () => res };
+
+        return routes.getHistory({ query }, res, error => { result.error = error; }).then(() => result);
+    }
+
+    it('passes the resolved coordinates and range and answers in local time', async () => {
+        const { calls, body } = await history({ city: 'New York', from: '2026-10-17T00:00:00Z', interval: 'daily' }, () => ({
+            from: '2026-10-17T00:00:00.000Z',
+            series: [{ time: '2026-10-17T00:00:00.000Z', temp_c: 11.5 }]
+        }));
+
+        assert.deepEqual(calls, [[{ lat: 40.7128, lon: -74.006 }, { from: '2026-10-17T00:00:00Z', to: undefined, interval: 'daily' }]]);
+        assert.equal(body.from, '2026-10-16T20:00:00.000-04:00');
+        assert.equal(body.series[0].time, '2026-10-16T20:00:00.000-04:00');
+    });
+
+    it('hands range errors to the error handler', async () => {
+        const { body, error } = await history({ city: 'New York', interval: 'weekly' }, () => {
+            const invalid = new Error('Unknown interval, expected one of: hourly, daily');
+            invalid.status = 400;
+            throw invalid;
+        });
+
+        assert.equal(body, undefined);
+        assert.equal(error.status, 400);
+    });
+});